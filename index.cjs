@@ -0,0 +1,46 @@
+/**
+ * Library entry point of varvis-download.
+ * @module varvis-download
+ * @example
+ * const { VarvisClient } = require('varvis-download');
+ *
+ * const client = new VarvisClient({ target: 'laborberlin' });
+ * client.on('file', (entry) => console.log(entry.status, entry.outputPath));
+ * await client.login(username, password);
+ * const ids = await client.searchAnalyses({ sampleIds: ['SAMPLE1'] });
+ * const { metrics } = await client.download(ids, { destination: 'data' });
+ */
+
+const { VarvisClient } = require('./js/varvisClient.cjs');
+const { EXIT_CODES, getRunExitCode } = require('./js/exitCodes.cjs');
+const { buildReportData, formatReport } = require('./js/reportUtils.cjs');
+const { writeManifest } = require('./js/manifestUtils.cjs');
+const { formatPlan } = require('./js/planUtils.cjs');
+const {
+  readSyncState,
+  writeSyncState,
+  formatSyncSummary,
+} = require('./js/syncState.cjs');
+const {
+  PROGRESS_EVENTS,
+  createProgressRenderer,
+  attachProgressRenderer,
+  suspendDuringPrompts,
+} = require('./js/progressRenderers.cjs');
+
+module.exports = {
+  VarvisClient,
+  EXIT_CODES,
+  getRunExitCode,
+  buildReportData,
+  formatReport,
+  writeManifest,
+  formatPlan,
+  readSyncState,
+  writeSyncState,
+  formatSyncSummary,
+  PROGRESS_EVENTS,
+  createProgressRenderer,
+  attachProgressRenderer,
+  suspendDuringPrompts,
+};
@@ -1,22 +1,31 @@
 const fs = require('node:fs');
 const path = require('node:path');
+const os = require('node:os');
 const {
   appendToAwaitingRestoration,
   readRestorationState,
   writeRestorationState,
 } = require('./restorationState.cjs');
+const { getApiChecksum } = require('./checksumUtils.cjs');
+const {
+  readBedFile,
+  normalizeRegions,
+  regionsToBed,
+} = require('./regionUtils.cjs');
+const { findFileType, indexFileName } = require('./fileTypes.cjs');
+const { layoutNeedsMetadata, prepareOutputPath } = require('./layoutUtils.cjs');
 
 /**
  * Triggers restoration for an archived analysis file using the internal restore endpoint.
- * @param   {string}        analysisId                                    - The analysis ID of the archived file.
- * @param   {object}        file                                          - The file object from the API response (should include fileName).
- * @param   {string}        target                                        - The target for the Varvis API.
- * @param   {string}        token                                         - The CSRF token for authentication.
- * @param   {object}        agent                                         - The HTTP agent instance.
- * @param   {object}        logger                                        - The logger instance.
- * @param   {string}        [restorationFile="awaiting-restoration.json"] - Optional path/name for the awaiting restoration JSON file.
- * @param   {object}        [options={}]                                  - Options object for restoration context.
- * @returns {Promise<void>}
+ * @param   {string}               analysisId                                    - The analysis ID of the archived file.
+ * @param   {object}               file                                          - The file object from the API response (should include fileName).
+ * @param   {string}               target                                        - The target for the Varvis API.
+ * @param   {string}               token                                         - The CSRF token for authentication.
+ * @param   {object}               agent                                         - The HTTP agent instance.
+ * @param   {object}               logger                                        - The logger instance.
+ * @param   {string}               [restorationFile="awaiting-restoration.json"] - Optional path/name for the awaiting restoration JSON file.
+ * @param   {object}               [options={}]                                  - Options object for restoration context.
+ * @returns {Promise<object|null>}                                               - The queued restoration entry, or null if restoration could not be initiated.
  */
 async function triggerRestoreArchivedFile(
   analysisId,
@@ -63,26 +72,24 @@ async function triggerRestoreArchivedFile(
       logger.info(
         `Restoration initiated for analysis ${analysisId}. Expected availability: ${restoreEstimation}`,
       );
-      await appendToAwaitingRestoration(
-        {
-          analysisId,
-          fileName: file.fileName,
-          restoreEstimation,
-          options,
-        },
-        logger,
-        restorationFile,
-      );
-    } else {
-      logger.error(
-        `Failed to initiate restoration for analysis ${analysisId}: ${result.errorMessageId}`,
-      );
+      const entry = {
+        analysisId,
+        fileName: file.fileName,
+        restoreEstimation,
+        options,
+      };
+      await appendToAwaitingRestoration(entry, logger, restorationFile);
+      return entry;
     }
+    logger.error(
+      `Failed to initiate restoration for analysis ${analysisId}: ${result.errorMessageId}`,
+    );
   } catch (error) {
     logger.error(
       `Error triggering restoration for analysis ${analysisId}: ${error.message}`,
     );
   }
+  return null;
 }
 
 /**
@@ -96,6 +103,7 @@ async function triggerRestoreArchivedFile(
  * @param   {object}        agent           - The HTTP agent instance.
  * @param   {object}        logger          - The logger instance.
  * @param   {boolean}       overwrite       - Flag indicating whether to overwrite existing files.
+ * @param   {object}        [events]        - Event emitter receiving the download progress events.
  * @returns {Promise<void>}
  */
 async function resumeArchivedDownloads(
@@ -106,6 +114,7 @@ async function resumeArchivedDownloads(
   agent,
   logger,
   overwrite,
+  events,
 ) {
   const data = readRestorationState(restorationFile, logger);
   if (!data) {
@@ -116,20 +125,28 @@ async function resumeArchivedDownloads(
   }
 
   // Lazy-require necessary functions
-  const { getDownloadLinks } = require('./fetchUtils.cjs');
+  const {
+    getDownloadLinks,
+    refreshDownloadUrls,
+    fetchAnalysisMetadata,
+  } = require('./fetchUtils.cjs');
   const {
     ensureIndexFile,
-    generateOutputFileName,
     indexBAM,
     indexVCF,
     rangedDownloadBAM,
     rangedDownloadVCF,
+    rangedDownloadVCFRegions,
+    tabixIndexPath,
+    convertBAMToCRAM,
   } = require('./rangedUtils.cjs');
   const { downloadFile } = require('./fileUtils.cjs');
   const metrics = require('./fetchUtils.cjs').metrics;
 
   let updatedData = [];
   const now = new Date();
+  // Sample metadata of the analyses, fetched once for layouts that use it
+  const analysisMetadata = new Map();
 
   for (const entry of data) {
     // Check if restoration time has passed
@@ -187,20 +204,31 @@ async function resumeArchivedDownloads(
 
       const downloadLink = file.downloadLink;
 
+      // Interrupted transfers resume against a freshly signed URL
+      const progressOptions = { events, analysisId: entry.analysisId };
+      const resumeOptions = {
+        ...progressOptions,
+        size: file.size,
+        checksum: getApiChecksum(file),
+        refreshUrl: async () => {
+          const freshFileDict = await refreshDownloadUrls(
+            entry.analysisId,
+            target,
+            token,
+            agent,
+            logger,
+          );
+          return freshFileDict[entry.fileName]?.downloadLink;
+        },
+      };
+
       // Handle genomic ranges from restored options
       let regions = [];
       if (restoredOptions.range) {
         regions = restoredOptions.range.split(' ');
       } else if (restoredOptions.bed) {
         try {
-          const bedFileContent = fs.readFileSync(restoredOptions.bed, 'utf8');
-          regions = bedFileContent
-            .split('\n')
-            .filter((line) => line && !line.startsWith('#'))
-            .map((line) => {
-              const [chr, start, end] = line.split('\t');
-              return `${chr}:${start}-${end}`;
-            });
+          regions = readBedFile(restoredOptions.bed);
         } catch (bedError) {
           logger.warn(
             `Error reading BED file ${restoredOptions.bed}: ${bedError.message}. Proceeding with full download.`,
@@ -208,18 +236,52 @@ async function resumeArchivedDownloads(
         }
       }
 
+      // BAM files converted to CRAM are written under the CRAM name
+      const reference = restoredOptions.reference ?? null;
+      const fileType = findFileType(entry.fileName);
+      const convert =
+        Boolean(restoredOptions.convertToCram) && fileType?.name === 'BAM';
+
+      // Name the outputs after the restored layout
+      const layout = restoredOptions.layout ?? null;
+      const analysisId = String(entry.analysisId);
+      if (layoutNeedsMetadata(layout) && !analysisMetadata.has(analysisId)) {
+        const fetched = await fetchAnalysisMetadata(
+          [analysisId],
+          target,
+          token,
+          agent,
+          logger,
+          true,
+        );
+        analysisMetadata.set(analysisId, fetched[analysisId]);
+      }
+      const restoredPath = (fileName) =>
+        prepareOutputPath(
+          effectiveDestination,
+          layout,
+          {
+            analysisId,
+            analysis: analysisMetadata.get(analysisId),
+            fileName,
+            regions,
+          },
+          logger,
+        );
+
       // Generate output filename using restored context
-      const outputFile = path.join(
-        effectiveDestination,
-        generateOutputFileName(entry.fileName, regions, logger),
+      const outputFile = restoredPath(
+        convert ? entry.fileName.replace(/\.bam$/, '.cram') : entry.fileName,
       );
 
-      // Handle BAM files
-      if (entry.fileName.endsWith('.bam')) {
-        const indexFileUrl = fileDict[`${entry.fileName}.bai`]?.downloadLink;
+      // Handle the formats subset by samtools (BAM, CRAM)
+      const indexName = indexFileName(entry.fileName);
+      if (fileType?.subsetTool === 'samtools') {
+        const format = fileType.name;
+        const indexFileUrl = fileDict[indexName]?.downloadLink;
         if (regions.length > 0 && !indexFileUrl) {
           logger.error(
-            `Index file for BAM ${entry.fileName} not found for analysis ${entry.analysisId}. Ranged download requires .bai index. Keeping for retry.`,
+            `Index file for ${format} ${entry.fileName} not found for analysis ${entry.analysisId}. Ranged download requires ${fileType.indexExtension} index. Keeping for retry.`,
           );
           updatedData.push(entry);
           continue;
@@ -227,12 +289,7 @@ async function resumeArchivedDownloads(
 
         // Perform ranged or full download based on restored options
         if (regions.length > 0) {
-          const indexFileName = generateOutputFileName(
-            `${entry.fileName}.bai`,
-            regions,
-            logger,
-          );
-          const indexFilePath = path.join(effectiveDestination, indexFileName);
+          const indexFilePath = restoredPath(indexName);
 
           // Ensure index file is downloaded
           await ensureIndexFile(
@@ -244,27 +301,19 @@ async function resumeArchivedDownloads(
             logger,
             metrics,
             effectiveOverwrite,
+            progressOptions,
           );
 
           // Create temporary BED file for ranged download
-          const os = require('node:os');
           const tempBedPath = path.join(
             os.tmpdir(),
             `restore-regions-${Date.now()}.bed`,
           );
-          const bedContent = regions
-            .map((region) => {
-              const [chr, pos] = region.split(':');
-              const [start, end] = pos.split('-');
-              return `${chr}\t${start}\t${end}`;
-            })
-            .join('\n');
-
-          fs.writeFileSync(tempBedPath, bedContent);
+          fs.writeFileSync(tempBedPath, regionsToBed(regions));
 
           try {
             logger.info(
-              `Performing ranged download for restored BAM file: ${entry.fileName}`,
+              `Performing ranged download for restored ${format} file: ${entry.fileName}`,
             );
             await rangedDownloadBAM(
               downloadLink,
@@ -272,7 +321,11 @@ async function resumeArchivedDownloads(
               outputFile,
               indexFilePath,
               logger,
+              metrics,
               effectiveOverwrite,
+              false,
+              regions,
+              reference,
             );
             await indexBAM(outputFile, logger, effectiveOverwrite);
           } finally {
@@ -281,10 +334,23 @@ async function resumeArchivedDownloads(
               fs.unlinkSync(tempBedPath);
             }
           }
+        } else if (convert) {
+          logger.info(
+            `Converting restored BAM file to CRAM: ${entry.fileName}`,
+          );
+          await convertBAMToCRAM(
+            downloadLink,
+            outputFile,
+            reference,
+            logger,
+            metrics,
+            effectiveOverwrite,
+          );
+          await indexBAM(outputFile, logger, effectiveOverwrite);
         } else {
           // Full download
           logger.info(
-            `Performing full download for restored BAM file: ${entry.fileName}`,
+            `Performing full download for restored ${format} file: ${entry.fileName}`,
           );
           await downloadFile(
             downloadLink,
@@ -294,22 +360,13 @@ async function resumeArchivedDownloads(
             null, // no rl needed
             logger,
             metrics,
+            resumeOptions,
           );
 
           // Download index file if available (optional for full downloads)
           if (indexFileUrl) {
-            const indexFileName = generateOutputFileName(
-              `${entry.fileName}.bai`,
-              regions,
-              logger,
-            );
-            const indexFilePath = path.join(
-              effectiveDestination,
-              indexFileName,
-            );
-            logger.info(
-              `Downloading optional index file: ${entry.fileName}.bai`,
-            );
+            const indexFilePath = restoredPath(indexName);
+            logger.info(`Downloading optional index file: ${indexName}`);
             try {
               await downloadFile(
                 indexFileUrl,
@@ -319,22 +376,23 @@ async function resumeArchivedDownloads(
                 null, // no rl needed
                 logger,
                 metrics,
+                progressOptions,
               );
             } catch (indexError) {
               logger.warn(
-                `Failed to download index file ${entry.fileName}.bai: ${indexError.message}`,
+                `Failed to download index file ${indexName}: ${indexError.message}`,
               );
             }
           }
 
           await indexBAM(outputFile, logger, effectiveOverwrite);
         }
-      } else if (entry.fileName.endsWith('.vcf.gz')) {
-        // Handle VCF files
-        const indexFileUrl = fileDict[`${entry.fileName}.tbi`]?.downloadLink;
+      } else if (fileType?.subsetTool === 'tabix') {
+        // Handle the formats subset by tabix (VCF, gVCF)
+        const indexFileUrl = fileDict[indexName]?.downloadLink;
         if (regions.length > 0 && !indexFileUrl) {
           logger.error(
-            `Index file for VCF ${entry.fileName} not found for analysis ${entry.analysisId}. Ranged download requires .tbi index. Keeping for retry.`,
+            `Index file for ${fileType.name} ${entry.fileName} not found for analysis ${entry.analysisId}. Ranged download requires ${fileType.indexExtension} index. Keeping for retry.`,
           );
           updatedData.push(entry);
           continue;
@@ -342,12 +400,7 @@ async function resumeArchivedDownloads(
 
         // Perform ranged or full download based on restored options
         if (regions.length > 0) {
-          const indexFileName = generateOutputFileName(
-            `${entry.fileName}.tbi`,
-            regions,
-            logger,
-          );
-          const indexFilePath = path.join(effectiveDestination, indexFileName);
+          const indexFilePath = restoredPath(indexName);
 
           // Ensure index file is downloaded
           await ensureIndexFile(
@@ -359,20 +412,57 @@ async function resumeArchivedDownloads(
             logger,
             metrics,
             effectiveOverwrite,
+            progressOptions,
           );
 
-          // Perform ranged download for VCF - use the first region for simplicity
-          const range = regions[0]; // tabix uses region format directly
-          logger.info(
-            `Performing ranged download for restored VCF file: ${entry.fileName} with range: ${range}`,
-          );
-          await rangedDownloadVCF(
-            downloadLink,
-            range,
-            outputFile,
-            logger,
-            effectiveOverwrite,
+          // tabix finds the index under its remote name, also when the layout renames the copy
+          const tempDir = fs.mkdtempSync(
+            path.join(os.tmpdir(), 'varvis-restore-'),
           );
+          try {
+            const tabixIndex = tabixIndexPath(
+              indexFilePath,
+              indexName,
+              tempDir,
+            );
+            if (restoredOptions.vcfOutput === 'merged') {
+              // All regions go into one VCF, sorted and merged for tabix -R
+              const tempBedPath = path.join(tempDir, 'regions.bed');
+              fs.writeFileSync(
+                tempBedPath,
+                regionsToBed(normalizeRegions(regions)),
+              );
+              logger.info(
+                `Performing ranged download for restored VCF file: ${entry.fileName} with ${regions.length} regions into one file`,
+              );
+              await rangedDownloadVCFRegions(
+                downloadLink,
+                tempBedPath,
+                outputFile,
+                tabixIndex,
+                logger,
+                metrics,
+                effectiveOverwrite,
+              );
+            } else {
+              // Perform ranged download for VCF - use the first region for simplicity
+              const range = regions[0]; // tabix uses region format directly
+              logger.info(
+                `Performing ranged download for restored VCF file: ${entry.fileName} with range: ${range}`,
+              );
+              await rangedDownloadVCF(
+                downloadLink,
+                range,
+                outputFile,
+                tabixIndex,
+                logger,
+                metrics,
+                effectiveOverwrite,
+              );
+            }
+          } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+          }
           await indexVCF(outputFile, logger, effectiveOverwrite);
         } else {
           // Full download
@@ -387,22 +477,13 @@ async function resumeArchivedDownloads(
             null, // no rl needed
             logger,
             metrics,
+            resumeOptions,
           );
 
           // Download index file if available (optional for full downloads)
           if (indexFileUrl) {
-            const indexFileName = generateOutputFileName(
-              `${entry.fileName}.tbi`,
-              regions,
-              logger,
-            );
-            const indexFilePath = path.join(
-              effectiveDestination,
-              indexFileName,
-            );
-            logger.info(
-              `Downloading optional index file: ${entry.fileName}.tbi`,
-            );
+            const indexFilePath = restoredPath(indexName);
+            logger.info(`Downloading optional index file: ${indexName}`);
             try {
               await downloadFile(
                 indexFileUrl,
@@ -412,10 +493,11 @@ async function resumeArchivedDownloads(
                 null, // no rl needed
                 logger,
                 metrics,
+                progressOptions,
               );
             } catch (indexError) {
               logger.warn(
-                `Failed to download index file ${entry.fileName}.tbi: ${indexError.message}`,
+                `Failed to download index file ${indexName}: ${indexError.message}`,
               );
             }
           }
@@ -433,6 +515,7 @@ async function resumeArchivedDownloads(
           null, // no rl needed
           logger,
           metrics,
+          resumeOptions,
         );
       }
 
@@ -0,0 +1,333 @@
+/**
+ * Checksum utilities for verifying downloaded files against the checksums
+ * reported by the Varvis API or the S3 storage backend.
+ * @module checksumUtils
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { fetchWithRetry } = require('./apiClient.cjs');
+
+/**
+ * Hash algorithms supported for verification, with the hex digest length of each.
+ * @type {Record<string, number>}
+ */
+const SUPPORTED_ALGORITHMS = {
+  md5: 32,
+  sha256: 64,
+};
+
+/**
+ * File metadata fields of the API that may carry a checksum, per algorithm.
+ * @type {Record<string, string[]>}
+ */
+const API_CHECKSUM_FIELDS = {
+  md5: ['md5', 'md5sum', 'md5Checksum', 'checksumMd5'],
+  sha256: ['sha256', 'sha256sum', 'sha256Checksum', 'checksumSha256'],
+};
+
+/**
+ * Normalizes a checksum value to a lowercase hex string.
+ * Accepts hex digests and base64-encoded digests (as used by S3 checksum headers).
+ * @param   {string}      value     - The raw checksum value.
+ * @param   {string}      algorithm - The hash algorithm (md5 or sha256).
+ * @returns {string|null}           - The hex digest, or null if the value is not a valid digest.
+ */
+function normalizeChecksum(value, algorithm) {
+  const hexLength = SUPPORTED_ALGORITHMS[algorithm];
+  if (!hexLength || typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim().replaceAll('"', '');
+  if (trimmed.length === hexLength && /^[\da-f]+$/i.test(trimmed)) {
+    return trimmed.toLowerCase();
+  }
+
+  if (/^[\d+/A-Za-z]+={0,2}$/.test(trimmed)) {
+    const decoded = Buffer.from(trimmed, 'base64');
+    if (decoded.length * 2 === hexLength) {
+      return decoded.toString('hex');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the expected checksum from a file entry of the get-file-download-links API.
+ * A generic `checksum` field is accepted as "algorithm:digest" or as a bare digest
+ * whose algorithm is inferred from its length.
+ * @param   {object}      file - The file entry from the API response.
+ * @returns {object|null}      - The expected checksum ({ algorithm, value, source }) or null.
+ */
+function getApiChecksum(file) {
+  if (!file) {
+    return null;
+  }
+
+  for (const [algorithm, fields] of Object.entries(API_CHECKSUM_FIELDS)) {
+    for (const field of fields) {
+      const value = normalizeChecksum(file[field], algorithm);
+      if (value) {
+        return { algorithm, value, source: `api:${field}` };
+      }
+    }
+  }
+
+  if (typeof file.checksum === 'string') {
+    const [prefix, digest] = file.checksum.includes(':')
+      ? file.checksum.split(':', 2)
+      : [null, file.checksum];
+    const candidates = prefix
+      ? [prefix.toLowerCase()]
+      : Object.keys(SUPPORTED_ALGORITHMS);
+    for (const algorithm of candidates) {
+      const value = normalizeChecksum(digest, algorithm);
+      if (value) {
+        return { algorithm, value, source: 'api:checksum' };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the expected checksum from S3 response headers.
+ * Prefers `x-amz-checksum-sha256`; falls back to the ETag, which is the MD5 digest
+ * of the object for single-part uploads. Multipart ETags ("<hash>-<parts>") are ignored.
+ * The ETag is only advisory (see isAdvisoryChecksum).
+ * @param   {object}      headers - Response headers with a get(name) method.
+ * @returns {object|null}         - The expected checksum ({ algorithm, value, source }) or null.
+ */
+function getHeaderChecksum(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const sha256 = normalizeChecksum(
+    headers.get('x-amz-checksum-sha256'),
+    'sha256',
+  );
+  if (sha256) {
+    return { algorithm: 'sha256', value: sha256, source: 'x-amz-checksum' };
+  }
+
+  const etag = headers.get('etag');
+  if (typeof etag === 'string' && /^(W\/)?"?[\da-f]{32}"?$/i.test(etag)) {
+    return {
+      algorithm: 'md5',
+      value: etag.replace(/^W\//, '').replaceAll('"', '').toLowerCase(),
+      source: 'etag',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Tells whether an expected checksum is only advisory. Objects encrypted with SSE-KMS or
+ * SSE-C have a 32-hex ETag that is not their MD5, so a mismatch against the ETag does not
+ * prove the data corrupt; only API checksums and `x-amz-checksum-*` headers do.
+ * @param   {object|null} expected - The expected checksum ({ algorithm, value, source }).
+ * @returns {boolean}              - True for checksums taken from the ETag.
+ */
+function isAdvisoryChecksum(expected) {
+  return expected?.source === 'etag';
+}
+
+/**
+ * Creates incremental hash objects for the given algorithms.
+ * @param   {string[]} algorithms - Hash algorithms to compute.
+ * @returns {object}              - Map of algorithm name to crypto Hash instance.
+ */
+function createHashes(algorithms) {
+  return Object.fromEntries(
+    [...new Set(algorithms)].map((algorithm) => [
+      algorithm,
+      crypto.createHash(algorithm),
+    ]),
+  );
+}
+
+/**
+ * Feeds a data chunk into all hash objects.
+ * @param {object} hashes - Map of algorithm name to crypto Hash instance.
+ * @param {Buffer} chunk  - The data chunk.
+ */
+function updateHashes(hashes, chunk) {
+  for (const hash of Object.values(hashes)) {
+    hash.update(chunk);
+  }
+}
+
+/**
+ * Finalizes all hash objects.
+ * @param   {object} hashes - Map of algorithm name to crypto Hash instance.
+ * @returns {object}        - Map of algorithm name to hex digest.
+ */
+function digestHashes(hashes) {
+  return Object.fromEntries(
+    Object.entries(hashes).map(([algorithm, hash]) => [
+      algorithm,
+      hash.digest('hex'),
+    ]),
+  );
+}
+
+/**
+ * Streams an existing file into the given hash objects.
+ * @param   {string}        filePath - The file to read.
+ * @param   {object}        hashes   - Map of algorithm name to crypto Hash instance.
+ * @returns {Promise<void>}
+ */
+async function feedFileToHashes(filePath, hashes) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    updateHashes(hashes, chunk);
+  }
+}
+
+/**
+ * Computes checksums of a local file.
+ * @param   {string}          filePath     - The file to hash.
+ * @param   {string[]}        [algorithms] - Hash algorithms to compute (default: md5).
+ * @returns {Promise<object>}              - Map of algorithm name to hex digest.
+ */
+async function hashFile(filePath, algorithms = ['md5']) {
+  const hashes = createHashes(algorithms);
+  await feedFileToHashes(filePath, hashes);
+  return digestHashes(hashes);
+}
+
+/**
+ * Compares computed checksums against an expected checksum.
+ * @param   {object}  checksums - Map of algorithm name to hex digest.
+ * @param   {object}  expected  - The expected checksum ({ algorithm, value }).
+ * @returns {boolean}           - True if the digest for the expected algorithm matches.
+ */
+function checksumMatches(checksums, expected) {
+  return checksums[expected.algorithm] === expected.value;
+}
+
+/**
+ * Asks S3 for the checksum headers of a remote file without downloading it,
+ * using a one-byte range request (pre-signed URLs are only valid for GET).
+ * @param   {string}               url    - The pre-signed download URL.
+ * @param   {object}               agent  - The HTTP agent instance.
+ * @param   {object}               logger - The logger instance.
+ * @returns {Promise<object|null>}        - The expected checksum or null if S3 reports none.
+ */
+async function fetchRemoteChecksum(url, agent, logger) {
+  const response = await fetchWithRetry(
+    url,
+    { method: 'GET', headers: { Range: 'bytes=0-0' }, dispatcher: agent },
+    3,
+    logger,
+  );
+  // Never read the body: if the server ignores the range it would be the whole file
+  if (response.body && typeof response.body.cancel === 'function') {
+    await response.body.cancel();
+  }
+  return getHeaderChecksum(response.headers);
+}
+
+/**
+ * Re-hashes files that already exist in the destination folder and compares them
+ * against the checksums reported by the API, or by S3 when the API has none. Files are
+ * looked up where a download with the same layout writes them.
+ * @param   {object}            fileDict                   - The file dictionary returned by getDownloadLinks.
+ * @param   {string}            destination                - The folder containing the downloaded files.
+ * @param   {object}            agent                      - The HTTP agent instance.
+ * @param   {object}            logger                     - The logger instance.
+ * @param   {object}            [options]                  - Options.
+ * @param   {string|null}       [options.layout]           - Layout of the downloaded files (see layoutUtils).
+ * @param   {object}            [options.analysisMetadata] - Map of analysis ID to sample metadata for the layout.
+ * @returns {Promise<object[]>}                            - One result per file with status
+ *                                                         "ok", "mismatch", "missing", "unverifiable" or "error".
+ */
+async function verifyFiles(fileDict, destination, agent, logger, options = {}) {
+  // Lazy-require, as layoutUtils depends on fileUtils which depends on this module
+  const { layoutFileName } = require('./layoutUtils.cjs');
+  const results = [];
+
+  for (const [fileName, file] of Object.entries(fileDict)) {
+    const filePath = path.join(
+      destination,
+      layoutFileName(
+        options.layout ?? null,
+        {
+          analysisId: file.analysisId,
+          analysis: options.analysisMetadata?.[file.analysisId],
+          fileName,
+          regions: [],
+        },
+        logger,
+      ),
+    );
+    const result = { fileName, filePath, analysisId: file.analysisId };
+    results.push(result);
+
+    if (!fs.existsSync(filePath)) {
+      result.status = 'missing';
+      logger.debug(`Not present locally, skipping verification: ${filePath}`);
+      continue;
+    }
+
+    try {
+      let expected = getApiChecksum(file);
+      if (!expected && file.downloadLink) {
+        expected = await fetchRemoteChecksum(file.downloadLink, agent, logger);
+      }
+      if (!expected) {
+        result.status = 'unverifiable';
+        logger.warn(`No checksum available to verify ${filePath}`);
+        continue;
+      }
+
+      const checksums = await hashFile(filePath, [expected.algorithm]);
+      result.algorithm = expected.algorithm;
+      result.expected = expected.value;
+      result.actual = checksums[expected.algorithm];
+      result.source = expected.source;
+
+      if (checksumMatches(checksums, expected)) {
+        result.status = 'ok';
+        logger.info(`Checksum OK (${expected.algorithm}): ${filePath}`);
+      } else if (isAdvisoryChecksum(expected)) {
+        result.status = 'unverifiable';
+        logger.warn(
+          `ETag of ${filePath} is not its MD5 (as for SSE-KMS or SSE-C encrypted objects); cannot verify it`,
+        );
+      } else {
+        result.status = 'mismatch';
+        logger.error(
+          `Checksum mismatch for ${filePath}: expected ${expected.algorithm} ${expected.value} (${expected.source}), got ${result.actual}`,
+        );
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+      logger.error(`Could not verify ${filePath}: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  normalizeChecksum,
+  getApiChecksum,
+  getHeaderChecksum,
+  createHashes,
+  updateHashes,
+  digestHashes,
+  feedFileToHashes,
+  hashFile,
+  checksumMatches,
+  isAdvisoryChecksum,
+  fetchRemoteChecksum,
+  verifyFiles,
+};
@@ -0,0 +1,434 @@
+/**
+ * Runtime shared by the CLI commands: the effective configuration, logger and
+ * client, plus the helpers for login, analysis selection and regions.
+ * @module cliContext
+ */
+
+const path = require('node:path');
+const readline = require('node:readline');
+const Mute = require('mute-stream');
+const {
+  version,
+  name,
+  author,
+  license,
+  repository,
+} = require('../package.json');
+const {
+  loadConfig,
+  loadLogo,
+  getLastModifiedDate,
+} = require('./configUtils.cjs');
+const { normalizeStringOption } = require('./arrayUtils.cjs');
+const createLogger = require('./logger.cjs');
+const { replaceConsoleTransport } = createLogger;
+const { VarvisClient } = require('./varvisClient.cjs');
+const {
+  PROGRESS_MODES,
+  createProgressRenderer,
+  attachProgressRenderer,
+  suspendDuringPrompts,
+} = require('./progressRenderers.cjs');
+const { EXIT_CODES } = require('./exitCodes.cjs');
+const { resolveCliConfig } = require('./cliOptions.cjs');
+const { compileFilter, parseDateBound } = require('./filterUtils.cjs');
+const { readSampleSheet, readRegionMap } = require('./sampleSheet.cjs');
+const { resolveGeneRegions } = require('./geneAnnotation.cjs');
+const { readBedFile, normalizeRegions } = require('./regionUtils.cjs');
+
+/**
+ * Prints the logo and version information.
+ */
+function printVersion() {
+  console.log(loadLogo());
+  console.log(`${name} - Version ${version}`);
+  console.log(
+    `Date Last Modified: ${getLastModifiedDate(path.join(__dirname, '..', 'varvis-download.cjs'))}`,
+  );
+  console.log(`Author: ${author}`);
+  console.log(`Repository: ${repository.url}`);
+  console.log(`License: ${license}`);
+}
+
+/**
+ * Creates the context a command runs in.
+ * @param   {object} argv - The parsed command line arguments.
+ * @returns {object}      - The context with config, logger, client, rl and helpers.
+ */
+function createCliContext(argv) {
+  const logger = createLogger(argv);
+
+  // Normalize config path in case the option was specified multiple times
+  const configFilePath = path.resolve(normalizeStringOption(argv.config));
+  const config = resolveCliConfig(argv, loadConfig(configFilePath));
+
+  // Environment variables take priority over options and the config file
+  const userName = process.env.VARVIS_USER || config.username;
+  const password = process.env.VARVIS_PASSWORD || config.password;
+
+  // Initialize readline interface for user prompts
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  // The --ids-file sample sheet and --region-map file, read once by readIdsFile and readRegionMap
+  let sampleSheet = null;
+  let regionMap = null;
+
+  // All API work goes through the programmatic client, created once a command needs it
+  let client = null;
+  const getClient = () => {
+    client ??= new VarvisClient({
+      target: config.target,
+      logger,
+      proxy: config.proxy,
+      proxyUsername: config.proxyUsername,
+      proxyPassword: config.proxyPassword,
+      concurrency: config.concurrency,
+      rl,
+    });
+    return client;
+  };
+
+  /**
+   * Prompts for the password without echoing it, unless it was given as an option or environment variable.
+   * @returns {Promise<string>} - The password.
+   */
+  async function getPassword() {
+    if (password) {
+      return password;
+    }
+
+    const mute = new Mute();
+    mute.pipe(process.stdout);
+    const rlWithMute = readline.createInterface({
+      input: process.stdin,
+      output: mute,
+      terminal: true,
+    });
+
+    return new Promise((resolve) => {
+      rlWithMute.question('Please enter your Varvis password: ', (input) => {
+        resolve(input);
+        rlWithMute.close();
+        mute.end();
+        // Print a newline since muted input doesn't show one
+        process.stdout.write('\n');
+      });
+    });
+  }
+
+  return {
+    config,
+    configFilePath,
+    logger,
+    rl,
+    userName,
+
+    /**
+     * The Varvis client; requires a target (see requireCredentials).
+     * @returns {VarvisClient} - The client.
+     */
+    get client() {
+      return getClient();
+    },
+
+    /**
+     * Checks that username, password and target are set, logging the first one missing.
+     * @returns {boolean} - True if all are set.
+     */
+    requireCredentials() {
+      const values = { username: userName, password, target: config.target };
+      for (const [field, value] of Object.entries(values)) {
+        if (!value) {
+          logger.error(`Error: Missing required argument --${field}`);
+          return false;
+        }
+      }
+      return true;
+    },
+
+    /**
+     * Checks that the --filter expressions and the --since/--until dates parse, logging the first invalid one.
+     * @returns {boolean} - True if all filters and dates are valid.
+     */
+    requireValidFilters() {
+      try {
+        config.filters.forEach(compileFilter);
+        for (const option of ['since', 'until']) {
+          if (config[option]) {
+            parseDateBound(config[option]);
+          }
+        }
+      } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * Reads the --ids-file sample sheet once and adds its IDs to the analysis, sample or LIMS IDs.
+     * @returns {object|null} - The sample sheet (see readSampleSheet), or null without --ids-file.
+     */
+    readIdsFile() {
+      if (!config.idsFile || sampleSheet) {
+        return sampleSheet;
+      }
+      sampleSheet = readSampleSheet(
+        config.idsFile,
+        { idColumn: config.idColumn, idType: config.idType },
+        logger,
+      );
+      const ids = config[sampleSheet.kind];
+      for (const row of sampleSheet.rows) {
+        if (!ids.includes(row.id)) {
+          ids.push(row.id);
+        }
+      }
+      return sampleSheet;
+    },
+
+    /**
+     * Reads the --region-map file once and adds its IDs to the analysis, sample or LIMS IDs.
+     * @returns {object|null} - The region map (see readRegionMap), or null without --region-map.
+     */
+    readRegionMap() {
+      if (!config.regionMap || regionMap) {
+        return regionMap;
+      }
+      regionMap = readRegionMap(config.regionMap, logger);
+      const ids = config[regionMap.kind];
+      for (const id of regionMap.regions.keys()) {
+        if (!ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+      return regionMap;
+    },
+
+    /**
+     * Checks that analyses were selected by ID, sample, LIMS ID, sample sheet, region map or date and that the filters are valid.
+     * @returns {boolean} - True if at least one selection option is set.
+     */
+    requireSelection() {
+      try {
+        this.readIdsFile();
+        this.readRegionMap();
+      } catch {
+        // The error is logged by readSampleSheet or readRegionMap
+        return false;
+      }
+      if (
+        config.analysisIds.length === 0 &&
+        config.sampleIds.length === 0 &&
+        config.limsIds.length === 0 &&
+        !config.since &&
+        !config.until
+      ) {
+        logger.error(
+          'Error: You must provide at least one of the following options: analysisIds (-a), sampleIds (-s), limsIds (-l), ids-file, region-map, since, until.',
+        );
+        return false;
+      }
+      return this.requireValidFilters();
+    },
+
+    /**
+     * Logs in to Varvis.
+     * @returns {Promise<boolean>} - False if the login failed (the error is logged).
+     */
+    async login() {
+      const finalPassword = await getPassword();
+      try {
+        logger.debug('Attempting to log in');
+        await getClient().login(userName, finalPassword);
+        logger.debug('Login successful');
+        return true;
+      } catch (error) {
+        logger.error(`Authentication failed: ${error.message}`);
+        return false;
+      }
+    },
+
+    /**
+     * Returns the analysis IDs given on the command line, or searches them by sample, LIMS ID and filters.
+     * @param   {object}            [selection] - Analysis, sample and LIMS IDs to use instead of the options.
+     * @returns {Promise<string[]>}             - The analysis IDs.
+     */
+    async resolveAnalysisIds(selection = {}) {
+      const { analysisIds, sampleIds, limsIds } = {
+        analysisIds: config.analysisIds,
+        sampleIds: config.sampleIds,
+        limsIds: config.limsIds,
+        ...selection,
+      };
+      if (analysisIds.length > 0) {
+        return analysisIds;
+      }
+      return getClient().searchAnalyses({
+        sampleIds,
+        limsIds,
+        filters: config.filters,
+        latest: config.latest,
+        since: config.since,
+        until: config.until,
+        dateField: config.dateField,
+      });
+    },
+
+    /**
+     * Finds the selected analyses with their metadata: those given by ID, or the search results.
+     * @returns {Promise<object[]>} - The analyses as returned by the API.
+     */
+    async findAnalyses() {
+      if (config.analysisIds.length === 0) {
+        return getClient().findAnalyses({
+          sampleIds: config.sampleIds,
+          limsIds: config.limsIds,
+          filters: config.filters,
+          latest: config.latest,
+          since: config.since,
+          until: config.until,
+          dateField: config.dateField,
+        });
+      }
+      const analyses = (await getClient().findAnalyses()).filter((analysis) =>
+        config.analysisIds.includes(String(analysis.id)),
+      );
+      const found = new Set(analyses.map((analysis) => String(analysis.id)));
+      const missing = config.analysisIds.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        logger.warn(`Analyses not found: ${missing.join(', ')}`);
+      }
+      return analyses;
+    },
+
+    /**
+     * Reads genomic regions from --range or the --bed file, adding the regions of --genes.
+     * The regions are validated, padded by --padding and merged where they overlap.
+     * @returns {Promise<string[]>} - The regions, empty for full downloads.
+     */
+    async readRegions() {
+      const regions = this.readRangeOrBed();
+      if (config.genes.length > 0) {
+        const geneRegions = await resolveGeneRegions(
+          config.annotation,
+          config.genes,
+          { exonsOnly: config.exonsOnly },
+          logger,
+        );
+        logger.info(`Using regions of ${config.genes}: ${geneRegions}`);
+        regions.push(...geneRegions);
+      }
+      if (regions.length === 0) {
+        logger.info('No regions provided. Proceeding with full file download.');
+        return regions;
+      }
+      try {
+        const merged = normalizeRegions(regions, { padding: config.padding });
+        if (merged.length < regions.length || config.padding > 0) {
+          logger.info(`Padded and merged regions: ${merged}`);
+        }
+        return merged;
+      } catch (error) {
+        logger.error(`Error: ${error.message}`);
+        throw error;
+      }
+    },
+
+    /**
+     * Reads genomic regions from --range or the --bed file.
+     * @returns {string[]} - The regions, empty without either.
+     * @private
+     */
+    readRangeOrBed() {
+      if (config.range) {
+        const regions = config.range.split(/\s+/).filter(Boolean);
+        logger.info(`Using regions from command line: ${regions}`);
+        return regions;
+      }
+      if (config.bed) {
+        try {
+          const regions = readBedFile(config.bed);
+          logger.info(`Using regions from BED file: ${regions}`);
+          return regions;
+        } catch (error) {
+          logger.error(`Error reading BED file: ${error.message}`);
+          throw error;
+        }
+      }
+      return [];
+    },
+
+    /**
+     * Shows transfer progress in the mode selected by --progress.
+     * @returns {object|null} - The renderer, or null if the mode is invalid (the error is logged).
+     */
+    showProgress() {
+      if (!PROGRESS_MODES.includes(config.progress)) {
+        logger.error(
+          `Error: --progress must be one of ${PROGRESS_MODES.join(', ')}, got: ${config.progress}`,
+        );
+        return null;
+      }
+      const renderer = createProgressRenderer(config.progress, logger);
+      attachProgressRenderer(getClient(), renderer);
+      // The TTY dashboard redraws in place, so console log lines have to be printed through it;
+      // NDJSON keeps stdout for its events and moves them to stderr
+      if (renderer.createLogStream) {
+        replaceConsoleTransport(logger, renderer.createLogStream());
+      }
+      // Restore and overwrite questions can come up while the dashboard is drawn
+      if (renderer.suspend) {
+        suspendDuringPrompts(rl, renderer);
+      }
+      return renderer;
+    },
+
+    /**
+     * Releases the terminal.
+     */
+    close() {
+      rl.close();
+    },
+  };
+}
+
+/**
+ * Wraps a command implementation into a yargs handler that creates the context,
+ * maps errors to exit codes and exits the process.
+ * @param   {Function}                        run - Async function (ctx, argv) resolving to an exit code.
+ * @returns {function(object): Promise<void>}     - The yargs handler.
+ */
+function runCommand(run) {
+  return async (argv) => {
+    if (argv.version) {
+      printVersion();
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    const ctx = createCliContext(argv);
+    let exitCode;
+    try {
+      exitCode = await run(ctx, argv);
+    } catch (error) {
+      ctx.logger.error(`An error occurred: ${error.message}`);
+      ctx.logger.debug(error.stack);
+      exitCode =
+        error.code === 'TOOL_MISSING'
+          ? EXIT_CODES.TOOL_MISSING
+          : EXIT_CODES.GENERAL_ERROR;
+    } finally {
+      ctx.close();
+    }
+    process.exit(exitCode);
+  };
+}
+
+module.exports = {
+  printVersion,
+  createCliContext,
+  runCommand,
+};
@@ -0,0 +1,468 @@
+/**
+ * Option definitions of the CLI, grouped so that every subcommand only accepts the
+ * options that apply to it, and the merge of command line options with the config file.
+ * @module cliOptions
+ */
+
+const {
+  normalizeArrayInput,
+  normalizeFiletypes,
+  normalizeStringOption,
+} = require('./arrayUtils.cjs');
+
+/**
+ * Options accepted by every command: connection, authentication and logging.
+ * @type {Record<string, object>}
+ */
+const GLOBAL_OPTIONS = {
+  config: {
+    alias: 'c',
+    describe: 'Path to the configuration file',
+    type: 'string',
+    default: '.config.json',
+  },
+  username: {
+    alias: 'u',
+    describe: 'Varvis API username',
+    type: 'string',
+  },
+  password: {
+    alias: 'p',
+    describe: 'Varvis API password',
+    type: 'string',
+  },
+  target: {
+    alias: 't',
+    describe: 'Target for the Varvis API',
+    type: 'string',
+  },
+  proxy: {
+    alias: 'x',
+    describe: 'Proxy URL',
+    type: 'string',
+  },
+  proxyUsername: {
+    alias: 'pxu',
+    describe: 'Proxy username',
+    type: 'string',
+  },
+  proxyPassword: {
+    alias: 'pxp',
+    describe: 'Proxy password',
+    type: 'string',
+  },
+  loglevel: {
+    alias: 'll',
+    describe: 'Logging level (info, warn, error, debug)',
+    type: 'string',
+    default: 'info',
+  },
+  logfile: {
+    alias: 'lf',
+    describe: 'Path to the log file',
+    type: 'string',
+  },
+  version: {
+    alias: 'v',
+    type: 'boolean',
+    description: 'Show version information',
+    default: false,
+  },
+};
+
+/**
+ * Options that find analyses by sample, LIMS ID and metadata.
+ * @type {Record<string, object>}
+ */
+const SEARCH_OPTIONS = {
+  sampleIds: {
+    alias: 's',
+    describe: 'Sample IDs to filter analyses (comma-separated)',
+    type: 'array',
+  },
+  limsIds: {
+    alias: 'l',
+    describe: 'LIMS IDs to filter analyses (comma-separated)',
+    type: 'array',
+  },
+  filter: {
+    alias: 'F',
+    describe:
+      'Filter expressions. Operators: = != > < >= <= (numeric, date or lexicographic), ~= (contains), ^= (starts with), =~ (regex), in (a,b). Combine terms with AND, OR, NOT and parentheses; quote values with spaces. Multiple filters use AND logic. Examples: "analysisType=SNV", "(enrichmentKitName^=TwistExome OR enrichmentKitName^=Nimagen) AND runDate>2025-01-01"',
+    type: 'array',
+  },
+  latest: {
+    describe:
+      'Keep only the newest analysis per sample (highest analysis ID). Useful when samples have repeat sequencing.',
+    type: 'boolean',
+  },
+  since: {
+    describe:
+      'Only analyses dated on or after this ISO date or date-time (e.g., 2025-01-31) or relative time (36h, 7d, 2w, 3m, 1y ago)',
+    type: 'string',
+  },
+  until: {
+    describe:
+      'Only analyses dated on or before this ISO date (the whole day is included) or relative time (e.g., 1d)',
+    type: 'string',
+  },
+  dateField: {
+    describe:
+      'Analysis field --since and --until compare, e.g. runDate or any other date field of the API (default: runDate)',
+    type: 'string',
+  },
+};
+
+/**
+ * Options selecting the analyses a command works on: explicit IDs or a search.
+ * @type {Record<string, object>}
+ */
+const SELECTION_OPTIONS = {
+  analysisIds: {
+    alias: 'a',
+    describe: 'Analysis IDs to download files for (comma-separated)',
+    type: 'array',
+  },
+  ...SEARCH_OPTIONS,
+  'ids-file': {
+    describe:
+      'CSV or TSV sample sheet with analysis, sample or LIMS IDs, one per row. Optional "regions" and "filetypes" columns set the regions and file types downloaded for each row.',
+    type: 'string',
+  },
+  'id-column': {
+    describe:
+      'Column of --ids-file holding the IDs (default: the first of analysisId, id, sampleId, personLimsId, limsId)',
+    type: 'string',
+  },
+  'id-type': {
+    describe:
+      'Kind of IDs in the --ids-file column, if its name does not tell (analysis, sample or lims)',
+    type: 'string',
+    choices: ['analysis', 'sample', 'lims'],
+  },
+};
+
+/**
+ * File type selection.
+ * @type {Record<string, object>}
+ */
+const FILETYPE_OPTIONS = {
+  filetypes: {
+    alias: 'f',
+    describe: 'File types to download (comma-separated)',
+    type: 'array',
+    defaultDescription: 'bam,bam.bai',
+  },
+};
+
+/**
+ * Handling of archived files.
+ * @type {Record<string, object>}
+ */
+const ARCHIVE_OPTIONS = {
+  restoreArchived: {
+    alias: 'ra',
+    describe:
+      'Restore archived files. Accepts "no", "ask" (default), "all", or "force".',
+    type: 'string',
+    defaultDescription: 'ask',
+  },
+  restorationFile: {
+    alias: 'rf',
+    describe:
+      'Path and name for the awaiting-restoration JSON file (default: "awaiting-restoration.json")',
+    type: 'string',
+  },
+};
+
+/**
+ * Where and how output files are written.
+ * @type {Record<string, object>}
+ */
+const OUTPUT_OPTIONS = {
+  destination: {
+    alias: 'd',
+    describe: 'Destination folder for the downloaded files',
+    type: 'string',
+    defaultDescription: '.',
+  },
+  overwrite: {
+    alias: 'o',
+    describe: 'Overwrite existing files',
+    type: 'boolean',
+  },
+};
+
+/**
+ * Progress output of transfers.
+ * @type {Record<string, object>}
+ */
+const PROGRESS_OPTIONS = {
+  progress: {
+    describe:
+      'How download progress is shown: "auto" (default; a dashboard on a terminal, periodic log lines otherwise), "tty", "log", "ndjson" (one JSON object per line on stdout, log lines on stderr) or "silent".',
+    type: 'string',
+  },
+};
+
+/**
+ * Options of the download command besides selection, file types, archive and output options.
+ * @type {Record<string, object>}
+ */
+const DOWNLOAD_OPTIONS = {
+  range: {
+    alias: 'g',
+    describe: 'Genomic range for ranged download (e.g., chr1:1-100000)',
+    type: 'string',
+  },
+  bed: {
+    alias: 'b',
+    describe: 'Path to BED file containing multiple regions',
+    type: 'string',
+  },
+  genes: {
+    describe:
+      'Gene symbols or transcript IDs (e.g. BRCA1,NM_007294) to download the regions of, resolved through --annotation (comma-separated)',
+    type: 'array',
+  },
+  annotation: {
+    describe:
+      'Local GTF, GFF3 or UCSC refGene file (optionally gzipped) used to resolve --genes',
+    type: 'string',
+  },
+  padding: {
+    describe:
+      'Bases added on both sides of each region of --range, --bed or --genes (default: 0)',
+    type: 'number',
+  },
+  'exons-only': {
+    describe:
+      'Download only the exons of --genes instead of the whole gene or transcript',
+    type: 'boolean',
+  },
+  'region-map': {
+    describe:
+      'CSV or TSV file assigning regions to analysis, sample or LIMS IDs: an ID column (e.g. sampleId) and a "regions" column with regions or BED files. Its IDs are selected; analyses without an entry use --range, --bed or --genes.',
+    type: 'string',
+    conflicts: 'verify',
+  },
+  'vcf-output': {
+    describe:
+      'How ranged VCF downloads are written: "per-region" (default; one VCF per region) or "merged" (one sorted, indexed VCF with all regions, named like the BAM)',
+    type: 'string',
+    choices: ['per-region', 'merged'],
+  },
+  unmapped: {
+    alias: 'um',
+    describe:
+      'Extract unmapped reads from BAM and CRAM files (reads with no reference assignment)',
+    type: 'boolean',
+  },
+  reference: {
+    describe:
+      'Reference FASTA the reads were aligned to, passed to samtools (-T) to read and write CRAM files',
+    type: 'string',
+  },
+  'convert-to-cram': {
+    describe:
+      'Write BAM files as CRAM, converted by samtools while downloading (requires --reference)',
+    type: 'boolean',
+  },
+  layout: {
+    describe:
+      'Path of each output file below --destination, e.g. "{personLimsId}/{analysisId}/{fileName}" or "{sampleId}_{region}.{ext}". Placeholders: {analysisId}, {sampleId}, {personLimsId}, {analysisType}, {fileName}, {baseName}, {ext}, {region}; must end with {fileName} or {ext} (default: {fileName})',
+    type: 'string',
+  },
+  concurrency: {
+    alias: 'j',
+    describe:
+      'Number of downloads (full, ranged or unmapped) to run in parallel across all analyses (default: 1)',
+    type: 'number',
+  },
+  reportfile: {
+    alias: 'r',
+    describe: 'Path to the report file',
+    type: 'string',
+  },
+  'report-format': {
+    describe:
+      'Format of the report file: "text" (default), "json" (per-analysis and per-file results, failures, skipped and archived files, effective configuration) or "html".',
+    type: 'string',
+  },
+  manifest: {
+    alias: 'm',
+    describe:
+      'Write a manifest with one row per output file (analysis, sample, source file, mode, regions, size, MD5, status). Format follows the extension: .json or .tsv. Can be given more than once.',
+    type: 'array',
+  },
+  verify: {
+    describe:
+      'Re-hash files that already exist in the destination and compare them against the checksums reported by the API or S3, without downloading anything.',
+    type: 'boolean',
+    conflicts: 'dry-run',
+  },
+  'dry-run': {
+    describe:
+      'Show what a run would do (files to download, skip as existing, subset by region or restore from the archive, with the estimated size) without downloading, restoring or writing anything.',
+    type: 'boolean',
+  },
+};
+
+/**
+ * Options of the sync command besides those it shares with download.
+ * @type {Record<string, object>}
+ */
+const SYNC_OPTIONS = {
+  'state-file': {
+    describe:
+      'Path of the sync state database, which records the synced analyses and the size and checksum of their files (default: .varvis-sync.json in the destination)',
+    type: 'string',
+  },
+};
+
+/**
+ * Flags of the flag-based CLI that are still accepted by the default command.
+ * @type {Record<string, object>}
+ */
+const LEGACY_OPTIONS = {
+  list: {
+    alias: 'L',
+    describe: 'List available files for the specified analysis IDs',
+    type: 'boolean',
+    deprecated: 'use the "list" command',
+  },
+  'list-urls': {
+    alias: 'U',
+    describe:
+      'List the direct download URLs for the selected files instead of downloading them.',
+    type: 'boolean',
+    deprecated: 'use the "urls" command',
+  },
+  'url-file': {
+    describe:
+      'Path to a file to save the download URLs when using --list-urls.',
+    type: 'string',
+    deprecated: 'use "urls --url-file"',
+  },
+  resumeArchivedDownloads: {
+    alias: 'rad',
+    describe:
+      'Resume downloads for archived files from the awaiting-restoration JSON file if restoreEstimation has passed.',
+    type: 'boolean',
+    deprecated: 'use the "resume" command',
+  },
+};
+
+/**
+ * Options that only make sense when files are downloaded, rejected by the legacy listing flags.
+ * @type {string[]}
+ */
+const DOWNLOAD_ONLY_OPTIONS = [
+  'range',
+  'bed',
+  'region-map',
+  'genes',
+  'annotation',
+  'padding',
+  'exons-only',
+  'vcf-output',
+  'unmapped',
+  'reference',
+  'convert-to-cram',
+  'layout',
+  'concurrency',
+  'reportfile',
+  'manifest',
+  'verify',
+  'dry-run',
+];
+
+/**
+ * Merges the command line options with the configuration file. Command line values win,
+ * then the config file, then the defaults. Options a command does not define keep their
+ * defaults and are ignored by it.
+ * @param   {object} argv   - The parsed command line arguments.
+ * @param   {object} config - The configuration file content.
+ * @returns {object}        - The effective configuration.
+ */
+function resolveCliConfig(argv, config) {
+  const definedArgs = Object.fromEntries(
+    Object.entries(argv).filter(([, value]) => value !== undefined),
+  );
+
+  return {
+    ...config,
+    ...definedArgs,
+    filetypes: normalizeFiletypes(argv.filetypes, config.filetypes),
+    analysisIds: normalizeArrayInput(argv.analysisIds, config.analysisIds, []),
+    sampleIds: normalizeArrayInput(argv.sampleIds, config.sampleIds, []),
+    limsIds: normalizeArrayInput(argv.limsIds, config.limsIds, []),
+    filters: (argv.filter || config.filter || []).map((filter) =>
+      filter.trim(),
+    ),
+    destination:
+      normalizeStringOption(argv.destination) ?? config.destination ?? '.',
+    overwrite: argv.overwrite ?? config.overwrite ?? false,
+    restoreArchived:
+      normalizeStringOption(argv.restoreArchived) ??
+      config.restoreArchived ??
+      'ask',
+    restorationFile:
+      normalizeStringOption(argv.restorationFile) ??
+      config.restorationFile ??
+      'awaiting-restoration.json',
+    resumeArchivedDownloads:
+      argv.resumeArchivedDownloads || config.resumeArchivedDownloads || false,
+    list: argv.list || config.list || false,
+    listUrls: argv.listUrls || config.listUrls || false,
+    urlFile: normalizeStringOption(argv.urlFile) ?? config.urlFile ?? null,
+    range: normalizeStringOption(argv.range) ?? config.range ?? null,
+    bed: normalizeStringOption(argv.bed) ?? config.bed ?? null,
+    genes: normalizeArrayInput(argv.genes, config.genes, []),
+    annotation:
+      normalizeStringOption(argv.annotation) ?? config.annotation ?? null,
+    padding: argv.padding ?? config.padding ?? 0,
+    exonsOnly: argv.exonsOnly ?? config.exonsOnly ?? false,
+    regionMap:
+      normalizeStringOption(argv.regionMap) ?? config.regionMap ?? null,
+    vcfOutput:
+      normalizeStringOption(argv.vcfOutput) ?? config.vcfOutput ?? 'per-region',
+    unmapped: argv.unmapped ?? config.unmapped ?? false,
+    reference:
+      normalizeStringOption(argv.reference) ?? config.reference ?? null,
+    convertToCram: argv.convertToCram ?? config.convertToCram ?? false,
+    layout: normalizeStringOption(argv.layout) ?? config.layout ?? null,
+    latest: argv.latest ?? config.latest ?? false,
+    since: normalizeStringOption(argv.since) ?? config.since ?? null,
+    until: normalizeStringOption(argv.until) ?? config.until ?? null,
+    dateField:
+      normalizeStringOption(argv.dateField) ?? config.dateField ?? 'runDate',
+    concurrency: argv.concurrency ?? config.concurrency ?? 1,
+    verify: argv.verify ?? config.verify ?? false,
+    manifest: normalizeArrayInput(argv.manifest, config.manifest, []),
+    reportFormat:
+      normalizeStringOption(argv.reportFormat) ?? config.reportFormat ?? 'text',
+    progress: normalizeStringOption(argv.progress) ?? config.progress ?? 'auto',
+    dryRun: argv.dryRun || config.dryRun || false,
+    stateFile:
+      normalizeStringOption(argv.stateFile) ?? config.stateFile ?? null,
+    idsFile: normalizeStringOption(argv.idsFile) ?? config.idsFile ?? null,
+    idColumn: normalizeStringOption(argv.idColumn) ?? config.idColumn ?? null,
+    idType: normalizeStringOption(argv.idType) ?? config.idType ?? null,
+  };
+}
+
+module.exports = {
+  GLOBAL_OPTIONS,
+  SEARCH_OPTIONS,
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+  PROGRESS_OPTIONS,
+  DOWNLOAD_OPTIONS,
+  SYNC_OPTIONS,
+  LEGACY_OPTIONS,
+  DOWNLOAD_ONLY_OPTIONS,
+  resolveCliConfig,
+};
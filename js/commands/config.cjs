@@ -0,0 +1,112 @@
+/**
+ * "config": prints the effective configuration after merging the config file and options.
+ * @module commands/config
+ */
+
+const {
+  GLOBAL_OPTIONS,
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+  PROGRESS_OPTIONS,
+  DOWNLOAD_OPTIONS,
+  LEGACY_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Keys of the merged configuration that are not settings: yargs internals, aliases,
+ * the raw --filter values and the legacy flags. The kebab-case spellings yargs adds
+ * for every option are left out separately.
+ * @type {Set<string>}
+ */
+const HIDDEN_KEYS = new Set([
+  '_',
+  '$0',
+  'help',
+  'version',
+  'config',
+  'filter',
+  'list',
+  'listUrls',
+  'urlFile',
+  'resumeArchivedDownloads',
+  ...[
+    GLOBAL_OPTIONS,
+    SELECTION_OPTIONS,
+    FILETYPE_OPTIONS,
+    ARCHIVE_OPTIONS,
+    OUTPUT_OPTIONS,
+    PROGRESS_OPTIONS,
+    DOWNLOAD_OPTIONS,
+    LEGACY_OPTIONS,
+  ].flatMap((options) =>
+    Object.values(options).flatMap((option) => option.alias ?? []),
+  ),
+]);
+
+/**
+ * Settings whose values are masked in the output.
+ * @type {string[]}
+ */
+const SECRET_KEYS = ['password', 'proxyPassword'];
+
+/**
+ * Builds the printable configuration: settings only, secrets masked.
+ * @param   {object} config   - The effective configuration (see resolveCliConfig).
+ * @param   {string} userName - The username, which the environment may override.
+ * @returns {object}          - The configuration to print.
+ */
+function describeConfig(config, userName) {
+  const settings = Object.fromEntries(
+    Object.entries({ ...config, username: userName })
+      .filter(
+        ([key, value]) =>
+          !HIDDEN_KEYS.has(key) && !key.includes('-') && value !== undefined,
+      )
+      .sort(([a], [b]) => a.localeCompare(b)),
+  );
+  for (const key of SECRET_KEYS) {
+    if (settings[key]) {
+      settings[key] = '********';
+    }
+  }
+  return settings;
+}
+
+/**
+ * Prints the effective configuration as JSON. Needs no login.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  ctx.logger.info(`Configuration file: ${ctx.configFilePath}`);
+  const password = process.env.VARVIS_PASSWORD || ctx.config.password;
+  console.log(
+    JSON.stringify(
+      describeConfig({ ...ctx.config, password }, ctx.userName),
+      null,
+      2,
+    ),
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'config',
+  describe:
+    'Show the effective configuration (config file merged with options and environment)',
+  builder: (yargs) =>
+    yargs
+      .options(SELECTION_OPTIONS)
+      .options(FILETYPE_OPTIONS)
+      .options(ARCHIVE_OPTIONS)
+      .options(OUTPUT_OPTIONS)
+      .options(PROGRESS_OPTIONS)
+      .options(DOWNLOAD_OPTIONS),
+  handler: runCommand(run),
+  run,
+  describeConfig,
+};
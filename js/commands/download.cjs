@@ -0,0 +1,430 @@
+/**
+ * "download" (the default command): downloads the selected files in full, by region or
+ * only their unmapped reads. Also accepts the flags of the flag-based CLI (--list,
+ * --list-urls, --resumeArchivedDownloads), which run the matching command.
+ * @module commands/download
+ */
+
+const fs = require('node:fs');
+const { name, version } = require('../../package.json');
+const {
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+  PROGRESS_OPTIONS,
+  DOWNLOAD_OPTIONS,
+  LEGACY_OPTIONS,
+  DOWNLOAD_ONLY_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { generateReport, mergeMetrics } = require('../fetchUtils.cjs');
+const { getManifestFormat, writeManifest } = require('../manifestUtils.cjs');
+const { REPORT_FORMATS } = require('../reportUtils.cjs');
+const { validateLayout } = require('../layoutUtils.cjs');
+const { formatPlan, summarizePlan } = require('../planUtils.cjs');
+const { EXIT_CODES, getRunExitCode } = require('../exitCodes.cjs');
+const list = require('./list.cjs');
+const urls = require('./urls.cjs');
+const resume = require('./resume.cjs');
+
+/**
+ * Checks the download options that yargs cannot validate, logging the first problem.
+ * @param   {object}  config - The effective configuration.
+ * @param   {object}  logger - The logger instance.
+ * @returns {boolean}        - True if the options are valid.
+ */
+function validateDownloadOptions(config, logger) {
+  // Disallow --unmapped with --bed (BED files can have thousands of regions, exceeding OS arg limits)
+  if (config.unmapped && config.bed) {
+    logger.error(
+      'Error: --unmapped cannot be combined with --bed. Use --unmapped with --range (-g) instead, or use --unmapped alone.',
+    );
+    return false;
+  }
+
+  if (config.genes.length > 0 && !config.annotation) {
+    logger.error(
+      'Error: --genes requires --annotation with a GTF, GFF3 or refGene file.',
+    );
+    return false;
+  }
+  if (config.convertToCram && !config.reference) {
+    logger.error(
+      'Error: --convert-to-cram requires --reference with the FASTA the BAM files were aligned to.',
+    );
+    return false;
+  }
+  if (config.reference && !fs.existsSync(config.reference)) {
+    logger.error(`Error: reference FASTA not found: ${config.reference}`);
+    return false;
+  }
+  if (config.layout) {
+    try {
+      validateLayout(config.layout);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      return false;
+    }
+  }
+  if (!Number.isInteger(config.padding) || config.padding < 0) {
+    logger.error(
+      `Error: --padding must be a non-negative integer, got: ${config.padding}`,
+    );
+    return false;
+  }
+
+  // Concurrency must be a positive whole number of parallel jobs
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    logger.error(
+      `Error: --concurrency must be a positive integer, got: ${config.concurrency}`,
+    );
+    return false;
+  }
+
+  if (!REPORT_FORMATS.includes(config.reportFormat)) {
+    logger.error(
+      `Error: --report-format must be one of ${REPORT_FORMATS.join(', ')}, got: ${config.reportFormat}`,
+    );
+    return false;
+  }
+
+  // Manifests are written as JSON or TSV depending on the file extension
+  for (const manifestPath of config.manifest) {
+    if (!getManifestFormat(manifestPath)) {
+      logger.error(
+        `Error: --manifest must end in .json or .tsv, got: ${manifestPath}`,
+      );
+      return false;
+    }
+  }
+
+  if (config.exonsOnly && config.genes.length === 0) {
+    logger.warn('--exons-only has no effect without --genes');
+  }
+  if (config.reportFormat !== 'text' && !config.reportfile) {
+    logger.warn(
+      `--report-format ${config.reportFormat} has no effect without --reportfile`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Checks existing files against the API checksums instead of downloading (--verify).
+ * @param   {object}          ctx - The CLI context.
+ * @param   {string[]}        ids - The analysis IDs.
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function verify(ctx, ids) {
+  const { config, logger } = ctx;
+  logger.info(`Verifying files of analysis IDs: ${ids}`);
+
+  const results = await ctx.client.verify(ids, {
+    filetypes: config.filetypes,
+    destination: config.destination,
+    layout: config.layout,
+  });
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  logger.info(
+    `Verification complete: ${count('ok')} ok, ${count('mismatch')} mismatched, ${count('unverifiable')} without checksum, ${count('missing')} not downloaded, ${count('error')} failed.`,
+  );
+  for (const result of results.filter(
+    (entry) => entry.status === 'mismatch' || entry.status === 'error',
+  )) {
+    logger.error(`  ${result.status}: ${result.filePath}`);
+  }
+  return count('mismatch') + count('error') > 0
+    ? EXIT_CODES.GENERAL_ERROR
+    : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Assigns the regions of the --region-map file to the selected analyses by analysis, sample or
+ * LIMS ID and groups analyses with the same regions into one run. Analyses without an entry get
+ * the regions of --range, --bed or --genes, or are skipped if there are none.
+ * @param   {object}            ctx       - The CLI context.
+ * @param   {object}            regionMap - The region map (see readRegionMap).
+ * @param   {string[]}          regions   - The regions of --range, --bed or --genes.
+ * @returns {Promise<object[]>}           - The runs with analysisIds, regions and filetypes.
+ */
+async function resolveMappedRuns(ctx, regionMap, regions) {
+  const { config, logger } = ctx;
+  const keyOf = {
+    analysisIds: (analysis) => String(analysis.id),
+    sampleIds: (analysis) => analysis.sampleId,
+    limsIds: (analysis) => analysis.personLimsId,
+  }[regionMap.kind];
+
+  const runs = new Map();
+  const matched = new Set();
+  for (const analysis of await ctx.findAnalyses()) {
+    const key = keyOf(analysis);
+    const mapped = regionMap.regions.get(key);
+    if (mapped) {
+      matched.add(key);
+    } else if (regions.length === 0) {
+      logger.warn(
+        `No regions for analysis ${analysis.id} (${key}) in ${config.regionMap}; skipping it.`,
+      );
+      continue;
+    }
+    const run = { regions: mapped ?? regions, filetypes: config.filetypes };
+    const runKey = JSON.stringify(run.regions);
+    if (!runs.has(runKey)) {
+      runs.set(runKey, { analysisIds: [], ...run });
+    }
+    runs.get(runKey).analysisIds.push(String(analysis.id));
+  }
+  for (const id of regionMap.regions.keys()) {
+    if (!matched.has(id)) {
+      logger.warn(`No analysis matched ${id} of ${config.regionMap}.`);
+    }
+  }
+  return [...runs.values()];
+}
+
+/**
+ * Splits the download into runs with the same regions and file types. Normally this is a single
+ * run of all selected analyses; rows of an --ids-file sample sheet with their own regions or file
+ * types are resolved one by one and grouped by those, as are analyses in the --region-map file.
+ * @param   {object}            ctx     - The CLI context.
+ * @param   {string[]}          regions - The regions of --range, --bed or --genes.
+ * @returns {Promise<object[]>}         - The runs with analysisIds, regions and filetypes.
+ */
+async function resolveDownloadRuns(ctx, regions) {
+  const { config } = ctx;
+  const sheet = ctx.readIdsFile();
+  const perRow = sheet?.rows.some(
+    (row) => row.regions.length > 0 || row.filetypes.length > 0,
+  );
+  const regionMap = config.verify ? null : ctx.readRegionMap();
+  if (regionMap) {
+    if (perRow) {
+      throw new Error(
+        '--region-map cannot be combined with per-row regions or file types in --ids-file',
+      );
+    }
+    return resolveMappedRuns(ctx, regionMap, regions);
+  }
+  if (!perRow) {
+    return [
+      {
+        analysisIds: await ctx.resolveAnalysisIds(),
+        regions,
+        filetypes: config.filetypes,
+      },
+    ];
+  }
+
+  const runs = new Map();
+  for (const row of sheet.rows) {
+    const run = {
+      regions: row.regions.length > 0 ? row.regions : regions,
+      filetypes: row.filetypes.length > 0 ? row.filetypes : config.filetypes,
+    };
+    const key = JSON.stringify(run);
+    if (!runs.has(key)) {
+      runs.set(key, { analysisIds: [], ...run });
+    }
+    const { analysisIds } = runs.get(key);
+    const ids = await ctx.resolveAnalysisIds({
+      analysisIds: [],
+      sampleIds: [],
+      limsIds: [],
+      [sheet.kind]: [row.id],
+    });
+    if (ids.length === 0) {
+      ctx.logger.warn(
+        `No analysis matched ${row.id} (line ${row.line} of ${config.idsFile}).`,
+      );
+    }
+    analysisIds.push(...ids.filter((id) => !analysisIds.includes(id)));
+  }
+  return [...runs.values()].filter((run) => run.analysisIds.length > 0);
+}
+
+/**
+ * Downloads the selected files, then writes the report and manifests.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+
+  // A dry run only plans downloads; resuming would download restored files
+  if (config.dryRun && config.resumeArchivedDownloads) {
+    logger.error(
+      'Error: --dry-run cannot be combined with --resumeArchivedDownloads.',
+    );
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  // The flags of the flag-based CLI run the command that replaced them
+  const legacy = [
+    { key: 'resumeArchivedDownloads', command: 'resume', run: resume.run },
+    { key: 'list', command: 'list', run: list.run },
+    { key: 'listUrls', flag: 'list-urls', command: 'urls', run: urls.run },
+  ].find(({ key }) => config[key]);
+  if (legacy) {
+    logger.warn(
+      `--${legacy.flag ?? legacy.key} is deprecated; use the "${legacy.command}" command.`,
+    );
+    return legacy.run(ctx);
+  }
+
+  if (
+    !ctx.requireCredentials() ||
+    !validateDownloadOptions(config, logger) ||
+    !ctx.requireSelection()
+  ) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!ctx.showProgress()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const runs = await resolveDownloadRuns(
+    ctx,
+    config.verify ? [] : await ctx.readRegions(),
+  );
+  const ids = [...new Set(runs.flatMap((run) => run.analysisIds))];
+  if (config.verify) {
+    return verify(ctx, ids);
+  }
+  logger.info(`Fetched analysis IDs: ${ids}`);
+  if (ids.length === 0) {
+    logger.warn('No analyses matched the selection. Nothing to download.');
+    return EXIT_CODES.NOTHING_FOUND;
+  }
+
+  const downloadOptions = {
+    filetypes: config.filetypes,
+    destination: config.destination,
+    overwrite: config.overwrite,
+    unmapped: config.unmapped,
+    vcfOutput: config.vcfOutput,
+    reference: config.reference,
+    convertToCram: config.convertToCram,
+    layout: config.layout,
+    restoreArchived: config.restoreArchived,
+    restorationFile: config.restorationFile,
+    // Sample metadata is only needed to fill the manifest
+    metadata: config.manifest.length > 0,
+  };
+
+  // Print what the run would do and exit without touching anything
+  if (config.dryRun) {
+    const entries = [];
+    for (const run of runs) {
+      const plan = await ctx.client.plan(run.analysisIds, run.regions, {
+        ...downloadOptions,
+        filetypes: run.filetypes,
+      });
+      entries.push(...plan.entries);
+    }
+    console.log(formatPlan({ entries, totals: summarizePlan(entries) }));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  logger.info('Processing files for download...');
+  const results = [];
+  for (const run of runs) {
+    const options = { ...downloadOptions, filetypes: run.filetypes };
+    results.push(
+      run.regions.length > 0
+        ? await ctx.client.rangedDownload(run.analysisIds, run.regions, options)
+        : await ctx.client.download(run.analysisIds, options),
+    );
+  }
+  const metrics = mergeMetrics(results.map((result) => result.metrics));
+  const jobResults = results.flatMap((result) => result.jobResults);
+
+  logger.info('Download complete.');
+  const { target } = config;
+  generateReport(config.reportfile, logger, {
+    format: config.reportFormat,
+    metrics,
+    jobResults,
+    meta: { tool: name, version, target },
+    config: {
+      target,
+      username: ctx.userName,
+      analysisIds: config.analysisIds,
+      sampleIds: config.sampleIds,
+      limsIds: config.limsIds,
+      filters: config.filters,
+      idsFile: config.idsFile,
+      latest: config.latest,
+      since: config.since,
+      until: config.until,
+      filetypes: config.filetypes,
+      destination: config.destination,
+      overwrite: config.overwrite,
+      range: config.range,
+      bed: config.bed,
+      genes: config.genes,
+      annotation: config.annotation,
+      padding: config.padding,
+      exonsOnly: config.exonsOnly,
+      regionMap: config.regionMap,
+      vcfOutput: config.vcfOutput,
+      unmapped: config.unmapped,
+      reference: config.reference,
+      convertToCram: config.convertToCram,
+      layout: config.layout,
+      concurrency: config.concurrency,
+      restoreArchived: config.restoreArchived,
+      restorationFile: config.restorationFile,
+      proxy: Boolean(config.proxy),
+      manifest: config.manifest,
+    },
+  });
+
+  for (const manifestPath of config.manifest) {
+    writeManifest(manifestPath, metrics.fileResults, logger, {
+      tool: name,
+      version,
+      target,
+    });
+  }
+
+  const exitCode = getRunExitCode(metrics, jobResults);
+  if (exitCode === EXIT_CODES.NOTHING_FOUND) {
+    logger.warn('No files matched the selection. Nothing was downloaded.');
+  } else if (exitCode === EXIT_CODES.RESTORE_PENDING) {
+    logger.warn(
+      'The matched files are archived and queued for restoration. Run again once they are restored.',
+    );
+  }
+  return exitCode;
+}
+
+module.exports = {
+  command: ['download', '$0'],
+  describe: 'Download the selected files (the default command)',
+  builder: (yargs) =>
+    yargs
+      .options(SELECTION_OPTIONS)
+      .options(FILETYPE_OPTIONS)
+      .options(ARCHIVE_OPTIONS)
+      .options(OUTPUT_OPTIONS)
+      .options(PROGRESS_OPTIONS)
+      .options(DOWNLOAD_OPTIONS)
+      .options(LEGACY_OPTIONS)
+      .conflicts({
+        list: [
+          ...DOWNLOAD_ONLY_OPTIONS,
+          'list-urls',
+          'resumeArchivedDownloads',
+        ],
+        'list-urls': [...DOWNLOAD_ONLY_OPTIONS, 'resumeArchivedDownloads'],
+        resumeArchivedDownloads: DOWNLOAD_ONLY_OPTIONS,
+      }),
+  handler: runCommand(run),
+  run,
+  validateDownloadOptions,
+};
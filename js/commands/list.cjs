@@ -0,0 +1,48 @@
+/**
+ * "list": lists the available files of the selected analyses.
+ * @module commands/list
+ */
+
+const { SELECTION_OPTIONS } = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Logs the files of every selected analysis.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { logger } = ctx;
+  if (!ctx.requireCredentials() || !ctx.requireSelection()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const ids = await ctx.resolveAnalysisIds();
+  logger.info(`Fetched analysis IDs: ${ids}`);
+  for (const analysisId of ids) {
+    logger.info(`Listing available files for analysis ID: ${analysisId}`);
+    try {
+      for (const file of await ctx.client.listFiles(analysisId)) {
+        logger.info(`- ${file.fileName}`);
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to list available files for analysis ID ${analysisId}: ${error.message}`,
+      );
+    }
+  }
+  logger.info('Listing complete.');
+  return ids.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.NOTHING_FOUND;
+}
+
+module.exports = {
+  command: 'list',
+  describe: 'List the available files of the selected analyses',
+  builder: (yargs) => yargs.options(SELECTION_OPTIONS),
+  handler: runCommand(run),
+  run,
+};
@@ -0,0 +1,83 @@
+/**
+ * "restore": requests restoration of the archived files of the selected analyses.
+ * @module commands/restore
+ */
+
+const {
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { normalizeArrayInput } = require('../arrayUtils.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Requests restoration of every matching archived file and queues it for the resume command.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  if (!ctx.requireCredentials() || !ctx.requireSelection()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const ids = await ctx.resolveAnalysisIds();
+  logger.info(`Fetched analysis IDs: ${ids}`);
+  const fileNames = normalizeArrayInput(config.file, [], []);
+
+  let requested = 0;
+  let failed = 0;
+  for (const analysisId of ids) {
+    const archived = (
+      await ctx.client.listArchivedFiles(analysisId, config.filetypes)
+    ).filter(
+      (file) => fileNames.length === 0 || fileNames.includes(file.fileName),
+    );
+    for (const { fileName } of archived) {
+      const entry = await ctx.client.restore(analysisId, fileName, {
+        restorationFile: config.restorationFile,
+        destination: config.destination,
+        overwrite: config.overwrite,
+        filetypes: config.filetypes,
+      });
+      if (entry) {
+        requested += 1;
+      } else {
+        failed += 1;
+      }
+    }
+  }
+
+  if (requested + failed === 0) {
+    logger.warn('No archived files matched the selection. Nothing to restore.');
+    return EXIT_CODES.NOTHING_FOUND;
+  }
+  logger.info(
+    `Requested restoration of ${requested} archived file(s)${failed > 0 ? `, ${failed} failed` : ''}. Run the "resume" command once they are available.`,
+  );
+  return failed > 0 ? EXIT_CODES.GENERAL_ERROR : EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'restore',
+  describe: 'Request restoration of archived files of the selected analyses',
+  builder: (yargs) =>
+    yargs
+      .options(SELECTION_OPTIONS)
+      .options(FILETYPE_OPTIONS)
+      .options({ restorationFile: ARCHIVE_OPTIONS.restorationFile })
+      .options(OUTPUT_OPTIONS)
+      .option('file', {
+        describe:
+          'Only restore archived files with these names (default: all archived files of the selected file types)',
+        type: 'array',
+      }),
+  handler: runCommand(run),
+  run,
+};
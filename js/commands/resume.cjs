@@ -0,0 +1,55 @@
+/**
+ * "resume": downloads archived files whose restoration has completed.
+ * @module commands/resume
+ */
+
+const {
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+  PROGRESS_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Downloads the restored files listed in the awaiting-restoration file.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  if (!ctx.requireCredentials()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  const renderer = ctx.showProgress();
+  if (!renderer) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  logger.info('Starting in archive resumption mode.');
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  logger.info('Resuming archived downloads as requested.');
+  await ctx.client.resume({
+    restorationFile: config.restorationFile,
+    destination: config.destination,
+    overwrite: config.overwrite,
+  });
+  renderer.finish?.();
+
+  logger.info('Archive resumption process complete.');
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'resume',
+  describe: 'Download archived files whose restoration has completed',
+  builder: (yargs) =>
+    yargs
+      .options({ restorationFile: ARCHIVE_OPTIONS.restorationFile })
+      .options(OUTPUT_OPTIONS)
+      .options(PROGRESS_OPTIONS),
+  handler: runCommand(run),
+  run,
+};
@@ -0,0 +1,89 @@
+/**
+ * "search": finds analyses by sample, LIMS ID and metadata filters and prints their metadata.
+ * @module commands/search
+ */
+
+const { SEARCH_OPTIONS } = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { normalizeArrayInput } = require('../arrayUtils.cjs');
+const {
+  DEFAULT_SEARCH_COLUMNS,
+  SEARCH_FORMATS,
+  formatAnalyses,
+} = require('../searchUtils.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Prints the matching analyses with the selected columns and format.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  if (!ctx.requireCredentials() || !ctx.requireValidFilters()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const analyses = await ctx.client.findAnalyses({
+    sampleIds: config.sampleIds,
+    limsIds: config.limsIds,
+    filters: config.filters,
+    latest: config.latest,
+    since: config.since,
+    until: config.until,
+    dateField: config.dateField,
+  });
+  if (analyses.length === 0) {
+    logger.warn('No analyses matched the search.');
+    return EXIT_CODES.NOTHING_FOUND;
+  }
+
+  const columns = normalizeArrayInput(
+    config.columns,
+    undefined,
+    DEFAULT_SEARCH_COLUMNS,
+  ).map(String);
+  for (const column of columns) {
+    if (!analyses.some((analysis) => column in analysis)) {
+      logger.warn(`No analysis has a "${column}" field.`);
+    }
+  }
+  // Plain output on stdout so that it can be redirected into a sample sheet
+  console.log(
+    formatAnalyses(analyses, {
+      columns,
+      format: config.format ?? 'table',
+      header: config.header ?? true,
+    }),
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'search',
+  describe: 'Find analyses by sample ID, LIMS ID and filters',
+  builder: (yargs) =>
+    yargs.options(SEARCH_OPTIONS).options({
+      columns: {
+        describe: `Analysis fields to print (comma-separated), e.g. id, sampleId, personLimsId, analysisType, enrichmentKitName, runDate or any other field of the API (default: ${DEFAULT_SEARCH_COLUMNS.join(',')})`,
+        type: 'array',
+      },
+      format: {
+        describe: 'Output format',
+        type: 'string',
+        choices: SEARCH_FORMATS,
+        defaultDescription: 'table',
+      },
+      header: {
+        describe:
+          'Print a header line in table, CSV and TSV output (--no-header for plain values)',
+        type: 'boolean',
+        defaultDescription: 'true',
+      },
+    }),
+  handler: runCommand(run),
+  run,
+};
@@ -0,0 +1,48 @@
+/**
+ * "status": shows the archived files awaiting restoration and which of them can be resumed.
+ * @module commands/status
+ */
+
+const { ARCHIVE_OPTIONS } = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { getReadyEntries } = require('../restorationState.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Prints the entries of the awaiting-restoration file. Needs no login.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  const { ready, pending } = getReadyEntries(config.restorationFile, logger);
+  if (ready.length + pending.length === 0) {
+    console.log(`No files awaiting restoration in ${config.restorationFile}.`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const lines = [`Awaiting restoration (${config.restorationFile}):`];
+  for (const entry of ready) {
+    lines.push(`  ready    ${entry.analysisId}  ${entry.fileName}`);
+  }
+  for (const entry of pending) {
+    lines.push(
+      `  pending  ${entry.analysisId}  ${entry.fileName}  (expected ${entry.restoreEstimation})`,
+    );
+  }
+  lines.push(
+    '',
+    `${ready.length} ready to resume, ${pending.length} still being restored.`,
+  );
+  console.log(lines.join('\n'));
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'status',
+  describe: 'Show archived files awaiting restoration',
+  builder: (yargs) =>
+    yargs.options({ restorationFile: ARCHIVE_OPTIONS.restorationFile }),
+  handler: runCommand(run),
+  run,
+};
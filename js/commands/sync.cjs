@@ -0,0 +1,179 @@
+/**
+ * "sync": mirrors the selected analyses incrementally, downloading only analyses and files
+ * that are new or changed since the last sync, as recorded in a local state database.
+ * @module commands/sync
+ */
+
+const path = require('node:path');
+const { name, version } = require('../../package.json');
+const {
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+  OUTPUT_OPTIONS,
+  PROGRESS_OPTIONS,
+  DOWNLOAD_OPTIONS,
+  SYNC_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { generateReport } = require('../fetchUtils.cjs');
+const { writeManifest } = require('../manifestUtils.cjs');
+const {
+  readSyncState,
+  writeSyncState,
+  formatSyncSummary,
+} = require('../syncState.cjs');
+const { EXIT_CODES, getRunExitCode } = require('../exitCodes.cjs');
+const { validateDownloadOptions } = require('./download.cjs');
+
+/**
+ * File name of the state database inside the destination, unless --state-file is given.
+ * @type {string}
+ */
+const DEFAULT_STATE_FILE = '.varvis-sync.json';
+
+/**
+ * Download options that select parts of files. A sync mirrors whole files, so these are
+ * rejected rather than ignored when a config file sets them.
+ * @type {[string, string][]}
+ */
+const REGION_OPTIONS = [
+  ['range', '--range'],
+  ['bed', '--bed'],
+  ['regionMap', '--region-map'],
+  ['genes', '--genes'],
+  ['unmapped', '--unmapped'],
+];
+
+/**
+ * Checks that no region option is set, logging the first one.
+ * @param   {object}  config - The effective configuration.
+ * @param   {object}  logger - The logger instance.
+ * @returns {boolean}        - True if the sync can run.
+ */
+function validateSyncOptions(config, logger) {
+  for (const [key, flag] of REGION_OPTIONS) {
+    const value = config[key];
+    if (Array.isArray(value) ? value.length > 0 : Boolean(value)) {
+      logger.error(
+        `Error: sync mirrors whole files and does not support ${flag}; remove it from the command line or config file.`,
+      );
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Downloads what is new or changed, updates the state database and prints what was synced.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  if (
+    !ctx.requireCredentials() ||
+    !validateDownloadOptions(config, logger) ||
+    !validateSyncOptions(config, logger) ||
+    !ctx.requireSelection()
+  ) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!ctx.showProgress()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  const stateFile =
+    config.stateFile ?? path.join(config.destination, DEFAULT_STATE_FILE);
+  const state = readSyncState(stateFile, logger);
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const analyses = await ctx.findAnalyses();
+  if (analyses.length === 0) {
+    logger.warn('No analyses matched the selection. Nothing to sync.');
+    return EXIT_CODES.NOTHING_FOUND;
+  }
+
+  const { metrics, jobResults, sync } = await ctx.client.sync(analyses, state, {
+    filetypes: config.filetypes,
+    destination: config.destination,
+    overwrite: config.overwrite,
+    reference: config.reference,
+    convertToCram: config.convertToCram,
+    layout: config.layout,
+    restoreArchived: config.restoreArchived,
+    restorationFile: config.restorationFile,
+    metadata: config.manifest.length > 0,
+  });
+  writeSyncState(state, stateFile, logger);
+  logger.info(`Sync state written to ${stateFile}`);
+
+  const { target } = config;
+  generateReport(config.reportfile, logger, {
+    format: config.reportFormat,
+    metrics,
+    jobResults,
+    meta: { tool: name, version, target },
+    config: {
+      target,
+      username: ctx.userName,
+      analysisIds: config.analysisIds,
+      sampleIds: config.sampleIds,
+      limsIds: config.limsIds,
+      filters: config.filters,
+      latest: config.latest,
+      since: config.since,
+      until: config.until,
+      filetypes: config.filetypes,
+      destination: config.destination,
+      overwrite: config.overwrite,
+      reference: config.reference,
+      convertToCram: config.convertToCram,
+      layout: config.layout,
+      concurrency: config.concurrency,
+      restoreArchived: config.restoreArchived,
+      stateFile,
+      proxy: Boolean(config.proxy),
+      manifest: config.manifest,
+    },
+  });
+  for (const manifestPath of config.manifest) {
+    writeManifest(manifestPath, metrics.fileResults, logger, {
+      tool: name,
+      version,
+      target,
+    });
+  }
+  console.log(formatSyncSummary(sync));
+
+  // Nothing new is the normal outcome of a sync, not an empty selection
+  const exitCode = getRunExitCode(metrics, jobResults);
+  return exitCode === EXIT_CODES.NOTHING_FOUND ? EXIT_CODES.SUCCESS : exitCode;
+}
+
+module.exports = {
+  command: 'sync',
+  describe:
+    'Download only the analyses and files that are new or changed since the last sync',
+  builder: (yargs) =>
+    yargs
+      .options(SELECTION_OPTIONS)
+      .options(FILETYPE_OPTIONS)
+      .options(ARCHIVE_OPTIONS)
+      .options(OUTPUT_OPTIONS)
+      .options(PROGRESS_OPTIONS)
+      .options({
+        concurrency: DOWNLOAD_OPTIONS.concurrency,
+        reportfile: DOWNLOAD_OPTIONS.reportfile,
+        'report-format': DOWNLOAD_OPTIONS['report-format'],
+        manifest: DOWNLOAD_OPTIONS.manifest,
+        reference: DOWNLOAD_OPTIONS.reference,
+        'convert-to-cram': DOWNLOAD_OPTIONS['convert-to-cram'],
+        layout: DOWNLOAD_OPTIONS.layout,
+      })
+      .options(SYNC_OPTIONS),
+  handler: runCommand(run),
+  run,
+  DEFAULT_STATE_FILE,
+};
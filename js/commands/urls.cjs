@@ -0,0 +1,92 @@
+/**
+ * "urls": prints the pre-signed download URLs of the selected files instead of downloading them.
+ * @module commands/urls
+ */
+
+const fs = require('node:fs');
+const {
+  SELECTION_OPTIONS,
+  FILETYPE_OPTIONS,
+  ARCHIVE_OPTIONS,
+} = require('../cliOptions.cjs');
+const { runCommand } = require('../cliContext.cjs');
+const { EXIT_CODES } = require('../exitCodes.cjs');
+
+/**
+ * Handles the output of download URLs, printing to console and/or writing to a file.
+ * @param {string[]}    urls     - An array of URL strings to output.
+ * @param {string|null} filePath - The path to the output file, or null to only use console.
+ * @param {object}      logger   - The logger instance.
+ */
+function handleUrlListing(urls, filePath, logger) {
+  if (urls.length === 0) {
+    logger.info('No files matching the criteria were found. No URLs to list.');
+    return;
+  }
+
+  const urlOutput = urls.join('\n');
+
+  // Always print to console. We use console.log directly to ensure clean output for piping.
+  console.log(urlOutput);
+
+  // Optionally write to a file
+  if (filePath) {
+    try {
+      fs.writeFileSync(filePath, urlOutput + '\n');
+      logger.info(`Successfully saved ${urls.length} URLs to ${filePath}`);
+    } catch (error) {
+      logger.error(
+        `Failed to write URLs to file ${filePath}: ${error.message}`,
+      );
+    }
+  }
+}
+
+/**
+ * Prints the download URLs of the selected files.
+ * @param   {object}          ctx - The CLI context (see cliContext).
+ * @returns {Promise<number>}     - The exit code.
+ */
+async function run(ctx) {
+  const { config, logger } = ctx;
+  if (!ctx.requireCredentials() || !ctx.requireSelection()) {
+    return EXIT_CODES.GENERAL_ERROR;
+  }
+  if (!(await ctx.login())) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const ids = await ctx.resolveAnalysisIds();
+  logger.info(`Fetched analysis IDs: ${ids}`);
+  if (ids.length === 0) {
+    logger.warn('No analyses matched the selection. Nothing to list.');
+    return EXIT_CODES.NOTHING_FOUND;
+  }
+
+  const urls = await ctx.client.listUrls(ids, {
+    filetypes: config.filetypes,
+    destination: config.destination,
+    overwrite: config.overwrite,
+    restoreArchived: config.restoreArchived,
+    restorationFile: config.restorationFile,
+  });
+  handleUrlListing(urls, config.urlFile, logger);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  command: 'urls',
+  describe: 'Print the download URLs of the selected files',
+  builder: (yargs) =>
+    yargs
+      .options(SELECTION_OPTIONS)
+      .options(FILETYPE_OPTIONS)
+      .options(ARCHIVE_OPTIONS)
+      .option('url-file', {
+        describe: 'Path to a file to save the download URLs to.',
+        type: 'string',
+      }),
+  handler: runCommand(run),
+  run,
+  handleUrlListing,
+};
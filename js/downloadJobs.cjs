@@ -0,0 +1,1059 @@
+/**
+ * Builds the per-file download jobs (full, ranged and unmapped) that are
+ * executed by the JobQueue.
+ * @module downloadJobs
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { refreshDownloadUrls } = require('./fetchUtils.cjs');
+const {
+  isUrlExpiringSoon,
+  getUrlRemainingTime,
+  formatRemainingTime,
+} = require('./urlUtils.cjs');
+const { downloadFile } = require('./fileUtils.cjs');
+const { getApiChecksum, hashFile } = require('./checksumUtils.cjs');
+const { recordFileResult } = require('./manifestUtils.cjs');
+const { PROGRESS_EVENTS } = require('./progressRenderers.cjs');
+const {
+  SUBSET_TOOLS,
+  findFileType,
+  isPrimaryFile,
+  indexFileName,
+  findArtifacts,
+} = require('./fileTypes.cjs');
+const {
+  ensureIndexFile,
+  rangedDownloadBAM,
+  rangedDownloadVCF,
+  rangedDownloadVCFRegions,
+  readRemoteContigs,
+  tabixIndexPath,
+  unmappedDownloadBAM,
+  convertBAMToCRAM,
+  indexBAM,
+  indexVCF,
+} = require('./rangedUtils.cjs');
+const {
+  normalizeContigs,
+  normalizeRegions,
+  regionsToBed,
+} = require('./regionUtils.cjs');
+const { prepareOutputPath } = require('./layoutUtils.cjs');
+
+/**
+ * Checks if a download URL is expiring soon and refreshes it if needed.
+ * This ensures long-running download sessions don't fail due to expired pre-signed URLs.
+ *
+ * @param   {object}                   fileDict       - The current file dictionary with download links.
+ * @param   {string}                   fileName       - The name of the file to check.
+ * @param   {string}                   target         - The Varvis target (tenant).
+ * @param   {string}                   token          - The CSRF token for authentication.
+ * @param   {object}                   agent          - The HTTP agent instance.
+ * @param   {import('winston').Logger} logger         - The logger instance.
+ * @param   {boolean}                  [forceRefresh] - Refresh the URL even if it is not expiring (e.g. before resuming a download).
+ * @returns {Promise<string>}                         - The valid download URL (refreshed if needed).
+ */
+async function getValidDownloadUrl(
+  fileDict,
+  fileName,
+  target,
+  token,
+  agent,
+  logger,
+  forceRefresh = false,
+) {
+  const file = fileDict[fileName];
+  if (!file || !file.downloadLink) {
+    throw new Error(`No download link found for file: ${fileName}`);
+  }
+
+  const downloadLink = file.downloadLink;
+
+  // Check if URL is expiring soon
+  if (forceRefresh || isUrlExpiringSoon(downloadLink)) {
+    if (forceRefresh) {
+      logger.info(`Refreshing download URL for ${fileName}...`);
+    } else {
+      const remainingTime = getUrlRemainingTime(downloadLink);
+      const formattedTime =
+        remainingTime !== null ? formatRemainingTime(remainingTime) : 'unknown';
+      logger.warn(
+        `Download URL for ${fileName} is expiring soon (${formattedTime} remaining). Refreshing...`,
+      );
+    }
+
+    // Get the analysis ID from the file object
+    const analysisId = file.analysisId;
+    if (!analysisId) {
+      logger.warn(
+        `No analysisId found for ${fileName}, using potentially expired URL`,
+      );
+      return downloadLink;
+    }
+
+    // Refresh URLs for this analysis
+    const freshFileDict = await refreshDownloadUrls(
+      analysisId,
+      target,
+      token,
+      agent,
+      logger,
+    );
+
+    // Update the original fileDict with fresh URLs
+    for (const [fname, freshFile] of Object.entries(freshFileDict)) {
+      if (fileDict[fname]) {
+        fileDict[fname].downloadLink = freshFile.downloadLink;
+      }
+    }
+
+    // Return the fresh URL
+    if (freshFileDict[fileName]) {
+      logger.info(`URL refreshed successfully for ${fileName}`);
+      return freshFileDict[fileName].downloadLink;
+    }
+
+    logger.warn(
+      `Could not find refreshed URL for ${fileName}, using original URL`,
+    );
+  }
+
+  return downloadLink;
+}
+
+/**
+ * Runs one step that produces an output file and records its outcome for the manifest.
+ * Outputs that were not produced by a checksummed download are hashed locally so that
+ * every downloaded manifest entry carries an MD5.
+ * @param   {object}       ctx               - The download context (see createFileJobs).
+ * @param   {object}       output            - Provenance of the output file.
+ * @param   {string}       output.analysisId - The analysis the file belongs to.
+ * @param   {string}       output.sourceFile - The file name in Varvis.
+ * @param   {string}       output.outputPath - The local output path.
+ * @param   {string}       output.mode       - Download mode: "full", "ranged" or "unmapped".
+ * @param   {string[]}     [output.regions]  - Genomic regions of a ranged download.
+ * @param   {Function}     produce           - Async function creating the output file.
+ * @returns {Promise<any>}                   - The return value of produce.
+ */
+async function trackOutput(ctx, output, produce) {
+  const entry = {
+    ...output,
+    analysis: ctx.analysisMetadata?.[output.analysisId],
+    startedAt: new Date(),
+  };
+  const existed = !ctx.overwrite && fs.existsSync(output.outputPath);
+
+  try {
+    const result = await produce();
+    const status = result?.status ?? (existed ? 'skipped' : 'downloaded');
+    const exists = fs.existsSync(output.outputPath);
+    let md5 = result?.checksums?.md5;
+    if (!md5 && status === 'downloaded' && exists) {
+      ({ md5 } = await hashFile(output.outputPath));
+    }
+    const record = recordFileResult(ctx.metrics, {
+      ...entry,
+      size: exists ? fs.statSync(output.outputPath).size : null,
+      md5,
+      verified: result?.verified,
+      finishedAt: new Date(),
+      status,
+    });
+    ctx.events?.emit('file', record);
+    return result;
+  } catch (error) {
+    recordFailure(ctx, entry, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Records an output file that could not be produced.
+ * @param {object} ctx     - The download context (see createFileJobs).
+ * @param {object} output  - Provenance of the output file (see trackOutput).
+ * @param {string} message - The error message.
+ */
+function recordFailure(ctx, output, message) {
+  const record = recordFileResult(ctx.metrics, {
+    analysis: ctx.analysisMetadata?.[output.analysisId],
+    startedAt: new Date(),
+    ...output,
+    finishedAt: new Date(),
+    status: 'failed',
+    error: message,
+  });
+  ctx.events?.emit('file', record);
+}
+
+let nextTaskId = 1;
+
+/**
+ * Runs an external tool step (samtools, tabix) and reports it as a "task:start"/"task:end"
+ * pair, so that progress renderers can show work without byte progress.
+ * @param   {object}       ctx             - The download context (see createFileJobs).
+ * @param   {object}       task            - Description of the step.
+ * @param   {string}       task.analysisId - The analysis the file belongs to.
+ * @param   {string}       task.command    - The tool invocation, e.g. "samtools view".
+ * @param   {string}       task.outputPath - The file the step produces.
+ * @param   {Function}     run             - Async function running the tool.
+ * @returns {Promise<any>}                 - The return value of run.
+ */
+async function runTask(ctx, task, run) {
+  const event = { id: nextTaskId++, ...task };
+  ctx.events?.emit(PROGRESS_EVENTS.taskStart, event);
+  try {
+    const result = await run();
+    ctx.events?.emit(PROGRESS_EVENTS.taskEnd, { ...event, status: 'done' });
+    return result;
+  } catch (error) {
+    ctx.events?.emit(PROGRESS_EVENTS.taskEnd, {
+      ...event,
+      status: 'failed',
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Returns the download URL of an index file, refreshing it when it is about to expire.
+ * @param   {object}                    fileDict      - The current file dictionary with download links.
+ * @param   {string}                    indexFileName - The name of the index file.
+ * @param   {object}                    ctx           - The download context (see createFileJobs).
+ * @returns {Promise<string|undefined>}               - The index URL, or undefined if the index is not available.
+ */
+async function getIndexUrl(fileDict, indexFileName, ctx) {
+  const indexFileUrl = fileDict[indexFileName]?.downloadLink;
+  if (indexFileUrl && isUrlExpiringSoon(indexFileUrl)) {
+    return getValidDownloadUrl(
+      fileDict,
+      indexFileName,
+      ctx.target,
+      ctx.token,
+      ctx.agent,
+      ctx.logger,
+    );
+  }
+  return indexFileUrl;
+}
+
+/**
+ * Downloads a primary file completely, followed by its optional index file.
+ * @param   {string}        fileName       - The primary file name.
+ * @param   {object}        fileDict       - The file dictionary of the analysis.
+ * @param   {string}        downloadLink   - The download URL of the primary file.
+ * @param   {string}        outputFile     - The local output path.
+ * @param   {string}        indexExtension - Index extension without dot ("bai", "crai" or "tbi").
+ * @param   {string}        indexFileUrl   - The index download URL, if available.
+ * @param   {string}        indexFilePath  - The local index path.
+ * @param   {object}        ctx            - The download context (see createFileJobs).
+ * @returns {Promise<void>}
+ */
+async function fullDownload(
+  fileName,
+  fileDict,
+  downloadLink,
+  outputFile,
+  indexExtension,
+  indexFileUrl,
+  indexFilePath,
+  ctx,
+) {
+  const { agent, rl, logger, metrics, overwrite } = ctx;
+  const { analysisId } = fileDict[fileName];
+
+  // Interrupted transfers resume against a freshly signed URL;
+  // the content is verified against the API checksum when the API provides one
+  await trackOutput(
+    ctx,
+    { analysisId, sourceFile: fileName, outputPath: outputFile, mode: 'full' },
+    () =>
+      downloadFile(
+        downloadLink,
+        outputFile,
+        overwrite,
+        agent,
+        rl,
+        logger,
+        metrics,
+        {
+          size: fileDict[fileName].size,
+          checksum: getApiChecksum(fileDict[fileName]),
+          events: ctx.events,
+          analysisId,
+          refreshUrl: () =>
+            getValidDownloadUrl(
+              fileDict,
+              fileName,
+              ctx.target,
+              ctx.token,
+              agent,
+              logger,
+              true,
+            ),
+        },
+      ),
+  );
+
+  // Download index file if available (optional for full downloads)
+  if (indexFileUrl) {
+    logger.info(
+      `Downloading optional index file: ${fileName}.${indexExtension}`,
+    );
+    try {
+      await trackOutput(
+        ctx,
+        {
+          analysisId,
+          sourceFile: `${fileName}.${indexExtension}`,
+          outputPath: indexFilePath,
+          mode: 'full',
+        },
+        () =>
+          downloadFile(
+            indexFileUrl,
+            indexFilePath,
+            overwrite,
+            agent,
+            rl,
+            logger,
+            metrics,
+            { events: ctx.events, analysisId },
+          ),
+      );
+    } catch (indexError) {
+      logger.warn(
+        `Failed to download index file ${fileName}.${indexExtension}: ${indexError.message}`,
+      );
+    }
+  } else {
+    logger.info(
+      `Index file for ${fileName} not available, skipping index download.`,
+    );
+  }
+}
+
+/**
+ * Matches the regions to the contig names in the header of a remote file, since samtools and
+ * tabix return nothing for "1:100-200" when the file names the contig "chr1". Regions on
+ * contigs the file lacks are skipped with a warning; if the header cannot be read or lists
+ * no contigs, the regions are used as given.
+ * @param   {string}            fileName      - The BAM or VCF.gz file name.
+ * @param   {string}            downloadLink  - The URL of the file.
+ * @param   {string}            format        - "bam" or "vcf".
+ * @param   {string}            indexFilePath - The local path to the downloaded index file.
+ * @param   {object}            output        - Provenance recorded when no region is left (see trackOutput).
+ * @param   {object}            ctx           - The download context (see createFileJobs).
+ * @returns {Promise<string[]>}               - The regions in the order of ctx.regions, null for those skipped.
+ */
+async function matchRegionsToContigs(
+  fileName,
+  downloadLink,
+  format,
+  indexFilePath,
+  output,
+  ctx,
+) {
+  const { logger, regions } = ctx;
+  let contigs;
+  try {
+    contigs = await readRemoteContigs(
+      downloadLink,
+      format,
+      indexFilePath,
+      logger,
+    );
+  } catch (error) {
+    logger.warn(
+      `Could not read the contigs of ${fileName}, using the regions as given: ${error.message}`,
+    );
+    return regions;
+  }
+  if (!contigs?.length) {
+    logger.debug(`No contigs in the header of ${fileName}`);
+    return regions;
+  }
+
+  const { regions: matched, unknown } = normalizeContigs(regions, contigs);
+  const renamed = regions
+    .map((region, index) => [region, matched[index]])
+    .filter(([region, match]) => match !== null && match !== region);
+  if (renamed.length > 0) {
+    logger.info(
+      `Using the contig names of ${fileName}: ${renamed.map(([region, match]) => `${region} -> ${match}`).join(', ')}`,
+    );
+  }
+  if (unknown.length > 0) {
+    logger.warn(
+      `${fileName} has no contig ${unknown.join(', ')}; skipping ${regions.filter((region, index) => matched[index] === null).join(', ')}`,
+    );
+  }
+  if (matched.every((region) => region === null)) {
+    const message = `None of the regions are on contigs of ${fileName}. Skipping.`;
+    logger.error(message);
+    recordFailure(ctx, output, message);
+    throw new Error(message);
+  }
+  return matched;
+}
+
+/**
+ * Returns the BED file holding the regions of one file: the shared BED file of the run if
+ * they are the requested regions, or else one written for the file next to it.
+ * @param   {string}   fileName    - The BAM or VCF.gz file name.
+ * @param   {string}   analysisId  - The analysis the file belongs to.
+ * @param   {string[]} fileRegions - The regions, with the contig names of the file.
+ * @param   {object}   ctx         - The download context (see createFileJobs).
+ * @returns {string}               - The BED file path.
+ */
+function regionsBedPath(fileName, analysisId, fileRegions, ctx) {
+  if (fileRegions.join('\n') === ctx.regions.join('\n')) {
+    return ctx.tempBedPath;
+  }
+  const bedPath = path.join(
+    path.dirname(ctx.tempBedPath),
+    `${analysisId}-${fileName}.bed`,
+  );
+  fs.writeFileSync(bedPath, regionsToBed(fileRegions));
+  return bedPath;
+}
+
+/**
+ * Returns the local path of an output file, named after ctx.layout, and creates the folders
+ * the layout puts it in.
+ * @param   {object}   ctx        - The download context (see createFileJobs).
+ * @param   {string}   analysisId - The analysis the file belongs to.
+ * @param   {string}   fileName   - The file name before the region is added.
+ * @param   {string[]} regions    - Regions of the output (see layoutFileName).
+ * @returns {string}              - The output path.
+ */
+function outputPath(ctx, analysisId, fileName, regions) {
+  return prepareOutputPath(
+    ctx.destination,
+    ctx.layout ?? null,
+    {
+      analysisId,
+      analysis: ctx.analysisMetadata?.[analysisId],
+      fileName,
+      regions,
+    },
+    ctx.logger,
+  );
+}
+
+/**
+ * Processes a BAM or CRAM file (or another format subset by samtools): full download, ranged
+ * download or unmapped read extraction.
+ * With ctx.convertToCram, BAM files are written as CRAM.
+ * @param   {string}        fileName - The BAM or CRAM file name.
+ * @param   {object}        fileDict - The file dictionary of the analysis.
+ * @param   {object}        ctx      - The download context (see createFileJobs).
+ * @returns {Promise<void>}
+ */
+async function processBamFile(fileName, fileDict, ctx) {
+  const { agent, rl, logger, metrics, overwrite, regions } = ctx;
+  const { analysisId } = fileDict[fileName];
+  const fileType = findFileType(fileName);
+  const format = fileType.name;
+  const indexExtension = fileType.indexExtension.slice(1);
+  // Converted BAM files are named like the CRAM they become
+  const convert = Boolean(ctx.convertToCram) && format === 'BAM';
+  const outputName = convert ? fileName.replace(/\.bam$/, '.cram') : fileName;
+
+  // Get a valid download URL, refreshing if the current one is expiring
+  const downloadLink = await getValidDownloadUrl(
+    fileDict,
+    fileName,
+    ctx.target,
+    ctx.token,
+    agent,
+    logger,
+  );
+  const outputFile = outputPath(ctx, analysisId, outputName, regions);
+
+  // Alignment file processing - also refresh index URL if needed
+  const indexName = indexFileName(fileName);
+  const indexFileUrl = await getIndexUrl(fileDict, indexName, ctx);
+  const indexFilePath = outputPath(ctx, analysisId, indexName, []);
+
+  if (regions.length === 0 && !ctx.unmapped) {
+    // Perform full download - index file is optional
+    try {
+      if (convert) {
+        // samtools streams the whole BAM and writes only the CRAM, so no index is needed
+        logger.info(`Converting BAM file to CRAM: ${fileName}`);
+        await trackOutput(
+          ctx,
+          {
+            analysisId,
+            sourceFile: fileName,
+            outputPath: outputFile,
+            mode: 'full',
+          },
+          () =>
+            runTask(
+              ctx,
+              { analysisId, command: 'samtools view', outputPath: outputFile },
+              () =>
+                convertBAMToCRAM(
+                  downloadLink,
+                  outputFile,
+                  ctx.reference,
+                  logger,
+                  metrics,
+                  overwrite,
+                ),
+            ),
+        );
+      } else {
+        logger.info(`Performing full download for ${format} file: ${fileName}`);
+        await fullDownload(
+          fileName,
+          fileDict,
+          downloadLink,
+          outputFile,
+          indexExtension,
+          indexFileUrl,
+          indexFilePath,
+          ctx,
+        );
+      }
+
+      // Generate new index if needed
+      await runTask(
+        ctx,
+        { analysisId, command: 'samtools index', outputPath: outputFile },
+        () => indexBAM(outputFile, logger, overwrite),
+      );
+    } catch (error) {
+      logger.error(
+        `Error during full download for ${fileName}: ${error.message}`,
+      );
+      throw error;
+    }
+    return;
+  }
+
+  // Ranged or unmapped downloads require an index file
+  if (!indexFileUrl) {
+    const message = `Index file for ${format} (${fileName}) not found. Ranged/unmapped downloads require .${indexExtension} index. Skipping.`;
+    logger.error(message);
+    recordFailure(
+      ctx,
+      {
+        analysisId,
+        sourceFile: fileName,
+        outputPath: outputFile,
+        mode: regions.length > 0 ? 'ranged' : 'unmapped',
+        regions,
+      },
+      message,
+    );
+    throw new Error(message);
+  }
+
+  // Ensure index file is downloaded
+  await trackOutput(
+    ctx,
+    {
+      analysisId,
+      sourceFile: indexName,
+      outputPath: indexFilePath,
+      mode: 'full',
+    },
+    () =>
+      ensureIndexFile(
+        downloadLink,
+        indexFileUrl,
+        indexFilePath,
+        agent,
+        rl,
+        logger,
+        metrics,
+        overwrite,
+        { events: ctx.events, analysisId },
+      ),
+  );
+
+  if (regions.length > 0) {
+    const output = {
+      analysisId,
+      sourceFile: fileName,
+      outputPath: outputFile,
+      mode: 'ranged',
+      regions: ctx.unmapped ? [...regions, 'unmapped'] : regions,
+    };
+    const fileRegions = (
+      await matchRegionsToContigs(
+        fileName,
+        downloadLink,
+        'bam',
+        indexFilePath,
+        output,
+        ctx,
+      )
+    ).filter(Boolean);
+    const bedPath = regionsBedPath(fileName, analysisId, fileRegions, ctx);
+
+    // Ranged download (optionally including unmapped reads in the same file)
+    try {
+      const modeLabel = ctx.unmapped ? 'ranged + unmapped' : 'ranged';
+      logger.info(
+        `Performing ${modeLabel} download for ${format} file: ${fileName}`,
+      );
+      await trackOutput(ctx, output, () =>
+        runTask(
+          ctx,
+          { analysisId, command: 'samtools view', outputPath: outputFile },
+          () =>
+            rangedDownloadBAM(
+              downloadLink,
+              bedPath,
+              outputFile,
+              indexFilePath,
+              logger,
+              metrics,
+              overwrite,
+              ctx.unmapped,
+              fileRegions,
+              ctx.reference ?? null,
+            ),
+        ),
+      );
+      await runTask(
+        ctx,
+        { analysisId, command: 'samtools index', outputPath: outputFile },
+        () => indexBAM(outputFile, logger, overwrite),
+      );
+    } catch (error) {
+      logger.error(
+        `Error during ranged download for ${fileName}: ${error.message}`,
+      );
+      throw error;
+    }
+    return;
+  }
+
+  // Unmapped-only extraction (no regions specified)
+  const unmappedOutputFile = outputPath(ctx, analysisId, outputName, [
+    'unmapped',
+  ]);
+  try {
+    logger.info(`Extracting unmapped reads from ${format} file: ${fileName}`);
+    await trackOutput(
+      ctx,
+      {
+        analysisId,
+        sourceFile: fileName,
+        outputPath: unmappedOutputFile,
+        mode: 'unmapped',
+      },
+      () =>
+        runTask(
+          ctx,
+          {
+            analysisId,
+            command: 'samtools view',
+            outputPath: unmappedOutputFile,
+          },
+          () =>
+            unmappedDownloadBAM(
+              downloadLink,
+              unmappedOutputFile,
+              indexFilePath,
+              logger,
+              metrics,
+              overwrite,
+              ctx.reference ?? null,
+            ),
+        ),
+    );
+    await runTask(
+      ctx,
+      { analysisId, command: 'samtools index', outputPath: unmappedOutputFile },
+      () => indexBAM(unmappedOutputFile, logger, overwrite),
+    );
+  } catch (error) {
+    logger.error(
+      `Error extracting unmapped reads from ${fileName}: ${error.message}`,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Processes a VCF.gz file (or another format subset by tabix): full download, one ranged
+ * download per region or, with ctx.vcfOutput "merged", one ranged download of all regions.
+ * @param   {string}        fileName - The VCF.gz file name.
+ * @param   {object}        fileDict - The file dictionary of the analysis.
+ * @param   {object}        ctx      - The download context (see createFileJobs).
+ * @returns {Promise<void>}
+ */
+async function processVcfFile(fileName, fileDict, ctx) {
+  const { agent, rl, logger, metrics, overwrite, regions } = ctx;
+  const { analysisId } = fileDict[fileName];
+  const { indexExtension } = findFileType(fileName);
+
+  const downloadLink = await getValidDownloadUrl(
+    fileDict,
+    fileName,
+    ctx.target,
+    ctx.token,
+    agent,
+    logger,
+  );
+
+  // VCF file processing - also refresh index URL if needed
+  const indexName = indexFileName(fileName);
+  const indexFileUrl = await getIndexUrl(fileDict, indexName, ctx);
+  const indexFilePath = outputPath(ctx, analysisId, indexName, []);
+
+  if (regions.length === 0) {
+    // Perform full download - index file is optional
+    const outputFile = outputPath(ctx, analysisId, fileName, regions);
+    try {
+      logger.info(`Performing full download for VCF file: ${fileName}`);
+      await fullDownload(
+        fileName,
+        fileDict,
+        downloadLink,
+        outputFile,
+        indexExtension.slice(1),
+        indexFileUrl,
+        indexFilePath,
+        ctx,
+      );
+
+      // Generate new index if needed
+      await runTask(
+        ctx,
+        { analysisId, command: 'tabix', outputPath: outputFile },
+        () => indexVCF(outputFile, logger, overwrite),
+      );
+    } catch (error) {
+      logger.error(
+        `Error during full download for ${fileName}: ${error.message}`,
+      );
+      throw error;
+    }
+    return;
+  }
+
+  // For ranged downloads, index file is required
+  if (!indexFileUrl) {
+    const message = `Index file for VCF (${fileName}) not found. Ranged download requires ${indexExtension} index. Skipping ranged download.`;
+    logger.error(message);
+    recordFailure(
+      ctx,
+      {
+        analysisId,
+        sourceFile: fileName,
+        outputPath: null,
+        mode: 'ranged',
+        regions,
+      },
+      message,
+    );
+    throw new Error(message);
+  }
+
+  // Ensure index file is downloaded for ranged access
+  await trackOutput(
+    ctx,
+    {
+      analysisId,
+      sourceFile: indexName,
+      outputPath: indexFilePath,
+      mode: 'full',
+    },
+    () =>
+      ensureIndexFile(
+        downloadLink,
+        indexFileUrl,
+        indexFilePath,
+        agent,
+        rl,
+        logger,
+        metrics,
+        overwrite,
+        { events: ctx.events, analysisId },
+      ),
+  );
+
+  // tabix finds the index under its remote name, also when the layout renames the copy
+  const tabixIndex = tabixIndexPath(
+    indexFilePath,
+    indexName,
+    path.join(path.dirname(ctx.tempBedPath), String(analysisId)),
+  );
+
+  const merged = ctx.vcfOutput === 'merged';
+  const mergedOutputFile = outputPath(ctx, analysisId, fileName, regions);
+  const fileRegions = await matchRegionsToContigs(
+    fileName,
+    downloadLink,
+    'vcf',
+    tabixIndex,
+    {
+      analysisId,
+      sourceFile: fileName,
+      outputPath: merged ? mergedOutputFile : null,
+      mode: 'ranged',
+      regions,
+    },
+    ctx,
+  );
+
+  if (merged) {
+    // All regions go into one VCF, named like the BAM of the same regions. tabix -R returns
+    // records in the order of the BED lines, so the regions are sorted and merged first.
+    const bedPath = regionsBedPath(
+      fileName,
+      analysisId,
+      normalizeRegions(fileRegions.filter(Boolean)),
+      ctx,
+    );
+    try {
+      logger.info(
+        `Performing ranged download for VCF file: ${fileName} with ${regions.length} regions into one file`,
+      );
+      await trackOutput(
+        ctx,
+        {
+          analysisId,
+          sourceFile: fileName,
+          outputPath: mergedOutputFile,
+          mode: 'ranged',
+          regions,
+        },
+        () =>
+          runTask(
+            ctx,
+            { analysisId, command: 'tabix', outputPath: mergedOutputFile },
+            () =>
+              rangedDownloadVCFRegions(
+                downloadLink,
+                bedPath,
+                mergedOutputFile,
+                tabixIndex,
+                logger,
+                metrics,
+                overwrite,
+              ),
+          ),
+      );
+      await runTask(
+        ctx,
+        { analysisId, command: 'tabix', outputPath: mergedOutputFile },
+        () => indexVCF(mergedOutputFile, logger, overwrite),
+      );
+    } catch (error) {
+      logger.error(
+        `Error during ranged download for ${fileName}: ${error.message}`,
+      );
+      throw error;
+    }
+    return;
+  }
+
+  // For tabix, we must process one region at a time.
+  const failedRegions = [];
+  for (const [index, region] of regions.entries()) {
+    if (fileRegions[index] === null) {
+      continue;
+    }
+    const regionSpecificOutputFile = outputPath(ctx, analysisId, fileName, [
+      region,
+    ]);
+
+    try {
+      logger.info(
+        `Performing ranged download for VCF file: ${fileName} with region: ${region}`,
+      );
+      await trackOutput(
+        ctx,
+        {
+          analysisId,
+          sourceFile: fileName,
+          outputPath: regionSpecificOutputFile,
+          mode: 'ranged',
+          regions: [region],
+        },
+        () =>
+          runTask(
+            ctx,
+            {
+              analysisId,
+              command: 'tabix',
+              outputPath: regionSpecificOutputFile,
+            },
+            () =>
+              rangedDownloadVCF(
+                downloadLink,
+                fileRegions[index],
+                regionSpecificOutputFile,
+                tabixIndex,
+                logger,
+                metrics,
+                overwrite,
+              ),
+          ),
+      );
+
+      // After successful download, index the newly created ranged file.
+      await runTask(
+        ctx,
+        { analysisId, command: 'tabix', outputPath: regionSpecificOutputFile },
+        () => indexVCF(regionSpecificOutputFile, logger, overwrite),
+      );
+    } catch (error) {
+      logger.error(
+        `Error during ranged download for ${fileName} on region ${region}: ${error.message}`,
+      );
+      failedRegions.push(region);
+    }
+  }
+
+  if (failedRegions.length > 0) {
+    throw new Error(
+      `Ranged download failed for ${failedRegions.length} of ${regions.length} regions of ${fileName}: ${failedRegions.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Downloads an artifact (report, QC, CNV or coverage file) as it is. Artifacts cannot be
+ * subset, so ranged and unmapped runs download them in full as well.
+ * @param   {string}        fileName - The file name.
+ * @param   {object}        fileDict - The file dictionary of the analysis.
+ * @param   {object}        ctx      - The download context (see createFileJobs).
+ * @returns {Promise<void>}
+ */
+async function processArtifactFile(fileName, fileDict, ctx) {
+  const { agent, rl, logger, metrics, overwrite } = ctx;
+  const { analysisId } = fileDict[fileName];
+
+  const downloadLink = await getValidDownloadUrl(
+    fileDict,
+    fileName,
+    ctx.target,
+    ctx.token,
+    agent,
+    logger,
+  );
+  const outputFile = outputPath(ctx, analysisId, fileName, []);
+  logger.info(`Downloading file: ${fileName}`);
+  await trackOutput(
+    ctx,
+    { analysisId, sourceFile: fileName, outputPath: outputFile, mode: 'full' },
+    () =>
+      downloadFile(
+        downloadLink,
+        outputFile,
+        overwrite,
+        agent,
+        rl,
+        logger,
+        metrics,
+        {
+          size: fileDict[fileName].size,
+          checksum: getApiChecksum(fileDict[fileName]),
+          events: ctx.events,
+          analysisId,
+          refreshUrl: () =>
+            getValidDownloadUrl(
+              fileDict,
+              fileName,
+              ctx.target,
+              ctx.token,
+              agent,
+              logger,
+              true,
+            ),
+        },
+      ),
+  );
+}
+
+/**
+ * Processes the files of each subset tool of the registry (see fileTypes).
+ * @type {Record<string, Function>}
+ */
+const SUBSET_PROCESSORS = {
+  samtools: processBamFile,
+  tabix: processVcfFile,
+};
+
+/**
+ * Creates one download job per primary data file (BAM, CRAM, VCF.GZ) of an analysis and
+ * one per artifact (reports, QC and other files). Index files are handled by the job of
+ * their primary file, and the subset tool of the format picks how the file is processed.
+ * @param   {string}   analysisId             - The analysis ID the files belong to.
+ * @param   {object}   fileDict               - The file dictionary returned by getDownloadLinks.
+ * @param   {object}   ctx                    - The download context.
+ * @param   {string}   ctx.target             - The Varvis API target.
+ * @param   {string}   ctx.token              - The CSRF token for authentication.
+ * @param   {object}   ctx.agent              - The HTTP agent instance.
+ * @param   {object}   ctx.rl                 - The readline interface instance.
+ * @param   {object}   ctx.logger             - The logger instance.
+ * @param   {object}   ctx.metrics            - The shared metrics object.
+ * @param   {string}   ctx.destination        - The destination folder.
+ * @param   {boolean}  ctx.overwrite          - Flag indicating whether to overwrite existing files.
+ * @param   {string[]} ctx.regions            - Genomic regions for ranged downloads (empty for full downloads).
+ * @param   {string}   [ctx.tempBedPath]      - Path to the temporary BED file with the regions.
+ * @param   {boolean}  [ctx.unmapped]         - Whether unmapped reads should be extracted from BAM and CRAM files.
+ * @param   {string}   [ctx.reference]        - Reference FASTA passed to samtools for CRAM files.
+ * @param   {boolean}  [ctx.convertToCram]    - Whether BAM files are written as CRAM (requires ctx.reference).
+ * @param   {string}   [ctx.vcfOutput]        - "merged" to write the regions of a VCF into one file, otherwise one file per region.
+ * @param   {string}   [ctx.layout]           - Layout of the output paths below the destination (see layoutUtils).
+ * @param   {object}   [ctx.analysisMetadata] - Map of analysis ID to sample metadata for the manifest and layout.
+ * @param   {object}   [ctx.events]           - Event emitter notified with a "file" event per recorded output and "task:start"/"task:end" around samtools and tabix steps.
+ * @returns {object[]}                        - Jobs with label, analysisId, fileName and run().
+ */
+function createFileJobs(analysisId, fileDict, ctx) {
+  const jobs = [];
+
+  // Filter for primary data files first (see fileTypes)
+  const primaryFiles = Object.keys(fileDict).filter(isPrimaryFile);
+
+  for (const fileName of primaryFiles) {
+    const fileType = findFileType(fileName);
+    const processFile = SUBSET_PROCESSORS[fileType.subsetTool];
+    if (ctx.unmapped && !SUBSET_TOOLS[fileType.subsetTool].unmapped) {
+      // Unmapped extraction only applies to alignments, skip variant files
+      ctx.logger.info(
+        `Skipping ${fileType.name} file ${fileName} - unmapped read extraction only applies to BAM and CRAM files.`,
+      );
+      ctx.metrics.skippedFiles?.push({
+        analysisId,
+        fileName,
+        reason: 'unmapped read extraction only applies to BAM and CRAM files',
+      });
+    } else {
+      jobs.push({
+        label: `${fileName} (analysis ${analysisId})`,
+        analysisId,
+        fileName,
+        run: () => processFile(fileName, fileDict, ctx),
+      });
+    }
+  }
+
+  for (const fileName of findArtifacts(Object.keys(fileDict))) {
+    jobs.push({
+      label: `${fileName} (analysis ${analysisId})`,
+      analysisId,
+      fileName,
+      run: () => processArtifactFile(fileName, fileDict, ctx),
+    });
+  }
+
+  return jobs;
+}
+
+module.exports = {
+  getValidDownloadUrl,
+  createFileJobs,
+};
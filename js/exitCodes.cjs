@@ -0,0 +1,64 @@
+/**
+ * Process exit codes of the CLI, so that wrappers (cron, CI) can tell
+ * a complete run from a partial failure or a setup problem.
+ * @module exitCodes
+ */
+
+/**
+ * Exit codes of varvis-download.
+ * @type {Readonly<Record<string, number>>}
+ */
+const EXIT_CODES = Object.freeze({
+  /** All requested files were downloaded or already present. */
+  SUCCESS: 0,
+  /** Invalid arguments, unexpected errors, or every file failed. */
+  GENERAL_ERROR: 1,
+  /** Some files were downloaded, others failed. */
+  PARTIAL_FAILURE: 2,
+  /** Login to Varvis failed. */
+  AUTH_FAILURE: 3,
+  /** No analyses or files matched the selection. */
+  NOTHING_FOUND: 4,
+  /** A required external tool (samtools, tabix, bgzip) is missing or outdated. */
+  TOOL_MISSING: 5,
+  /** The matched files are archived; their restoration was requested but nothing could be downloaded yet. */
+  RESTORE_PENDING: 6,
+});
+
+/**
+ * Determines the exit code of a download run from its metrics. Rejected jobs count
+ * as failures even if they failed before producing any output file. A run that only
+ * found archived files is not an empty selection: it is pending if a restoration was
+ * queued, failed if a restoration request failed, and successful if restoring was declined.
+ * @param   {object}   metrics      - The shared metrics object.
+ * @param   {object[]} [jobResults] - Results of the JobQueue.
+ * @returns {number}                - One of EXIT_CODES.
+ */
+function getRunExitCode(metrics, jobResults = []) {
+  const failed =
+    (metrics.totalFilesFailed || 0) > 0 ||
+    jobResults.some((result) => result.status === 'rejected');
+  const succeeded = metrics.totalFilesDownloaded + metrics.totalFilesSkipped;
+
+  if (failed) {
+    return succeeded > 0
+      ? EXIT_CODES.PARTIAL_FAILURE
+      : EXIT_CODES.GENERAL_ERROR;
+  }
+  if (succeeded === 0) {
+    const archived = metrics.archivedFiles || [];
+    if (archived.some((file) => file.restorationStatus === 'queued')) {
+      return EXIT_CODES.RESTORE_PENDING;
+    }
+    if (archived.some((file) => file.restorationStatus === 'failed')) {
+      return EXIT_CODES.GENERAL_ERROR;
+    }
+    return archived.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.NOTHING_FOUND;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  EXIT_CODES,
+  getRunExitCode,
+};
@@ -1,15 +1,59 @@
 const fs = require('node:fs');
-const { applyFilters, deduplicateByLatest } = require('./filterUtils.cjs');
+const {
+  applyFilters,
+  applyDateRange,
+  deduplicateByLatest,
+} = require('./filterUtils.cjs');
 const { triggerRestoreArchivedFile } = require('./archiveUtils.cjs');
 const { fetchWithRetry } = require('./apiClient.cjs');
+const { findFileType } = require('./fileTypes.cjs');
+const {
+  buildReportData,
+  formatTextReport,
+  formatReport,
+} = require('./reportUtils.cjs');
 
-const metrics = {
-  startTime: Date.now(),
-  totalFilesDownloaded: 0,
-  totalFilesSkipped: 0,
-  totalBytesDownloaded: 0,
-  downloadSpeeds: [],
-};
+/**
+ * Creates an empty metrics object for tracking the statistics of a download run.
+ * @returns {object} - The metrics object.
+ */
+function createMetrics() {
+  return {
+    startTime: Date.now(),
+    totalFilesDownloaded: 0,
+    totalFilesSkipped: 0,
+    totalFilesFailed: 0,
+    totalBytesDownloaded: 0,
+    downloadSpeeds: [],
+    fileResults: [],
+    archivedFiles: [],
+    skippedFiles: [],
+  };
+}
+
+/**
+ * Combines the metrics of several download runs into one, e.g. for a single report.
+ * @param   {object[]} metricsList - The metrics objects (see createMetrics).
+ * @returns {object}               - The combined metrics, starting with the earliest run.
+ */
+function mergeMetrics(metricsList) {
+  const merged = createMetrics();
+  for (const runMetrics of metricsList) {
+    for (const [key, value] of Object.entries(runMetrics)) {
+      if (key === 'startTime') {
+        merged.startTime = Math.min(merged.startTime, value);
+      } else if (Array.isArray(value)) {
+        merged[key] = [...(merged[key] || []), ...value];
+      } else if (typeof value === 'number') {
+        merged[key] = (merged[key] || 0) + value;
+      }
+    }
+  }
+  return merged;
+}
+
+// Metrics of the current process, used when no run-specific metrics are passed.
+const metrics = createMetrics();
 
 // Global variable to store the decision for "all" option.
 let allDecisionForArchived;
@@ -33,18 +77,44 @@ async function confirmRestore(file, rl, _logger) {
 }
 
 /**
- * Fetches analysis IDs based on sample IDs or LIMS IDs.
- * @param   {string}            target    - The target for the Varvis API.
- * @param   {string}            token     - The CSRF token for authentication.
- * @param   {object}            agent     - The HTTP agent instance.
- * @param   {Array<string>}     sampleIds - The sample IDs to filter analyses.
- * @param   {Array<string>}     limsIds   - The LIMS IDs to filter analyses.
- * @param   {Array<string>}     filters   - An array of custom filters to apply.
- * @param   {object}            logger    - The logger instance.
- * @param   {boolean}           latest    - If true, keep only the newest analysis per personLimsId.
- * @returns {Promise<string[]>}           - An array of analysis IDs.
+ * Fetches the listing of all analyses from /api/analyses.
+ * @param   {string}            target - The target for the Varvis API.
+ * @param   {string}            token  - The CSRF token for authentication.
+ * @param   {object}            agent  - The HTTP agent instance.
+ * @param   {object}            logger - The logger instance.
+ * @returns {Promise<object[]>}        - The analyses as returned by the API.
  */
-async function fetchAnalysisIds(
+async function fetchAnalysisList(target, token, agent, logger) {
+  const response = await fetchWithRetry(
+    `https://${target}.varvis.com/api/analyses`,
+    {
+      method: 'GET',
+      headers: { 'x-csrf-token': token },
+      dispatcher: agent,
+    },
+    3,
+    logger,
+  );
+
+  /** @type {any} */
+  const data = await response.json();
+  return data.response;
+}
+
+/**
+ * Fetches the analysis listing and applies the sample, LIMS ID, filter, date range and latest selection.
+ * @param   {string}            target      - The target for the Varvis API.
+ * @param   {string}            token       - The CSRF token for authentication.
+ * @param   {object}            agent       - The HTTP agent instance.
+ * @param   {Array<string>}     sampleIds   - The sample IDs to filter analyses.
+ * @param   {Array<string>}     limsIds     - The LIMS IDs to filter analyses.
+ * @param   {Array<string>}     filters     - An array of custom filters to apply.
+ * @param   {object}            logger      - The logger instance.
+ * @param   {boolean}           latest      - If true, keep only the newest analysis per personLimsId.
+ * @param   {object}            [dateRange] - Date range selection: since, until and field (see applyDateRange).
+ * @returns {Promise<object[]>}             - The matching analyses as returned by the API.
+ */
+async function queryAnalyses(
   target,
   token,
   agent,
@@ -52,52 +122,130 @@ async function fetchAnalysisIds(
   limsIds,
   filters,
   logger,
-  latest = false,
+  latest,
+  dateRange = {},
 ) {
-  try {
-    logger.debug('Fetching all analysis IDs');
-    const response = await fetchWithRetry(
-      `https://${target}.varvis.com/api/analyses`,
-      {
-        method: 'GET',
-        headers: { 'x-csrf-token': token },
-        dispatcher: agent,
-      },
-      3,
-      logger,
+  logger.debug('Fetching all analysis IDs');
+  const analyses = await fetchAnalysisList(target, token, agent, logger);
+
+  // Filter out analyses of type "CNV"
+  let filteredAnalyses = analyses.filter(
+    (analysis) => analysis.analysisType !== 'CNV',
+  );
+
+  if (sampleIds.length > 0) {
+    logger.debug(`Filtering analyses by sampleIds: ${sampleIds.join(', ')}`);
+    filteredAnalyses = filteredAnalyses.filter((analysis) =>
+      sampleIds.includes(analysis.sampleId),
     );
+  }
 
-    /** @type {any} */
-    let analyses = await response.json();
-    analyses = analyses.response;
+  if (limsIds.length > 0) {
+    logger.debug(`Filtering analyses by limsIds: ${limsIds.join(', ')}`);
+    filteredAnalyses = filteredAnalyses.filter((analysis) =>
+      limsIds.includes(analysis.personLimsId),
+    );
+  }
+
+  if (filters.length > 0) {
+    logger.debug(`Applying custom filters: ${filters.join(', ')}`);
+    filteredAnalyses = applyFilters(filteredAnalyses, filters);
+  }
 
-    // Filter out analyses of type "CNV"
-    let filteredAnalyses = analyses.filter(
-      (analysis) => analysis.analysisType !== 'CNV',
+  if (dateRange.since || dateRange.until) {
+    logger.debug(
+      `Selecting analyses by ${dateRange.field || 'runDate'} from ${dateRange.since || 'the beginning'} until ${dateRange.until || 'now'}`,
     );
+    filteredAnalyses = applyDateRange(filteredAnalyses, dateRange);
+  }
 
-    if (sampleIds.length > 0) {
-      logger.debug(`Filtering analyses by sampleIds: ${sampleIds.join(', ')}`);
-      filteredAnalyses = filteredAnalyses.filter((analysis) =>
-        sampleIds.includes(analysis.sampleId),
-      );
-    }
+  if (latest) {
+    filteredAnalyses = deduplicateByLatest(filteredAnalyses, logger);
+  }
 
-    if (limsIds.length > 0) {
-      logger.debug(`Filtering analyses by limsIds: ${limsIds.join(', ')}`);
-      filteredAnalyses = filteredAnalyses.filter((analysis) =>
-        limsIds.includes(analysis.personLimsId),
-      );
-    }
+  return filteredAnalyses;
+}
 
-    if (filters.length > 0) {
-      logger.debug(`Applying custom filters: ${filters.join(', ')}`);
-      filteredAnalyses = applyFilters(filteredAnalyses, filters);
-    }
+/**
+ * Fetches the analyses matching sample IDs, LIMS IDs and filters, with all their metadata.
+ * @param   {string}            target      - The target for the Varvis API.
+ * @param   {string}            token       - The CSRF token for authentication.
+ * @param   {object}            agent       - The HTTP agent instance.
+ * @param   {Array<string>}     sampleIds   - The sample IDs to filter analyses.
+ * @param   {Array<string>}     limsIds     - The LIMS IDs to filter analyses.
+ * @param   {Array<string>}     filters     - An array of custom filters to apply.
+ * @param   {object}            logger      - The logger instance.
+ * @param   {boolean}           latest      - If true, keep only the newest analysis per personLimsId.
+ * @param   {object}            [dateRange] - Date range selection: since, until and field (see applyDateRange).
+ * @returns {Promise<object[]>}             - The matching analyses as returned by the API.
+ */
+async function fetchAnalyses(
+  target,
+  token,
+  agent,
+  sampleIds,
+  limsIds,
+  filters,
+  logger,
+  latest = false,
+  dateRange = {},
+) {
+  try {
+    const analyses = await queryAnalyses(
+      target,
+      token,
+      agent,
+      sampleIds,
+      limsIds,
+      filters,
+      logger,
+      latest,
+      dateRange,
+    );
+    logger.info(`Found ${analyses.length} analyses after filtering.`);
+    return analyses;
+  } catch (error) {
+    logger.error('Error fetching analyses:', error);
+    throw error;
+  }
+}
 
-    if (latest) {
-      filteredAnalyses = deduplicateByLatest(filteredAnalyses, logger);
-    }
+/**
+ * Fetches analysis IDs based on sample IDs or LIMS IDs.
+ * @param   {string}            target      - The target for the Varvis API.
+ * @param   {string}            token       - The CSRF token for authentication.
+ * @param   {object}            agent       - The HTTP agent instance.
+ * @param   {Array<string>}     sampleIds   - The sample IDs to filter analyses.
+ * @param   {Array<string>}     limsIds     - The LIMS IDs to filter analyses.
+ * @param   {Array<string>}     filters     - An array of custom filters to apply.
+ * @param   {object}            logger      - The logger instance.
+ * @param   {boolean}           latest      - If true, keep only the newest analysis per personLimsId.
+ * @param   {object}            [dateRange] - Date range selection: since, until and field (see applyDateRange).
+ * @returns {Promise<string[]>}             - An array of analysis IDs.
+ */
+async function fetchAnalysisIds(
+  target,
+  token,
+  agent,
+  sampleIds,
+  limsIds,
+  filters,
+  logger,
+  latest = false,
+  dateRange = {},
+) {
+  try {
+    const filteredAnalyses = await queryAnalyses(
+      target,
+      token,
+      agent,
+      sampleIds,
+      limsIds,
+      filters,
+      logger,
+      latest,
+      dateRange,
+    );
 
     const ids = filteredAnalyses.map((analysis) => analysis.id.toString());
 
@@ -115,6 +263,57 @@ async function fetchAnalysisIds(
   }
 }
 
+/**
+ * Fetches sample metadata (sampleId, personLimsId, analysisType) for the given analyses.
+ * Used to attach provenance to the download manifest and to fill output layouts. For the
+ * manifest metadata is best-effort, so a failed request is logged and an empty lookup is
+ * returned; a layout that places files by it cannot do without, so there it throws.
+ * @param   {Array<string>}   analysisIds      - The analysis IDs to look up.
+ * @param   {string}          target           - The target for the Varvis API.
+ * @param   {string}          token            - The CSRF token for authentication.
+ * @param   {object}          agent            - The HTTP agent instance.
+ * @param   {object}          logger           - The logger instance.
+ * @param   {boolean}         [required=false] - Whether a failed request throws (for layouts, see layoutNeedsMetadata).
+ * @returns {Promise<object>}                  - Map of analysis ID to its metadata.
+ */
+async function fetchAnalysisMetadata(
+  analysisIds,
+  target,
+  token,
+  agent,
+  logger,
+  required = false,
+) {
+  try {
+    logger.debug('Fetching analysis metadata');
+    const analyses = await fetchAnalysisList(target, token, agent, logger);
+    const wanted = new Set(analysisIds.map(String));
+    const metadata = {};
+    for (const analysis of analyses) {
+      const id = analysis.id.toString();
+      if (wanted.has(id)) {
+        metadata[id] = {
+          sampleId: analysis.sampleId ?? null,
+          personLimsId: analysis.personLimsId ?? null,
+          analysisType: analysis.analysisType ?? null,
+        };
+      }
+    }
+    return metadata;
+  } catch (error) {
+    if (required) {
+      logger.error(
+        `Could not fetch the analysis metadata --layout places files by: ${error.message}`,
+      );
+      throw error;
+    }
+    logger.warn(
+      `Could not fetch analysis metadata, manifest will lack sample IDs: ${error.message}`,
+    );
+    return {};
+  }
+}
+
 /**
  * Fetches the download links for specified file types from the Varvis API for a given analysis ID.
  * @param   {string}          analysisId              - The analysis ID to get download links for.
@@ -132,6 +331,7 @@ async function fetchAnalysisIds(
  * @param   {object}          [rl]                    - The readline interface instance for prompting.
  * @param   {string}          [restorationFile]       - Path to the restoration file.
  * @param   {object}          [options]               - Options object for restoration context.
+ * @param   {object}          [runMetrics]            - Metrics receiving the archived files (default: the shared metrics).
  * @returns {Promise<object>}                         - An object containing the download links for the specified file types.
  */
 async function getDownloadLinks(
@@ -145,6 +345,7 @@ async function getDownloadLinks(
   rl,
   restorationFile,
   options,
+  runMetrics = metrics,
 ) {
   try {
     logger.debug(`Fetching download links for analysis ID: ${analysisId}`);
@@ -164,8 +365,8 @@ async function getDownloadLinks(
 
     const fileDict = {};
     for (const file of apiFileLinks) {
-      // If the file is a BAM and is archived, handle restoration logic.
-      if (file.fileName.endsWith('.bam') && file.currentlyArchived) {
+      // If the file is archived and its format is restorable (BAM, CRAM), handle restoration logic.
+      if (findFileType(file.fileName)?.restorable && file.currentlyArchived) {
         logger.warn(
           `File ${file.fileName} for analysis ${analysisId} is archived.`,
         );
@@ -213,8 +414,10 @@ async function getDownloadLinks(
           );
         }
 
+        let restorationStatus = 'not-requested';
+        let restoreEstimation = null;
         if (shouldRestore) {
-          await triggerRestoreArchivedFile(
+          const queued = await triggerRestoreArchivedFile(
             analysisId,
             file,
             target,
@@ -224,7 +427,15 @@ async function getDownloadLinks(
             restorationFile,
             options,
           );
+          restorationStatus = queued ? 'queued' : 'failed';
+          restoreEstimation = queued?.restoreEstimation ?? null;
         }
+        runMetrics.archivedFiles.push({
+          analysisId,
+          fileName: file.fileName,
+          restorationStatus,
+          restoreEstimation,
+        });
         // In all cases, skip adding this archived file to the download list.
         continue;
       }
@@ -318,34 +529,24 @@ async function listAvailableFiles(analysisId, target, token, agent, logger) {
 
 /**
  * Generates a summary report of the download process.
- * @param {string} reportfile - The path to the report file.
- * @param {object} logger     - The logger instance.
+ * The text summary is always logged; the report file is written in the requested format.
+ * @param {string}   reportfile           - The path to the report file.
+ * @param {object}   logger               - The logger instance.
+ * @param {object}   [options]            - Report options.
+ * @param {string}   [options.format]     - Report file format: "text" (default), "json" or "html".
+ * @param {object}   [options.config]     - The effective configuration of the run (without secrets).
+ * @param {object[]} [options.jobResults] - Results of the JobQueue.
+ * @param {object}   [options.meta]       - Run metadata such as tool name and version.
+ * @param {object}   [options.metrics]    - Metrics of the run (default: the shared metrics).
  */
-function generateReport(reportfile, logger) {
-  const totalTime = (Date.now() - metrics.startTime) / 1000; // in seconds
-  const averageSpeed =
-    metrics.downloadSpeeds.length > 0
-      ? metrics.downloadSpeeds.reduce((a, b) => a + b, 0) /
-        metrics.downloadSpeeds.length
-      : 0;
-
-  const totalFilesProcessed =
-    metrics.totalFilesDownloaded + metrics.totalFilesSkipped;
-  const report = `
-    Download Summary Report:
-    ------------------------
-    Total Files Processed: ${totalFilesProcessed}
-    Files Downloaded: ${metrics.totalFilesDownloaded}
-    Files Skipped (already exist): ${metrics.totalFilesSkipped}
-    Total Bytes Downloaded: ${metrics.totalBytesDownloaded}
-    Average Download Speed: ${averageSpeed.toFixed(2)} bytes/sec
-    Total Time Taken: ${totalTime.toFixed(2)} seconds
-  `;
+function generateReport(reportfile, logger, options = {}) {
+  const data = buildReportData(options.metrics || metrics, options);
+  const report = formatTextReport(data);
 
   logger.info(report);
 
   if (reportfile) {
-    fs.writeFileSync(reportfile, report);
+    fs.writeFileSync(reportfile, formatReport(data, options.format || 'text'));
     logger.info(`Report written to ${reportfile}`);
   }
 }
@@ -406,7 +607,11 @@ async function refreshDownloadUrls(analysisId, target, token, agent, logger) {
 }
 
 module.exports = {
+  createMetrics,
+  mergeMetrics,
+  fetchAnalyses,
   fetchAnalysisIds,
+  fetchAnalysisMetadata,
   getDownloadLinks,
   refreshDownloadUrls,
   listAvailableFiles,
@@ -0,0 +1,216 @@
+/**
+ * Registry of the genomic file formats: their extension, index, how they are subset and
+ * how they are indexed. The download, plan, sync and restore code looks formats up here,
+ * so supporting another format subset by samtools or tabix means adding an entry rather
+ * than another branch; only a new subset tool needs its own download job. Other
+ * files of an analysis (reports, QC, CNV calls, coverage tracks) are artifacts, downloaded
+ * as they are and grouped by name.
+ * @module fileTypes
+ */
+
+/**
+ * A file format.
+ * @typedef  {object}   FileType
+ * @property {string}   name           - Name used in messages, e.g. "BAM".
+ * @property {string}   extension      - Extension of the data file, e.g. ".bam".
+ * @property {string}   indexExtension - Extension the index adds to the data file name, e.g. ".bai".
+ * @property {string}   category       - "alignment" (reads) or "variants".
+ * @property {string}   subsetTool     - Tool that extracts regions from the remote file (see SUBSET_TOOLS).
+ * @property {string[]} indexCommand   - Command and options that index a local file; the file is appended.
+ * @property {boolean}  restorable     - Whether archived files are restored through the API.
+ */
+
+/**
+ * What a subset tool extracts from a remote file.
+ * @typedef  {object}  SubsetTool
+ * @property {boolean} unmapped      - Whether it extracts unmapped reads (--unmapped).
+ * @property {boolean} mergesRegions - Whether all regions go into one file; otherwise one file per region unless --vcf-output is "merged".
+ */
+
+/**
+ * The subset tools of the formats, by name.
+ * @type {Record<string, SubsetTool>}
+ */
+const SUBSET_TOOLS = {
+  samtools: { unmapped: true, mergesRegions: true },
+  tabix: { unmapped: false, mergesRegions: false },
+};
+
+/**
+ * The known formats. Formats with a longer extension come first (".g.vcf.gz" before
+ * ".vcf.gz"), as the first matching entry wins.
+ * @type {FileType[]}
+ */
+const FILE_TYPES = [
+  {
+    name: 'BAM',
+    extension: '.bam',
+    indexExtension: '.bai',
+    category: 'alignment',
+    subsetTool: 'samtools',
+    indexCommand: ['samtools', 'index'],
+    restorable: true,
+  },
+  {
+    name: 'CRAM',
+    extension: '.cram',
+    indexExtension: '.crai',
+    category: 'alignment',
+    subsetTool: 'samtools',
+    indexCommand: ['samtools', 'index'],
+    restorable: true,
+  },
+  {
+    name: 'gVCF',
+    extension: '.g.vcf.gz',
+    indexExtension: '.tbi',
+    category: 'variants',
+    subsetTool: 'tabix',
+    indexCommand: ['tabix', '-p', 'vcf'],
+    restorable: false,
+  },
+  {
+    name: 'VCF',
+    extension: '.vcf.gz',
+    indexExtension: '.tbi',
+    category: 'variants',
+    subsetTool: 'tabix',
+    indexCommand: ['tabix', '-p', 'vcf'],
+    restorable: false,
+  },
+];
+
+/**
+ * Groups of artifacts, matched in order against the file name; unmatched files are "other".
+ * @type {{ group: string, pattern: RegExp }[]}
+ */
+const ARTIFACT_GROUPS = [
+  { group: 'report', pattern: /\.(pdf|html?|docx?|xlsx?)$/i },
+  { group: 'cnv', pattern: /cnv|\.seg$|\.cn[rs]$/i },
+  { group: 'coverage', pattern: /coverage|\.bw$|\.bigwig$|\.bedgraph/i },
+  { group: 'qc', pattern: /qc|metrics|stats|\.json$/i },
+];
+
+/**
+ * Order in which file groups are reported.
+ * @type {string[]}
+ */
+const FILE_GROUPS = [
+  'alignment',
+  'variants',
+  'index',
+  ...ARTIFACT_GROUPS.map(({ group }) => group),
+  'other',
+];
+
+/**
+ * Finds the format of a data file by its extension.
+ * @param   {string}        fileName - The file name.
+ * @returns {FileType|null}          - The format, or null for index and unknown files.
+ */
+function findFileType(fileName) {
+  return FILE_TYPES.find((type) => fileName.endsWith(type.extension)) ?? null;
+}
+
+/**
+ * Tells whether a file is a data file of a known format (not an index).
+ * @param   {string}  fileName - The file name.
+ * @returns {boolean}          - True for BAM, CRAM, VCF and other registered files.
+ */
+function isPrimaryFile(fileName) {
+  return findFileType(fileName) !== null;
+}
+
+/**
+ * Names the index of a data file ("x.bam" -> "x.bam.bai", "x.vcf.gz" -> "x.vcf.gz.tbi").
+ * @param   {string}      fileName - The data file name.
+ * @returns {string|null}          - The index file name, or null for unknown formats.
+ */
+function indexFileName(fileName) {
+  const type = findFileType(fileName);
+  return type ? `${fileName}${type.indexExtension}` : null;
+}
+
+/**
+ * Names the data file of an index ("x.bam.bai" -> "x.bam").
+ * @param   {string}      fileName - The file name.
+ * @returns {string|null}          - The data file name, or null if the file is no index.
+ */
+function indexedFileName(fileName) {
+  const type = FILE_TYPES.find((type) =>
+    fileName.endsWith(`${type.extension}${type.indexExtension}`),
+  );
+  return type ? fileName.slice(0, -type.indexExtension.length) : null;
+}
+
+/**
+ * Tells whether a file is the index of a registered format ("x.bam.bai").
+ * @param   {string}  fileName - The file name.
+ * @returns {boolean}          - True for index files.
+ */
+function isIndexFile(fileName) {
+  return indexedFileName(fileName) !== null;
+}
+
+/**
+ * Picks the artifacts among the files of an analysis: files that are neither data files
+ * of a registered format nor the index of one of them. An index requested without its
+ * data file is an artifact, downloaded as it is.
+ * @param   {string[]} fileNames - The file names.
+ * @returns {string[]}           - The artifacts, in the given order.
+ */
+function findArtifacts(fileNames) {
+  const indexes = new Set(
+    fileNames.filter(isPrimaryFile).map((fileName) => indexFileName(fileName)),
+  );
+  return fileNames.filter(
+    (fileName) => !isPrimaryFile(fileName) && !indexes.has(fileName),
+  );
+}
+
+/**
+ * Names the group of a file for reports: the category of its format ("alignment",
+ * "variants"), "index", or the artifact group ("report", "cnv", "coverage", "qc", "other").
+ * @param   {string} fileName - The file name.
+ * @returns {string}          - The group.
+ */
+function fileGroup(fileName) {
+  const type = findFileType(fileName);
+  if (type) {
+    return type.category;
+  }
+  if (isIndexFile(fileName)) {
+    return 'index';
+  }
+  return (
+    ARTIFACT_GROUPS.find(({ pattern }) => pattern.test(fileName))?.group ??
+    'other'
+  );
+}
+
+/**
+ * Finds the compound extension of a data or index file (".vcf.gz", ".bam.bai").
+ * @param   {string}      fileName - The file name.
+ * @returns {string|null}          - The extension, or null for unknown formats.
+ */
+function compoundExtension(fileName) {
+  const extensions = FILE_TYPES.flatMap((type) => [
+    `${type.extension}${type.indexExtension}`,
+    type.extension,
+  ]);
+  return extensions.find((extension) => fileName.endsWith(extension)) ?? null;
+}
+
+module.exports = {
+  FILE_TYPES,
+  SUBSET_TOOLS,
+  FILE_GROUPS,
+  findFileType,
+  isPrimaryFile,
+  isIndexFile,
+  indexFileName,
+  indexedFileName,
+  findArtifacts,
+  fileGroup,
+  compoundExtension,
+};
@@ -1,7 +1,18 @@
 const fs = require('node:fs');
+const path = require('node:path');
 const { finished } = require('node:stream/promises');
-const ProgressBar = require('progress');
 const { fetchWithRetry } = require('./apiClient.cjs');
+const {
+  getHeaderChecksum,
+  createHashes,
+  updateHashes,
+  digestHashes,
+  feedFileToHashes,
+  hashFile,
+  checksumMatches,
+  isAdvisoryChecksum,
+} = require('./checksumUtils.cjs');
+const { PROGRESS_EVENTS } = require('./progressRenderers.cjs');
 
 /**
  * Prompts the user to confirm file overwrite if the file already exists.
@@ -19,103 +30,407 @@ async function confirmOverwrite(file, rl, _logger) {
 }
 
 /**
- * Downloads a file from the given URL to the specified output path with progress reporting.
- * @param   {string}        url        - The URL of the file to download.
- * @param   {string}        outputPath - The path where the file should be saved.
- * @param   {boolean}       overwrite  - Flag indicating whether to overwrite existing files.
- * @param   {object}        agent      - The HTTP agent instance.
- * @param   {object}        rl         - The readline interface instance.
- * @param   {object}        logger     - The logger instance.
- * @param   {object}        metrics    - The metrics object for tracking download stats.
- * @returns {Promise<void>}
+ * Default number of attempts for a single file download, including resumptions.
+ * @type {number}
  */
-async function downloadFile(
+const DEFAULT_DOWNLOAD_ATTEMPTS = 3;
+
+/**
+ * Minimum milliseconds between two progress events of the same download.
+ * @type {number}
+ */
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Creates the progress reporter of a download, which emits progress events
+ * (see progressRenderers) on options.events. Without an emitter it does nothing.
+ * @param   {string} outputPath           - The final output path.
+ * @param   {object} options              - The downloadFile options.
+ * @param   {object} [options.events]     - Event emitter receiving the progress events.
+ * @param   {string} [options.analysisId] - The analysis the file belongs to.
+ * @param   {string} [options.file]       - The file name shown to the user (default: output file name).
+ * @returns {object}                      - Reporter with start, update and end functions.
+ */
+function createProgressReporter(outputPath, options) {
+  const events = options.events;
+  const base = {
+    analysisId: options.analysisId ?? null,
+    file: options.file ?? path.basename(outputPath),
+    outputPath,
+  };
+  let total = null;
+  let startBytes = 0;
+  let startTime = 0;
+  let lastEmit = 0;
+
+  return {
+    start(bytes, totalSize) {
+      total = totalSize ?? null;
+      startBytes = bytes;
+      startTime = Date.now();
+      lastEmit = 0;
+      events?.emit(PROGRESS_EVENTS.start, { ...base, bytes, total });
+    },
+    update(bytes) {
+      const now = Date.now();
+      if (
+        !events ||
+        (now - lastEmit < PROGRESS_INTERVAL_MS && bytes !== total)
+      ) {
+        return;
+      }
+      lastEmit = now;
+      const elapsed = (now - startTime) / 1000;
+      const rate = elapsed > 0 ? (bytes - startBytes) / elapsed : 0;
+      events.emit(PROGRESS_EVENTS.progress, {
+        ...base,
+        bytes,
+        total,
+        rate,
+        eta: total && rate > 0 ? (total - bytes) / rate : null,
+      });
+    },
+    end(status, bytes, error) {
+      events?.emit(PROGRESS_EVENTS.end, {
+        ...base,
+        status,
+        bytes,
+        total,
+        error: error ? error.message : null,
+      });
+    },
+  };
+}
+
+/**
+ * Returns the path of the partial file used while a download is in progress.
+ * @param   {string} outputPath - The final output path.
+ * @returns {string}            - The path of the `.part` file.
+ */
+function getPartialPath(outputPath) {
+  return `${outputPath}.part`;
+}
+
+/**
+ * Returns the size of an existing partial download, or 0 if there is none.
+ * @param   {string} partPath - The path of the `.part` file.
+ * @returns {number}          - Size of the partial file in bytes.
+ */
+function getPartialSize(partPath) {
+  try {
+    return fs.statSync(partPath).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Extracts the complete resource size from a Content-Range header value
+ * (e.g. "bytes 100-999/1000").
+ * @param   {string|null} contentRange - The Content-Range header value.
+ * @returns {number|null}              - The total size in bytes, or null if unknown.
+ */
+function parseContentRangeTotal(contentRange) {
+  const match = /^bytes\s+\d+-\d+\/(\d+)$/.exec(contentRange || '');
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Performs a single transfer attempt into the partial file, continuing from the
+ * current size of the partial file with an HTTP Range request when possible.
+ * The file content is hashed while it streams; when resuming, the existing
+ * partial data is hashed first so the digest always covers the whole file.
+ * @param   {string}          url         - The URL of the file to download.
+ * @param   {string}          partPath    - The path of the `.part` file.
+ * @param   {number|null}     expected    - The expected total size, if known.
+ * @param   {object|null}     apiChecksum - The checksum reported by the API, if any.
+ * @param   {object}          agent       - The HTTP agent instance.
+ * @param   {object}          logger      - The logger instance.
+ * @param   {object}          progress    - The progress reporter of the download.
+ * @returns {Promise<object>}             - Bytes received in this attempt, the total size,
+ *                                        the computed checksums and the checksum reported by S3.
+ */
+async function transferToPartial(
   url,
-  outputPath,
-  overwrite,
+  partPath,
+  expected,
+  apiChecksum,
   agent,
-  rl,
   logger,
-  metrics,
+  progress,
 ) {
-  logger.debug(`Starting download for: ${url}`);
-  if (fs.existsSync(outputPath) && !overwrite) {
-    logger.info(`File already exists, skipping: ${outputPath}`);
-    metrics.totalFilesSkipped += 1;
-    return;
+  let offset = getPartialSize(partPath);
+
+  if (offset > 0 && expected !== null && offset === expected) {
+    logger.info(`Partial download ${partPath} is already complete.`);
+    progress.start(offset, expected);
+    const checksums = await hashFile(partPath, [
+      'md5',
+      ...(apiChecksum ? [apiChecksum.algorithm] : []),
+    ]);
+    return {
+      receivedBytes: 0,
+      totalSize: expected,
+      checksums,
+      remoteChecksum: null,
+    };
+  }
+  if (offset > 0 && expected !== null && offset > expected) {
+    logger.warn(
+      `Partial download ${partPath} is larger than the remote file. Starting over.`,
+    );
+    fs.unlinkSync(partPath);
+    offset = 0;
   }
 
-  let writer;
-  let response;
+  /** @type {any} */
+  const requestOptions = { method: 'GET', dispatcher: agent };
+  if (offset > 0) {
+    logger.info(`Resuming download of ${partPath} from byte ${offset}`);
+    requestOptions.headers = { Range: `bytes=${offset}-` };
+  }
 
+  let response;
   try {
-    // Create writer and fetch inside try block to ensure cleanup on any failure
-    writer = fs.createWriteStream(outputPath);
-    response = await fetchWithRetry(
-      url,
-      { method: 'GET', dispatcher: agent },
-      3,
-      logger,
-    );
+    response = await fetchWithRetry(url, requestOptions, 3, logger);
+  } catch (error) {
+    if (offset > 0 && /status: 416/.test(error.message)) {
+      // The requested range is not satisfiable: the partial file does not match the remote file.
+      logger.warn(
+        `Server rejected resume of ${partPath} (416). Discarding partial data.`,
+      );
+      fs.unlinkSync(partPath);
+    }
+    throw error;
+  }
 
-    const startTime = Date.now();
-    let totalBytes = 0;
-
-    // Get the total size of the file for progress reporting
-    const totalSize = parseInt(response.headers.get('content-length'), 10);
-    const progressBar = new ProgressBar(
-      '  downloading [:bar] :rate/bps :percent :etas',
-      {
-        complete: '=',
-        incomplete: ' ',
-        width: 20,
-        total: totalSize,
-      },
+  let totalSize;
+  if (offset > 0 && response.status === 206) {
+    totalSize =
+      parseContentRangeTotal(response.headers.get('content-range')) ?? expected;
+  } else {
+    if (offset > 0) {
+      logger.info(
+        `Server does not support resuming ${partPath}. Restarting from byte 0.`,
+      );
+    }
+    offset = 0;
+    const contentLength = Number.parseInt(
+      response.headers.get('content-length'),
+      10,
     );
+    totalSize = Number.isNaN(contentLength) ? expected : contentLength;
+  }
+
+  // MD5 is always computed; SHA-256 only when a SHA-256 checksum is available to compare
+  const remoteChecksum = getHeaderChecksum(response.headers);
+  const hashes = createHashes(
+    [apiChecksum, remoteChecksum]
+      .filter(Boolean)
+      .reduce(
+        (algorithms, checksum) => [...algorithms, checksum.algorithm],
+        ['md5'],
+      ),
+  );
+  if (offset > 0) {
+    await feedFileToHashes(partPath, hashes);
+  }
+
+  const writer = fs.createWriteStream(partPath, {
+    flags: offset > 0 ? 'a' : 'w',
+  });
+
+  let receivedBytes = 0;
+  try {
+    progress.start(offset, totalSize);
 
     for await (const chunk of response.body) {
-      totalBytes += chunk.length;
+      receivedBytes += chunk.length;
+      updateHashes(hashes, chunk);
       writer.write(chunk);
-      progressBar.tick(chunk.length);
+      progress.update(offset + receivedBytes);
     }
     writer.end();
 
-    const endTime = Date.now();
-    const duration = (endTime - startTime) / 1000; // in seconds
-    const speed = totalBytes / duration; // bytes per second
-
     // Use stream/promises finished() for deterministic cleanup
     await finished(writer);
-
-    logger.info(`Successfully downloaded ${outputPath}`);
-    metrics.totalFilesDownloaded += 1;
-    metrics.totalBytesDownloaded += totalBytes;
-    metrics.downloadSpeeds.push(speed);
   } catch (error) {
-    logger.error(`Download interrupted for ${outputPath}: ${error.message}`);
-    // Properly close the write stream before cleanup using finished()
-    if (writer && !writer.destroyed) {
-      writer.destroy();
+    // Flush and close the write stream so the partial data is kept for resumption
+    if (!writer.destroyed) {
+      writer.end();
       try {
         await finished(writer);
       } catch {
         // Ignore errors during cleanup - stream may already be closed
       }
     }
+    error.receivedBytes = receivedBytes;
+    throw error;
+  }
+
+  const writtenSize = getPartialSize(partPath);
+  if (totalSize && writtenSize < totalSize) {
+    /** @type {any} */
+    const error = new Error(
+      `Incomplete download: received ${writtenSize} of ${totalSize} bytes`,
+    );
+    error.receivedBytes = receivedBytes;
+    throw error;
+  }
+
+  return {
+    receivedBytes,
+    totalSize,
+    checksums: digestHashes(hashes),
+    remoteChecksum,
+  };
+}
+
+/**
+ * Downloads a file from the given URL to the specified output path with progress reporting.
+ * Data is written to `<outputPath>.part` and only renamed to the final name once the
+ * full content length has arrived. Interrupted transfers are resumed with HTTP Range
+ * requests, both on retry within this call and on a later run. The content is hashed
+ * while streaming and compared against the checksum from the API or, if the API has
+ * none, the checksum S3 reports (x-amz-checksum-sha256 or a single-part ETag).
+ * @param   {string}          url                   - The URL of the file to download.
+ * @param   {string}          outputPath            - The path where the file should be saved.
+ * @param   {boolean}         overwrite             - Flag indicating whether to overwrite existing files.
+ * @param   {object}          agent                 - The HTTP agent instance.
+ * @param   {object}          rl                    - The readline interface instance.
+ * @param   {object}          logger                - The logger instance.
+ * @param   {object}          metrics               - The metrics object for tracking download stats.
+ * @param   {object}          [options]             - Optional resume settings.
+ * @param   {Function}        [options.refreshUrl]  - Async function returning a fresh pre-signed URL before a resume attempt.
+ * @param   {number}          [options.size]        - Expected file size in bytes (e.g. the `size` field from the API).
+ * @param   {number}          [options.maxAttempts] - Number of attempts before giving up (default: 3).
+ * @param   {number}          [options.retryDelay]  - Base delay in milliseconds between attempts (default: 1000).
+ * @param   {object}          [options.checksum]    - Expected checksum from the API ({ algorithm, value, source }).
+ * @param   {object}          [options.events]      - Event emitter receiving "download:start", "download:progress"
+ *                                                  and "download:end" events (see progressRenderers).
+ * @param   {string}          [options.analysisId]  - The analysis the file belongs to, included in progress events.
+ * @param   {string}          [options.file]        - File name shown in progress events (default: output file name).
+ * @returns {Promise<object>}                       - The download result: status ("downloaded" or "skipped"),
+ *                                                  output path, bytes transferred, computed checksums and
+ *                                                  whether they were verified against an expected checksum.
+ */
+async function downloadFile(
+  url,
+  outputPath,
+  overwrite,
+  agent,
+  rl,
+  logger,
+  metrics,
+  options = {},
+) {
+  logger.debug(`Starting download for: ${url}`);
+  if (fs.existsSync(outputPath) && !overwrite) {
+    logger.info(`File already exists, skipping: ${outputPath}`);
+    metrics.totalFilesSkipped += 1;
+    return { status: 'skipped', outputPath };
+  }
+
+  const maxAttempts = options.maxAttempts ?? DEFAULT_DOWNLOAD_ATTEMPTS;
+  const retryDelay = options.retryDelay ?? 1000;
+  const expected = Number.isFinite(options.size) ? options.size : null;
+  const partPath = getPartialPath(outputPath);
+  const startTime = Date.now();
+  const apiChecksum = options.checksum || null;
+  const progress = createProgressReporter(outputPath, options);
+  let currentUrl = url;
+  let totalBytes = 0;
+  let checksums;
+  let verifiedAgainst = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      if (fs.existsSync(outputPath)) {
-        fs.unlinkSync(outputPath); // Clean up partial download
+      const transfer = await transferToPartial(
+        currentUrl,
+        partPath,
+        expected,
+        apiChecksum,
+        agent,
+        logger,
+        progress,
+      );
+      totalBytes += transfer.receivedBytes;
+      checksums = transfer.checksums;
+
+      const expectedChecksum = apiChecksum || transfer.remoteChecksum;
+      if (!expectedChecksum) {
+        logger.debug(`No checksum available to verify ${outputPath}`);
+      } else if (checksumMatches(checksums, expectedChecksum)) {
+        verifiedAgainst = expectedChecksum;
+        logger.debug(
+          `Checksum verified (${expectedChecksum.algorithm}, ${expectedChecksum.source}): ${outputPath}`,
+        );
+      } else if (isAdvisoryChecksum(expectedChecksum)) {
+        // Encrypted objects have an ETag that is not their MD5: keep the data unverified
+        logger.warn(
+          `ETag of ${outputPath} is not its MD5 (as for SSE-KMS or SSE-C encrypted objects); keeping it unverified`,
+        );
+      } else {
+        // Corrupt data cannot be resumed: drop it so the next attempt starts from zero
+        fs.unlinkSync(partPath);
+        throw new Error(
+          `Checksum mismatch: expected ${expectedChecksum.algorithm} ${expectedChecksum.value} (${expectedChecksum.source}), got ${checksums[expectedChecksum.algorithm]}`,
+        );
       }
-    } catch (unlinkError) {
-      logger.debug(
-        `Could not remove partial download ${outputPath}: ${unlinkError.message}`,
+      break;
+    } catch (error) {
+      totalBytes += error.receivedBytes || 0;
+      if (attempt >= maxAttempts) {
+        logger.error(
+          fs.existsSync(partPath)
+            ? `Download interrupted for ${outputPath}: ${error.message}. Partial data kept in ${partPath} for a later run.`
+            : `Download interrupted for ${outputPath}: ${error.message}`,
+        );
+        progress.end('failed', totalBytes, error);
+        throw error;
+      }
+
+      logger.warn(
+        `Download interrupted for ${outputPath}: ${error.message}. Resuming (attempt ${attempt + 1}/${maxAttempts})...`,
       );
+      await new Promise((resolve) => setTimeout(resolve, attempt * retryDelay));
+
+      if (options.refreshUrl) {
+        try {
+          currentUrl = (await options.refreshUrl()) || currentUrl;
+        } catch (refreshError) {
+          logger.warn(
+            `Could not refresh download URL for ${outputPath}: ${refreshError.message}`,
+          );
+        }
+      }
     }
-    throw error;
   }
+
+  fs.renameSync(partPath, outputPath);
+
+  const duration = (Date.now() - startTime) / 1000; // in seconds
+  const speed = duration > 0 ? totalBytes / duration : totalBytes; // bytes per second
+
+  progress.end('downloaded', totalBytes);
+  logger.info(`Successfully downloaded ${outputPath}`);
+  metrics.totalFilesDownloaded += 1;
+  metrics.totalBytesDownloaded += totalBytes;
+  metrics.downloadSpeeds.push(speed);
+
+  return {
+    status: 'downloaded',
+    outputPath,
+    bytes: totalBytes,
+    checksums,
+    verified: verifiedAgainst !== null,
+    checksumSource: verifiedAgainst ? verifiedAgainst.source : null,
+  };
 }
 
 module.exports = {
   confirmOverwrite,
   downloadFile,
+  getPartialPath,
+  parseContentRangeTotal,
 };
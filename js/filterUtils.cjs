@@ -1,21 +1,30 @@
 // filterUtils.js
 
+const { parseISO, isValid, sub, endOfDay } = require('date-fns');
+
+/**
+ * Comparison operators of filter terms, longest first so that the lexer matches "=~" before "=".
+ * @type {string[]}
+ */
+const FILTER_OPERATORS = ['=~', '~=', '^=', '!=', '>=', '<=', '=', '>', '<'];
+
 /**
  * Parses a filter expression into its components.
  * Supported operators:
- * =   equality
+ * =   equality (exact text, so "00123" does not equal "123")
  * !=  inequality
- * >   greater than (lexicographic)
- * <   less than (lexicographic)
- * >=  greater than or equal (lexicographic)
- * <=  less than or equal (lexicographic)
+ * >   greater than (numeric, date or lexicographic, see compareValues)
+ * <   less than
+ * >=  greater than or equal
+ * <=  less than or equal
  * ~=  contains (substring match)
  * ^=  starts with (prefix match)
+ * =~  matches a regular expression
  * @param   {string} filterExpression - The filter expression (e.g., "analysisType=SNV", "enrichmentKitName^=TwistExome")
  * @returns {object}                  - An object containing field, operator, and value (e.g., { field: 'analysisType', operator: '=', value: 'SNV' })
  */
 function parseFilterExpression(filterExpression) {
-  const regex = /^(\w+)(~=|\^=|!=|>=|<=|[><=])(.+)$/;
+  const regex = /^(\w+)(=~|~=|\^=|!=|>=|<=|[><=])(.+)$/;
   const match = filterExpression.match(regex);
   if (match) {
     return {
@@ -27,6 +36,126 @@ function parseFilterExpression(filterExpression) {
   throw new Error(`Invalid filter expression: ${filterExpression}`);
 }
 
+/**
+ * Converts a value to a number if it is one (numbers and numeric strings).
+ * @param   {*}           value - The value.
+ * @returns {number|null}       - The number, or null.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && /^-?\d+\.?\d*$/.test(value.trim())) {
+    return Number(value);
+  }
+  return null;
+}
+
+/**
+ * Converts a value to a timestamp if it is an ISO date ("2025-01-01", "2025-01-01T10:00:00Z")
+ * or, when allowNumbers is set, a timestamp in milliseconds. Dates are read like the
+ * --since/--until bounds (see parseDateBound), so both agree on dates without a time zone.
+ * @param   {*}           value          - The value.
+ * @param   {boolean}     [allowNumbers] - Accept numbers as timestamps.
+ * @returns {number|null}                - The timestamp, or null.
+ */
+function toTimestamp(value, allowNumbers = false) {
+  if (allowNumbers && typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = parseISO(value);
+    return isValid(date) ? date.getTime() : null;
+  }
+  return null;
+}
+
+/**
+ * Tells whether a field value equals a filter value. IDs such as "00123" and "123" differ,
+ * so equality is exact on the text rather than numeric.
+ * @param   {*}       fieldValue - The value of the analysis field.
+ * @param   {string}  value      - The value of the filter term.
+ * @returns {boolean}            - True if both read the same.
+ */
+function equalsValue(fieldValue, value) {
+  return String(fieldValue) === value;
+}
+
+/**
+ * Orders a field value against a filter value: as numbers if both are numeric, as dates if the
+ * filter value is an ISO date, otherwise as strings (lexicographic).
+ * @param   {*}      fieldValue - The value of the analysis field.
+ * @param   {string} value      - The value of the filter term.
+ * @returns {number}            - Negative, zero or positive like a sort comparator.
+ */
+function compareValues(fieldValue, value) {
+  const [fieldNumber, number] = [toNumber(fieldValue), toNumber(value)];
+  if (fieldNumber !== null && number !== null) {
+    return fieldNumber - number;
+  }
+  const timestamp = toTimestamp(value);
+  const fieldTimestamp = toTimestamp(fieldValue, true);
+  if (timestamp !== null && fieldTimestamp !== null) {
+    return fieldTimestamp - timestamp;
+  }
+  const fieldText = String(fieldValue);
+  if (fieldText === value) {
+    return 0;
+  }
+  return fieldText > value ? 1 : -1;
+}
+
+/**
+ * Compiles the pattern of a "=~" term; throws a SyntaxError for invalid patterns.
+ * @param   {string} pattern - The regular expression source.
+ * @returns {RegExp}         - The regular expression.
+ */
+function toRegExp(pattern) {
+  // eslint-disable-next-line security/detect-non-literal-regexp -- matching user-supplied patterns is the point of =~
+  return new RegExp(pattern);
+}
+
+/**
+ * Checks whether an analysis matches a single filter term.
+ * @param   {object}   analysis        - The analysis.
+ * @param   {object}   filter          - The term.
+ * @param   {string}   filter.field    - The analysis field.
+ * @param   {string}   filter.operator - One of FILTER_OPERATORS or "in".
+ * @param   {string}   [filter.value]  - The value compared with.
+ * @param   {string[]} [filter.values] - The values of an "in" term.
+ * @returns {boolean}                  - True if the analysis matches.
+ */
+function matchesFilter(analysis, { field, operator, value, values }) {
+  const analysisValue = analysis[field];
+  const missing = analysisValue === null || analysisValue === undefined;
+  switch (operator) {
+    case '=':
+      return !missing && equalsValue(analysisValue, value);
+    case '!=':
+      return missing || !equalsValue(analysisValue, value);
+    case '>':
+      return !missing && compareValues(analysisValue, value) > 0;
+    case '<':
+      return !missing && compareValues(analysisValue, value) < 0;
+    case '>=':
+      return !missing && compareValues(analysisValue, value) >= 0;
+    case '<=':
+      return !missing && compareValues(analysisValue, value) <= 0;
+    case '~=':
+      return String(analysisValue || '').includes(value);
+    case '^=':
+      return String(analysisValue || '').startsWith(value);
+    case '=~':
+      return !missing && toRegExp(value).test(String(analysisValue));
+    case 'in':
+      return (
+        !missing && values.some((item) => equalsValue(analysisValue, item))
+      );
+    default:
+      throw new Error(`Unsupported operator: ${operator}`);
+  }
+}
+
 /**
  * Applies a single filter to a list of analyses.
  * @param   {Array}  analyses - List of analyses returned by the API.
@@ -34,48 +163,226 @@ function parseFilterExpression(filterExpression) {
  * @returns {Array}           - Filtered list of analyses.
  */
 function applyFilter(analyses, filter) {
-  const { field, operator, value } = filter;
+  return analyses.filter((analysis) => matchesFilter(analysis, filter));
+}
 
-  return analyses.filter((analysis) => {
-    const analysisValue = analysis[field];
-    switch (operator) {
-      case '=':
-        return analysisValue == value;
-      case '!=':
-        return analysisValue != value;
-      case '>':
-        return analysisValue > value;
-      case '<':
-        return analysisValue < value;
-      case '>=':
-        return analysisValue >= value;
-      case '<=':
-        return analysisValue <= value;
-      case '~=':
-        return String(analysisValue || '').includes(value);
-      case '^=':
-        return String(analysisValue || '').startsWith(value);
-      default:
-        throw new Error(`Unsupported operator: ${operator}`);
+/**
+ * Splits a filter expression into tokens: parentheses, commas, operators, quoted strings and words.
+ * @param   {string}   expression - The filter expression.
+ * @returns {object[]}            - Tokens with type ("(", ")", ",", "op", "string" or "word") and value.
+ */
+function tokenizeFilter(expression) {
+  const tokens = [];
+  let index = 0;
+  const operatorAt = (position) =>
+    FILTER_OPERATORS.find((op) => expression.startsWith(op, position));
+
+  while (index < expression.length) {
+    const char = expression[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char });
+      index += 1;
+    } else if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, index + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string starting at position ${index}`);
+      }
+      tokens.push({ type: 'string', value: expression.slice(index + 1, end) });
+      index = end + 1;
+    } else if (operatorAt(index)) {
+      const op = operatorAt(index);
+      tokens.push({ type: 'op', value: op });
+      index += op.length;
+    } else {
+      let end = index;
+      while (
+        end < expression.length &&
+        !/[\s(),"']/.test(expression[end]) &&
+        !operatorAt(end)
+      ) {
+        end += 1;
+      }
+      tokens.push({ type: 'word', value: expression.slice(index, end) });
+      index = end;
     }
-  });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a filter expression into a tree of "and", "or", "not" and term nodes.
+ *
+ * Grammar (keywords are case-insensitive):
+ * expression := and ( OR and )*
+ * and        := not ( AND not )*
+ * not        := NOT not | "(" expression ")" | term
+ * term       := field operator value | field [NOT] IN "(" value ( "," value )* ")"
+ *
+ * Values are single words or quoted with ' or " (needed for spaces, parentheses and commas).
+ * @param   {string} expression - The filter expression.
+ * @returns {object}            - The root node.
+ */
+function parseFilter(expression) {
+  const tokens = tokenizeFilter(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = (token, keyword) =>
+    token?.type === 'word' && token.value.toUpperCase() === keyword;
+  const expect = (type, what) => {
+    const token = tokens[position];
+    if (token?.type !== type) {
+      throw new Error(
+        `expected ${what}${token ? ` before "${token.value}"` : ' at the end'}`,
+      );
+    }
+    position += 1;
+    return token;
+  };
+  const value = () => {
+    const token = peek();
+    if (token?.type === 'word' || token?.type === 'string') {
+      position += 1;
+      return token.value;
+    }
+    return expect('word', 'a value').value;
+  };
+
+  const parseTerm = () => {
+    const field = expect('word', 'a field name').value;
+    if (!/^\w+$/.test(field)) {
+      throw new Error(`invalid field name "${field}"`);
+    }
+    const negated =
+      isKeyword(peek(), 'NOT') && isKeyword(tokens[position + 1], 'IN');
+    if (negated) {
+      position += 1;
+    }
+    if (isKeyword(peek(), 'IN')) {
+      position += 1;
+      expect('(', '"(" after IN');
+      const values = [value()];
+      while (peek()?.type === ',') {
+        position += 1;
+        values.push(value());
+      }
+      expect(')', '")" after the IN list');
+      const term = { type: 'term', field, operator: 'in', values };
+      return negated ? { type: 'not', operand: term } : term;
+    }
+    const operator = expect('op', `an operator after "${field}"`).value;
+    const term = { type: 'term', field, operator, value: value() };
+    if (operator === '=~') {
+      toRegExp(term.value);
+    }
+    return term;
+  };
+
+  let parseOr;
+  const parseNot = () => {
+    if (isKeyword(peek(), 'NOT')) {
+      position += 1;
+      return { type: 'not', operand: parseNot() };
+    }
+    if (peek()?.type === '(') {
+      position += 1;
+      const node = parseOr();
+      expect(')', '")"');
+      return node;
+    }
+    return parseTerm();
+  };
+  const parseAnd = () => {
+    const operands = [parseNot()];
+    while (isKeyword(peek(), 'AND')) {
+      position += 1;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+  parseOr = () => {
+    const operands = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      position += 1;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const root = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].value}"`);
+  }
+  return root;
+}
+
+/**
+ * Evaluates a parsed filter tree against an analysis.
+ * @param   {object}  node     - The node (see parseFilter).
+ * @param   {object}  analysis - The analysis.
+ * @returns {boolean}          - True if the analysis matches.
+ */
+function evaluateFilter(node, analysis) {
+  switch (node.type) {
+    case 'and':
+      return node.operands.every((operand) =>
+        evaluateFilter(operand, analysis),
+      );
+    case 'or':
+      return node.operands.some((operand) => evaluateFilter(operand, analysis));
+    case 'not':
+      return !evaluateFilter(node.operand, analysis);
+    default:
+      return matchesFilter(analysis, node);
+  }
+}
+
+/**
+ * Compiles a filter expression into a predicate. Expressions the grammar cannot parse are
+ * read as a single "field operator value" term if the value has no quotes or keywords, so
+ * values with spaces keep working unquoted.
+ * @param   {string}   expression - The filter expression (e.g., "analysisType=SNV OR analysisType=SV").
+ * @returns {Function}            - Predicate (analysis) => boolean.
+ */
+function compileFilter(expression) {
+  let tree;
+  try {
+    tree = parseFilter(expression);
+  } catch (error) {
+    let term;
+    try {
+      term = parseFilterExpression(expression);
+      if (term.operator === '=~') {
+        toRegExp(term.value);
+      }
+    } catch {
+      // Not a valid single term either; report the grammar error
+      term = null;
+    }
+    if (!term || /["']|\b(AND|OR|NOT|IN)\b/i.test(term.value)) {
+      throw new Error(
+        `Invalid filter expression: ${expression} (${error.message})`,
+        { cause: error },
+      );
+    }
+    tree = { type: 'term', ...term };
+  }
+  return (analysis) => evaluateFilter(tree, analysis);
 }
 
 /**
- * Applies multiple filters to a list of analyses sequentially (AND logic).
+ * Applies multiple filters to a list of analyses (AND logic between the expressions).
  * @param   {Array} analyses          - List of analyses returned by the API.
  * @param   {Array} filterExpressions - Array of filter expressions (e.g., ['analysisType=SNV', 'enrichmentKitName^=TwistExome'])
  * @returns {Array}                   - Filtered list of analyses.
  */
 function applyFilters(analyses, filterExpressions) {
-  let filteredAnalyses = analyses;
-
-  filterExpressions.forEach((filterExpression) => {
-    const filter = parseFilterExpression(filterExpression);
-    filteredAnalyses = applyFilter(filteredAnalyses, filter);
-  });
-
-  return filteredAnalyses;
+  const predicates = filterExpressions.map(compileFilter);
+  return analyses.filter((analysis) =>
+    predicates.every((predicate) => predicate(analysis)),
+  );
 }
 
 /**
@@ -114,9 +421,80 @@ function deduplicateByLatest(analyses, logger) {
   return deduplicated;
 }
 
+/**
+ * Units of relative date bounds ("36h", "7d", "2w", "3m", "1y") as date-fns duration keys.
+ * @type {Record<string, string>}
+ */
+const RELATIVE_DATE_UNITS = {
+  h: 'hours',
+  d: 'days',
+  w: 'weeks',
+  m: 'months',
+  y: 'years',
+};
+
+/**
+ * Parses a --since/--until bound: an ISO date or date-time, or a relative form such as "7d"
+ * (7 days before now). A date without a time is the start of that day, or its end for --until,
+ * so that both bounds include the days given.
+ * @param   {string|Date} value         - The bound.
+ * @param   {object}      [options]     - Options.
+ * @param   {boolean}     [options.end] - Resolve plain dates to the end of the day.
+ * @param   {Date}        [options.now] - The reference time of relative bounds (default: now).
+ * @returns {Date}                      - The point in time.
+ */
+function parseDateBound(value, { end = false, now = new Date() } = {}) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value).trim();
+  const relative = text.match(/^(\d+)([hdwmy])$/i);
+  if (relative) {
+    const unit = RELATIVE_DATE_UNITS[relative[2].toLowerCase()];
+    return sub(now, { [unit]: Number(relative[1]) });
+  }
+  const date = parseISO(text);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text) || !isValid(date)) {
+    throw new Error(
+      `Invalid date: ${text} (expected an ISO date such as 2025-01-31 or a relative form such as 7d)`,
+    );
+  }
+  return end && !text.includes('T') ? endOfDay(date) : date;
+}
+
+/**
+ * Keeps the analyses whose date field lies between --since and --until (both inclusive).
+ * Analyses without a valid date in the field are dropped as soon as a bound is given.
+ * @param   {Array}       analyses      - List of analyses returned by the API.
+ * @param   {object}      range         - The date range.
+ * @param   {string|Date} [range.since] - Lower bound (see parseDateBound).
+ * @param   {string|Date} [range.until] - Upper bound (see parseDateBound).
+ * @param   {string}      [range.field] - The analysis field compared (default: "runDate").
+ * @param   {Date}        [range.now]   - The reference time of relative bounds (default: now).
+ * @returns {Array}                     - Filtered list of analyses.
+ */
+function applyDateRange(analyses, { since, until, field = 'runDate', now }) {
+  if (!since && !until) {
+    return analyses;
+  }
+  const from = since ? parseDateBound(since, { now }).getTime() : -Infinity;
+  const to = until
+    ? parseDateBound(until, { end: true, now }).getTime()
+    : Infinity;
+  return analyses.filter((analysis) => {
+    const timestamp = toTimestamp(analysis[field], true);
+    return timestamp !== null && timestamp >= from && timestamp <= to;
+  });
+}
+
 module.exports = {
   parseFilterExpression,
+  parseFilter,
+  compileFilter,
+  compareValues,
   applyFilter,
   applyFilters,
   deduplicateByLatest,
+  parseDateBound,
+  applyDateRange,
 };
@@ -0,0 +1,256 @@
+/**
+ * Gene and transcript regions from a local annotation file (GTF, GFF3 or a UCSC refGene
+ * table, optionally gzipped), so that --genes resolves without network access.
+ * @module geneAnnotation
+ */
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+const { pipeline } = require('node:stream');
+const zlib = require('node:zlib');
+const { mergeIntervals, formatRegion } = require('./regionUtils.cjs');
+
+/**
+ * Matches the key of a transcript ID: without version, case-insensitive ("NM_007294.4" -> "NM_007294").
+ * @param   {string} transcript - The transcript ID.
+ * @returns {string}            - The key.
+ */
+function transcriptKey(transcript) {
+  return transcript.replace(/\.\d+$/, '').toUpperCase();
+}
+
+/**
+ * Reads the features of a GTF line. Coordinates are 1-based and inclusive.
+ * @param   {string[]} cells - The tab-separated columns.
+ * @returns {object[]}       - { type, chrom, start, end, gene, transcript } for gene, transcript and exon lines.
+ */
+function parseGtfLine(cells) {
+  if (!['gene', 'transcript', 'exon'].includes(cells[2])) {
+    return [];
+  }
+  const attributes = Object.fromEntries(
+    [...cells[8].matchAll(/(\w+) "([^"]*)"/g)].map(([, key, value]) => [
+      key,
+      value,
+    ]),
+  );
+  return [
+    {
+      type: cells[2],
+      chrom: cells[0],
+      start: Number(cells[3]),
+      end: Number(cells[4]),
+      gene: attributes.gene_name ?? attributes.gene_id,
+      transcript: attributes.transcript_id,
+    },
+  ];
+}
+
+/**
+ * Creates a reader of GFF3 lines. Transcripts and exons refer to their gene and transcript
+ * by ID, so parents have to come before their children, as in Ensembl, GENCODE and RefSeq files.
+ * @returns {function(string[]): object[]} - Reads the features of a line (see parseGtfLine).
+ */
+function createGff3Parser() {
+  const genes = new Map();
+  const transcripts = new Map();
+  return (cells) => {
+    const attributes = Object.fromEntries(
+      cells[8]
+        .split(';')
+        .filter((attribute) => attribute.includes('='))
+        .map((attribute) => {
+          const index = attribute.indexOf('=');
+          return [attribute.slice(0, index).trim(), attribute.slice(index + 1)];
+        }),
+    );
+    const location = {
+      chrom: cells[0],
+      start: Number(cells[3]),
+      end: Number(cells[4]),
+    };
+    const parents = (attributes.Parent || '').split(',').filter(Boolean);
+
+    if (cells[2] === 'exon') {
+      return parents
+        .filter((parent) => transcripts.has(parent))
+        .map((parent) => ({
+          type: 'exon',
+          ...location,
+          ...transcripts.get(parent),
+        }));
+    }
+    const geneId = parents.find((parent) => genes.has(parent));
+    if (geneId) {
+      const names = {
+        gene: genes.get(geneId),
+        transcript:
+          attributes.transcript_id ?? attributes.Name ?? attributes.ID,
+      };
+      transcripts.set(attributes.ID, names);
+      return [{ type: 'transcript', ...location, ...names }];
+    }
+    if (cells[2].endsWith('gene') && attributes.ID) {
+      const gene = attributes.gene_name ?? attributes.Name ?? attributes.ID;
+      genes.set(attributes.ID, gene);
+      return [{ type: 'gene', ...location, gene }];
+    }
+    return [];
+  };
+}
+
+/**
+ * Reads the transcript and exons of a UCSC refGene (genePred) line, with or without the
+ * leading bin column. Its 0-based starts are converted to 1-based coordinates.
+ * @param   {string[]} cells - The tab-separated columns.
+ * @returns {object[]}       - The features (see parseGtfLine).
+ */
+function parseRefGeneLine(cells) {
+  const fields =
+    cells.length >= 16 && /^\d+$/.test(cells[0]) ? cells.slice(1) : cells;
+  const [transcript, chrom, , txStart, txEnd] = fields;
+  const gene = fields[11] || transcript;
+  const exonStarts = fields[8].split(',').filter(Boolean).map(Number);
+  const exonEnds = fields[9].split(',').filter(Boolean).map(Number);
+  return [
+    {
+      type: 'transcript',
+      chrom,
+      start: Number(txStart) + 1,
+      end: Number(txEnd),
+      gene,
+      transcript,
+    },
+    ...exonStarts.map((start, index) => ({
+      type: 'exon',
+      chrom,
+      start: start + 1,
+      end: exonEnds[index],
+      gene,
+      transcript,
+    })),
+  ];
+}
+
+/**
+ * Picks the line reader for the format of the first feature line.
+ * @param   {string[]}                     cells - The columns of the first feature line.
+ * @returns {function(string[]): object[]}       - The line reader.
+ */
+function createLineParser(cells) {
+  if (cells.length === 9) {
+    return cells[8].includes('"') ? parseGtfLine : createGff3Parser();
+  }
+  if (cells.length >= 10) {
+    return parseRefGeneLine;
+  }
+  throw new Error(
+    'unrecognized annotation format (expected GTF, GFF3 or a refGene table)',
+  );
+}
+
+/**
+ * Reads the lines of an annotation file, decompressing ".gz" files.
+ * @param   {string}                annotationFile - The annotation file path.
+ * @returns {AsyncIterable<string>}                - The lines.
+ */
+function readAnnotationLines(annotationFile) {
+  const stream = fs.createReadStream(annotationFile);
+  return readline.createInterface({
+    // pipeline() passes read errors on to the gunzip stream, ending the iteration with them
+    input: annotationFile.endsWith('.gz')
+      ? pipeline(stream, zlib.createGunzip(), () => {})
+      : stream,
+    crlfDelay: Infinity,
+  });
+}
+
+/**
+ * Resolves gene symbols and transcript IDs to regions through a local annotation file.
+ * A gene covers its gene record, or else all of its transcripts; a transcript ID (matched
+ * without version) covers that transcript. With exonsOnly, only their exons are returned.
+ * @param   {string}            annotationFile      - GTF, GFF3 or refGene file, optionally gzipped.
+ * @param   {string[]}          genes               - Gene symbols (case-insensitive) or transcript IDs.
+ * @param   {object}            options             - Options.
+ * @param   {boolean}           [options.exonsOnly] - Return the exons instead of the whole gene or transcript.
+ * @param   {object}            logger              - The logger instance.
+ * @returns {Promise<string[]>}                     - The merged regions as "chr:start-end".
+ */
+async function resolveGeneRegions(annotationFile, genes, options, logger) {
+  try {
+    const byGene = new Map(genes.map((name) => [name.toUpperCase(), name]));
+    const byTranscript = new Map(
+      genes.map((name) => [transcriptKey(name), name]),
+    );
+
+    const found = new Map();
+    let parseLine = null;
+    for await (const line of readAnnotationLines(annotationFile)) {
+      if (!line || /^(#|track|browser)/.test(line)) {
+        continue;
+      }
+      const cells = line.split('\t');
+      parseLine ??= createLineParser(cells);
+      for (const feature of parseLine(cells)) {
+        const names = new Set([
+          feature.gene && byGene.get(feature.gene.toUpperCase()),
+          feature.transcript &&
+            byTranscript.get(transcriptKey(feature.transcript)),
+        ]);
+        for (const name of names) {
+          if (!name) {
+            continue;
+          }
+          if (!found.has(name)) {
+            found.set(name, { gene: [], transcript: [], exon: [] });
+          }
+          found.get(name)[feature.type].push(feature);
+        }
+      }
+    }
+
+    const missing = genes.filter((name) => !found.has(name));
+    if (missing.length > 0) {
+      throw new Error(`genes or transcripts not found: ${missing.join(', ')}`);
+    }
+
+    const intervals = genes.flatMap((name) => {
+      const entry = found.get(name);
+      if (options.exonsOnly) {
+        if (entry.exon.length === 0) {
+          throw new Error(`no exons annotated for ${name}`);
+        }
+        return entry.exon;
+      }
+      // A gene spans its records on each contig (genes in the PAR are on X and Y)
+      const records = [entry.gene, entry.transcript, entry.exon].find(
+        (list) => list.length > 0,
+      );
+      const spans = new Map();
+      for (const { chrom, start, end } of records) {
+        const span = spans.get(chrom);
+        spans.set(chrom, {
+          chrom,
+          start: Math.min(start, span?.start ?? start),
+          end: Math.max(end, span?.end ?? end),
+        });
+      }
+      return [...spans.values()];
+    });
+
+    const regions = mergeIntervals(intervals).map(formatRegion);
+    logger.info(
+      `Resolved ${genes.length} genes to ${regions.length} regions using ${annotationFile}`,
+    );
+    return regions;
+  } catch (error) {
+    logger.error(
+      `Error reading annotation file ${annotationFile}: ${error.message}`,
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  resolveGeneRegions,
+};
@@ -0,0 +1,105 @@
+/**
+ * Bounded-concurrency job queue used to run downloads in parallel.
+ * @module jobQueue
+ */
+
+/**
+ * A job queue that runs at most `concurrency` jobs at the same time.
+ * Jobs can be added while the queue is already running, so analyses can be
+ * resolved one after another while their downloads proceed in the background.
+ * A failing job never stops the queue; its error is recorded in its result.
+ */
+class JobQueue {
+  /**
+   * Creates an instance of JobQueue.
+   * @param {number} concurrency - Maximum number of jobs running at once.
+   * @param {object} logger      - The logger instance.
+   */
+  constructor(concurrency, logger) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError(
+        `Concurrency must be a positive integer, got: ${concurrency}`,
+      );
+    }
+    this.concurrency = concurrency;
+    this.logger = logger;
+    this.pending = [];
+    this.results = [];
+    this.active = 0;
+    this.idleResolvers = [];
+  }
+
+  /**
+   * Adds a job to the queue and starts it as soon as a slot is free.
+   * @param   {object}   job       - The job to run.
+   * @param   {string}   job.label - Human-readable job description used in log messages.
+   * @param   {Function} job.run   - Async function performing the work.
+   * @returns {object}             - The result record, updated in place when the job settles.
+   */
+  add(job) {
+    const result = { job, status: 'queued', value: undefined, error: null };
+    this.results.push(result);
+    this.pending.push(result);
+    this.logger.debug(`Queued job: ${job.label}`);
+    this.startNext();
+    return result;
+  }
+
+  /**
+   * Starts queued jobs until the concurrency limit is reached and
+   * notifies waiters once nothing is running or queued.
+   */
+  startNext() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      this.execute(this.pending.shift());
+    }
+
+    if (this.active === 0 && this.pending.length === 0) {
+      const resolvers = this.idleResolvers;
+      this.idleResolvers = [];
+      resolvers.forEach((resolve) => resolve(this.results));
+    }
+  }
+
+  /**
+   * Runs a single job and records its outcome.
+   * @param   {object}        result - The result record of the job to run.
+   * @returns {Promise<void>}
+   */
+  async execute(result) {
+    this.active += 1;
+    result.status = 'running';
+    this.logger.debug(
+      `Starting job (${this.active}/${this.concurrency} active): ${result.job.label}`,
+    );
+
+    try {
+      result.value = await result.job.run();
+      result.status = 'fulfilled';
+    } catch (error) {
+      result.error = error;
+      result.status = 'rejected';
+      this.logger.debug(`Job failed: ${result.job.label}: ${error.message}`);
+    } finally {
+      this.active -= 1;
+      this.startNext();
+    }
+  }
+
+  /**
+   * Waits until all queued and running jobs have settled.
+   * @returns {Promise<object[]>} - The result records of all jobs in the order they were added.
+   */
+  onIdle() {
+    if (this.active === 0 && this.pending.length === 0) {
+      return Promise.resolve(this.results);
+    }
+    return new Promise((resolve) => {
+      this.idleResolvers.push(resolve);
+    });
+  }
+}
+
+module.exports = {
+  JobQueue,
+};
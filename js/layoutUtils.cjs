@@ -0,0 +1,151 @@
+/**
+ * Output layouts: templates such as "{personLimsId}/{analysisId}/{fileName}" that place the
+ * output files of a download below the destination. Placeholders are filled in per file with
+ * the analysis ID, the sample metadata of /api/analyses and the parts of the file name.
+ * @module layoutUtils
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { compoundExtension, indexedFileName } = require('./fileTypes.cjs');
+const { generateOutputFileName, regionSuffix } = require('./rangedUtils.cjs');
+
+/**
+ * Placeholders filled from the sample metadata of an analysis.
+ * @type {string[]}
+ */
+const METADATA_FIELDS = ['sampleId', 'personLimsId', 'analysisType'];
+
+/**
+ * Placeholders of layouts.
+ * @type {string[]}
+ */
+const LAYOUT_FIELDS = [
+  'analysisId',
+  ...METADATA_FIELDS,
+  'fileName',
+  'baseName',
+  'ext',
+  'region',
+];
+
+/**
+ * Checks a layout: known placeholders only, relative to the destination, and ending in the
+ * file name or extension so that outputs keep their extension and indexes sit next to them.
+ * @param   {string}   layout - The layout.
+ * @returns {string[]}        - The placeholders used.
+ */
+function validateLayout(layout) {
+  const fields = [...layout.matchAll(/\{([^{}]*)\}/g)].map((match) => match[1]);
+  const unknown = fields.filter((field) => !LAYOUT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(
+      `unknown placeholder ${unknown.map((field) => `{${field}}`).join(', ')} in --layout; use ${LAYOUT_FIELDS.map((field) => `{${field}}`).join(', ')}`,
+    );
+  }
+  if (path.isAbsolute(layout) || layout.split(/[/\\]/).includes('..')) {
+    throw new Error(`--layout must stay inside --destination, got: ${layout}`);
+  }
+  if (!/\{(fileName|ext)\}$/.test(layout)) {
+    throw new Error(
+      `--layout must end with {fileName} or {ext}, got: ${layout}`,
+    );
+  }
+  return fields;
+}
+
+/**
+ * Tells whether a layout needs the sample metadata of the analyses.
+ * @param   {string|null} layout - The layout.
+ * @returns {boolean}            - True if it uses {sampleId}, {personLimsId} or {analysisType}.
+ */
+function layoutNeedsMetadata(layout) {
+  return Boolean(
+    layout && METADATA_FIELDS.some((field) => layout.includes(`{${field}}`)),
+  );
+}
+
+/**
+ * Makes a value safe as a path segment: separators and characters that Windows forbids
+ * become "_", missing values "unknown".
+ * @param   {*}      value - The value.
+ * @returns {string}       - The path segment.
+ */
+function toSegment(value) {
+  const text = String(value ?? 'unknown').replaceAll(/[/\\:*?"<>|]/g, '_');
+  return /^\.*$/.test(text) ? '_' : text;
+}
+
+/**
+ * Names an output file after the layout. Without a layout this is the file name with the
+ * region appended (see generateOutputFileName). An index is named after the path of its
+ * data file, so that it sits next to it whatever the layout makes of the name.
+ * @param   {string|null} layout          - The layout, or null to keep the file name.
+ * @param   {object}      file            - The output file.
+ * @param   {string}      file.analysisId - The analysis the file belongs to.
+ * @param   {object}      [file.analysis] - Sample metadata with sampleId, personLimsId and analysisType.
+ * @param   {string}      file.fileName   - The file name before the region is added.
+ * @param   {string[]}    file.regions    - Regions of a ranged download, ["unmapped"] for unmapped reads, empty for full downloads.
+ * @param   {object}      logger          - The logger instance.
+ * @returns {string}                      - The path relative to the destination.
+ */
+function layoutFileName(layout, file, logger) {
+  const dataFileName = indexedFileName(file.fileName);
+  if (dataFileName) {
+    const dataPath = layoutFileName(
+      layout,
+      { ...file, fileName: dataFileName },
+      logger,
+    );
+    return `${dataPath}${file.fileName.slice(dataFileName.length)}`;
+  }
+  const outputName = generateOutputFileName(
+    file.fileName,
+    file.regions,
+    logger,
+  );
+  if (!layout) {
+    return outputName;
+  }
+  const extension =
+    compoundExtension(file.fileName) ?? path.extname(file.fileName);
+  const values = {
+    ...Object.fromEntries(
+      METADATA_FIELDS.map((field) => [field, file.analysis?.[field]]),
+    ),
+    analysisId: file.analysisId,
+    fileName: outputName,
+    baseName: file.fileName.slice(0, file.fileName.length - extension.length),
+    ext: extension.slice(1),
+    region: file.regions.length > 0 ? regionSuffix(file.regions) : 'full',
+  };
+  return layout.replaceAll(/\{(\w+)\}/g, (match, field) =>
+    toSegment(values[field]),
+  );
+}
+
+/**
+ * Returns the path of an output file below the destination, named after the layout, and
+ * creates the folders the layout puts it in.
+ * @param   {string}      destination - The destination folder.
+ * @param   {string|null} layout      - The layout, or null to keep the file name.
+ * @param   {object}      file        - The output file (see layoutFileName).
+ * @param   {object}      logger      - The logger instance.
+ * @returns {string}                  - The output path.
+ */
+function prepareOutputPath(destination, layout, file, logger) {
+  const relativePath = layoutFileName(layout, file, logger);
+  const outputPath = path.join(destination, relativePath);
+  if (path.dirname(relativePath) !== '.') {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  }
+  return outputPath;
+}
+
+module.exports = {
+  LAYOUT_FIELDS,
+  validateLayout,
+  layoutNeedsMetadata,
+  layoutFileName,
+  prepareOutputPath,
+};
@@ -26,4 +26,19 @@ function createLogger(argv) {
   });
 }
 
+/**
+ * Sends the console output of a logger to another stream, keeping its level and format.
+ * @param {object} logger - The logger created by createLogger.
+ * @param {object} stream - The writable stream that receives the console lines.
+ */
+function replaceConsoleTransport(logger, stream) {
+  for (const transport of [...logger.transports]) {
+    if (transport instanceof winston.transports.Console) {
+      logger.remove(transport);
+    }
+  }
+  logger.add(new winston.transports.Stream({ stream }));
+}
+
 module.exports = createLogger;
+module.exports.replaceConsoleTransport = replaceConsoleTransport;
@@ -0,0 +1,177 @@
+/**
+ * Manifest utilities for recording per-file provenance of a download run
+ * and writing it as a machine-readable JSON or TSV manifest.
+ * @module manifestUtils
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Column order of the TSV manifest.
+ * @type {string[]}
+ */
+const MANIFEST_COLUMNS = [
+  'analysisId',
+  'sampleId',
+  'personLimsId',
+  'sourceFile',
+  'outputPath',
+  'mode',
+  'regions',
+  'size',
+  'md5',
+  'checksumVerified',
+  'startedAt',
+  'finishedAt',
+  'status',
+  'error',
+];
+
+/**
+ * Manifest formats, keyed by file extension.
+ * @type {Record<string, string>}
+ */
+const MANIFEST_FORMATS = {
+  '.json': 'json',
+  '.tsv': 'tsv',
+};
+
+/**
+ * Appends a file result to the run's manifest entries and counts failed files
+ * in metrics.totalFilesFailed.
+ * @param   {object}   metrics          - The shared metrics object (entries are kept in metrics.fileResults).
+ * @param   {object}   entry            - The file result.
+ * @param   {string}   entry.analysisId - The analysis the file belongs to.
+ * @param   {object}   [entry.analysis] - Analysis metadata with sampleId and personLimsId.
+ * @param   {string}   entry.sourceFile - The file name in Varvis.
+ * @param   {string}   entry.outputPath - The local output path.
+ * @param   {string}   entry.mode       - Download mode: "full", "ranged" or "unmapped".
+ * @param   {string[]} [entry.regions]  - Genomic regions of a ranged download.
+ * @param   {number}   [entry.size]     - Size of the output file in bytes.
+ * @param   {string}   [entry.md5]      - MD5 digest of the output file.
+ * @param   {boolean}  [entry.verified] - Whether the digest was verified against the API or S3.
+ * @param   {Date}     entry.startedAt  - When processing of the file started.
+ * @param   {Date}     entry.finishedAt - When processing of the file ended.
+ * @param   {string}   entry.status     - "downloaded", "skipped" or "failed".
+ * @param   {string}   [entry.error]    - Error message of a failed file.
+ * @returns {object}                    - The recorded manifest entry.
+ */
+function recordFileResult(metrics, entry) {
+  const record = {
+    analysisId: String(entry.analysisId),
+    sampleId: entry.analysis?.sampleId ?? null,
+    personLimsId: entry.analysis?.personLimsId ?? null,
+    sourceFile: entry.sourceFile,
+    outputPath: entry.outputPath,
+    mode: entry.mode,
+    regions: entry.regions || [],
+    size: entry.size ?? null,
+    md5: entry.md5 ?? null,
+    checksumVerified: entry.verified ?? false,
+    startedAt: entry.startedAt.toISOString(),
+    finishedAt: entry.finishedAt.toISOString(),
+    status: entry.status,
+    error: entry.error ?? null,
+  };
+
+  if (!metrics.fileResults) {
+    metrics.fileResults = [];
+  }
+  metrics.fileResults.push(record);
+  if (record.status === 'failed') {
+    metrics.totalFilesFailed = (metrics.totalFilesFailed || 0) + 1;
+  }
+  return record;
+}
+
+/**
+ * Determines the manifest format from the file extension.
+ * @param   {string}      filePath - The manifest path.
+ * @returns {string|null}          - "json", "tsv" or null for unsupported extensions.
+ */
+function getManifestFormat(filePath) {
+  return MANIFEST_FORMATS[path.extname(filePath).toLowerCase()] ?? null;
+}
+
+/**
+ * Formats a single value for a TSV cell. Tabs and newlines are replaced
+ * with spaces so that every entry stays on one line.
+ * @param   {*}      value - The cell value.
+ * @returns {string}       - The TSV cell.
+ */
+function toTsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return text.replaceAll(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Formats manifest entries as TSV with a header line.
+ * @param   {object[]} entries - The manifest entries.
+ * @returns {string}           - The TSV content.
+ */
+function formatManifestTsv(entries) {
+  const lines = [MANIFEST_COLUMNS.join('\t')];
+  for (const entry of entries) {
+    lines.push(
+      MANIFEST_COLUMNS.map((column) => toTsvCell(entry[column])).join('\t'),
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats manifest entries as a JSON document.
+ * @param   {object[]} entries - The manifest entries.
+ * @param   {object}   [meta]  - Run metadata (e.g. tool version, target) added to the document.
+ * @returns {string}           - The JSON content.
+ */
+function formatManifestJson(entries, meta = {}) {
+  return `${JSON.stringify(
+    { generatedAt: new Date().toISOString(), ...meta, files: entries },
+    null,
+    2,
+  )}\n`;
+}
+
+/**
+ * Writes the manifest in the format matching the file extension (.json or .tsv).
+ * @param   {string}   filePath - The manifest path.
+ * @param   {object[]} entries  - The manifest entries.
+ * @param   {object}   logger   - The logger instance.
+ * @param   {object}   [meta]   - Run metadata for JSON manifests.
+ * @returns {void}
+ */
+function writeManifest(filePath, entries, logger, meta = {}) {
+  const format = getManifestFormat(filePath);
+  if (!format) {
+    throw new Error(
+      `Unsupported manifest format for ${filePath}. Use a .json or .tsv file.`,
+    );
+  }
+
+  try {
+    const content =
+      format === 'json'
+        ? formatManifestJson(entries, meta)
+        : formatManifestTsv(entries);
+    fs.writeFileSync(filePath, content);
+    logger.info(`Manifest with ${entries.length} files written to ${filePath}`);
+  } catch (error) {
+    logger.error(`Failed to write manifest ${filePath}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  MANIFEST_COLUMNS,
+  recordFileResult,
+  getManifestFormat,
+  toTsvCell,
+  formatManifestTsv,
+  formatManifestJson,
+  writeManifest,
+};
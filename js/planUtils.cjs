@@ -0,0 +1,282 @@
+/**
+ * Dry-run plans: what a download run would do with the resolved files of each
+ * analysis, without downloading, restoring or writing anything.
+ * @module planUtils
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { formatBytes } = require('./progressRenderers.cjs');
+const { layoutFileName } = require('./layoutUtils.cjs');
+const {
+  SUBSET_TOOLS,
+  findFileType,
+  isPrimaryFile,
+  indexFileName,
+  findArtifacts,
+} = require('./fileTypes.cjs');
+
+/**
+ * Actions of plan entries, in the order they are summarised.
+ * @type {string[]}
+ */
+const PLAN_ACTIONS = ['download', 'subset', 'skip', 'restore', 'archived'];
+
+/**
+ * Plans the output file of a step, skipping it when it exists and overwrite is off.
+ * @param   {object}   ctx       - The plan context (see planAnalysis).
+ * @param   {object}   entry     - The entry without action.
+ * @param   {string}   fileName  - The file name before the region is added.
+ * @param   {string}   action    - The action if the output does not exist yet.
+ * @param   {string[]} [regions] - Regions the output is named after (see layoutFileName).
+ * @returns {object}             - The plan entry.
+ */
+function planOutput(ctx, entry, fileName, action, regions = []) {
+  const outputPath = path.join(
+    ctx.destination,
+    layoutFileName(
+      ctx.layout ?? null,
+      {
+        analysisId: entry.analysisId,
+        analysis: ctx.analysisMetadata?.[entry.analysisId],
+        fileName,
+        regions,
+      },
+      ctx.logger,
+    ),
+  );
+  if (!ctx.overwrite && fs.existsSync(outputPath)) {
+    return {
+      ...entry,
+      outputPath,
+      action: 'skip',
+      bytes: null,
+      reason: 'output exists',
+    };
+  }
+  return { ...entry, outputPath, action };
+}
+
+/**
+ * Plans the primary files of one analysis the same way createFileJobs would process them.
+ * @param   {string}   analysisId             - The analysis ID.
+ * @param   {object}   fileDict               - The resolved files (see getDownloadLinks).
+ * @param   {object[]} archivedFiles          - Archived files of the analysis (from metrics.archivedFiles).
+ * @param   {object}   ctx                    - The plan context.
+ * @param   {string}   ctx.destination        - The destination folder.
+ * @param   {boolean}  ctx.overwrite          - Whether existing files would be overwritten.
+ * @param   {string[]} ctx.regions            - Genomic regions (empty for full downloads).
+ * @param   {boolean}  ctx.unmapped           - Whether unmapped reads would be extracted.
+ * @param   {string}   [ctx.vcfOutput]        - "merged" if the regions of a VCF go into one file.
+ * @param   {boolean}  [ctx.convertToCram]    - Whether BAM files would be written as CRAM.
+ * @param   {string}   ctx.restoreArchived    - The restoreArchived mode ("no", "ask", "all", "force").
+ * @param   {string[]} [ctx.filetypes]        - File extensions selected for download.
+ * @param   {string}   [ctx.layout]           - Layout of the output paths (see layoutUtils).
+ * @param   {object}   [ctx.analysisMetadata] - Map of analysis ID to sample metadata for the layout.
+ * @param   {object}   ctx.logger             - The logger instance.
+ * @returns {object[]}                        - Plan entries with analysisId, file, outputPath, action, bytes, regions and reason.
+ */
+function planAnalysis(analysisId, fileDict, archivedFiles, ctx) {
+  const entries = [];
+  const { regions, unmapped } = ctx;
+  const subset = regions.length > 0 || unmapped;
+
+  const primaryFiles = Object.keys(fileDict).filter(isPrimaryFile);
+  for (const fileName of primaryFiles) {
+    const fileType = findFileType(fileName);
+    const subsetTool = SUBSET_TOOLS[fileType.subsetTool];
+    const indexName = indexFileName(fileName);
+    const index = fileDict[indexName];
+    const base = { analysisId, file: fileName };
+    // BAM files converted to CRAM are written under the CRAM name
+    const convert = Boolean(ctx.convertToCram) && fileType.name === 'BAM';
+    const outputName = convert ? fileName.replace(/\.bam$/, '.cram') : fileName;
+
+    if (unmapped && !subsetTool.unmapped) {
+      entries.push({
+        ...base,
+        outputPath: null,
+        action: 'skip',
+        bytes: null,
+        reason: 'unmapped read extraction only applies to BAM and CRAM files',
+      });
+      continue;
+    }
+
+    if (!subset) {
+      entries.push(
+        planOutput(
+          ctx,
+          {
+            ...base,
+            bytes: fileDict[fileName].size ?? null,
+            ...(convert ? { reason: 'converted to CRAM' } : {}),
+          },
+          outputName,
+          'download',
+        ),
+      );
+      // The conversion streams the whole BAM and needs no index
+      if (convert) {
+        continue;
+      }
+    } else if (index) {
+      // Subsets stream from the remote file; the outputs are named after the regions
+      const subsetRegions = regions.length > 0 ? regions : ['unmapped'];
+      const outputs =
+        subsetTool.mergesRegions || ctx.vcfOutput === 'merged'
+          ? [
+              {
+                name: outputName,
+                nameRegions: subsetRegions,
+                regions:
+                  unmapped && regions.length > 0
+                    ? [...regions, 'unmapped']
+                    : subsetRegions,
+              },
+            ]
+          : regions.map((region) => ({
+              name: fileName,
+              nameRegions: [region],
+              regions: [region],
+            }));
+      for (const output of outputs) {
+        entries.push(
+          planOutput(
+            ctx,
+            { ...base, bytes: null, regions: output.regions },
+            output.name,
+            'subset',
+            output.nameRegions,
+          ),
+        );
+      }
+    } else {
+      entries.push({
+        ...base,
+        outputPath: null,
+        action: 'skip',
+        bytes: null,
+        reason: `no ${indexName.slice(fileName.length)} index for a ranged download`,
+      });
+      continue;
+    }
+
+    // Full downloads fetch the index if available; subsets need it locally
+    if (index) {
+      entries.push(
+        planOutput(
+          ctx,
+          { analysisId, file: indexName, bytes: index.size ?? null },
+          indexName,
+          'download',
+        ),
+      );
+    }
+  }
+
+  // Artifacts (reports, QC files) are downloaded as they are, also in ranged runs
+  for (const fileName of findArtifacts(Object.keys(fileDict))) {
+    entries.push(
+      planOutput(
+        ctx,
+        { analysisId, file: fileName, bytes: fileDict[fileName].size ?? null },
+        fileName,
+        'download',
+      ),
+    );
+  }
+
+  const filetypes = ctx.filetypes || [];
+  for (const archived of archivedFiles) {
+    if (
+      filetypes.length > 0 &&
+      !filetypes.some((type) => archived.fileName.endsWith(type))
+    ) {
+      continue;
+    }
+    const restore = ctx.restoreArchived !== 'no';
+    entries.push({
+      analysisId,
+      file: archived.fileName,
+      outputPath: null,
+      action: restore ? 'restore' : 'archived',
+      bytes: null,
+      reason: restore
+        ? `archived; restoration would be ${ctx.restoreArchived === 'force' ? 'requested' : 'offered'} (--restoreArchived ${ctx.restoreArchived})`
+        : 'archived; not restored (--restoreArchived no)',
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Counts the plan entries per action and sums the known sizes of the downloads.
+ * @param   {object[]} entries - The plan entries.
+ * @returns {object}           - Count per action plus downloadBytes and unknownSizes.
+ */
+function summarizePlan(entries) {
+  const totals = Object.fromEntries(PLAN_ACTIONS.map((action) => [action, 0]));
+  let downloadBytes = 0;
+  let unknownSizes = 0;
+  for (const entry of entries) {
+    totals[entry.action] += 1;
+    if (entry.action === 'download') {
+      if (entry.bytes === null) {
+        unknownSizes += 1;
+      } else {
+        downloadBytes += entry.bytes;
+      }
+    }
+  }
+  return { ...totals, downloadBytes, unknownSizes };
+}
+
+/**
+ * Formats a plan as human-readable text, one line per entry grouped by analysis.
+ * @param   {object} plan         - The plan (see VarvisClient.plan).
+ * @param   {object} plan.entries - The plan entries.
+ * @param   {object} plan.totals  - The totals (see summarizePlan).
+ * @returns {string}              - The text.
+ */
+function formatPlan(plan) {
+  const lines = [];
+  let analysisId = null;
+  for (const entry of plan.entries) {
+    if (entry.analysisId !== analysisId) {
+      analysisId = entry.analysisId;
+      lines.push(`Analysis ${analysisId}:`);
+    }
+    const details = [
+      entry.regions ? entry.regions.join(', ') : null,
+      entry.bytes === null ? null : formatBytes(entry.bytes),
+      entry.outputPath && entry.action !== 'skip'
+        ? `-> ${entry.outputPath}`
+        : null,
+      entry.reason
+        ? `(${entry.reason}${entry.action === 'skip' && entry.outputPath ? `: ${entry.outputPath}` : ''})`
+        : null,
+    ].filter(Boolean);
+    lines.push(
+      `  ${entry.action.padEnd(9)}${entry.file}  ${details.join('  ')}`,
+    );
+  }
+
+  const { totals } = plan;
+  const unknown =
+    totals.unknownSizes > 0 ? `, ${totals.unknownSizes} of unknown size` : '';
+  lines.push(
+    '',
+    `Plan: ${totals.download} to download (${formatBytes(totals.downloadBytes)}${unknown}), ${totals.subset} to subset by region, ${totals.skip} skipped, ${totals.restore} to restore, ${totals.archived} archived.`,
+    'Dry run: nothing was downloaded, restored or written.',
+  );
+  return lines.join('\n');
+}
+
+module.exports = {
+  PLAN_ACTIONS,
+  planAnalysis,
+  summarizePlan,
+  formatPlan,
+};
@@ -0,0 +1,483 @@
+/**
+ * Renderers for download progress events. Downloads emit "download:start",
+ * "download:progress" and "download:end" on an event emitter, download jobs
+ * "job:queued" and "job:end", and samtools/tabix steps "task:start" and
+ * "task:end"; a renderer decides how (and whether) the progress is shown.
+ * @module progressRenderers
+ */
+
+const path = require('node:path');
+const { Writable } = require('node:stream');
+
+/**
+ * Supported progress modes. "auto" uses the TTY dashboard on a terminal and log lines otherwise.
+ * @type {string[]}
+ */
+const PROGRESS_MODES = ['auto', 'tty', 'log', 'ndjson', 'silent'];
+
+/**
+ * Names of the progress events, keyed by the renderer handler that receives them.
+ * @type {Readonly<Record<string, string>>}
+ */
+const PROGRESS_EVENTS = Object.freeze({
+  queued: 'job:queued',
+  finished: 'job:end',
+  start: 'download:start',
+  progress: 'download:progress',
+  end: 'download:end',
+  taskStart: 'task:start',
+  taskEnd: 'task:end',
+});
+
+/**
+ * Frames of the spinner shown for steps without byte progress.
+ * @type {string[]}
+ */
+const SPINNER_FRAMES = ['|', '/', '-', '\\'];
+
+/**
+ * Formats a byte count for humans (e.g. "1.5 MB").
+ * @param   {number|null} bytes - The byte count.
+ * @returns {string}            - The formatted size, or "?" if unknown.
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '?';
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Formats a duration in seconds as "1h02m", "3m05s" or "42s".
+ * @param   {number|null} seconds - The duration.
+ * @returns {string}              - The formatted duration, or "?" if unknown.
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) {
+    return '?';
+  }
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) {
+    return `${hours}h${String(minutes).padStart(2, '0')}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m${String(secs).padStart(2, '0')}s`;
+  }
+  return `${secs}s`;
+}
+
+/**
+ * Creates a renderer that ignores all progress events.
+ * @returns {object} - The renderer.
+ */
+function createSilentRenderer() {
+  return {
+    start() {},
+    progress() {},
+    end() {},
+  };
+}
+
+/**
+ * Draws a fixed-width bar such as "[=====     ]".
+ * @param   {number} fraction - The completed fraction (0-1).
+ * @param   {number} width    - The number of cells inside the brackets.
+ * @returns {string}          - The bar.
+ */
+function renderBar(fraction, width) {
+  const filled = Math.round(Math.min(Math.max(fraction, 0), 1) * width);
+  return `[${'='.repeat(filled)}${' '.repeat(width - filled)}]`;
+}
+
+/**
+ * Creates a terminal dashboard: an overall line with finished jobs, bytes and the ETA of the
+ * whole batch, one bar per active transfer and a spinner per running samtools/tabix step.
+ * The block is redrawn in place; log output written through createLogStream() is printed
+ * above it instead of tearing it apart.
+ * @param   {object} [stream]           - The TTY stream to draw on (default: process.stderr).
+ * @param   {object} [options]          - Renderer options.
+ * @param   {number} [options.interval] - Milliseconds between redraws (default: 100).
+ * @returns {object}                    - The renderer.
+ */
+function createTtyRenderer(stream = process.stderr, options = {}) {
+  const interval = options.interval ?? 100;
+  const jobs = { total: 0, done: 0, failed: 0 };
+  // Expected and transferred bytes of full downloads, keyed by analysis and file
+  const expectedBytes = new Map();
+  const transferredBytes = new Map();
+  const transfers = new Map();
+  const tasks = new Map();
+  let startedAt = null;
+  let drawnLines = 0;
+  let frame = 0;
+  let timer = null;
+  let finished = false;
+  // Prompts waiting for an answer; the dashboard stays off the screen meanwhile
+  let suspended = 0;
+
+  const jobKey = (event) => `${event.analysisId}/${event.file}`;
+
+  const fit = (line) =>
+    stream.columns && line.length >= stream.columns
+      ? line.slice(0, stream.columns - 1)
+      : line;
+
+  const overallLine = () => {
+    let bytesDone = 0;
+    for (const bytes of transferredBytes.values()) {
+      bytesDone += bytes;
+    }
+    let bytesTotal = 0;
+    for (const size of expectedBytes.values()) {
+      bytesTotal += size;
+    }
+    let rate = 0;
+    for (const transfer of transfers.values()) {
+      rate += transfer.rate || 0;
+    }
+
+    let eta = null;
+    if (bytesTotal > 0 && rate > 0) {
+      eta = Math.max(bytesTotal - bytesDone, 0) / rate;
+    } else if (jobs.done > 0) {
+      const elapsed = (Date.now() - startedAt) / 1000;
+      eta = (elapsed / jobs.done) * (jobs.total - jobs.done);
+    }
+
+    const fraction =
+      bytesTotal > 0 ? bytesDone / bytesTotal : jobs.done / (jobs.total || 1);
+    const bytes =
+      bytesTotal > 0
+        ? `${formatBytes(bytesDone)} of ${formatBytes(bytesTotal)}`
+        : formatBytes(bytesDone);
+    const failed = jobs.failed > 0 ? `, ${jobs.failed} failed` : '';
+    return `Overall ${renderBar(fraction, 20)} ${jobs.done}/${jobs.total} files${failed}  ${bytes}  ${formatBytes(Math.round(rate))}/s  ETA ${formatDuration(eta)}`;
+  };
+
+  const transferLine = (transfer) => {
+    if (!transfer.total) {
+      return `  ${transfer.file}  ${formatBytes(transfer.bytes)}`;
+    }
+    const percent = Math.floor((transfer.bytes / transfer.total) * 100);
+    return `  ${transfer.file} ${renderBar(transfer.bytes / transfer.total, 20)} ${percent}%  ${formatBytes(transfer.bytes)} of ${formatBytes(transfer.total)}  ${formatBytes(Math.round(transfer.rate || 0))}/s  ETA ${formatDuration(transfer.eta)}`;
+  };
+
+  const taskLine = (task) => {
+    const spinner = SPINNER_FRAMES[frame % SPINNER_FRAMES.length];
+    const elapsed = (Date.now() - task.startedAt) / 1000;
+    return `  ${spinner} ${task.command} ${path.basename(task.outputPath)}  ${formatDuration(elapsed)}`;
+  };
+
+  const clear = () => {
+    if (drawnLines > 0) {
+      stream.write(`\x1b[${drawnLines}A\x1b[0J`);
+      drawnLines = 0;
+    }
+  };
+
+  const draw = () => {
+    if (startedAt === null || suspended > 0) {
+      return;
+    }
+    const lines = [
+      overallLine(),
+      ...[...transfers.values()].map(transferLine),
+      ...[...tasks.values()].map(taskLine),
+    ];
+    // Keep the block on screen; the overall line always stays
+    if (stream.rows && lines.length > stream.rows - 1) {
+      const hidden = lines.length - (stream.rows - 2);
+      lines.splice(stream.rows - 2, hidden, `  ... and ${hidden} more`);
+    }
+    const erase = drawnLines > 0 ? `\x1b[${drawnLines}A\x1b[0J` : '';
+    stream.write(`${erase}${lines.map((line) => `${fit(line)}\n`).join('')}`);
+    drawnLines = lines.length;
+  };
+
+  // A run after a finished one (e.g. the next row of a region map) gets a fresh block
+  const activate = () => {
+    if (startedAt !== null) {
+      return;
+    }
+    if (finished) {
+      jobs.total = 0;
+      jobs.done = 0;
+      jobs.failed = 0;
+      expectedBytes.clear();
+      transferredBytes.clear();
+      transfers.clear();
+      tasks.clear();
+      finished = false;
+    }
+    startedAt = Date.now();
+    timer = setInterval(() => {
+      frame += 1;
+      draw();
+    }, interval);
+    // The dashboard never keeps the process alive
+    timer.unref?.();
+  };
+
+  return {
+    queued(event) {
+      activate();
+      jobs.total += 1;
+      if (event.size) {
+        expectedBytes.set(jobKey(event), event.size);
+      }
+    },
+    finished(event) {
+      jobs.done += 1;
+      if (event.status === 'rejected') {
+        jobs.failed += 1;
+      }
+    },
+    start(event) {
+      activate();
+      transfers.set(event.outputPath, { ...event });
+      if (expectedBytes.has(jobKey(event))) {
+        transferredBytes.set(jobKey(event), event.bytes);
+      }
+    },
+    progress(event) {
+      transfers.set(event.outputPath, { ...event });
+      if (expectedBytes.has(jobKey(event))) {
+        transferredBytes.set(jobKey(event), event.bytes);
+      }
+    },
+    end(event) {
+      transfers.delete(event.outputPath);
+      if (expectedBytes.has(jobKey(event)) && event.status === 'downloaded') {
+        transferredBytes.set(jobKey(event), event.bytes);
+      }
+    },
+    taskStart(event) {
+      activate();
+      tasks.set(event.id, { ...event, startedAt: Date.now() });
+    },
+    taskEnd(event) {
+      tasks.delete(event.id);
+    },
+    /**
+     * Draws the final state of the run once and stops redrawing until the next run starts.
+     */
+    finish() {
+      clearInterval(timer);
+      if (!finished) {
+        draw();
+      }
+      finished = true;
+      startedAt = null;
+      drawnLines = 0;
+    },
+    /**
+     * Takes the dashboard off the screen and stops redrawing it, e.g. while a prompt waits
+     * for an answer (see suspendDuringPrompts).
+     */
+    suspend() {
+      suspended += 1;
+      clear();
+    },
+    /**
+     * Draws the dashboard again after suspend().
+     */
+    resume() {
+      suspended = Math.max(suspended - 1, 0);
+      draw();
+    },
+    /**
+     * Creates a writable stream that prints its output above the dashboard, e.g. for the
+     * console transport of the logger.
+     * @param   {object}   [target] - The stream the output goes to (default: process.stdout).
+     * @returns {Writable}          - The stream.
+     */
+    createLogStream(target = process.stdout) {
+      return new Writable({
+        write(chunk, encoding, callback) {
+          if (finished) {
+            target.write(chunk);
+          } else {
+            clear();
+            target.write(chunk);
+            draw();
+          }
+          callback();
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Creates a renderer that writes periodic progress lines to the logger,
+ * for CI jobs and containers without a terminal.
+ * @param   {object} logger             - The logger instance.
+ * @param   {object} [options]          - Renderer options.
+ * @param   {number} [options.interval] - Minimum milliseconds between lines per file (default: 10000).
+ * @returns {object}                    - The renderer.
+ */
+function createLogRenderer(logger, options = {}) {
+  const interval = options.interval ?? 10000;
+  const lastLogged = new Map();
+
+  return {
+    start(event) {
+      lastLogged.set(event.outputPath, Date.now());
+      logger.info(
+        event.bytes > 0
+          ? `Downloading ${event.file} (${formatBytes(event.total)}), resuming at ${formatBytes(event.bytes)}`
+          : `Downloading ${event.file} (${formatBytes(event.total)})`,
+      );
+    },
+    progress(event) {
+      const now = Date.now();
+      if (now - (lastLogged.get(event.outputPath) ?? 0) < interval) {
+        return;
+      }
+      lastLogged.set(event.outputPath, now);
+      const percent = event.total
+        ? ` ${Math.floor((event.bytes / event.total) * 100)}%`
+        : '';
+      logger.info(
+        `Downloading ${event.file}:${percent} ${formatBytes(event.bytes)} of ${formatBytes(event.total)} at ${formatBytes(Math.round(event.rate))}/s, ETA ${formatDuration(event.eta)}`,
+      );
+    },
+    end(event) {
+      lastLogged.delete(event.outputPath);
+    },
+  };
+}
+
+/**
+ * Creates a renderer that writes every event as one JSON line, for machine consumers.
+ * The "type" of a line is the PROGRESS_EVENTS key of its event, e.g. "progress" or "taskStart".
+ * Log lines belong on another stream so that the events stay parseable (see createLogStream).
+ * @param   {object} [stream]    - The writable stream of the events (default: process.stdout).
+ * @param   {object} [logStream] - The writable stream for console log lines (default: process.stderr).
+ * @returns {object}             - The renderer.
+ */
+function createNdjsonRenderer(
+  stream = process.stdout,
+  logStream = process.stderr,
+) {
+  const renderer = {
+    createLogStream: () => logStream,
+  };
+  for (const type of Object.keys(PROGRESS_EVENTS)) {
+    renderer[type] = (event) => {
+      stream.write(
+        `${JSON.stringify({ type, timestamp: new Date().toISOString(), ...event })}\n`,
+      );
+    };
+  }
+  return renderer;
+}
+
+/**
+ * Creates the renderer for a progress mode.
+ * @param   {string} mode             - One of PROGRESS_MODES.
+ * @param   {object} logger           - The logger instance (used by the log renderer).
+ * @param   {object} [options]        - Renderer options.
+ * @param   {object} [options.stream] - The stream the TTY dashboard draws on (default: process.stderr).
+ * @returns {object}                  - The renderer.
+ */
+function createProgressRenderer(mode, logger, options = {}) {
+  const stream = options.stream || process.stderr;
+  switch (mode) {
+    case 'auto': {
+      return stream.isTTY
+        ? createTtyRenderer(stream)
+        : createLogRenderer(logger);
+    }
+    case 'tty': {
+      return createTtyRenderer(stream);
+    }
+    case 'log': {
+      return createLogRenderer(logger);
+    }
+    case 'ndjson': {
+      return createNdjsonRenderer();
+    }
+    case 'silent': {
+      return createSilentRenderer();
+    }
+    default: {
+      throw new Error(
+        `Unsupported progress mode: ${mode}. Use one of: ${PROGRESS_MODES.join(', ')}`,
+      );
+    }
+  }
+}
+
+/**
+ * Suspends a renderer while the readline interface asks a question, so that redraws
+ * neither erase nor garble the prompt and the answer typed after it.
+ * @param   {object}   rl       - The readline interface the prompts use.
+ * @param   {object}   renderer - A renderer with suspend() and resume() (see createTtyRenderer).
+ * @returns {Function}          - Restores the original rl.question.
+ */
+function suspendDuringPrompts(rl, renderer) {
+  const question = rl.question;
+  rl.question = (query, ...args) => {
+    const callback = args.pop();
+    renderer.suspend();
+    return question.call(rl, query, ...args, (answer) => {
+      renderer.resume();
+      callback(answer);
+    });
+  };
+  return () => {
+    rl.question = question;
+  };
+}
+
+/**
+ * Subscribes a renderer to the progress events of an emitter. Renderers only need the
+ * handlers they use (see PROGRESS_EVENTS); an optional finish() is called on "done".
+ * @param   {object}   emitter  - The event emitter, e.g. a VarvisClient.
+ * @param   {object}   renderer - The renderer with handlers named after the PROGRESS_EVENTS keys.
+ * @returns {Function}          - Removes the listeners again.
+ */
+function attachProgressRenderer(emitter, renderer) {
+  const handlers = {};
+  for (const [name, eventName] of Object.entries(PROGRESS_EVENTS)) {
+    if (typeof renderer[name] === 'function') {
+      handlers[eventName] = (event) => renderer[name](event);
+    }
+  }
+  if (typeof renderer.finish === 'function') {
+    handlers.done = () => renderer.finish();
+  }
+  for (const [eventName, handler] of Object.entries(handlers)) {
+    emitter.on(eventName, handler);
+  }
+  return () => {
+    for (const [eventName, handler] of Object.entries(handlers)) {
+      emitter.off(eventName, handler);
+    }
+  };
+}
+
+module.exports = {
+  PROGRESS_MODES,
+  PROGRESS_EVENTS,
+  formatBytes,
+  formatDuration,
+  createSilentRenderer,
+  createTtyRenderer,
+  createLogRenderer,
+  createNdjsonRenderer,
+  createProgressRenderer,
+  attachProgressRenderer,
+  suspendDuringPrompts,
+};
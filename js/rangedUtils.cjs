@@ -1,7 +1,9 @@
 const { spawn } = require('node:child_process');
 const fs = require('node:fs');
 const path = require('node:path');
+const { Transform } = require('node:stream');
 const { downloadFile } = require('./fileUtils.cjs');
+const { findFileType, compoundExtension } = require('./fileTypes.cjs');
 const {
   spawnPromise,
   compareVersions,
@@ -9,16 +11,31 @@ const {
 } = require('./toolChecks.cjs');
 
 /**
- * Performs a ranged download for a BAM file using samtools.
- * @param   {string}                   url             - The URL of the BAM file.
+ * Builds the samtools view options for the output format, which follows the extension of the
+ * output file (BAM, or CRAM for ".cram"), and the reference FASTA used to read and write CRAM.
+ * @param   {string}      outputFile  - The output file name.
+ * @param   {string|null} [reference] - Path to the reference FASTA.
+ * @returns {string[]}                - The options.
+ */
+function samtoolsFormatArgs(outputFile, reference) {
+  return [
+    outputFile.endsWith('.cram') ? '-C' : '-b',
+    ...(reference ? ['-T', reference] : []),
+  ];
+}
+
+/**
+ * Performs a ranged download for a BAM or CRAM file using samtools.
+ * @param   {string}                   url             - The URL of the BAM or CRAM file.
  * @param   {string}                   bedFile         - Path to BED file with regions.
- * @param   {string}                   outputFile      - The output file name.
- * @param   {string}                   indexFile       - The path to the downloaded .bai index file.
+ * @param   {string}                   outputFile      - The output file name; ".cram" writes CRAM.
+ * @param   {string}                   indexFile       - The path to the downloaded .bai or .crai index file.
  * @param   {import('winston').Logger} logger          - The logger instance.
  * @param   {object}                   metrics         - Metrics object for tracking stats.
  * @param   {boolean}                  overwrite       - Flag indicating whether to overwrite existing files.
  * @param   {boolean}                  includeUnmapped - Also include unmapped reads (wildcard '*' region).
  * @param   {string[]}                 regions         - Genomic regions in chr:start-end format (used when includeUnmapped is true).
+ * @param   {string|null}              [reference]     - Reference FASTA for reading or writing CRAM (samtools -T).
  * @returns {Promise<void>}
  */
 async function rangedDownloadBAM(
@@ -31,6 +48,7 @@ async function rangedDownloadBAM(
   overwrite = false,
   includeUnmapped = false,
   regions = [],
+  reference = null,
 ) {
   try {
     // Check if the output BAM file already exists and skip download if overwrite is false
@@ -53,7 +71,7 @@ async function rangedDownloadBAM(
       );
       args = [
         'view',
-        '-b',
+        ...samtoolsFormatArgs(outputFile, reference),
         '-X',
         url,
         indexFile,
@@ -64,10 +82,10 @@ async function rangedDownloadBAM(
       ];
     } else {
       // Standard ranged download using BED file
-      logger.debug(`Downloading BAM for regions in BED file: ${bedFile}`);
+      logger.debug(`Downloading reads for regions in BED file: ${bedFile}`);
       args = [
         'view',
-        '-b',
+        ...samtoolsFormatArgs(outputFile, reference),
         '-X',
         url,
         indexFile,
@@ -125,18 +143,125 @@ async function rangedDownloadVCF(
     return;
   }
 
+  // Get the directory where the index file is located
+  const indexDir = path.dirname(indexFile);
+
+  // Command 1: tabix to extract the region with header
+  // CRITICAL: The URL must be quoted to handle special characters in query parameters
+  return tabixToBgzip(
+    `tabix -h "${url}" ${range}`,
+    indexDir,
+    outputFile,
+    logger,
+    metrics,
+  );
+}
+
+/**
+ * Performs a ranged download of all regions of a BED file into one VCF, using
+ * tabix -R -> bgzip. tabix returns the records in the order of the BED lines, so the
+ * regions have to be sorted and merged (see normalizeRegions); it still repeats records
+ * that overlap several regions (e.g. long deletions), and the repeats are dropped.
+ * @param   {string}                   url        - The URL of the VCF.gz file.
+ * @param   {string}                   bedFile    - Path to BED file with regions.
+ * @param   {string}                   outputFile - The output file name (will be compressed as .vcf.gz).
+ * @param   {string}                   indexFile  - The local path to the downloaded .tbi index file.
+ * @param   {import('winston').Logger} logger     - The logger instance.
+ * @param   {object}                   metrics    - Metrics object for tracking stats.
+ * @param   {boolean}                  overwrite  - Flag indicating whether to overwrite existing files.
+ * @returns {Promise<void>}
+ */
+async function rangedDownloadVCFRegions(
+  url,
+  bedFile,
+  outputFile,
+  indexFile,
+  logger,
+  metrics,
+  overwrite = false,
+) {
+  if (fs.existsSync(outputFile) && !overwrite) {
+    logger.info(`VCF file already exists: ${outputFile}, skipping download.`);
+    metrics.totalFilesSkipped += 1;
+    return;
+  }
+
+  return tabixToBgzip(
+    `tabix -h -R "${bedFile}" "${url}"`,
+    path.dirname(indexFile),
+    outputFile,
+    logger,
+    metrics,
+    createVcfDeduplicator(),
+  );
+}
+
+/**
+ * Creates a stream that drops repeated VCF records from sorted tabix output: a record
+ * starting before the previous one, or equal to one already passed at the same position,
+ * was returned for an earlier region. Header lines pass unchanged.
+ * @returns {Transform} - The filter for the VCF text.
+ */
+function createVcfDeduplicator() {
+  let pending = '';
+  let chrom = null;
+  let position = 0;
+  let linesAtPosition = new Set();
+
+  const keep = (line) => {
+    if (line.startsWith('#')) {
+      return true;
+    }
+    const [lineChrom, linePosition] = line.split('\t', 2);
+    const pos = Number(linePosition);
+    if (lineChrom !== chrom || pos > position) {
+      chrom = lineChrom;
+      position = pos;
+      linesAtPosition = new Set([line]);
+      return true;
+    }
+    if (pos < position || linesAtPosition.has(line)) {
+      return false;
+    }
+    linesAtPosition.add(line);
+    return true;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (pending + chunk.toString()).split('\n');
+      pending = lines.pop();
+      callback(
+        null,
+        lines
+          .filter(keep)
+          .map((line) => `${line}\n`)
+          .join(''),
+      );
+    },
+    flush(callback) {
+      callback(null, pending && keep(pending) ? `${pending}\n` : '');
+    },
+  });
+}
+
+/**
+ * Runs a tabix command and compresses its output with bgzip into the output file.
+ * @param   {string}                   tabixCmd   - The tabix command line (run through sh).
+ * @param   {string}                   indexDir   - The directory holding the downloaded index file.
+ * @param   {string}                   outputFile - The output file name.
+ * @param   {import('winston').Logger} logger     - The logger instance.
+ * @param   {object}                   metrics    - Metrics object for tracking stats.
+ * @param   {Transform}                [filter]   - Stream the tabix output passes through.
+ * @returns {Promise<void>}
+ */
+function tabixToBgzip(tabixCmd, indexDir, outputFile, logger, metrics, filter) {
   return new Promise((resolve, reject) => {
     // For tabix to work with remote URLs:
     // 1. The index file must already be downloaded (handled by ensureIndexFile)
     // 2. Execute tabix in the directory containing the index file
     // 3. The index file must be named exactly as expected by tabix (basename.vcf.gz.tbi)
 
-    // Get the directory where the index file is located
-    const indexDir = path.dirname(indexFile);
-
-    // Command 1: tabix to extract the region with header
-    // CRITICAL: The URL must be quoted to handle special characters in query parameters
-    const tabixCmd = `tabix -h "${url}" ${range}`;
     logger.info(`Executing in ${indexDir}: ${tabixCmd}`);
     const tabixProcess = spawn('sh', ['-c', tabixCmd], {
       cwd: indexDir, // Execute in the directory where the index file is located
@@ -181,8 +306,10 @@ async function rangedDownloadVCF(
       }
     };
 
-    // Pipe stdout of tabix to stdin of bgzip
-    tabixProcess.stdout.pipe(bgzipProcess.stdin);
+    // Pipe stdout of tabix (through the filter, if any) to stdin of bgzip
+    (filter ? tabixProcess.stdout.pipe(filter) : tabixProcess.stdout).pipe(
+      bgzipProcess.stdin,
+    );
 
     // Pipe stdout of bgzip to the output file
     bgzipProcess.stdout.pipe(outputStream);
@@ -233,16 +360,70 @@ async function rangedDownloadVCF(
 }
 
 /**
- * Extracts unmapped reads from a remote BAM file using samtools.
+ * Reads the contig names from the header of a remote BAM or CRAM ("@SQ" lines, via samtools
+ * view -H) or VCF.gz file ("##contig" lines, via tabix -H). Like rangedDownloadVCF, the tools run in
+ * the directory of the downloaded index file.
+ * @param   {string}                   url       - The URL of the BAM, CRAM or VCF.gz file.
+ * @param   {string}                   format    - "bam" (also for CRAM) or "vcf".
+ * @param   {string}                   indexFile - The local path to the downloaded index file.
+ * @param   {import('winston').Logger} logger    - The logger instance.
+ * @returns {Promise<string[]>}                  - The contigs in header order; empty if the header lists none.
+ */
+function readRemoteContigs(url, format, indexFile, logger) {
+  const [command, args] =
+    format === 'vcf'
+      ? ['tabix', ['-H', url]]
+      : ['samtools', ['view', '-H', url]];
+  logger.debug(`Reading contigs: ${command} ${args.join(' ')}`);
+
+  return new Promise((resolve, reject) => {
+    const childProcess = spawn(command, args, { cwd: path.dirname(indexFile) });
+    let stdout = '';
+    let stderr = '';
+    childProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    childProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    childProcess.on('error', reject);
+    childProcess.on('close', (code) => {
+      if (code !== 0) {
+        reject(
+          new Error(
+            `${command} exited with code ${code} reading the header: ${stderr.trim()}`,
+          ),
+        );
+        return;
+      }
+      const contigs = stdout.split('\n').flatMap((line) => {
+        if (format === 'vcf') {
+          const match = /^##contig=<ID=([^,>]+)/.exec(line);
+          return match ? [match[1]] : [];
+        }
+        const name = line.startsWith('@SQ\t')
+          ? line.split('\t').find((field) => field.startsWith('SN:'))
+          : undefined;
+        return name ? [name.slice(3)] : [];
+      });
+      logger.debug(`Header lists ${contigs.length} contigs`);
+      resolve(contigs);
+    });
+  });
+}
+
+/**
+ * Extracts unmapped reads from a remote BAM or CRAM file using samtools.
  * Uses the wildcard chromosome '*' to target reads with no reference assignment.
  * This is particularly useful for Illumina NovaSeq data where unmapped reads
  * may contain contamination, adapter sequences, or novel sequences of interest.
- * @param   {string}                   url        - The URL of the BAM file.
- * @param   {string}                   outputFile - The output file name.
- * @param   {string}                   indexFile  - The path to the downloaded .bai index file.
- * @param   {import('winston').Logger} logger     - The logger instance.
- * @param   {object}                   metrics    - Metrics object for tracking stats.
- * @param   {boolean}                  overwrite  - Flag indicating whether to overwrite existing files.
+ * @param   {string}                   url         - The URL of the BAM or CRAM file.
+ * @param   {string}                   outputFile  - The output file name; ".cram" writes CRAM.
+ * @param   {string}                   indexFile   - The path to the downloaded .bai or .crai index file.
+ * @param   {import('winston').Logger} logger      - The logger instance.
+ * @param   {object}                   metrics     - Metrics object for tracking stats.
+ * @param   {boolean}                  overwrite   - Flag indicating whether to overwrite existing files.
+ * @param   {string|null}              [reference] - Reference FASTA for reading or writing CRAM (samtools -T).
  * @returns {Promise<void>}
  */
 async function unmappedDownloadBAM(
@@ -252,6 +433,7 @@ async function unmappedDownloadBAM(
   logger,
   metrics,
   overwrite = false,
+  reference = null,
 ) {
   try {
     if (fs.existsSync(outputFile) && !overwrite) {
@@ -262,8 +444,17 @@ async function unmappedDownloadBAM(
       return;
     }
 
-    logger.debug('Extracting unmapped reads from BAM file');
-    const args = ['view', '-b', '-X', url, indexFile, '*', '-o', outputFile];
+    logger.debug('Extracting unmapped reads from alignment file');
+    const args = [
+      'view',
+      ...samtoolsFormatArgs(outputFile, reference),
+      '-X',
+      url,
+      indexFile,
+      '*',
+      '-o',
+      outputFile,
+    ];
     logger.info(`Running command: samtools ${args.join(' ')}`);
 
     await spawnPromise('samtools', args, logger);
@@ -285,65 +476,119 @@ async function unmappedDownloadBAM(
 }
 
 /**
- * Indexes a BAM file using samtools.
- * @param   {string}        bamFile   - The path to the BAM file.
- * @param   {object}        logger    - The logger instance.
- * @param   {boolean}       overwrite - Flag indicating whether to overwrite existing index files.
+ * Converts a remote BAM file to CRAM with samtools while streaming it, so only the CRAM
+ * is stored. Reads are compressed against the reference FASTA.
+ * @param   {string}                   url        - The URL of the BAM file.
+ * @param   {string}                   outputFile - The output CRAM file name.
+ * @param   {string}                   reference  - Path to the reference FASTA the reads were aligned to.
+ * @param   {import('winston').Logger} logger     - The logger instance.
+ * @param   {object}                   metrics    - Metrics object for tracking stats.
+ * @param   {boolean}                  overwrite  - Flag indicating whether to overwrite existing files.
  * @returns {Promise<void>}
  */
-async function indexBAM(bamFile, logger, overwrite = false) {
-  const indexFile = `${bamFile}.bai`;
-  if (fs.existsSync(indexFile) && !overwrite) {
-    logger.info(`Index file already exists: ${indexFile}, skipping indexing.`);
-    return;
-  }
-
+async function convertBAMToCRAM(
+  url,
+  outputFile,
+  reference,
+  logger,
+  metrics,
+  overwrite = false,
+) {
   try {
-    const args = ['index', bamFile];
-    logger.info(`Indexing BAM file: ${bamFile}`);
+    if (fs.existsSync(outputFile) && !overwrite) {
+      logger.info(
+        `CRAM file already exists: ${outputFile}, skipping conversion.`,
+      );
+      metrics.totalFilesSkipped += 1;
+      return;
+    }
+
+    const args = ['view', '-C', '-T', reference, url, '-o', outputFile];
+    logger.info(`Running command: samtools ${args.join(' ')}`);
+
     await spawnPromise('samtools', args, logger);
-    logger.info(`Indexed BAM file: ${bamFile}`);
+    logger.info(`Converted BAM file to ${outputFile}`);
+    metrics.totalFilesDownloaded += 1;
   } catch (error) {
-    logger.error(`Error indexing BAM file: ${error.message}`);
+    // Clean up partial output file on failure
+    if (fs.existsSync(outputFile)) {
+      try {
+        fs.unlinkSync(outputFile);
+        logger.debug(`Cleaned up partial file: ${outputFile}`);
+      } catch {
+        /* ignore cleanup errors */
+      }
+    }
+    logger.error(`Error converting BAM to CRAM: ${error.message}`);
     throw error;
   }
 }
 
 /**
- * Indexes a VCF.gz file using tabix.
- * @param   {string}        vcfGzFile - The path to the VCF.gz file.
+ * Indexes a file with the index command of its format (see fileTypes).
+ * @param   {string}        file      - The path to the file.
+ * @param   {string}        label     - Name of the format in messages.
  * @param   {object}        logger    - The logger instance.
  * @param   {boolean}       overwrite - Flag indicating whether to overwrite existing index files.
  * @returns {Promise<void>}
  */
-async function indexVCF(vcfGzFile, logger, overwrite = false) {
-  const indexFile = `${vcfGzFile}.tbi`;
+async function indexWithFileType(file, label, logger, overwrite) {
+  const { indexExtension, indexCommand } = findFileType(file);
+  const indexFile = `${file}${indexExtension}`;
   if (fs.existsSync(indexFile) && !overwrite) {
     logger.info(`Index file already exists: ${indexFile}, skipping indexing.`);
     return;
   }
 
   try {
-    const args = ['-p', 'vcf', vcfGzFile];
-    logger.info(`Indexing VCF.gz file: ${vcfGzFile}`);
-    await spawnPromise('tabix', args, logger);
-    logger.info(`Indexed VCF.gz file: ${vcfGzFile}`);
+    const [command, ...options] = indexCommand;
+    logger.info(`Indexing ${label} file: ${file}`);
+    await spawnPromise(command, [...options, file], logger);
+    logger.info(`Indexed ${label} file: ${file}`);
   } catch (error) {
-    logger.error(`Error indexing VCF.gz file: ${error.message}`);
+    logger.error(`Error indexing ${label} file: ${error.message}`);
     throw error;
   }
 }
 
 /**
- * Ensures that the required index file is downloaded for a BAM or VCF file.
- * @param   {string}        fileUrl       - The URL of the BAM or VCF file.
- * @param   {string}        indexUrl      - The URL of the index file (.bai or .tbi).
+ * Indexes a BAM or CRAM file using samtools (creating .bai or .crai).
+ * @param   {string}        bamFile   - The path to the BAM or CRAM file.
+ * @param   {object}        logger    - The logger instance.
+ * @param   {boolean}       overwrite - Flag indicating whether to overwrite existing index files.
+ * @returns {Promise<void>}
+ */
+async function indexBAM(bamFile, logger, overwrite = false) {
+  await indexWithFileType(
+    bamFile,
+    findFileType(bamFile).name,
+    logger,
+    overwrite,
+  );
+}
+
+/**
+ * Indexes a VCF.gz file using tabix.
+ * @param   {string}        vcfGzFile - The path to the VCF.gz file.
+ * @param   {object}        logger    - The logger instance.
+ * @param   {boolean}       overwrite - Flag indicating whether to overwrite existing index files.
+ * @returns {Promise<void>}
+ */
+async function indexVCF(vcfGzFile, logger, overwrite = false) {
+  await indexWithFileType(vcfGzFile, 'VCF.gz', logger, overwrite);
+}
+
+/**
+ * Ensures that the required index file is downloaded for a BAM, CRAM or VCF file.
+ * @param   {string}        fileUrl       - The URL of the BAM, CRAM or VCF file.
+ * @param   {string}        indexUrl      - The URL of the index file (.bai, .crai or .tbi).
  * @param   {string}        indexFilePath - The local path to the index file.
  * @param   {object}        agent         - The HTTP agent instance.
  * @param   {object}        rl            - The readline interface instance.
  * @param   {object}        logger        - The logger instance.
  * @param   {object}        metrics       - The metrics object for tracking download stats.
  * @param   {boolean}       overwrite     - Flag indicating whether to overwrite existing files.
+ * @param   {object}        [options]     - Download options passed to downloadFile (e.g. progress events).
  * @returns {Promise<void>}
  */
 async function ensureIndexFile(
@@ -355,6 +600,7 @@ async function ensureIndexFile(
   logger,
   metrics,
   overwrite = false,
+  options = {},
 ) {
   if (fs.existsSync(indexFilePath) && !overwrite) {
     logger.info(`Index file already exists: ${indexFilePath}`);
@@ -371,6 +617,7 @@ async function ensureIndexFile(
       rl,
       logger,
       metrics,
+      options,
     );
     logger.info(`Downloaded index file to ${indexFilePath}`);
   } catch (error) {
@@ -379,6 +626,37 @@ async function ensureIndexFile(
   }
 }
 
+/**
+ * Returns the index file tabix reads for a remote VCF.gz. tabix looks for the index in its
+ * working directory under the name of the remote file, so an index saved under another name
+ * (see layoutUtils) is copied under its remote name into tempDir.
+ * @param   {string} indexFilePath - The local path of the downloaded index.
+ * @param   {string} indexName     - The name of the remote index, e.g. "x.vcf.gz.tbi".
+ * @param   {string} tempDir       - Temporary folder for the copy, removed by the caller.
+ * @returns {string}               - The index path to pass to the tabix functions.
+ */
+function tabixIndexPath(indexFilePath, indexName, tempDir) {
+  if (path.basename(indexFilePath) === indexName) {
+    return indexFilePath;
+  }
+  const tabixPath = path.join(tempDir, indexName);
+  fs.mkdirSync(tempDir, { recursive: true });
+  fs.copyFileSync(indexFilePath, tabixPath);
+  return tabixPath;
+}
+
+/**
+ * Names the regions of a ranged download in output file names.
+ * @param   {string | string[]} regions - One region or the list of regions.
+ * @returns {string}                    - The region with ":" and "-" replaced by "_", or "multiple-regions".
+ */
+function regionSuffix(regions) {
+  if (Array.isArray(regions) && regions.length > 1) {
+    return 'multiple-regions';
+  }
+  return regions.toString().replace(/[:-]/g, '_'); // Replace colon and dash with underscores
+}
+
 /**
  * Generates an output file name by appending the genomic range or "multiple-regions" if more than one range is provided.
  * If no regions are provided, the original filename is returned. This applies to all file types (BAM, VCF, etc.).
@@ -405,32 +683,14 @@ function generateOutputFileName(fileName, regions, logger) {
     return fileName;
   }
 
-  // Handle compound extensions like .vcf.gz, .bam.bai properly
-  let extension, baseName;
-
-  if (fileName.endsWith('.vcf.gz')) {
-    extension = '.vcf.gz';
-    baseName = fileName.slice(0, -7); // Remove .vcf.gz
-  } else if (fileName.endsWith('.vcf.gz.tbi')) {
-    extension = '.vcf.gz.tbi';
-    baseName = fileName.slice(0, -11); // Remove .vcf.gz.tbi
-  } else if (fileName.endsWith('.bam.bai')) {
-    extension = '.bam.bai';
-    baseName = fileName.slice(0, -8); // Remove .bam.bai
-  } else {
-    extension = path.extname(fileName);
-    baseName = path.basename(fileName, extension);
-  }
-
-  let suffix;
-  if (Array.isArray(regions) && regions.length > 1) {
-    suffix = 'multiple-regions';
-  } else {
-    // This logic now only runs when regions has at least one valid element.
-    const sanitizedRegion = regions.toString().replace(/[:-]/g, '_'); // Replace colon and dash with underscores
-    suffix = sanitizedRegion;
-  }
+  // Keep compound extensions of registered formats (.vcf.gz, .bam.bai) together
+  const compound = compoundExtension(fileName);
+  const extension = compound ?? path.extname(fileName);
+  const baseName = compound
+    ? fileName.slice(0, -extension.length)
+    : path.basename(fileName, extension);
 
+  const suffix = regionSuffix(regions);
   const newFileName = `${baseName}.${suffix}${extension}`;
   logger.debug(`Generated output file name: ${newFileName}`);
 
@@ -444,9 +704,14 @@ module.exports = {
   // Core ranged download functions
   rangedDownloadBAM,
   rangedDownloadVCF,
+  rangedDownloadVCFRegions,
+  readRemoteContigs,
   unmappedDownloadBAM,
+  convertBAMToCRAM,
   ensureIndexFile,
+  tabixIndexPath,
   generateOutputFileName,
+  regionSuffix,
   indexBAM,
   indexVCF,
 };
@@ -0,0 +1,235 @@
+/**
+ * Genomic regions: parsing and validation of region strings and BED files, padding and
+ * merging, conversion to BED and matching contig names to those of a BAM or VCF header.
+ * Intervals are { chrom, start, end } with 1-based inclusive coordinates, as in region
+ * strings ("chr1:1000-2000"); end is null for a whole contig ("chr1").
+ * @module regionUtils
+ */
+
+const fs = require('node:fs');
+
+/**
+ * End written to BED files for whole contigs. samtools needs coordinates and clips this to the contig.
+ * @type {number}
+ */
+const WHOLE_CONTIG_END = 300000000;
+
+/**
+ * Parses a region string: "chr1:1000-2000" (thousands separators allowed) or a contig name
+ * for the whole contig.
+ * @param   {string} text - The region.
+ * @returns {object}      - The interval.
+ */
+function parseRegion(text) {
+  const value = text.trim();
+  if (!value || /\s/.test(value)) {
+    throw new Error(
+      `Invalid region "${text}": expected chr:start-end (e.g. chr1:1000-2000) or a contig name`,
+    );
+  }
+  const colon = value.indexOf(':');
+  if (colon === -1) {
+    return { chrom: value, start: 1, end: null };
+  }
+
+  const match = /^(\d[\d,]*)-(\d[\d,]*)$/.exec(value.slice(colon + 1));
+  if (colon === 0 || !match) {
+    throw new Error(
+      `Invalid region "${text}": expected chr:start-end (e.g. chr1:1000-2000) or a contig name`,
+    );
+  }
+  const [start, end] = match
+    .slice(1)
+    .map((position) => Number(position.replaceAll(',', '')));
+  if (start < 1) {
+    throw new Error(`Invalid region "${text}": positions start at 1`);
+  }
+  if (end < start) {
+    throw new Error(`Invalid region "${text}": the end is before the start`);
+  }
+  return { chrom: value.slice(0, colon), start, end };
+}
+
+/**
+ * Formats an interval as a region string.
+ * @param   {object} interval - The interval.
+ * @returns {string}          - "chr:start-end", or the contig name for a whole contig.
+ */
+function formatRegion(interval) {
+  const { chrom, start, end } = interval;
+  return end === null && start === 1 ? chrom : `${chrom}:${start}-${end}`;
+}
+
+/**
+ * Parses BED3+ content, separated by tabs or spaces. Header ("track", "browser"), comment
+ * and empty lines are skipped; the 0-based, end-exclusive BED starts are converted.
+ * @param   {string}   text   - The BED content.
+ * @param   {string}   source - Name of the content in error messages, e.g. the file path.
+ * @returns {object[]}        - The intervals.
+ */
+function parseBed(text, source) {
+  const intervals = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || /^(#|track\b|browser\b)/.test(trimmed)) {
+      return;
+    }
+    const [chrom, start, end] = trimmed.split(/\s+/);
+    if (
+      !/^\d+$/.test(start ?? '') ||
+      !/^\d+$/.test(end ?? '') ||
+      Number(end) <= Number(start)
+    ) {
+      throw new Error(
+        `Invalid BED line ${index + 1} of ${source}: expected "chrom start end" with start < end, got: ${trimmed}`,
+      );
+    }
+    intervals.push({ chrom, start: Number(start) + 1, end: Number(end) });
+  });
+  return intervals;
+}
+
+/**
+ * Reads the regions of a BED file.
+ * @param   {string}   bedFile - The BED file path.
+ * @returns {string[]}         - The regions as "chr:start-end".
+ */
+function readBedFile(bedFile) {
+  return parseBed(fs.readFileSync(bedFile, 'utf8'), bedFile).map(formatRegion);
+}
+
+/**
+ * Pads intervals, then sorts and merges overlapping or adjacent ones per contig. Contigs keep
+ * the order in which they first appear.
+ * @param   {object[]} intervals - The intervals.
+ * @param   {number}   [padding] - Bases added on both sides (default: 0).
+ * @returns {object[]}           - The merged intervals.
+ */
+function mergeIntervals(intervals, padding = 0) {
+  const byChrom = new Map();
+  for (const { chrom, start, end } of intervals) {
+    if (!byChrom.has(chrom)) {
+      byChrom.set(chrom, []);
+    }
+    byChrom.get(chrom).push({
+      chrom,
+      start: Math.max(1, start - padding),
+      end: end === null ? null : end + padding,
+    });
+  }
+
+  const merged = [];
+  for (const list of byChrom.values()) {
+    list.sort((a, b) => a.start - b.start);
+    let last = null;
+    for (const interval of list) {
+      if (last && (last.end === null || interval.start <= last.end + 1)) {
+        last.end =
+          last.end === null || interval.end === null
+            ? null
+            : Math.max(last.end, interval.end);
+      } else {
+        last = { ...interval };
+        merged.push(last);
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Validates region strings, pads them and merges overlaps.
+ * @param   {string[]} regions           - The regions.
+ * @param   {object}   [options]         - Options.
+ * @param   {number}   [options.padding] - Bases added on both sides (default: 0).
+ * @returns {string[]}                   - The merged regions.
+ */
+function normalizeRegions(regions, options = {}) {
+  return mergeIntervals(regions.map(parseRegion), options.padding).map(
+    formatRegion,
+  );
+}
+
+/**
+ * Converts regions to BED content for samtools.
+ * @param   {string[]} regions - The regions.
+ * @returns {string}           - The BED lines.
+ */
+function regionsToBed(regions) {
+  return regions
+    .map(parseRegion)
+    .map(
+      ({ chrom, start, end }) =>
+        `${chrom}\t${start - 1}\t${end ?? WHOLE_CONTIG_END}`,
+    )
+    .join('\n');
+}
+
+/**
+ * Reduces a contig name to a key shared by its UCSC ("chr1", "chrM"), Ensembl ("1", "MT")
+ * and RefSeq ("NC_000001.11", "NC_012920.1") spellings of the primary human assembly.
+ * @param   {string} chrom - The contig name.
+ * @returns {string}       - The key, e.g. "1", "X" or "MT".
+ */
+function contigKey(chrom) {
+  const accession = chrom.replace(/\.\d+$/, '').toUpperCase();
+  const refseq = /^NC_0000(\d\d)$/.exec(accession);
+  if (refseq) {
+    const number = Number(refseq[1]);
+    return { 23: 'X', 24: 'Y' }[number] ?? String(number);
+  }
+  if (accession === 'NC_012920') {
+    return 'MT';
+  }
+  const bare = chrom.replace(/^chr/i, '').toUpperCase();
+  return bare === 'M' ? 'MT' : bare;
+}
+
+/**
+ * Finds the name a file uses for a contig: the same name, or else the same contig in UCSC,
+ * Ensembl or RefSeq style ("1", "chr1" and "NC_000001.11"; "chrM", "MT" and "NC_012920.1").
+ * @param   {string}      chrom   - The contig of a region.
+ * @param   {string[]}    contigs - The contigs of the BAM or VCF header.
+ * @returns {string|null}         - The contig name in the header, or null if it has none.
+ */
+function matchContig(chrom, contigs) {
+  if (contigs.includes(chrom)) {
+    return chrom;
+  }
+  const key = contigKey(chrom);
+  return contigs.find((contig) => contigKey(contig) === key) ?? null;
+}
+
+/**
+ * Renames the contigs of regions to those of a BAM or VCF header.
+ * @param   {string[]} regions - The regions.
+ * @param   {string[]} contigs - The contigs of the header.
+ * @returns {object}           - { regions, unknown }: the renamed regions, in the given order with null for those on contigs missing from the header, and the missing contigs.
+ */
+function normalizeContigs(regions, contigs) {
+  const unknown = [];
+  const renamed = regions.map((region) => {
+    const interval = parseRegion(region);
+    const chrom = matchContig(interval.chrom, contigs);
+    if (chrom === null) {
+      if (!unknown.includes(interval.chrom)) {
+        unknown.push(interval.chrom);
+      }
+      return null;
+    }
+    return formatRegion({ ...interval, chrom });
+  });
+  return { regions: renamed, unknown };
+}
+
+module.exports = {
+  parseRegion,
+  formatRegion,
+  parseBed,
+  readBedFile,
+  mergeIntervals,
+  normalizeRegions,
+  regionsToBed,
+  matchContig,
+  normalizeContigs,
+};
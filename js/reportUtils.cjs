@@ -0,0 +1,334 @@
+/**
+ * Report utilities for summarizing a download run as text, JSON or HTML.
+ * @module reportUtils
+ */
+
+const { FILE_GROUPS, fileGroup } = require('./fileTypes.cjs');
+
+/**
+ * Supported report formats.
+ * @type {string[]}
+ */
+const REPORT_FORMATS = ['text', 'json', 'html'];
+
+/**
+ * Reason reported for outputs that were skipped because they already exist.
+ * @type {string}
+ */
+const EXISTING_FILE_REASON =
+  'output already exists (use --overwrite to replace)';
+
+/**
+ * Builds the structured report of a download run from the shared metrics.
+ * @param   {object}   metrics              - The shared metrics object.
+ * @param   {object}   [options]            - Report options.
+ * @param   {object}   [options.config]     - The effective configuration of the run (without secrets).
+ * @param   {object[]} [options.jobResults] - Results of the JobQueue, used to report failures
+ *                                          that happened before any output file was produced.
+ * @param   {object}   [options.meta]       - Run metadata such as tool name and version.
+ * @returns {object}                        - The report data.
+ */
+function buildReportData(metrics, options = {}) {
+  const fileResults = metrics.fileResults || [];
+  const totalTime = (Date.now() - metrics.startTime) / 1000; // in seconds
+  const averageSpeed =
+    metrics.downloadSpeeds.length > 0
+      ? metrics.downloadSpeeds.reduce((a, b) => a + b, 0) /
+        metrics.downloadSpeeds.length
+      : 0;
+
+  const failures = fileResults
+    .filter((entry) => entry.status === 'failed')
+    .map((entry) => ({
+      analysisId: entry.analysisId,
+      fileName: entry.sourceFile,
+      outputPath: entry.outputPath,
+      error: entry.error,
+    }));
+  for (const result of options.jobResults || []) {
+    const { job, error } = result;
+    const alreadyReported = failures.some(
+      (failure) =>
+        failure.analysisId === String(job.analysisId) &&
+        failure.fileName === job.fileName,
+    );
+    if (result.status === 'rejected' && !alreadyReported) {
+      failures.push({
+        analysisId: String(job.analysisId),
+        fileName: job.fileName,
+        outputPath: null,
+        error: error?.message ?? String(error),
+      });
+    }
+  }
+
+  const skipped = [
+    ...fileResults
+      .filter((entry) => entry.status === 'skipped')
+      .map((entry) => ({
+        analysisId: entry.analysisId,
+        fileName: entry.sourceFile,
+        outputPath: entry.outputPath,
+        reason: EXISTING_FILE_REASON,
+      })),
+    ...(metrics.skippedFiles || []).map((entry) => ({
+      analysisId: String(entry.analysisId),
+      fileName: entry.fileName,
+      outputPath: null,
+      reason: entry.reason,
+    })),
+    ...(metrics.archivedFiles || [])
+      .filter((entry) => entry.restorationStatus !== 'queued')
+      .map((entry) => ({
+        analysisId: String(entry.analysisId),
+        fileName: entry.fileName,
+        outputPath: null,
+        reason:
+          entry.restorationStatus === 'failed'
+            ? 'archived; restoration could not be initiated'
+            : 'archived; restoration not requested',
+      })),
+  ];
+
+  const analyses = new Map();
+  const analysisFor = (analysisId, entry = {}) => {
+    const id = String(analysisId);
+    if (!analyses.has(id)) {
+      analyses.set(id, {
+        analysisId: id,
+        sampleId: entry.sampleId ?? null,
+        personLimsId: entry.personLimsId ?? null,
+        downloaded: 0,
+        skipped: 0,
+        failed: 0,
+        bytes: 0,
+        files: [],
+      });
+    }
+    return analyses.get(id);
+  };
+  // Files are grouped by kind: alignments, variants, indexes and artifacts such as reports
+  const groups = new Map();
+  for (const entry of fileResults) {
+    const group = fileGroup(entry.sourceFile);
+    const analysis = analysisFor(entry.analysisId, entry);
+    analysis.files.push({ ...entry, group });
+    analysis[entry.status] += 1;
+    if (!groups.has(group)) {
+      groups.set(group, { group, downloaded: 0, skipped: 0, failed: 0 });
+    }
+    groups.get(group)[entry.status] += 1;
+    if (entry.status === 'downloaded') {
+      analysis.bytes += entry.size || 0;
+    }
+  }
+  for (const failure of failures) {
+    const analysis = analysisFor(failure.analysisId);
+    if (failure.outputPath === null) {
+      analysis.failed += 1;
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ...options.meta,
+    configuration: options.config || {},
+    summary: {
+      totalFilesProcessed:
+        metrics.totalFilesDownloaded + metrics.totalFilesSkipped,
+      filesDownloaded: metrics.totalFilesDownloaded,
+      filesSkipped: metrics.totalFilesSkipped,
+      filesFailed: failures.length,
+      totalBytesDownloaded: metrics.totalBytesDownloaded,
+      averageSpeedBytesPerSecond: Number(averageSpeed.toFixed(2)),
+      totalTimeSeconds: Number(totalTime.toFixed(2)),
+    },
+    analyses: [...analyses.values()],
+    groups: FILE_GROUPS.filter((group) => groups.has(group)).map((group) =>
+      groups.get(group),
+    ),
+    failures,
+    skipped,
+    archived: (metrics.archivedFiles || [])
+      .filter((entry) => entry.restorationStatus === 'queued')
+      .map((entry) => ({
+        analysisId: String(entry.analysisId),
+        fileName: entry.fileName,
+        restoreEstimation: entry.restoreEstimation,
+      })),
+  };
+}
+
+/**
+ * Formats the report as the plain-text summary block.
+ * @param   {object} data - The report data from buildReportData.
+ * @returns {string}      - The text report.
+ */
+function formatTextReport(data) {
+  const { summary } = data;
+  const failedFiles = data.failures
+    .map(
+      (failure) =>
+        `\n      - ${failure.fileName} (analysis ${failure.analysisId}): ${failure.error}`,
+    )
+    .join('');
+  const groups = (data.groups || [])
+    .map((group) => `${group.group} ${group.downloaded + group.skipped}`)
+    .join(', ');
+  return `
+    Download Summary Report:
+    ------------------------
+    Total Files Processed: ${summary.totalFilesProcessed}${groups ? `\n    Files by Type: ${groups}` : ''}
+    Files Downloaded: ${summary.filesDownloaded}
+    Files Skipped (already exist): ${summary.filesSkipped}
+    Files Failed: ${summary.filesFailed}${failedFiles}
+    Total Bytes Downloaded: ${summary.totalBytesDownloaded}
+    Average Download Speed: ${summary.averageSpeedBytesPerSecond.toFixed(2)} bytes/sec
+    Total Time Taken: ${summary.totalTimeSeconds.toFixed(2)} seconds
+  `;
+}
+
+/**
+ * Escapes text for use in HTML content and attributes.
+ * @param   {*}      value - The value to escape.
+ * @returns {string}       - The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/**
+ * Renders an HTML table.
+ * @param   {string[]} headers - Column headers.
+ * @param   {Array[]}  rows    - Row cell values.
+ * @returns {string}           - The HTML table, or a note when there are no rows.
+ */
+function htmlTable(headers, rows) {
+  if (rows.length === 0) {
+    return '<p>None.</p>';
+  }
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`);
+  const body = rows.map(
+    (row) =>
+      `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`,
+  );
+  return `<table>\n<thead><tr>${head.join('')}</tr></thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+}
+
+/**
+ * Formats the report as a self-contained HTML page.
+ * @param   {object} data - The report data from buildReportData.
+ * @returns {string}      - The HTML report.
+ */
+function formatHtmlReport(data) {
+  const summaryRows = Object.entries(data.summary);
+  const fileRows = data.analyses.flatMap((analysis) =>
+    analysis.files.map((file) => [
+      analysis.analysisId,
+      analysis.sampleId,
+      file.sourceFile,
+      file.group,
+      file.outputPath,
+      file.mode,
+      file.regions.join(', '),
+      file.size,
+      file.status,
+    ]),
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Varvis Download Report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>Varvis Download Report</h1>
+<p>Generated at ${escapeHtml(data.generatedAt)}</p>
+<h2>Summary</h2>
+${htmlTable(['Metric', 'Value'], summaryRows)}
+<h2>Files by type</h2>
+${htmlTable(
+  ['Type', 'Downloaded', 'Skipped', 'Failed'],
+  (data.groups || []).map((group) => [
+    group.group,
+    group.downloaded,
+    group.skipped,
+    group.failed,
+  ]),
+)}
+<h2>Files</h2>
+${htmlTable(['Analysis', 'Sample', 'Source file', 'Type', 'Output', 'Mode', 'Regions', 'Size', 'Status'], fileRows)}
+<h2>Failures</h2>
+${htmlTable(
+  ['Analysis', 'File', 'Error'],
+  data.failures.map((failure) => [
+    failure.analysisId,
+    failure.fileName,
+    failure.error,
+  ]),
+)}
+<h2>Skipped</h2>
+${htmlTable(
+  ['Analysis', 'File', 'Reason'],
+  data.skipped.map((entry) => [entry.analysisId, entry.fileName, entry.reason]),
+)}
+<h2>Archived files queued for restoration</h2>
+${htmlTable(
+  ['Analysis', 'File', 'Expected availability'],
+  data.archived.map((entry) => [
+    entry.analysisId,
+    entry.fileName,
+    entry.restoreEstimation,
+  ]),
+)}
+<h2>Configuration</h2>
+<pre>${escapeHtml(JSON.stringify(data.configuration, null, 2))}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Formats the report data in the requested format.
+ * @param   {object} data   - The report data from buildReportData.
+ * @param   {string} format - One of REPORT_FORMATS.
+ * @returns {string}        - The formatted report.
+ */
+function formatReport(data, format) {
+  switch (format) {
+    case 'json': {
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }
+    case 'html': {
+      return formatHtmlReport(data);
+    }
+    case 'text': {
+      return formatTextReport(data);
+    }
+    default: {
+      throw new Error(
+        `Unsupported report format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`,
+      );
+    }
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReportData,
+  formatTextReport,
+  formatHtmlReport,
+  formatReport,
+};
@@ -0,0 +1,283 @@
+/**
+ * Sample sheets: CSV or TSV files (as exported from spreadsheets) listing analysis, sample
+ * or LIMS IDs, optionally with the regions and file types to download per row. Region maps
+ * are sample sheets that assign regions to every ID.
+ * @module sampleSheet
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { readBedFile, normalizeRegions } = require('./regionUtils.cjs');
+
+/**
+ * Selection option filled by an ID column, by the (lowercase) column name.
+ * @type {Record<string, string>}
+ */
+const ID_COLUMNS = {
+  analysisid: 'analysisIds',
+  id: 'analysisIds',
+  sampleid: 'sampleIds',
+  personlimsid: 'limsIds',
+  limsid: 'limsIds',
+};
+
+/**
+ * Values of --id-type and the selection option each fills.
+ * @type {Record<string, string>}
+ */
+const ID_TYPES = {
+  analysis: 'analysisIds',
+  sample: 'sampleIds',
+  lims: 'limsIds',
+};
+
+/**
+ * Optional per-row columns (lowercase) and the row field they fill.
+ * @type {Record<string, string>}
+ */
+const ROW_COLUMNS = {
+  regions: 'regions',
+  region: 'regions',
+  range: 'regions',
+  bed: 'regions',
+  filetypes: 'filetypes',
+  filetype: 'filetypes',
+};
+
+/**
+ * Picks the delimiter of a sample sheet: tab for .tsv files, otherwise the most frequent
+ * of tab, semicolon (spreadsheets in many locales) and comma in the header line.
+ * @param   {string} filePath   - The sample sheet path.
+ * @param   {string} headerLine - The first line.
+ * @returns {string}            - The delimiter.
+ */
+function detectDelimiter(filePath, headerLine) {
+  if (path.extname(filePath).toLowerCase() === '.tsv') {
+    return '\t';
+  }
+  const count = (delimiter) => headerLine.split(delimiter).length;
+  return ['\t', ';', ','].reduce((best, delimiter) =>
+    count(delimiter) > count(best) ? delimiter : best,
+  );
+}
+
+/**
+ * Splits delimited text into rows of cells. Quoted cells may contain the delimiter,
+ * line breaks and doubled quotes, as written by spreadsheet exports.
+ * @param   {string}     text      - The file content.
+ * @param   {string}     delimiter - The cell delimiter.
+ * @returns {string[][]}           - The rows.
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    rows.push([...row, cell]);
+  }
+  return rows;
+}
+
+/**
+ * Splits a per-row list cell: regions by whitespace or semicolons, file types also by commas.
+ * @param   {string|undefined} value   - The cell value.
+ * @param   {RegExp}           pattern - The separator pattern.
+ * @returns {string[]}                 - The values, empty for an empty cell.
+ */
+function splitCell(value, pattern) {
+  return (value || '').split(pattern).filter(Boolean);
+}
+
+/**
+ * Splits a regions cell. Entries ending in ".bed" are BED files, relative to the sheet.
+ * @param   {string|undefined} value    - The cell value.
+ * @param   {string}           filePath - The sample sheet path.
+ * @returns {string[]}                  - The validated and merged regions.
+ */
+function splitRegions(value, filePath) {
+  return normalizeRegions(
+    splitCell(value, /[\s;]+/).flatMap((entry) =>
+      /\.bed$/i.test(entry)
+        ? readBedFile(path.resolve(path.dirname(filePath), entry))
+        : [entry],
+    ),
+  );
+}
+
+/**
+ * Parses a sample sheet (see readSampleSheet) without logging.
+ * @param   {string} filePath           - The CSV or TSV file.
+ * @param   {object} options            - Options (see readSampleSheet).
+ * @param   {string} [options.idColumn] - The ID column (matched case-insensitively).
+ * @param   {string} [options.idType]   - "analysis", "sample" or "lims".
+ * @returns {object}                    - { column, kind, rows, regionsColumn }; regionsColumn is null without one.
+ */
+function parseSampleSheet(filePath, options) {
+  if (/\.xlsx?$/i.test(filePath)) {
+    throw new Error(
+      'Excel workbooks are not supported; export the sheet as CSV or TSV',
+    );
+  }
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  const lines = parseDelimited(
+    text,
+    detectDelimiter(filePath, text.split(/\r?\n/, 1)[0]),
+  )
+    .map((cells, index) => ({ cells, line: index + 1 }))
+    .filter(
+      ({ cells }) =>
+        cells.some((cell) => cell.trim()) && !cells[0].startsWith('#'),
+    );
+  if (lines.length === 0) {
+    throw new Error('the file is empty');
+  }
+
+  const header = lines[0].cells.map((cell) => cell.trim());
+  const lowerHeader = header.map((cell) => cell.toLowerCase());
+  const idIndex = options.idColumn
+    ? lowerHeader.indexOf(options.idColumn.toLowerCase())
+    : lowerHeader.findIndex((cell) => ID_COLUMNS[cell]);
+  if (idIndex === -1) {
+    throw new Error(
+      options.idColumn
+        ? `no column "${options.idColumn}" (columns: ${header.join(', ')})`
+        : `no ID column found; use --id-column (columns: ${header.join(', ')})`,
+    );
+  }
+
+  const kind = options.idType
+    ? ID_TYPES[options.idType]
+    : ID_COLUMNS[lowerHeader[idIndex]];
+  if (!kind) {
+    throw new Error(
+      options.idType
+        ? `--id-type must be one of ${Object.keys(ID_TYPES).join(', ')}, got: ${options.idType}`
+        : `cannot tell which IDs column "${header[idIndex]}" holds; use --id-type analysis, sample or lims`,
+    );
+  }
+
+  const columnIndex = (field) =>
+    lowerHeader.findIndex((cell) => ROW_COLUMNS[cell] === field);
+  const regionsIndex = columnIndex('regions');
+  const filetypesIndex = columnIndex('filetypes');
+  const rows = lines
+    .slice(1)
+    .map(({ cells, line }) => {
+      try {
+        return {
+          id: (cells[idIndex] || '').trim(),
+          regions: splitRegions(cells[regionsIndex], filePath),
+          filetypes: splitCell(cells[filetypesIndex], /[\s;,]+/),
+          line,
+        };
+      } catch (error) {
+        throw new Error(`line ${line}: ${error.message}`, { cause: error });
+      }
+    })
+    .filter((row) => row.id);
+
+  return {
+    column: header[idIndex],
+    kind,
+    rows,
+    regionsColumn: regionsIndex === -1 ? null : header[regionsIndex],
+  };
+}
+
+/**
+ * Reads a sample sheet. The first line names the columns; empty lines and lines starting
+ * with "#" are skipped. The ID column is --id-column, or else the first of analysisId, id,
+ * sampleId, personLimsId and limsId. Its name tells whether it holds analysis, sample or
+ * LIMS IDs, unless --id-type says so. Optional "regions" (or "bed") and "filetypes" columns
+ * give the regions and file types of each row; regions may name BED files.
+ * @param   {string} filePath           - The CSV or TSV file.
+ * @param   {object} options            - Options.
+ * @param   {string} [options.idColumn] - The ID column (matched case-insensitively).
+ * @param   {string} [options.idType]   - "analysis", "sample" or "lims" (default: inferred from the column).
+ * @param   {object} logger             - The logger instance.
+ * @returns {object}                    - { column, kind, rows }: kind is the selection option
+ *                                      (analysisIds, sampleIds or limsIds), rows are
+ *                                      { id, regions, filetypes, line }.
+ */
+function readSampleSheet(filePath, options, logger) {
+  try {
+    const { column, kind, rows } = parseSampleSheet(filePath, options);
+    logger.info(
+      `Read ${rows.length} IDs from column "${column}" of ${filePath} as ${kind}`,
+    );
+    return { column, kind, rows };
+  } catch (error) {
+    logger.error(`Error reading IDs file ${filePath}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Reads a region map: a sample sheet whose "regions" column assigns a region list or BED
+ * file to each analysis, sample or LIMS ID. IDs listed on several lines get all their regions,
+ * sorted and merged again across the lines.
+ * @param   {string} filePath - The CSV or TSV file.
+ * @param   {object} logger   - The logger instance.
+ * @returns {object}          - { column, kind, regions }: regions maps each ID to its regions.
+ */
+function readRegionMap(filePath, logger) {
+  try {
+    const { column, kind, rows, regionsColumn } = parseSampleSheet(
+      filePath,
+      {},
+    );
+    if (!regionsColumn) {
+      throw new Error('no "regions" or "bed" column');
+    }
+    const regions = new Map();
+    for (const row of rows) {
+      if (row.regions.length === 0) {
+        throw new Error(`no regions for ${row.id} on line ${row.line}`);
+      }
+      const known = regions.get(row.id) || [];
+      regions.set(row.id, normalizeRegions([...known, ...row.regions]));
+    }
+    logger.info(
+      `Read regions of ${regions.size} IDs from column "${column}" of ${filePath} as ${kind}`,
+    );
+    return { column, kind, regions };
+  } catch (error) {
+    logger.error(`Error reading region map ${filePath}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  ID_TYPES,
+  parseDelimited,
+  readSampleSheet,
+  readRegionMap,
+};
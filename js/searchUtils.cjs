@@ -0,0 +1,146 @@
+/**
+ * Output of the search command: selects metadata columns of the matching analyses
+ * and formats them as an aligned table, CSV, TSV or JSON.
+ * @module searchUtils
+ */
+
+const { toTsvCell } = require('./manifestUtils.cjs');
+
+/**
+ * Columns printed when none are selected.
+ * @type {string[]}
+ */
+const DEFAULT_SEARCH_COLUMNS = [
+  'id',
+  'sampleId',
+  'personLimsId',
+  'analysisType',
+  'enrichmentKitName',
+  'runDate',
+];
+
+/**
+ * Output formats of the search command.
+ * @type {string[]}
+ */
+const SEARCH_FORMATS = ['table', 'csv', 'tsv', 'json'];
+
+/**
+ * Whether a column holds a date, by the API's naming ("runDate", "createdAt").
+ * @param   {string}  column - The column name.
+ * @returns {boolean}        - True for date columns.
+ */
+function isDateColumn(column) {
+  return /(Date|At)$/.test(column);
+}
+
+/**
+ * Picks the selected columns of an analysis. Timestamps in date columns become ISO dates.
+ * @param   {object}   analysis - The analysis as returned by the API.
+ * @param   {string[]} columns  - The column names (analysis fields).
+ * @returns {object}            - The row, with null for missing fields.
+ */
+function toSearchRow(analysis, columns) {
+  return Object.fromEntries(
+    columns.map((column) => {
+      const value = analysis[column] ?? null;
+      return [
+        column,
+        isDateColumn(column) && typeof value === 'number'
+          ? new Date(value).toISOString()
+          : value,
+      ];
+    }),
+  );
+}
+
+/**
+ * Formats a value for a CSV cell, quoting it when it contains a separator, quote or newline.
+ * @param   {*}      value - The cell value.
+ * @returns {string}       - The CSV cell.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Formats rows as a table with aligned columns.
+ * @param   {object[]} rows    - The rows.
+ * @param   {string[]} columns - The column names.
+ * @param   {boolean}  header  - Whether to print the header and its underline.
+ * @returns {string}           - The table.
+ */
+function formatTable(rows, columns, header) {
+  const cells = rows.map((row) =>
+    columns.map((column) => toTsvCell(row[column])),
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(
+      header ? column.length : 0,
+      ...cells.map((rowCells) => rowCells[index].length),
+    ),
+  );
+  const line = (values) =>
+    values
+      .map((value, index) => value.padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+  const lines = cells.map(line);
+  if (header) {
+    lines.unshift(
+      line(columns),
+      line(widths.map((width) => '-'.repeat(width))),
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats the matching analyses for output.
+ * @param   {object[]} analyses          - The analyses as returned by the API.
+ * @param   {object}   [options]         - Output options.
+ * @param   {string[]} [options.columns] - Columns to print (default: DEFAULT_SEARCH_COLUMNS).
+ * @param   {string}   [options.format]  - One of SEARCH_FORMATS (default: "table").
+ * @param   {boolean}  [options.header]  - Print a header line in table, CSV and TSV output (default: true).
+ * @returns {string}                     - The formatted output.
+ */
+function formatAnalyses(analyses, options = {}) {
+  const columns = options.columns ?? DEFAULT_SEARCH_COLUMNS;
+  const format = options.format ?? 'table';
+  const header = options.header ?? true;
+  const rows = analyses.map((analysis) => toSearchRow(analysis, columns));
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'table':
+      return formatTable(rows, columns, header);
+    case 'csv':
+    case 'tsv': {
+      const [separator, toCell] =
+        format === 'csv' ? [',', toCsvCell] : ['\t', toTsvCell];
+      const lines = rows.map((row) =>
+        columns.map((column) => toCell(row[column])).join(separator),
+      );
+      if (header) {
+        lines.unshift(columns.map(toCell).join(separator));
+      }
+      return lines.join('\n');
+    }
+    default:
+      throw new Error(
+        `Unsupported search format: ${format}. Use one of ${SEARCH_FORMATS.join(', ')}.`,
+      );
+  }
+}
+
+module.exports = {
+  DEFAULT_SEARCH_COLUMNS,
+  SEARCH_FORMATS,
+  toSearchRow,
+  formatAnalyses,
+};
@@ -0,0 +1,276 @@
+/**
+ * State database of the sync command: which analyses and files were mirrored, so that
+ * a sync only fetches analyses and files that are new or changed since the last run.
+ * @module syncState
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getApiChecksum } = require('./checksumUtils.cjs');
+const {
+  isPrimaryFile,
+  indexFileName,
+  findArtifacts,
+} = require('./fileTypes.cjs');
+
+/**
+ * Version of the state file layout, stored in the file.
+ * @type {number}
+ */
+const SYNC_STATE_VERSION = 1;
+
+/**
+ * Creates an empty sync state.
+ * @returns {object} - The state with version, lastSync, lastSuccessfulSync and analyses.
+ */
+function createSyncState() {
+  return {
+    version: SYNC_STATE_VERSION,
+    lastSync: null,
+    lastSuccessfulSync: null,
+    analyses: {},
+  };
+}
+
+/**
+ * Reads the sync state. A missing file is an empty state; an unreadable one is an error,
+ * because starting over would download the whole mirror again.
+ * @param   {string} stateFile - The path of the state file.
+ * @param   {object} logger    - The logger instance.
+ * @returns {object}           - The state (see createSyncState).
+ */
+function readSyncState(stateFile, logger) {
+  if (!fs.existsSync(stateFile)) {
+    logger.info(`No sync state at ${stateFile}; starting a full sync.`);
+    return createSyncState();
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+    if (state?.version !== SYNC_STATE_VERSION || !state.analyses) {
+      throw new Error(`unsupported state version ${state?.version}`);
+    }
+    return state;
+  } catch (error) {
+    logger.error(`Failed to read sync state ${stateFile}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Writes the sync state. The file is replaced atomically, so an interrupted write keeps the previous state.
+ * @param {object} state     - The state.
+ * @param {string} stateFile - The path of the state file.
+ * @param {object} logger    - The logger instance.
+ */
+function writeSyncState(state, stateFile, logger) {
+  fs.mkdirSync(path.dirname(path.resolve(stateFile)), { recursive: true });
+  const tempFile = `${stateFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, stateFile);
+  logger.debug(`Updated sync state: ${stateFile}`);
+}
+
+/**
+ * Fingerprints the metadata of an analysis as returned by the analysis listing.
+ * Keys are sorted, so the fingerprint only changes when a value does.
+ * @param   {object} analysis - The analysis.
+ * @returns {string}          - The SHA-1 hex digest.
+ */
+function fingerprintAnalysis(analysis) {
+  const sorted = Object.fromEntries(
+    Object.keys(analysis)
+      .sort()
+      .map((key) => [key, analysis[key]]),
+  );
+  return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Fingerprints a remote file by the size and checksum reported by the API.
+ * @param   {object} file - The file entry (see getDownloadLinks).
+ * @returns {object}      - The size and checksum ("md5:<hex>", or null if the API reports none).
+ */
+function fingerprintFile(file) {
+  const checksum = getApiChecksum(file);
+  return {
+    size: file.size ?? null,
+    checksum: checksum ? `${checksum.algorithm}:${checksum.value}` : null,
+  };
+}
+
+/**
+ * Normalizes the file types of a sync run for the state: sorted and without duplicates.
+ * @param   {string[]} filetypes - The file types.
+ * @returns {string[]}           - The normalized file types.
+ */
+function syncedFiletypes(filetypes) {
+  return [...new Set(filetypes)].sort();
+}
+
+/**
+ * Sorts the analyses of a sync run into those whose files have to be checked and those
+ * unchanged since they were last synced completely. An analysis synced with other file
+ * types counts as changed, so that e.g. a VCF sync after a BAM sync fetches the VCFs.
+ * Entries written before the file types were recorded are taken as synced with these.
+ * @param   {object}   state     - The sync state.
+ * @param   {object[]} analyses  - The selected analyses as returned by the API.
+ * @param   {string[]} filetypes - The file types of the run.
+ * @returns {object}             - { pending: [{ analysis, reason }], unchanged: object[] }; reason is "new", "changed" or "incomplete".
+ */
+function planSync(state, analyses, filetypes) {
+  const wanted = syncedFiletypes(filetypes).join(',');
+  const pending = [];
+  const unchanged = [];
+  for (const analysis of analyses) {
+    const previous = state.analyses[String(analysis.id)];
+    if (!previous) {
+      pending.push({ analysis, reason: 'new' });
+    } else if (
+      previous.fingerprint !== fingerprintAnalysis(analysis) ||
+      (previous.filetypes && previous.filetypes.join(',') !== wanted)
+    ) {
+      pending.push({ analysis, reason: 'changed' });
+    } else if (!previous.complete) {
+      pending.push({ analysis, reason: 'incomplete' });
+    } else {
+      unchanged.push(analysis);
+    }
+  }
+  return { pending, unchanged };
+}
+
+/**
+ * Picks the files of an analysis to download: primary files (BAM, CRAM, VCF) and artifacts
+ * (reports, QC files) that were never synced, and those whose size or checksum changed,
+ * together with their index.
+ * @param   {object|undefined} previous - The state entry of the analysis (undefined if never synced).
+ * @param   {object}           fileDict - The resolved files (see getDownloadLinks).
+ * @returns {object}                    - { newFiles, changedFiles, unchangedFiles } as lists of file names.
+ */
+function selectSyncFiles(previous, fileDict) {
+  const synced = previous?.files || {};
+  const isChanged = (fileName) => {
+    const before = synced[fileName];
+    if (!before || !fileDict[fileName]) {
+      return Boolean(fileDict[fileName]) !== Boolean(before);
+    }
+    const now = fingerprintFile(fileDict[fileName]);
+    return (
+      now.size !== before.size ||
+      (now.checksum !== null && now.checksum !== before.checksum)
+    );
+  };
+
+  const selection = { newFiles: [], changedFiles: [], unchangedFiles: [] };
+  const fileNames = Object.keys(fileDict);
+  const artifacts = findArtifacts(fileNames);
+  for (const fileName of fileNames) {
+    if (!isPrimaryFile(fileName) && !artifacts.includes(fileName)) {
+      continue;
+    }
+    if (!synced[fileName]) {
+      selection.newFiles.push(fileName);
+    } else if (isChanged(fileName) || isChanged(indexFileName(fileName))) {
+      selection.changedFiles.push(fileName);
+    } else {
+      selection.unchangedFiles.push(fileName);
+    }
+  }
+  return selection;
+}
+
+/**
+ * Records the outcome of a sync for one analysis. Files are recorded when their download
+ * job succeeded; the analysis is complete when every selected file was synced and no file
+ * is waiting in the archive.
+ * @param   {object}   state               - The sync state, updated in place.
+ * @param   {object}   analysis            - The analysis as returned by the API.
+ * @param   {object}   fileDict            - The resolved files (see getDownloadLinks).
+ * @param   {string[]} syncedFiles         - Primary files whose download succeeded.
+ * @param   {object}   outcome             - Further outcome of the analysis.
+ * @param   {boolean}  outcome.complete    - Whether all selected files were synced.
+ * @param   {object[]} outcome.fileResults - Manifest entries of the analysis (for the local MD5).
+ * @param   {string[]} outcome.filetypes   - The file types of the run.
+ * @param   {Date}     [outcome.now]       - Time of the sync (default: now).
+ * @returns {object}                       - The updated state entry.
+ */
+function recordSyncedAnalysis(state, analysis, fileDict, syncedFiles, outcome) {
+  const analysisId = String(analysis.id);
+  const syncedAt = (outcome.now || new Date()).toISOString();
+  const entry = state.analyses[analysisId] || { files: {} };
+  const localMd5 = Object.fromEntries(
+    outcome.fileResults
+      .filter((result) => result.md5)
+      .map((result) => [result.sourceFile, result.md5]),
+  );
+
+  for (const fileName of syncedFiles) {
+    for (const name of [fileName, indexFileName(fileName)]) {
+      if (fileDict[name]) {
+        entry.files[name] = {
+          ...fingerprintFile(fileDict[name]),
+          md5: localMd5[name] ?? entry.files[name]?.md5 ?? null,
+          syncedAt,
+        };
+      }
+    }
+  }
+
+  state.analyses[analysisId] = {
+    ...entry,
+    sampleId: analysis.sampleId ?? null,
+    fingerprint: fingerprintAnalysis(analysis),
+    filetypes: syncedFiletypes(outcome.filetypes),
+    complete: outcome.complete,
+    syncedAt,
+  };
+  return state.analyses[analysisId];
+}
+
+/**
+ * Formats the result of a sync run: one line per new or changed file, then the totals.
+ * @param   {object}   summary          - The sync summary (see VarvisClient.sync).
+ * @param   {object[]} summary.files    - { analysisId, file, change, status } per selected file.
+ * @param   {object}   summary.analyses - Counts of new, changed, incomplete and unchanged analyses.
+ * @returns {string}                    - The text.
+ */
+function formatSyncSummary(summary) {
+  const lines = [];
+  for (const entry of summary.files) {
+    const failed = entry.status === 'failed' ? '  (failed)' : '';
+    lines.push(
+      `  ${entry.change.padEnd(9)}${entry.analysisId}  ${entry.file}${failed}`,
+    );
+  }
+  const count = (change, status) =>
+    summary.files.filter(
+      (entry) => entry.change === change && entry.status === status,
+    ).length;
+  const { analyses } = summary;
+  const failed = summary.files.filter(
+    (entry) => entry.status === 'failed',
+  ).length;
+  if (lines.length > 0) {
+    lines.push('');
+  }
+  lines.push(
+    `Sync: ${analyses.new} new, ${analyses.changed} changed, ${analyses.incomplete} incomplete and ${analyses.unchanged} unchanged analyses.`,
+    `${count('new', 'synced')} new and ${count('changed', 'synced')} changed files synced, ${failed} failed.`,
+  );
+  return lines.join('\n');
+}
+
+module.exports = {
+  SYNC_STATE_VERSION,
+  createSyncState,
+  readSyncState,
+  writeSyncState,
+  fingerprintAnalysis,
+  fingerprintFile,
+  planSync,
+  selectSyncFiles,
+  recordSyncedAnalysis,
+  formatSyncSummary,
+};
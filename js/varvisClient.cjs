@@ -0,0 +1,872 @@
+/**
+ * Programmatic API for searching, listing, downloading and restoring Varvis files.
+ * The CLI in varvis-download.cjs is a thin wrapper around this client.
+ * @module varvisClient
+ */
+
+const EventEmitter = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CookieJar } = require('tough-cookie');
+const { cookie } = require('http-cookie-agent/undici');
+const { ProxyAgent, Agent } = require('undici');
+const AuthService = require('./authService.cjs');
+const createLogger = require('./logger.cjs');
+const {
+  createMetrics,
+  fetchAnalyses,
+  fetchAnalysisIds,
+  fetchAnalysisMetadata,
+  getDownloadLinks,
+} = require('./fetchUtils.cjs');
+const { checkToolAvailability } = require('./rangedUtils.cjs');
+const { JobQueue } = require('./jobQueue.cjs');
+const { createFileJobs } = require('./downloadJobs.cjs');
+const { verifyFiles } = require('./checksumUtils.cjs');
+const {
+  triggerRestoreArchivedFile,
+  resumeArchivedDownloads,
+} = require('./archiveUtils.cjs');
+const { PROGRESS_EVENTS } = require('./progressRenderers.cjs');
+const { planAnalysis, summarizePlan } = require('./planUtils.cjs');
+const { regionsToBed } = require('./regionUtils.cjs');
+const { indexFileName } = require('./fileTypes.cjs');
+const { layoutNeedsMetadata, validateLayout } = require('./layoutUtils.cjs');
+const {
+  planSync,
+  selectSyncFiles,
+  recordSyncedAnalysis,
+} = require('./syncState.cjs');
+
+/**
+ * Minimum versions of the external tools used for ranged and unmapped downloads.
+ * @type {Record<string, string>}
+ */
+const TOOL_MIN_VERSIONS = {
+  samtools: '1.17',
+  tabix: '1.7',
+  bgzip: '1.7',
+};
+
+/**
+ * Creates the HTTP agent with cookie handling and optional proxy.
+ * @param   {object} [options]               - Agent options.
+ * @param   {string} [options.proxy]         - Proxy URL.
+ * @param   {string} [options.proxyUsername] - Proxy username.
+ * @param   {string} [options.proxyPassword] - Proxy password.
+ * @returns {object}                         - The undici dispatcher.
+ */
+function createAgent(options = {}) {
+  const jar = new CookieJar();
+  /** @type {any} */
+  const agentOptions = options.proxy ? { uri: options.proxy } : {};
+  if (options.proxyUsername && options.proxyPassword) {
+    agentOptions.auth = `${options.proxyUsername}:${options.proxyPassword}`;
+  }
+
+  return options.proxy
+    ? new ProxyAgent(agentOptions).compose(cookie({ jar }))
+    : new Agent().compose(cookie({ jar }));
+}
+
+/**
+ * Picks the given primary files and their indexes from a file dictionary.
+ * @param   {object}   fileDict  - The resolved files (see getDownloadLinks).
+ * @param   {string[]} fileNames - The primary file names.
+ * @returns {object}             - The file dictionary with only these files.
+ */
+function pickFiles(fileDict, fileNames) {
+  const picked = {};
+  for (const fileName of fileNames) {
+    for (const name of [fileName, indexFileName(fileName)]) {
+      if (fileDict[name]) {
+        picked[name] = fileDict[name];
+      }
+    }
+  }
+  return picked;
+}
+
+/**
+ * Creates an error that carries a machine-readable code.
+ * @param   {string} message - The error message.
+ * @param   {string} code    - The error code, e.g. "TOOL_MISSING".
+ * @returns {Error}          - The error.
+ */
+function createCodedError(message, code) {
+  const error = new Error(message);
+  Object.assign(error, { code });
+  return error;
+}
+
+/**
+ * Client for the Varvis API. All methods return promises; progress is reported through events:
+ * - "login" ({ username, target }) after a successful login,
+ * - "analysis" ({ analysisId, files }) when the files of an analysis have been resolved,
+ * - "job:queued" ({ analysisId, file, label, size }) for every download job and "job:end"
+ * (adding status and error) when it has settled,
+ * - "download:start", "download:progress" and "download:end" while files are transferred
+ * (see progressRenderers for the payload and ready-made renderers),
+ * - "task:start" and "task:end" ({ id, analysisId, command, outputPath }) around samtools
+ * and tabix steps, which report no byte progress,
+ * - "file" (manifest entry) when an output file was downloaded, skipped or failed,
+ * - "restore" (restoration entry) when the restoration of an archived file was queued,
+ * - "done" ({ analysisIds, metrics, jobResults }) when a download run has finished.
+ */
+class VarvisClient extends EventEmitter {
+  /**
+   * Creates an instance of VarvisClient.
+   * @param {object} options                 - Client options.
+   * @param {string} options.target          - The target for the Varvis API (e.g. "laborberlin").
+   * @param {object} [options.logger]        - A winston-compatible logger (default: console logger at "warn").
+   * @param {string} [options.proxy]         - Proxy URL.
+   * @param {string} [options.proxyUsername] - Proxy username.
+   * @param {string} [options.proxyPassword] - Proxy password.
+   * @param {number} [options.concurrency]   - Number of downloads run in parallel (default: 1).
+   * @param {object} [options.rl]            - Readline interface for interactive prompts (restore and overwrite questions).
+   */
+  constructor(options) {
+    super();
+    if (!options?.target) {
+      throw new Error('VarvisClient requires a target');
+    }
+    this.target = options.target;
+    this.logger = options.logger || createLogger({ loglevel: 'warn' });
+    this.concurrency = options.concurrency ?? 1;
+    this.rl = options.rl || null;
+    this.agent = createAgent(options);
+    this.authService = new AuthService(this.logger, this.agent);
+  }
+
+  /**
+   * The CSRF token of the current session, empty before login.
+   * @returns {string} - The token.
+   */
+  get token() {
+    return this.authService.token;
+  }
+
+  /**
+   * Throws if login() has not been called successfully.
+   * @private
+   */
+  ensureLoggedIn() {
+    if (!this.token) {
+      throw new Error('Not logged in. Call login() first.');
+    }
+  }
+
+  /**
+   * Logs in to Varvis.
+   * @param   {string}          username - The Varvis username.
+   * @param   {string}          password - The Varvis password.
+   * @returns {Promise<object>}          - The login response containing the CSRF token.
+   */
+  async login(username, password) {
+    const response = await this.authService.login(
+      { username, password },
+      this.target,
+    );
+    this.emit('login', { username, target: this.target });
+    return response;
+  }
+
+  /**
+   * Finds analyses by sample ID, LIMS ID and filter expressions.
+   * @param   {object}            [criteria]           - Search criteria.
+   * @param   {string[]}          [criteria.sampleIds] - Sample IDs to match.
+   * @param   {string[]}          [criteria.limsIds]   - LIMS IDs to match.
+   * @param   {string[]}          [criteria.filters]   - Filter expressions (see filterUtils).
+   * @param   {boolean}           [criteria.latest]    - Keep only the newest analysis per sample.
+   * @param   {string|Date}       [criteria.since]     - Only analyses dated on or after this ISO date or relative form ("7d").
+   * @param   {string|Date}       [criteria.until]     - Only analyses dated on or before this ISO date or relative form.
+   * @param   {string}            [criteria.dateField] - The analysis field --since/--until compare (default: "runDate").
+   * @returns {Promise<string[]>}                      - The matching analysis IDs.
+   */
+  async searchAnalyses(criteria = {}) {
+    this.ensureLoggedIn();
+    return fetchAnalysisIds(
+      this.target,
+      this.token,
+      this.agent,
+      criteria.sampleIds || [],
+      criteria.limsIds || [],
+      criteria.filters || [],
+      this.logger,
+      criteria.latest ?? false,
+      {
+        since: criteria.since,
+        until: criteria.until,
+        field: criteria.dateField,
+      },
+    );
+  }
+
+  /**
+   * Finds analyses like searchAnalyses(), returning their metadata instead of only the IDs.
+   * @param   {object}            [criteria] - Search criteria (see searchAnalyses()).
+   * @returns {Promise<object[]>}            - The matching analyses as returned by the API.
+   */
+  async findAnalyses(criteria = {}) {
+    this.ensureLoggedIn();
+    return fetchAnalyses(
+      this.target,
+      this.token,
+      this.agent,
+      criteria.sampleIds || [],
+      criteria.limsIds || [],
+      criteria.filters || [],
+      this.logger,
+      criteria.latest ?? false,
+      {
+        since: criteria.since,
+        until: criteria.until,
+        field: criteria.dateField,
+      },
+    );
+  }
+
+  /**
+   * Lists the downloadable files of an analysis. Archived files are left out and never restored.
+   * @param   {string}            analysisId  - The analysis ID.
+   * @param   {string[]}          [filetypes] - File extensions to include (default: all files).
+   * @returns {Promise<object[]>}             - The files with fileName, downloadLink and size.
+   */
+  async listFiles(analysisId, filetypes = null) {
+    this.ensureLoggedIn();
+    const fileDict = await getDownloadLinks(
+      analysisId,
+      filetypes,
+      this.target,
+      this.token,
+      this.agent,
+      this.logger,
+      'no',
+      null,
+      null,
+      null,
+      createMetrics(),
+    );
+    return Object.values(fileDict);
+  }
+
+  /**
+   * Lists the archived files of an analysis without requesting their restoration.
+   * @param   {string}            analysisId  - The analysis ID.
+   * @param   {string[]}          [filetypes] - File extensions to include (default: all files).
+   * @returns {Promise<object[]>}             - The archived files with analysisId and fileName.
+   */
+  async listArchivedFiles(analysisId, filetypes = null) {
+    this.ensureLoggedIn();
+    const metrics = createMetrics();
+    await getDownloadLinks(
+      analysisId,
+      filetypes,
+      this.target,
+      this.token,
+      this.agent,
+      this.logger,
+      'no',
+      null,
+      null,
+      null,
+      metrics,
+    );
+    // Archived files are recorded before the file type filter applies
+    return metrics.archivedFiles
+      .filter(
+        (file) =>
+          !filetypes ||
+          filetypes.length === 0 ||
+          filetypes.some((type) => file.fileName.endsWith(type)),
+      )
+      .map(({ fileName }) => ({ analysisId, fileName }));
+  }
+
+  /**
+   * Collects the pre-signed download URLs of the selected files.
+   * Archived files may be queued for restoration as in download().
+   * @param   {string[]}          analysisIds - The analysis IDs.
+   * @param   {object}            [options]   - Download options (see download()).
+   * @returns {Promise<string[]>}             - The download URLs.
+   */
+  async listUrls(analysisIds, options = {}) {
+    this.ensureLoggedIn();
+    const urls = [];
+    for (const analysisId of analysisIds) {
+      const fileDict = await getDownloadLinks(
+        analysisId,
+        options.filetypes,
+        this.target,
+        this.token,
+        this.agent,
+        this.logger,
+        options.restoreArchived ?? 'no',
+        this.rl,
+        options.restorationFile,
+        this.restorationContext(options, []),
+        createMetrics(),
+      );
+      for (const file of Object.values(fileDict)) {
+        if (file.downloadLink) {
+          urls.push(file.downloadLink);
+        }
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Plans a download or ranged download without performing it: resolves the files and reports
+   * which would be downloaded, skipped as existing, subset by region or restored from the archive.
+   * Never triggers restorations and never writes files.
+   * @param   {string[]}        analysisIds - The analysis IDs.
+   * @param   {string[]}        [regions]   - Genomic regions (empty for full downloads).
+   * @param   {object}          [options]   - Download options (see download()).
+   * @returns {Promise<object>}             - The plan with analysisIds, entries and totals (see planUtils).
+   */
+  async plan(analysisIds, regions = [], options = {}) {
+    this.ensureLoggedIn();
+    if (options.layout) {
+      validateLayout(options.layout);
+    }
+    const ctx = {
+      destination: options.destination || '.',
+      overwrite: options.overwrite ?? false,
+      regions,
+      unmapped: options.unmapped ?? false,
+      vcfOutput: options.vcfOutput ?? 'per-region',
+      convertToCram: options.convertToCram ?? false,
+      layout: options.layout ?? null,
+      restoreArchived: options.restoreArchived ?? 'no',
+      filetypes: options.filetypes || ['bam', 'bam.bai'],
+      logger: this.logger,
+    };
+    if (layoutNeedsMetadata(ctx.layout)) {
+      ctx.analysisMetadata = await fetchAnalysisMetadata(
+        analysisIds,
+        this.target,
+        this.token,
+        this.agent,
+        this.logger,
+        true,
+      );
+    }
+    const entries = [];
+    for (const analysisId of analysisIds) {
+      const metrics = createMetrics();
+      // "no" keeps archived files out without asking or restoring; they are planned below
+      const fileDict = await getDownloadLinks(
+        analysisId,
+        ctx.filetypes,
+        this.target,
+        this.token,
+        this.agent,
+        this.logger,
+        'no',
+        null,
+        undefined,
+        undefined,
+        metrics,
+      );
+      entries.push(
+        ...planAnalysis(analysisId, fileDict, metrics.archivedFiles, ctx),
+      );
+    }
+    return { analysisIds, entries, totals: summarizePlan(entries) };
+  }
+
+  /**
+   * Downloads the selected files of the given analyses in full, or only their unmapped reads.
+   * @param   {string[]}        analysisIds               - The analysis IDs.
+   * @param   {object}          [options]                 - Download options.
+   * @param   {string[]}        [options.filetypes]       - File extensions to download (default: bam, bam.bai).
+   * @param   {string}          [options.destination]     - Destination folder (default: ".").
+   * @param   {boolean}         [options.overwrite]       - Overwrite existing files.
+   * @param   {boolean}         [options.unmapped]        - Extract unmapped reads from BAM files.
+   * @param   {string}          [options.vcfOutput]       - "merged" to write all regions of a VCF into one file (default: "per-region").
+   * @param   {string}          [options.reference]       - Reference FASTA passed to samtools for CRAM files.
+   * @param   {boolean}         [options.convertToCram]   - Write BAM files as CRAM, compressed against options.reference.
+   * @param   {string}          [options.layout]          - Output path template below the destination, e.g. "{personLimsId}/{analysisId}/{fileName}".
+   * @param   {string}          [options.restoreArchived] - Restoration mode for archived files (default: "no").
+   * @param   {string}          [options.restorationFile] - Path of the awaiting-restoration JSON file.
+   * @param   {boolean}         [options.metadata]        - Fetch sample metadata for the manifest entries.
+   * @returns {Promise<object>}                           - The run result with analysisIds, metrics and jobResults.
+   */
+  async download(analysisIds, options = {}) {
+    return this.runDownloads(analysisIds, [], options);
+  }
+
+  /**
+   * Downloads only the given genomic regions of BAM and VCF files using samtools and tabix.
+   * @param   {string[]}        analysisIds - The analysis IDs.
+   * @param   {string[]}        regions     - Regions as "chr1:1-100" or whole chromosomes ("chr1").
+   * @param   {object}          [options]   - Download options (see download()).
+   * @returns {Promise<object>}             - The run result with analysisIds, metrics and jobResults.
+   */
+  async rangedDownload(analysisIds, regions, options = {}) {
+    if (!regions || regions.length === 0) {
+      throw new Error('rangedDownload requires at least one region');
+    }
+    return this.runDownloads(analysisIds, regions, options);
+  }
+
+  /**
+   * Builds the download options stored with a restoration request, so that resume()
+   * downloads the restored file the same way.
+   * @param   {object}   options - Download options (see download()).
+   * @param   {string[]} regions - Genomic regions (empty for full downloads).
+   * @returns {object}           - The restoration context.
+   * @private
+   */
+  restorationContext(options, regions) {
+    return {
+      destination: options.destination || '.',
+      overwrite: options.overwrite ?? false,
+      range: regions.length > 0 ? regions.join(' ') : null,
+      unmapped: options.unmapped ?? false,
+      vcfOutput: options.vcfOutput ?? 'per-region',
+      reference: options.reference ?? null,
+      convertToCram: options.convertToCram ?? false,
+      layout: options.layout ?? null,
+      restorationFile: options.restorationFile,
+      filetypes: options.filetypes || ['bam', 'bam.bai'],
+    };
+  }
+
+  /**
+   * Checks that samtools (and for ranged downloads tabix and bgzip) are installed.
+   * @param   {object}        needs          - The kinds of subsetting requested.
+   * @param   {boolean}       needs.ranged   - Whether regions are extracted.
+   * @param   {boolean}       needs.unmapped - Whether unmapped reads are extracted.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async ensureTools(needs) {
+    const tools = ['samtools'];
+    // tabix and bgzip are only required for ranged downloads, not for unmapped extraction
+    if (needs.ranged) {
+      tools.push('tabix', 'bgzip');
+    }
+
+    const missing = [];
+    for (const tool of tools) {
+      const available = await checkToolAvailability(
+        tool,
+        `${tool} --version`,
+        TOOL_MIN_VERSIONS[tool],
+        this.logger,
+      );
+      if (!available) {
+        missing.push(tool);
+      }
+    }
+    if (missing.length > 0) {
+      throw createCodedError(
+        `Required external tools are missing or outdated: ${missing.join(', ')}. Please install/update them and try again.`,
+        'TOOL_MISSING',
+      );
+    }
+  }
+
+  /**
+   * Emits "job:queued" for a download job and wraps its run() to emit "job:end" when it settles.
+   * The expected size is only known for full downloads; subsets have no size up front.
+   * @param   {object}   job      - The job from createFileJobs.
+   * @param   {object}   fileDict - The file dictionary of the analysis.
+   * @param   {string[]} regions  - Genomic regions (empty for full downloads).
+   * @param   {boolean}  unmapped - Whether unmapped reads are extracted.
+   * @returns {object}            - The job to queue.
+   * @private
+   */
+  reportJob(job, fileDict, regions, unmapped) {
+    const event = {
+      analysisId: job.analysisId,
+      file: job.fileName,
+      label: job.label,
+      size:
+        regions.length === 0 && !unmapped
+          ? (fileDict[job.fileName]?.size ?? null)
+          : null,
+    };
+    this.emit(PROGRESS_EVENTS.queued, event);
+    return {
+      ...job,
+      run: async () => {
+        try {
+          const result = await job.run();
+          this.emit(PROGRESS_EVENTS.finished, {
+            ...event,
+            status: 'fulfilled',
+          });
+          return result;
+        } catch (error) {
+          this.emit(PROGRESS_EVENTS.finished, {
+            ...event,
+            status: 'rejected',
+            error: error.message,
+          });
+          throw error;
+        }
+      },
+    };
+  }
+
+  /**
+   * Resolves the files of each analysis and runs the download jobs through the job queue.
+   * @param   {string[]}        analysisIds - The analysis IDs.
+   * @param   {string[]}        regions     - Genomic regions (empty for full downloads).
+   * @param   {object}          options     - Download options (see download()).
+   * @param   {Function}        [select]    - Called with (analysisId, fileDict); returns the primary files to
+   *                                        download as { newFiles, changedFiles }, where changed files are
+   *                                        overwritten (default: all files, as options.overwrite says).
+   * @returns {Promise<object>}             - The run result with analysisIds, metrics and jobResults.
+   * @private
+   */
+  async runDownloads(analysisIds, regions, options, select = null) {
+    this.ensureLoggedIn();
+    if (options.layout) {
+      validateLayout(options.layout);
+    }
+    const destination = options.destination || '.';
+    const filetypes = options.filetypes || ['bam', 'bam.bai'];
+    const unmapped = options.unmapped ?? false;
+    if (regions.length > 0 || unmapped || options.convertToCram) {
+      await this.ensureTools({ ranged: regions.length > 0, unmapped });
+    }
+
+    if (!fs.existsSync(destination)) {
+      this.logger.debug(`Creating destination directory: ${destination}`);
+      fs.mkdirSync(destination, { recursive: true });
+    }
+
+    // samtools reads the regions from a BED file
+    let tempDir;
+    let tempBedPath;
+    if (regions.length > 0) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'varvis-download-'));
+      tempBedPath = path.join(tempDir, 'regions.bed');
+      fs.writeFileSync(tempBedPath, regionsToBed(regions));
+      this.logger.info(`Generated temporary BED file: ${tempBedPath}`);
+    }
+
+    const metrics = createMetrics();
+    const downloadContext = {
+      target: this.target,
+      token: this.token,
+      agent: this.agent,
+      rl: this.rl,
+      logger: this.logger,
+      metrics,
+      destination,
+      overwrite: options.overwrite ?? false,
+      regions,
+      tempBedPath,
+      unmapped,
+      vcfOutput: options.vcfOutput ?? 'per-region',
+      reference: options.reference ?? null,
+      convertToCram: options.convertToCram ?? false,
+      layout: options.layout ?? null,
+      events: this,
+    };
+
+    try {
+      // Sample metadata is only needed to fill the manifest and the layout
+      if (options.metadata || layoutNeedsMetadata(downloadContext.layout)) {
+        downloadContext.analysisMetadata = await fetchAnalysisMetadata(
+          analysisIds,
+          this.target,
+          this.token,
+          this.agent,
+          this.logger,
+          layoutNeedsMetadata(downloadContext.layout),
+        );
+      }
+
+      // Downloads run through a job queue so that several files can be transferred at once
+      const queue = new JobQueue(this.concurrency, this.logger);
+      for (const analysisId of analysisIds) {
+        this.logger.info(`Processing analysis ID: ${analysisId}`);
+        const fileDict = await getDownloadLinks(
+          analysisId,
+          filetypes,
+          this.target,
+          this.token,
+          this.agent,
+          this.logger,
+          options.restoreArchived ?? 'no',
+          this.rl,
+          options.restorationFile,
+          this.restorationContext(options, regions),
+          metrics,
+        );
+        const selection = select?.(analysisId, fileDict);
+        const groups = selection
+          ? [
+              {
+                files: pickFiles(fileDict, selection.newFiles),
+                ctx: downloadContext,
+              },
+              {
+                files: pickFiles(fileDict, selection.changedFiles),
+                ctx: { ...downloadContext, overwrite: true },
+              },
+            ]
+          : [{ files: fileDict, ctx: downloadContext }];
+        this.emit('analysis', {
+          analysisId,
+          files: groups.flatMap((group) => Object.keys(group.files)),
+        });
+
+        // Queue one job per primary file; jobs start while the next analysis is resolved
+        for (const group of groups) {
+          for (const job of createFileJobs(
+            analysisId,
+            group.files,
+            group.ctx,
+          )) {
+            queue.add(this.reportJob(job, fileDict, regions, unmapped));
+          }
+        }
+      }
+
+      const jobResults = await queue.onIdle();
+      const failedJobs = jobResults.filter(
+        (result) => result.status === 'rejected',
+      );
+      if (failedJobs.length > 0) {
+        this.logger.warn(
+          `${failedJobs.length} of ${jobResults.length} download jobs failed: ${failedJobs.map((result) => result.job.label).join(', ')}`,
+        );
+      }
+
+      const result = { analysisIds, metrics, jobResults };
+      this.emit('done', result);
+      return result;
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        this.logger.info(`Deleted temporary BED file: ${tempBedPath}`);
+      }
+    }
+  }
+
+  /**
+   * Mirrors the selected analyses incrementally: analyses unchanged since they were last synced
+   * completely are skipped without fetching their files, and of the others only files that are new
+   * or whose size or checksum changed are downloaded. Changed files replace the local copy.
+   * @param   {object[]}        analyses  - The selected analyses (see findAnalyses()).
+   * @param   {object}          state     - The sync state (see syncState), updated in place.
+   * @param   {object}          [options] - Download options (see download()).
+   * @returns {Promise<object>}           - The run result (see download()) with a sync summary: files
+   *                                      ({ analysisId, file, change, status }) and analyses (counts per reason).
+   */
+  async sync(analyses, state, options = {}) {
+    const filetypes = options.filetypes || ['bam', 'bam.bai'];
+    const { pending, unchanged } = planSync(state, analyses, filetypes);
+    const summary = {
+      files: [],
+      analyses: {
+        new: 0,
+        changed: 0,
+        incomplete: 0,
+        unchanged: unchanged.length,
+      },
+    };
+    for (const { reason } of pending) {
+      summary.analyses[reason] += 1;
+    }
+    this.logger.info(
+      `Sync: ${pending.length} of ${analyses.length} analyses are new, changed or incomplete.`,
+    );
+
+    const resolved = {};
+    const result = await this.runDownloads(
+      pending.map(({ analysis }) => String(analysis.id)),
+      [],
+      options,
+      (analysisId, fileDict) => {
+        const selection = selectSyncFiles(state.analyses[analysisId], fileDict);
+        resolved[analysisId] = { fileDict, selection };
+        return selection;
+      },
+    );
+
+    const { metrics, jobResults } = result;
+    const now = new Date();
+    for (const { analysis } of pending) {
+      const analysisId = String(analysis.id);
+      const { fileDict, selection } = resolved[analysisId] || {
+        fileDict: {},
+        selection: { newFiles: [], changedFiles: [] },
+      };
+      const fileResults = metrics.fileResults.filter(
+        (entry) => entry.analysisId === analysisId,
+      );
+      const failedFiles = new Set(
+        fileResults
+          .filter((entry) => entry.status === 'failed')
+          .map((entry) => entry.sourceFile),
+      );
+      const rejected = new Set(
+        jobResults
+          .filter(
+            (jobResult) =>
+              jobResult.status === 'rejected' &&
+              jobResult.job.analysisId === analysisId,
+          )
+          .map((jobResult) => jobResult.job.fileName),
+      );
+      const synced = [];
+      for (const [change, fileNames] of [
+        ['new', selection.newFiles],
+        ['changed', selection.changedFiles],
+      ]) {
+        for (const file of fileNames) {
+          const ok =
+            !rejected.has(file) &&
+            !failedFiles.has(file) &&
+            !failedFiles.has(indexFileName(file));
+          if (ok) {
+            synced.push(file);
+          }
+          summary.files.push({
+            analysisId,
+            file,
+            change,
+            status: ok ? 'synced' : 'failed',
+          });
+        }
+      }
+      const archived = metrics.archivedFiles.some(
+        (entry) => entry.analysisId === analysisId,
+      );
+      recordSyncedAnalysis(state, analysis, fileDict, synced, {
+        complete:
+          Boolean(resolved[analysisId]) &&
+          !archived &&
+          synced.length ===
+            selection.newFiles.length + selection.changedFiles.length,
+        fileResults,
+        filetypes,
+        now,
+      });
+    }
+
+    state.lastSync = now.toISOString();
+    if (!summary.files.some((entry) => entry.status === 'failed')) {
+      state.lastSuccessfulSync = state.lastSync;
+    }
+    return { ...result, sync: summary };
+  }
+
+  /**
+   * Re-hashes files already in the destination and compares them against the API or S3 checksums.
+   * Never triggers restorations or downloads.
+   * @param   {string[]}          analysisIds           - The analysis IDs.
+   * @param   {object}            [options]             - Options.
+   * @param   {string[]}          [options.filetypes]   - File extensions to verify.
+   * @param   {string}            [options.destination] - Folder containing the files (default: ".").
+   * @param   {string}            [options.layout]      - Layout the files were downloaded with (see layoutUtils).
+   * @returns {Promise<object[]>}                       - One result per file (see checksumUtils.verifyFiles).
+   */
+  async verify(analysisIds, options = {}) {
+    this.ensureLoggedIn();
+    const layout = options.layout ?? null;
+    if (layout) {
+      validateLayout(layout);
+    }
+    // Sample metadata is only needed to find files placed by the layout
+    const analysisMetadata = layoutNeedsMetadata(layout)
+      ? await fetchAnalysisMetadata(
+          analysisIds,
+          this.target,
+          this.token,
+          this.agent,
+          this.logger,
+          true,
+        )
+      : {};
+    const results = [];
+    for (const analysisId of analysisIds) {
+      const fileDict = await getDownloadLinks(
+        analysisId,
+        options.filetypes,
+        this.target,
+        this.token,
+        this.agent,
+        this.logger,
+        'no',
+        null,
+        null,
+        null,
+        createMetrics(),
+      );
+      results.push(
+        ...(await verifyFiles(
+          fileDict,
+          options.destination || '.',
+          this.agent,
+          this.logger,
+          { layout, analysisMetadata },
+        )),
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Requests restoration of an archived file and queues it in the awaiting-restoration file.
+   * @param   {string}               analysisId                - The analysis ID.
+   * @param   {string}               fileName                  - The archived file name.
+   * @param   {object}               [options]                 - Options.
+   * @param   {string}               [options.restorationFile] - Path of the awaiting-restoration JSON file.
+   * @param   {object}               [options.context]         - Download options stored for resume() (default: built from options as in download()).
+   * @returns {Promise<object|null>}                           - The queued entry, or null if restoration failed.
+   */
+  async restore(analysisId, fileName, options = {}) {
+    this.ensureLoggedIn();
+    const entry = await triggerRestoreArchivedFile(
+      analysisId,
+      { fileName },
+      this.target,
+      this.token,
+      this.agent,
+      this.logger,
+      options.restorationFile,
+      options.context ?? this.restorationContext(options, []),
+    );
+    if (entry) {
+      this.emit('restore', entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Downloads archived files whose restoration has completed, as listed in the awaiting-restoration file.
+   * @param   {object}        [options]                 - Options.
+   * @param   {string}        [options.restorationFile] - Path of the awaiting-restoration JSON file.
+   * @param   {string}        [options.destination]     - Destination for entries without a stored destination.
+   * @param   {boolean}       [options.overwrite]       - Overwrite for entries without a stored setting.
+   * @returns {Promise<void>}
+   */
+  async resume(options = {}) {
+    this.ensureLoggedIn();
+    await resumeArchivedDownloads(
+      options.restorationFile || 'awaiting-restoration.json',
+      options.destination || '.',
+      this.target,
+      this.token,
+      this.agent,
+      this.logger,
+      options.overwrite ?? false,
+      this,
+    );
+  }
+}
+
+module.exports = {
+  VarvisClient,
+  createAgent,
+};
@@ -33,6 +33,7 @@ jest.mock('../../js/rangedUtils', () => ({
   indexVCF: jest.fn(),
   rangedDownloadBAM: jest.fn(),
   rangedDownloadVCF: jest.fn(),
+  tabixIndexPath: jest.fn((indexFilePath) => indexFilePath),
 }));
 
 // Mock fetchUtils getDownloadLinks
@@ -20,6 +20,8 @@ const {
   generateOutputFileName,
   indexBAM,
   indexVCF,
+  rangedDownloadVCF,
+  tabixIndexPath,
 } = require('../../js/rangedUtils.cjs');
 
 describe('archiveUtils (enhanced)', () => {
@@ -42,7 +44,7 @@ describe('archiveUtils (enhanced)', () => {
         }),
       });
 
-      await triggerRestoreArchivedFile(
+      const result = await triggerRestoreArchivedFile(
         'AN001',
         { fileName: 'sample.bam' },
         mockTarget,
@@ -53,6 +55,7 @@ describe('archiveUtils (enhanced)', () => {
         {},
       );
 
+      expect(result).toBeNull();
       expect(mockLogger.error).toHaveBeenCalledWith(
         'Failed to initiate restoration for analysis AN001: RESTORE_ERROR',
       );
@@ -364,6 +367,68 @@ describe('archiveUtils (enhanced)', () => {
       );
     });
 
+    test('should subset restored VCF files with their downloaded index', async () => {
+      const mockData = [
+        {
+          analysisId: 'AN001',
+          fileName: 'sample.vcf.gz',
+          restoreEstimation: '2025-01-01T00:00:00Z',
+          options: {
+            range: 'chr1:1000-2000',
+          },
+        },
+      ];
+
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify(mockData));
+
+      getDownloadLinks.mockResolvedValue({
+        'sample.vcf.gz': {
+          fileName: 'sample.vcf.gz',
+          downloadLink: 'https://example.com/sample.vcf.gz',
+          currentlyArchived: false,
+        },
+        'sample.vcf.gz.tbi': {
+          fileName: 'sample.vcf.gz.tbi',
+          downloadLink: 'https://example.com/sample.vcf.gz.tbi',
+          currentlyArchived: false,
+        },
+      });
+
+      generateOutputFileName.mockImplementation((fileName) => fileName);
+      fs.mkdtempSync.mockReturnValue('/tmp/varvis-restore-1');
+      tabixIndexPath.mockImplementation((indexFilePath) => indexFilePath);
+
+      await resumeArchivedDownloads(
+        'test-restoration.json',
+        './downloads',
+        mockTarget,
+        mockToken,
+        mockAgent,
+        mockLogger,
+        false,
+      );
+
+      expect(rangedDownloadVCF).toHaveBeenCalledWith(
+        'https://example.com/sample.vcf.gz',
+        'chr1:1000-2000',
+        expect.stringContaining('sample.vcf.gz'),
+        expect.stringContaining('sample.vcf.gz.tbi'),
+        mockLogger,
+        expect.any(Object),
+        false,
+      );
+      expect(tabixIndexPath).toHaveBeenCalledWith(
+        expect.stringContaining('sample.vcf.gz.tbi'),
+        'sample.vcf.gz.tbi',
+        '/tmp/varvis-restore-1',
+      );
+      expect(fs.rmSync).toHaveBeenCalledWith('/tmp/varvis-restore-1', {
+        recursive: true,
+        force: true,
+      });
+    });
+
     test('should handle full VCF download with optional index', async () => {
       const mockData = [
         {
@@ -412,6 +477,7 @@ describe('archiveUtils (enhanced)', () => {
         null,
         mockLogger,
         expect.any(Object),
+        expect.objectContaining({ refreshUrl: expect.any(Function) }),
       );
       expect(indexVCF).toHaveBeenCalled();
     });
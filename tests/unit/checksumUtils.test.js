@@ -0,0 +1,252 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  normalizeChecksum,
+  getApiChecksum,
+  getHeaderChecksum,
+  hashFile,
+  fetchRemoteChecksum,
+  verifyFiles,
+} = require('../../js/checksumUtils.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+jest.mock('../../js/apiClient.cjs');
+
+const { fetchWithRetry } = require('../../js/apiClient.cjs');
+
+const md5Of = (data) => crypto.createHash('md5').update(data).digest('hex');
+
+describe('checksumUtils', () => {
+  let mockLogger;
+  let testDir;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    testDir = new TestDirectory();
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  describe('normalizeChecksum', () => {
+    test('should lowercase hex digests', () => {
+      const md5 = md5Of('abc').toUpperCase();
+      expect(normalizeChecksum(md5, 'md5')).toBe(md5.toLowerCase());
+    });
+
+    test('should decode base64 digests', () => {
+      const digest = crypto.createHash('sha256').update('abc');
+      const base64 = digest.copy().digest('base64');
+      expect(normalizeChecksum(base64, 'sha256')).toBe(digest.digest('hex'));
+    });
+
+    test('should reject values of the wrong length', () => {
+      expect(normalizeChecksum('abc123', 'md5')).toBeNull();
+      expect(normalizeChecksum(md5Of('abc'), 'sha256')).toBeNull();
+      expect(normalizeChecksum(undefined, 'md5')).toBeNull();
+    });
+  });
+
+  describe('getApiChecksum', () => {
+    test('should read a named checksum field', () => {
+      expect(getApiChecksum({ md5: md5Of('abc') })).toEqual({
+        algorithm: 'md5',
+        value: md5Of('abc'),
+        source: 'api:md5',
+      });
+    });
+
+    test('should read a prefixed generic checksum field', () => {
+      const sha256 = crypto.createHash('sha256').update('abc').digest('hex');
+      expect(getApiChecksum({ checksum: `sha256:${sha256}` })).toEqual({
+        algorithm: 'sha256',
+        value: sha256,
+        source: 'api:checksum',
+      });
+    });
+
+    test('should infer the algorithm of a bare generic checksum', () => {
+      expect(getApiChecksum({ checksum: md5Of('abc') }).algorithm).toBe('md5');
+    });
+
+    test('should return null when the file has no checksum', () => {
+      expect(getApiChecksum({ downloadLink: 'https://x' })).toBeNull();
+      expect(getApiChecksum(null)).toBeNull();
+    });
+  });
+
+  describe('getHeaderChecksum', () => {
+    const headersOf = (values) => ({ get: (name) => values[name] ?? null });
+
+    test('should use a single-part ETag as MD5', () => {
+      expect(getHeaderChecksum(headersOf({ etag: `"${md5Of('x')}"` }))).toEqual(
+        { algorithm: 'md5', value: md5Of('x'), source: 'etag' },
+      );
+    });
+
+    test('should ignore multipart ETags', () => {
+      expect(
+        getHeaderChecksum(headersOf({ etag: `"${md5Of('x')}-3"` })),
+      ).toBeNull();
+    });
+
+    test('should prefer the S3 SHA-256 checksum header', () => {
+      const digest = crypto.createHash('sha256').update('x');
+      const result = getHeaderChecksum(
+        headersOf({
+          etag: `"${md5Of('x')}"`,
+          'x-amz-checksum-sha256': digest.copy().digest('base64'),
+        }),
+      );
+      expect(result).toEqual({
+        algorithm: 'sha256',
+        value: digest.digest('hex'),
+        source: 'x-amz-checksum',
+      });
+    });
+  });
+
+  describe('hashFile', () => {
+    test('should compute the requested digests of a file', async () => {
+      const dir = await testDir.create(`hash-${Date.now()}`);
+      const filePath = path.join(dir, 'data.txt');
+      fs.writeFileSync(filePath, 'content');
+
+      const result = await hashFile(filePath, ['md5', 'sha256']);
+
+      expect(result.md5).toBe(md5Of('content'));
+      expect(result.sha256).toBe(
+        crypto.createHash('sha256').update('content').digest('hex'),
+      );
+    });
+  });
+
+  describe('fetchRemoteChecksum', () => {
+    test('should request a single byte and read the ETag', async () => {
+      const cancel = jest.fn();
+      fetchWithRetry.mockResolvedValue({
+        body: { cancel },
+        headers: { get: (name) => (name === 'etag' ? md5Of('x') : null) },
+      });
+
+      const result = await fetchRemoteChecksum('https://s3/x', {}, mockLogger);
+
+      expect(fetchWithRetry).toHaveBeenCalledWith(
+        'https://s3/x',
+        { method: 'GET', headers: { Range: 'bytes=0-0' }, dispatcher: {} },
+        3,
+        mockLogger,
+      );
+      expect(cancel).toHaveBeenCalled();
+      expect(result.value).toBe(md5Of('x'));
+    });
+  });
+
+  describe('verifyFiles', () => {
+    test('should classify local files by verification result', async () => {
+      const dir = await testDir.create(`verify-${Date.now()}`);
+      fs.writeFileSync(path.join(dir, 'good.bam'), 'good');
+      fs.writeFileSync(path.join(dir, 'bad.bam'), 'bad');
+      fs.writeFileSync(path.join(dir, 'plain.vcf.gz'), 'plain');
+      fetchWithRetry.mockResolvedValue({
+        body: null,
+        headers: { get: () => null },
+      });
+
+      const results = await verifyFiles(
+        {
+          'good.bam': { md5: md5Of('good'), analysisId: 'A1' },
+          'bad.bam': { md5: md5Of('something else'), analysisId: 'A1' },
+          'plain.vcf.gz': {
+            downloadLink: 'https://s3/plain',
+            analysisId: 'A1',
+          },
+          'missing.bam': { md5: md5Of('missing'), analysisId: 'A1' },
+        },
+        dir,
+        {},
+        mockLogger,
+      );
+
+      expect(
+        Object.fromEntries(results.map((r) => [r.fileName, r.status])),
+      ).toEqual({
+        'good.bam': 'ok',
+        'bad.bam': 'mismatch',
+        'plain.vcf.gz': 'unverifiable',
+        'missing.bam': 'missing',
+      });
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('Checksum mismatch for'),
+      );
+    });
+
+    test('should look files up where the layout placed them', async () => {
+      const dir = await testDir.create(`verify-layout-${Date.now()}`);
+      fs.mkdirSync(path.join(dir, 'S1'));
+      fs.writeFileSync(path.join(dir, 'S1', 'S1.bam'), 'reads');
+      fs.writeFileSync(path.join(dir, 'S1', 'S1.bam.bai'), 'index');
+
+      const results = await verifyFiles(
+        {
+          'x.bam': { md5: md5Of('reads'), analysisId: 'A1' },
+          'x.bam.bai': { md5: md5Of('index'), analysisId: 'A1' },
+        },
+        dir,
+        {},
+        mockLogger,
+        {
+          layout: '{sampleId}/{sampleId}.{ext}',
+          analysisMetadata: { A1: { sampleId: 'S1' } },
+        },
+      );
+
+      expect(results.map((r) => [r.filePath, r.status])).toEqual([
+        [path.join(dir, 'S1', 'S1.bam'), 'ok'],
+        [path.join(dir, 'S1', 'S1.bam.bai'), 'ok'],
+      ]);
+    });
+
+    test('should not fail files whose ETag is not their MD5', async () => {
+      const dir = await testDir.create(`verify-etag-${Date.now()}`);
+      fs.writeFileSync(path.join(dir, 'a.bam'), 'a');
+      fetchWithRetry.mockResolvedValue({
+        headers: { get: (name) => (name === 'etag' ? md5Of('kms') : null) },
+      });
+
+      const [result] = await verifyFiles(
+        { 'a.bam': { downloadLink: 'https://s3/a', analysisId: 'A1' } },
+        dir,
+        {},
+        mockLogger,
+      );
+
+      expect(result.status).toBe('unverifiable');
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('is not its MD5'),
+      );
+    });
+
+    test('should report files whose remote checksum cannot be fetched', async () => {
+      const dir = await testDir.create(`verify-error-${Date.now()}`);
+      fs.writeFileSync(path.join(dir, 'a.bam'), 'a');
+      fetchWithRetry.mockRejectedValue(
+        new Error('Fetch failed with status: 403'),
+      );
+
+      const [result] = await verifyFiles(
+        { 'a.bam': { downloadLink: 'https://s3/a', analysisId: 'A1' } },
+        dir,
+        {},
+        mockLogger,
+      );
+
+      expect(result.status).toBe('error');
+      expect(result.error).toBe('Fetch failed with status: 403');
+    });
+  });
+});
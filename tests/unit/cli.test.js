@@ -76,6 +76,20 @@ describe('CLI (varvis-download.cjs)', () => {
         );
       }
     });
+    test('should exit with error when --since is no date', () => {
+      expect.assertions(2);
+      try {
+        execSync(
+          `node ${cliPath} --username test --password test --target testenv --since lastweek`,
+          { encoding: 'utf8', stdio: 'pipe' },
+        );
+      } catch (error) {
+        expect(error.status).toBe(1);
+        expect(error.stderr || error.stdout).toContain(
+          'Invalid date: lastweek',
+        );
+      }
+    });
   });
 
   describe('Argument Aliases', () => {
@@ -141,6 +155,14 @@ describe('CLI (varvis-download.cjs)', () => {
       expect(helpOutput).toContain('restorationFile');
     });
 
+    test('should support dry-run option', () => {
+      const helpOutput = execSync(`node ${cliPath} --help`, {
+        encoding: 'utf8',
+      });
+
+      expect(helpOutput).toContain('dry-run');
+    });
+
     test('should support proxy configuration', () => {
       const helpOutput = execSync(`node ${cliPath} --help`, {
         encoding: 'utf8',
@@ -157,6 +179,8 @@ describe('CLI (varvis-download.cjs)', () => {
       });
 
       expect(helpOutput).toContain('filter');
+      expect(helpOutput).toContain('--since');
+      expect(helpOutput).toContain('--until');
       expect(helpOutput).toContain('filetypes');
     });
 
@@ -179,4 +203,62 @@ describe('CLI (varvis-download.cjs)', () => {
       expect(helpOutput).toContain('reportfile');
     });
   });
+
+  describe('Subcommands', () => {
+    test('should list the subcommands in the help', () => {
+      const helpOutput = execSync(`node ${cliPath} --help`, {
+        encoding: 'utf8',
+      });
+
+      for (const command of [
+        'download',
+        'sync',
+        'search',
+        'list',
+        'urls',
+        'restore',
+        'resume',
+        'status',
+        'config',
+      ]) {
+        expect(helpOutput).toContain(`varvis-download.cjs ${command}`);
+      }
+    });
+
+    test('should only show the options of a subcommand in its help', () => {
+      const helpOutput = execSync(`node ${cliPath} list --help`, {
+        encoding: 'utf8',
+      });
+
+      expect(helpOutput).toContain('analysisIds');
+      expect(helpOutput).not.toContain('--bed');
+      expect(helpOutput).not.toContain('--concurrency');
+    });
+
+    test('should reject options a subcommand does not accept', () => {
+      expect.assertions(2);
+      try {
+        execSync(`node ${cliPath} list --bed regions.bed -a AN001`, {
+          encoding: 'utf8',
+          stdio: 'pipe',
+        });
+      } catch (error) {
+        expect(error.status).toBe(1);
+        expect(error.stderr).toContain('Unknown argument: bed');
+      }
+    });
+
+    test('should reject download options with the legacy --list flag', () => {
+      expect.assertions(2);
+      try {
+        execSync(`node ${cliPath} --list --bed regions.bed -a AN001`, {
+          encoding: 'utf8',
+          stdio: 'pipe',
+        });
+      } catch (error) {
+        expect(error.status).toBe(1);
+        expect(error.stderr).toContain('mutually exclusive');
+      }
+    });
+  });
 });
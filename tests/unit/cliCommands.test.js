@@ -0,0 +1,611 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+const { resolveCliConfig } = require('../../js/cliOptions.cjs');
+const { createMetrics } = require('../../js/fetchUtils.cjs');
+const { EXIT_CODES } = require('../../js/exitCodes.cjs');
+const search = require('../../js/commands/search.cjs');
+const list = require('../../js/commands/list.cjs');
+const urls = require('../../js/commands/urls.cjs');
+const download = require('../../js/commands/download.cjs');
+const sync = require('../../js/commands/sync.cjs');
+const restore = require('../../js/commands/restore.cjs');
+const status = require('../../js/commands/status.cjs');
+const configCommand = require('../../js/commands/config.cjs');
+
+/**
+ * Creates a CLI context with a mocked client, as createCliContext would for the given options.
+ * @param   {object} argv - Command line options.
+ * @returns {object}      - The context.
+ */
+function createTestContext(argv = {}) {
+  const config = resolveCliConfig(
+    { username: 'user', password: 'secret', target: 'testenv', ...argv },
+    {},
+  );
+  return {
+    config,
+    configFilePath: '/tmp/.config.json',
+    logger: createMockLogger(),
+    userName: config.username,
+    client: {
+      findAnalyses: jest.fn(async () => []),
+      listFiles: jest.fn(async () => [{ fileName: 'sample.bam' }]),
+      listArchivedFiles: jest.fn(async () => []),
+      listUrls: jest.fn(async () => ['https://s3/bam']),
+      restore: jest.fn(async (analysisId, fileName) => ({
+        analysisId,
+        fileName,
+      })),
+      plan: jest.fn(),
+      download: jest.fn(),
+      rangedDownload: jest.fn(),
+      verify: jest.fn(async () => []),
+      sync: jest.fn(),
+    },
+    requireCredentials: jest.fn(() => true),
+    requireValidFilters: jest.fn(() => true),
+    requireSelection: jest.fn(
+      () =>
+        config.analysisIds.length + config.sampleIds.length > 0 ||
+        config.limsIds.length > 0,
+    ),
+    login: jest.fn(async () => true),
+    readIdsFile: jest.fn(() => null),
+    resolveAnalysisIds: jest.fn(
+      async (selection = {}) => selection.analysisIds ?? config.analysisIds,
+    ),
+    findAnalyses: jest.fn(async () =>
+      config.analysisIds.map((id) => ({ id: Number(id) })),
+    ),
+    readRegionMap: jest.fn(() => null),
+    readRegions: jest.fn(async () =>
+      config.range ? config.range.split(' ') : [],
+    ),
+    showProgress: jest.fn(() => ({})),
+  };
+}
+
+describe('CLI commands', () => {
+  let log;
+  let testDir;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    testDir = new TestDirectory();
+  });
+
+  afterEach(async () => {
+    log.mockRestore();
+    await testDir.cleanup();
+  });
+
+  describe('search', () => {
+    const analyses = [
+      { id: 1, sampleId: 'S1', analysisType: 'SNV' },
+      { id: 2, sampleId: 'S2', analysisType: 'SV' },
+    ];
+
+    test('should print the matching analyses in the selected format', async () => {
+      const ctx = createTestContext({
+        sampleIds: ['S1,S2'],
+        columns: ['id,sampleId'],
+        format: 'tsv',
+        header: false,
+      });
+      ctx.client.findAnalyses.mockResolvedValue(analyses);
+
+      await expect(search.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.findAnalyses).toHaveBeenCalledWith(
+        expect.objectContaining({ sampleIds: ['S1', 'S2'] }),
+      );
+      expect(log).toHaveBeenCalledWith('1\tS1\n2\tS2');
+    });
+
+    test('should warn about columns no analysis has', async () => {
+      const ctx = createTestContext({ columns: ['id', 'typo'] });
+      ctx.client.findAnalyses.mockResolvedValue(analyses);
+
+      await expect(search.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.logger.warn).toHaveBeenCalledWith(
+        'No analysis has a "typo" field.',
+      );
+    });
+
+    test('should report when nothing matched', async () => {
+      const ctx = createTestContext();
+
+      await expect(search.run(ctx)).resolves.toBe(EXIT_CODES.NOTHING_FOUND);
+    });
+
+    test('should fail with the auth failure code if the login fails', async () => {
+      const ctx = createTestContext();
+      ctx.login.mockResolvedValue(false);
+
+      await expect(search.run(ctx)).resolves.toBe(EXIT_CODES.AUTH_FAILURE);
+    });
+  });
+
+  describe('list', () => {
+    test('should require a selection', async () => {
+      const ctx = createTestContext();
+
+      await expect(list.run(ctx)).resolves.toBe(EXIT_CODES.GENERAL_ERROR);
+      expect(ctx.login).not.toHaveBeenCalled();
+    });
+
+    test('should log the files of every analysis', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'] });
+
+      await expect(list.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.logger.info).toHaveBeenCalledWith('- sample.bam');
+    });
+  });
+
+  describe('urls', () => {
+    test('should print the URLs and save them to the URL file', async () => {
+      const dir = await testDir.create();
+      const urlFile = path.join(dir, 'urls.txt');
+      const ctx = createTestContext({ analysisIds: ['1'], urlFile });
+
+      await expect(urls.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(log).toHaveBeenCalledWith('https://s3/bam');
+      expect(fs.readFileSync(urlFile, 'utf8')).toBe('https://s3/bam\n');
+    });
+  });
+
+  describe('download', () => {
+    test('should reject --unmapped with --bed before logging in', async () => {
+      const ctx = createTestContext({
+        analysisIds: ['1'],
+        unmapped: true,
+        bed: 'regions.bed',
+      });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.GENERAL_ERROR);
+      expect(ctx.logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('--unmapped cannot be combined with --bed'),
+      );
+      expect(ctx.login).not.toHaveBeenCalled();
+    });
+
+    test('should require an annotation file and a valid padding for --genes', async () => {
+      const withoutAnnotation = createTestContext({
+        analysisIds: ['1'],
+        genes: ['BRCA1'],
+      });
+      const negativePadding = createTestContext({
+        analysisIds: ['1'],
+        genes: ['BRCA1'],
+        annotation: 'genes.gtf',
+        padding: -5,
+      });
+
+      await expect(download.run(withoutAnnotation)).resolves.toBe(
+        EXIT_CODES.GENERAL_ERROR,
+      );
+      expect(withoutAnnotation.logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('--genes requires --annotation'),
+      );
+      await expect(download.run(negativePadding)).resolves.toBe(
+        EXIT_CODES.GENERAL_ERROR,
+      );
+      expect(negativePadding.logger.error).toHaveBeenCalledWith(
+        'Error: --padding must be a non-negative integer, got: -5',
+      );
+    });
+
+    test('should require an existing reference for --convert-to-cram', async () => {
+      const withoutReference = createTestContext({
+        analysisIds: ['1'],
+        convertToCram: true,
+      });
+      const missingReference = createTestContext({
+        analysisIds: ['1'],
+        reference: '/nonexistent/GRCh38.fa',
+      });
+
+      await expect(download.run(withoutReference)).resolves.toBe(
+        EXIT_CODES.GENERAL_ERROR,
+      );
+      expect(withoutReference.logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('--convert-to-cram requires --reference'),
+      );
+      await expect(download.run(missingReference)).resolves.toBe(
+        EXIT_CODES.GENERAL_ERROR,
+      );
+      expect(missingReference.logger.error).toHaveBeenCalledWith(
+        'Error: reference FASTA not found: /nonexistent/GRCh38.fa',
+      );
+    });
+
+    test('should reject layouts outside the destination', async () => {
+      const ctx = createTestContext({
+        analysisIds: ['1'],
+        layout: '../{fileName}',
+      });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.GENERAL_ERROR);
+      expect(ctx.logger.error).toHaveBeenCalledWith(
+        'Error: --layout must stay inside --destination, got: ../{fileName}',
+      );
+    });
+
+    test('should run the list command for the deprecated --list flag', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'], list: true });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.logger.warn).toHaveBeenCalledWith(
+        '--list is deprecated; use the "list" command.',
+      );
+      expect(ctx.client.listFiles).toHaveBeenCalledWith('1');
+      expect(ctx.client.download).not.toHaveBeenCalled();
+    });
+
+    test('should print the plan for a dry run', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'], dryRun: true });
+      ctx.client.plan.mockResolvedValue({
+        entries: [],
+        totals: {
+          download: 0,
+          subset: 0,
+          skip: 0,
+          restore: 0,
+          archived: 0,
+          downloadBytes: 0,
+          unknownSizes: 0,
+        },
+      });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.plan).toHaveBeenCalledWith(
+        ['1'],
+        [],
+        expect.objectContaining({ destination: '.' }),
+      );
+      expect(log.mock.calls[0][0]).toContain('Dry run');
+      expect(ctx.client.download).not.toHaveBeenCalled();
+    });
+
+    test('should download by region and return the run exit code', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'], range: 'chr1' });
+      const metrics = { ...createMetrics(), totalFilesDownloaded: 1 };
+      ctx.client.rangedDownload.mockResolvedValue({ metrics, jobResults: [] });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['1'],
+        ['chr1'],
+        expect.objectContaining({ metadata: false }),
+      );
+    });
+  });
+
+  describe('download with a sample sheet', () => {
+    test('should download the rows grouped by their regions and file types', async () => {
+      const ctx = createTestContext({ idsFile: 'samples.tsv', range: 'chrX' });
+      ctx.requireSelection.mockReturnValue(true);
+      ctx.readIdsFile.mockReturnValue({
+        kind: 'limsIds',
+        rows: [
+          { id: 'L1', regions: ['chr1'], filetypes: [], line: 2 },
+          { id: 'L2', regions: [], filetypes: ['vcf.gz'], line: 3 },
+          { id: 'L3', regions: ['chr1'], filetypes: [], line: 4 },
+        ],
+      });
+      ctx.resolveAnalysisIds.mockImplementation(async ({ limsIds }) =>
+        limsIds.map((id) => id.replace('L', '')),
+      );
+      const result = (files) => ({
+        metrics: { ...createMetrics(), totalFilesDownloaded: files },
+        jobResults: [],
+      });
+      ctx.client.rangedDownload
+        .mockResolvedValueOnce(result(2))
+        .mockResolvedValueOnce(result(1));
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.resolveAnalysisIds).toHaveBeenCalledWith({
+        analysisIds: [],
+        sampleIds: [],
+        limsIds: ['L2'],
+      });
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['1', '3'],
+        ['chr1'],
+        expect.objectContaining({ filetypes: ['bam', 'bam.bai'] }),
+      );
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['2'],
+        ['chrX'],
+        expect.objectContaining({ filetypes: ['vcf.gz'] }),
+      );
+    });
+
+    test('should download all rows at once without per-row columns', async () => {
+      const ctx = createTestContext({ analysisIds: ['1', '2'] });
+      ctx.readIdsFile.mockReturnValue({
+        kind: 'analysisIds',
+        rows: [{ id: '2', regions: [], filetypes: [], line: 2 }],
+      });
+      ctx.client.download.mockResolvedValue({
+        metrics: { ...createMetrics(), totalFilesDownloaded: 1 },
+        jobResults: [],
+      });
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.download).toHaveBeenCalledTimes(1);
+      expect(ctx.client.download).toHaveBeenCalledWith(
+        ['1', '2'],
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('download with a region map', () => {
+    const regionMap = {
+      kind: 'sampleIds',
+      regions: new Map([
+        ['S1', ['chr1:1-100']],
+        ['S2', ['chr2:1-100', 'chr3:1-100']],
+        ['S9', ['chr9:1-100']],
+      ]),
+    };
+    const analyses = [
+      { id: 1, sampleId: 'S1' },
+      { id: 2, sampleId: 'S2' },
+      { id: 3, sampleId: 'S1' },
+      { id: 4, sampleId: 'S4' },
+    ];
+    const result = {
+      metrics: { ...createMetrics(), totalFilesDownloaded: 1 },
+      jobResults: [],
+    };
+
+    test('should download the regions of each sample', async () => {
+      const ctx = createTestContext({ sampleIds: ['S1', 'S2', 'S4'] });
+      ctx.readRegionMap.mockReturnValue(regionMap);
+      ctx.findAnalyses.mockResolvedValue(analyses);
+      ctx.client.rangedDownload.mockResolvedValue(result);
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.rangedDownload).toHaveBeenCalledTimes(2);
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['1', '3'],
+        ['chr1:1-100'],
+        expect.any(Object),
+      );
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['2'],
+        ['chr2:1-100', 'chr3:1-100'],
+        expect.any(Object),
+      );
+      expect(ctx.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('No regions for analysis 4 (S4)'),
+      );
+      expect(ctx.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('No analysis matched S9'),
+      );
+    });
+
+    test('should use --range for analyses without an entry', async () => {
+      const ctx = createTestContext({ sampleIds: ['S1', 'S4'], range: 'chrX' });
+      ctx.readRegionMap.mockReturnValue(regionMap);
+      ctx.findAnalyses.mockResolvedValue([analyses[0], analyses[3]]);
+      ctx.client.rangedDownload.mockResolvedValue(result);
+
+      await expect(download.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.rangedDownload).toHaveBeenCalledWith(
+        ['4'],
+        ['chrX'],
+        expect.any(Object),
+      );
+    });
+
+    test('should refuse per-row regions in the sample sheet', async () => {
+      const ctx = createTestContext({ sampleIds: ['S1'] });
+      ctx.readRegionMap.mockReturnValue(regionMap);
+      ctx.readIdsFile.mockReturnValue({
+        kind: 'sampleIds',
+        rows: [{ id: 'S1', regions: ['chr1'], filetypes: [], line: 2 }],
+      });
+
+      await expect(download.run(ctx)).rejects.toThrow(
+        '--region-map cannot be combined with per-row regions',
+      );
+    });
+  });
+
+  describe('sync', () => {
+    test('should sync, save the state and report what is new', async () => {
+      const destination = await testDir.create(`sync-${Date.now()}`);
+      const ctx = createTestContext({ analysisIds: ['1'], destination });
+      ctx.client.sync.mockImplementation(async (analyses, state) => {
+        state.analyses['1'] = { files: {}, complete: true };
+        return {
+          metrics: { ...createMetrics(), totalFilesDownloaded: 1 },
+          jobResults: [],
+          sync: {
+            files: [
+              {
+                analysisId: '1',
+                file: 'a.bam',
+                change: 'new',
+                status: 'synced',
+              },
+            ],
+            analyses: { new: 1, changed: 0, incomplete: 0, unchanged: 0 },
+          },
+        };
+      });
+
+      await expect(sync.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.sync).toHaveBeenCalledWith(
+        [{ id: 1 }],
+        expect.objectContaining({ analyses: expect.any(Object) }),
+        expect.objectContaining({ destination }),
+      );
+      const state = JSON.parse(
+        fs.readFileSync(
+          path.join(destination, sync.DEFAULT_STATE_FILE),
+          'utf8',
+        ),
+      );
+      expect(state.analyses['1'].complete).toBe(true);
+      expect(log.mock.calls.at(-1)[0]).toContain('  new      1  a.bam');
+    });
+
+    test('should forward output options and reject region options', async () => {
+      const destination = await testDir.create(`sync-${Date.now()}`);
+      const ctx = createTestContext({
+        analysisIds: ['1'],
+        destination,
+        layout: '{analysisId}/{fileName}',
+      });
+      ctx.client.sync.mockResolvedValue({
+        metrics: createMetrics(),
+        jobResults: [],
+        sync: {
+          files: [],
+          analyses: { new: 0, changed: 0, incomplete: 0, unchanged: 1 },
+        },
+      });
+      const ranged = createTestContext({
+        analysisIds: ['1'],
+        range: 'chr1:1-100',
+      });
+
+      await expect(sync.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.sync.mock.calls[0][2]).toEqual(
+        expect.objectContaining({
+          layout: '{analysisId}/{fileName}',
+          convertToCram: false,
+          reference: null,
+        }),
+      );
+      await expect(sync.run(ranged)).resolves.toBe(EXIT_CODES.GENERAL_ERROR);
+      expect(ranged.logger.error).toHaveBeenCalledWith(
+        'Error: sync mirrors whole files and does not support --range; remove it from the command line or config file.',
+      );
+      expect(ranged.client.sync).not.toHaveBeenCalled();
+    });
+
+    test('should succeed when nothing is new', async () => {
+      const destination = await testDir.create(`sync-${Date.now()}`);
+      const ctx = createTestContext({
+        analysisIds: ['1'],
+        stateFile: path.join(destination, 'state.json'),
+      });
+      ctx.client.sync.mockResolvedValue({
+        metrics: createMetrics(),
+        jobResults: [],
+        sync: {
+          files: [],
+          analyses: { new: 0, changed: 0, incomplete: 0, unchanged: 1 },
+        },
+      });
+
+      await expect(sync.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(fs.existsSync(path.join(destination, 'state.json'))).toBe(true);
+    });
+  });
+
+  describe('restore', () => {
+    test('should restore only the named archived files', async () => {
+      const ctx = createTestContext({
+        analysisIds: ['1'],
+        file: ['old.bam'],
+        destination: 'data',
+      });
+      ctx.client.listArchivedFiles.mockResolvedValue([
+        { analysisId: '1', fileName: 'old.bam' },
+        { analysisId: '1', fileName: 'old.bam.bai' },
+      ]);
+
+      await expect(restore.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(ctx.client.restore).toHaveBeenCalledTimes(1);
+      expect(ctx.client.restore).toHaveBeenCalledWith(
+        '1',
+        'old.bam',
+        expect.objectContaining({
+          destination: 'data',
+          restorationFile: 'awaiting-restoration.json',
+        }),
+      );
+    });
+
+    test('should fail if a restoration could not be requested', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'] });
+      ctx.client.listArchivedFiles.mockResolvedValue([
+        { analysisId: '1', fileName: 'old.bam' },
+      ]);
+      ctx.client.restore.mockResolvedValue(null);
+
+      await expect(restore.run(ctx)).resolves.toBe(EXIT_CODES.GENERAL_ERROR);
+    });
+
+    test('should report when no file is archived', async () => {
+      const ctx = createTestContext({ analysisIds: ['1'] });
+
+      await expect(restore.run(ctx)).resolves.toBe(EXIT_CODES.NOTHING_FOUND);
+      expect(ctx.client.restore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('status', () => {
+    test('should show ready and pending restorations', async () => {
+      const dir = await testDir.create();
+      const restorationFile = path.join(dir, 'awaiting.json');
+      fs.writeFileSync(
+        restorationFile,
+        JSON.stringify([
+          {
+            analysisId: '1',
+            fileName: 'a.bam',
+            restoreEstimation: '2000-01-01T00:00:00Z',
+          },
+          {
+            analysisId: '2',
+            fileName: 'b.bam',
+            restoreEstimation: '2999-01-01T00:00:00Z',
+          },
+        ]),
+      );
+      const ctx = createTestContext({ restorationFile });
+
+      await expect(status.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      const output = log.mock.calls[0][0];
+      expect(output).toContain('ready    1  a.bam');
+      expect(output).toContain('pending  2  b.bam');
+      expect(output).toContain('1 ready to resume, 1 still being restored.');
+      expect(ctx.login).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('config', () => {
+    test('should print the settings with secrets masked', async () => {
+      const ctx = createTestContext({
+        _: ['config'],
+        $0: 'varvis-download',
+        a: ['1'],
+        'analysis-ids': ['1'],
+        analysisIds: ['1'],
+        proxyPassword: 'proxy-secret',
+      });
+
+      await expect(configCommand.run(ctx)).resolves.toBe(EXIT_CODES.SUCCESS);
+      const printed = JSON.parse(log.mock.calls[0][0]);
+      expect(printed).toMatchObject({
+        username: 'user',
+        password: '********',
+        proxyPassword: '********',
+        target: 'testenv',
+        analysisIds: ['1'],
+      });
+      for (const key of ['_', '$0', 'a', 'analysis-ids', 'list']) {
+        expect(printed).not.toHaveProperty([key]);
+      }
+    });
+  });
+});
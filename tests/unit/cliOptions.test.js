@@ -0,0 +1,88 @@
+const {
+  DOWNLOAD_OPTIONS,
+  LEGACY_OPTIONS,
+  DOWNLOAD_ONLY_OPTIONS,
+  resolveCliConfig,
+} = require('../../js/cliOptions.cjs');
+
+describe('cliOptions', () => {
+  describe('resolveCliConfig', () => {
+    test('should apply the defaults when neither option nor config is set', () => {
+      const config = resolveCliConfig({ _: [], $0: 'varvis-download' }, {});
+
+      expect(config).toMatchObject({
+        filetypes: ['bam', 'bam.bai'],
+        analysisIds: [],
+        filters: [],
+        destination: '.',
+        overwrite: false,
+        restoreArchived: 'ask',
+        restorationFile: 'awaiting-restoration.json',
+        concurrency: 1,
+        reportFormat: 'text',
+        progress: 'auto',
+        dryRun: false,
+        since: null,
+        until: null,
+        dateField: 'runDate',
+        stateFile: null,
+        regionMap: null,
+        vcfOutput: 'per-region',
+        reference: null,
+        convertToCram: false,
+        layout: null,
+        genes: [],
+        annotation: null,
+        padding: 0,
+        exonsOnly: false,
+        idsFile: null,
+        idColumn: null,
+        idType: null,
+      });
+    });
+
+    test('should prefer command line options over the config file', () => {
+      const config = resolveCliConfig(
+        { destination: 'cli', concurrency: 4, overwrite: false },
+        { destination: 'file', concurrency: 2, overwrite: true, target: 'x' },
+      );
+
+      expect(config.destination).toBe('cli');
+      expect(config.concurrency).toBe(4);
+      expect(config.overwrite).toBe(false);
+      expect(config.target).toBe('x');
+    });
+
+    test('should not let options absent from the command line hide the config file', () => {
+      const config = resolveCliConfig(
+        { destination: undefined, target: undefined },
+        { destination: 'file', target: 'x' },
+      );
+
+      expect(config.destination).toBe('file');
+      expect(config.target).toBe('x');
+    });
+
+    test('should split comma-separated IDs and trim filters', () => {
+      const config = resolveCliConfig(
+        { analysisIds: ['1,2', '3'], filter: [' analysisType=SNV '] },
+        {},
+      );
+
+      expect(config.analysisIds).toEqual(['1', '2', '3']);
+      expect(config.filters).toEqual(['analysisType=SNV']);
+    });
+  });
+
+  test('should only list download options as download-only', () => {
+    for (const option of DOWNLOAD_ONLY_OPTIONS) {
+      expect(DOWNLOAD_OPTIONS).toHaveProperty([option]);
+    }
+  });
+
+  test('should mark every legacy flag as deprecated', () => {
+    for (const option of Object.values(LEGACY_OPTIONS)) {
+      expect(option.deprecated).toEqual(expect.any(String));
+    }
+  });
+});
@@ -0,0 +1,710 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+jest.mock('../../js/fetchUtils.cjs');
+jest.mock('../../js/fileUtils.cjs');
+jest.mock('../../js/rangedUtils.cjs', () => ({
+  ...jest.requireActual('../../js/rangedUtils.cjs'),
+  ensureIndexFile: jest.fn(),
+  rangedDownloadBAM: jest.fn(),
+  rangedDownloadVCF: jest.fn(),
+  rangedDownloadVCFRegions: jest.fn(),
+  readRemoteContigs: jest.fn(),
+  unmappedDownloadBAM: jest.fn(),
+  convertBAMToCRAM: jest.fn(),
+  indexBAM: jest.fn(),
+  indexVCF: jest.fn(),
+}));
+
+const {
+  createFileJobs,
+  getValidDownloadUrl,
+} = require('../../js/downloadJobs.cjs');
+const { refreshDownloadUrls } = require('../../js/fetchUtils.cjs');
+const { downloadFile } = require('../../js/fileUtils.cjs');
+const {
+  ensureIndexFile,
+  rangedDownloadBAM,
+  rangedDownloadVCF,
+  rangedDownloadVCFRegions,
+  readRemoteContigs,
+  unmappedDownloadBAM,
+  convertBAMToCRAM,
+} = require('../../js/rangedUtils.cjs');
+
+// A URL that stays valid for one hour after "now"
+function freshUrl(name) {
+  const now = new Date();
+  const amzDate = now
+    .toISOString()
+    .replaceAll(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  return `https://s3.example.com/${name}?X-Amz-Date=${amzDate}&X-Amz-Expires=3600`;
+}
+
+describe('downloadJobs', () => {
+  let mockLogger;
+  let ctx;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    ctx = {
+      target: 'testenv',
+      token: 'token',
+      agent: {},
+      rl: null,
+      logger: mockLogger,
+      metrics: {},
+      destination: 'out',
+      overwrite: false,
+      regions: [],
+      tempBedPath: undefined,
+      unmapped: false,
+    };
+  });
+
+  const fileDict = () => ({
+    'sample.bam': { downloadLink: freshUrl('sample.bam'), analysisId: 'A1' },
+    'sample.bam.bai': {
+      downloadLink: freshUrl('sample.bam.bai'),
+      analysisId: 'A1',
+    },
+    'sample.vcf.gz': {
+      downloadLink: freshUrl('sample.vcf.gz'),
+      analysisId: 'A1',
+    },
+  });
+
+  describe('createFileJobs', () => {
+    test('should create one job per primary file', () => {
+      const jobs = createFileJobs('A1', fileDict(), ctx);
+
+      expect(jobs.map((job) => job.fileName)).toEqual([
+        'sample.bam',
+        'sample.vcf.gz',
+      ]);
+      expect(jobs[0].analysisId).toBe('A1');
+      expect(jobs[0].label).toBe('sample.bam (analysis A1)');
+    });
+
+    test('should download artifacts as they are, also in ranged runs', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      const dict = {
+        ...fileDict(),
+        'sample.qc.json': {
+          downloadLink: freshUrl('sample.qc.json'),
+          analysisId: 'A1',
+          size: 42,
+        },
+      };
+
+      const jobs = createFileJobs('A1', dict, ctx);
+      await jobs.at(-1).run();
+
+      expect(jobs.map((job) => job.fileName)).toEqual([
+        'sample.bam',
+        'sample.vcf.gz',
+        'sample.qc.json',
+      ]);
+      expect(downloadFile).toHaveBeenCalledTimes(1);
+      expect(downloadFile.mock.calls[0][1]).toBe(
+        path.join('out', 'sample.qc.json'),
+      );
+      expect(ctx.metrics.fileResults[0]).toEqual(
+        expect.objectContaining({
+          sourceFile: 'sample.qc.json',
+          mode: 'full',
+        }),
+      );
+    });
+
+    test('should skip VCF files in unmapped mode', () => {
+      ctx.unmapped = true;
+
+      const jobs = createFileJobs('A1', fileDict(), ctx);
+
+      expect(jobs.map((job) => job.fileName)).toEqual(['sample.bam']);
+    });
+
+    test('should perform a full BAM download with its index', async () => {
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(downloadFile).toHaveBeenCalledTimes(2);
+      expect(downloadFile.mock.calls[0][1]).toBe(
+        path.join('out', 'sample.bam'),
+      );
+      expect(downloadFile.mock.calls[1][1]).toBe(
+        path.join('out', 'sample.bam.bai'),
+      );
+    });
+
+    test('should pass the API checksum to full downloads', async () => {
+      const dict = fileDict();
+      dict['sample.bam'].md5 = 'a'.repeat(32);
+      const [bamJob] = createFileJobs('A1', dict, ctx);
+
+      await bamJob.run();
+
+      expect(downloadFile.mock.calls[0][7].checksum).toEqual({
+        algorithm: 'md5',
+        value: 'a'.repeat(32),
+        source: 'api:md5',
+      });
+    });
+
+    test('should record manifest entries for the downloaded files', async () => {
+      ctx.analysisMetadata = {
+        A1: { sampleId: 'SAM1', personLimsId: 'LIMS1' },
+      };
+      downloadFile.mockResolvedValueOnce({
+        status: 'downloaded',
+        checksums: { md5: 'b'.repeat(32) },
+        verified: true,
+      });
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(ctx.metrics.fileResults).toEqual([
+        expect.objectContaining({
+          analysisId: 'A1',
+          sampleId: 'SAM1',
+          personLimsId: 'LIMS1',
+          sourceFile: 'sample.bam',
+          outputPath: path.join('out', 'sample.bam'),
+          mode: 'full',
+          md5: 'b'.repeat(32),
+          checksumVerified: true,
+          status: 'downloaded',
+        }),
+        expect.objectContaining({
+          sourceFile: 'sample.bam.bai',
+          mode: 'full',
+        }),
+      ]);
+    });
+
+    test('should record failed outputs in the manifest', async () => {
+      downloadFile.mockRejectedValueOnce(new Error('network down'));
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await expect(bamJob.run()).rejects.toThrow('network down');
+
+      expect(ctx.metrics.fileResults).toEqual([
+        expect.objectContaining({
+          sourceFile: 'sample.bam',
+          status: 'failed',
+          error: 'network down',
+        }),
+      ]);
+    });
+
+    test('should emit a file event for each recorded output', async () => {
+      ctx.events = { emit: jest.fn() };
+      downloadFile.mockResolvedValue({ status: 'downloaded' });
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(
+        ctx.events.emit.mock.calls.filter(([name]) => name === 'file'),
+      ).toHaveLength(2);
+      expect(ctx.events.emit).toHaveBeenCalledWith(
+        'file',
+        ctx.metrics.fileResults[0],
+      );
+    });
+
+    test('should reject the job when a full download fails', async () => {
+      downloadFile.mockRejectedValueOnce(new Error('network down'));
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await expect(bamJob.run()).rejects.toThrow('network down');
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Error during full download for sample.bam: network down',
+      );
+    });
+
+    test('should perform a ranged BAM download when regions are set', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(ensureIndexFile).toHaveBeenCalled();
+      expect(rangedDownloadBAM).toHaveBeenCalledWith(
+        expect.stringContaining('sample.bam'),
+        '/tmp/regions.bed',
+        path.join('out', 'sample.chr1_1_100.bam'),
+        path.join('out', 'sample.bam.bai'),
+        mockLogger,
+        ctx.metrics,
+        false,
+        false,
+        ['chr1:1-100'],
+        null,
+      );
+    });
+
+    test('should place outputs and indexes in the folders of the layout', async () => {
+      const testDir = new TestDirectory();
+      ctx.destination = await testDir.create();
+      ctx.layout = '{personLimsId}/{analysisId}/{fileName}';
+      ctx.analysisMetadata = { A1: { personLimsId: 'P-7' } };
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      try {
+        await bamJob.run();
+
+        const folder = path.join(ctx.destination, 'P-7', 'A1');
+        expect(fs.existsSync(folder)).toBe(true);
+        expect(rangedDownloadBAM.mock.calls[0][2]).toBe(
+          path.join(folder, 'sample.chr1_1_100.bam'),
+        );
+        expect(ensureIndexFile.mock.calls[0][2]).toBe(
+          path.join(folder, 'sample.bam.bai'),
+        );
+      } finally {
+        await testDir.cleanup();
+      }
+    });
+
+    test('should give tabix the index under its remote name when the layout renames it', async () => {
+      const testDir = new TestDirectory();
+      ctx.destination = await testDir.create();
+      const tempDir = await testDir.create(`run-${Date.now()}`);
+      ctx.layout = '{sampleId}_{region}.{ext}';
+      ctx.analysisMetadata = { A1: { sampleId: 'S1' } };
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = path.join(tempDir, 'regions.bed');
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = {
+        downloadLink: freshUrl('sample.vcf.gz.tbi'),
+        analysisId: 'A1',
+      };
+      ensureIndexFile.mockImplementationOnce(async (url, indexUrl, indexPath) =>
+        fs.writeFileSync(indexPath, 'index'),
+      );
+      const vcfJob = createFileJobs('A1', dict, ctx)[1];
+
+      try {
+        await vcfJob.run();
+
+        const tabixIndex = path.join(tempDir, 'A1', 'sample.vcf.gz.tbi');
+        expect(ensureIndexFile.mock.calls[0][2]).toBe(
+          path.join(ctx.destination, 'S1_full.vcf.gz.tbi'),
+        );
+        expect(rangedDownloadVCF.mock.calls[0][2]).toBe(
+          path.join(ctx.destination, 'S1_chr1_1_100.vcf.gz'),
+        );
+        expect(rangedDownloadVCF.mock.calls[0][3]).toBe(tabixIndex);
+        expect(fs.readFileSync(tabixIndex, 'utf8')).toBe('index');
+      } finally {
+        await testDir.cleanup();
+      }
+    });
+
+    test('should report samtools steps as tasks', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      ctx.events = { emit: jest.fn() };
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      const taskEvents = ctx.events.emit.mock.calls.filter(([name]) =>
+        name.startsWith('task:'),
+      );
+      expect(taskEvents.map(([name, event]) => [name, event.command])).toEqual([
+        ['task:start', 'samtools view'],
+        ['task:end', 'samtools view'],
+        ['task:start', 'samtools index'],
+        ['task:end', 'samtools index'],
+      ]);
+      expect(taskEvents[1][1]).toEqual(
+        expect.objectContaining({
+          id: taskEvents[0][1].id,
+          analysisId: 'A1',
+          outputPath: path.join('out', 'sample.chr1_1_100.bam'),
+          status: 'done',
+        }),
+      );
+    });
+
+    test('should end a failing tool step as failed task', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.events = { emit: jest.fn() };
+      rangedDownloadBAM.mockRejectedValueOnce(new Error('samtools crashed'));
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await expect(bamJob.run()).rejects.toThrow('samtools crashed');
+      expect(ctx.events.emit).toHaveBeenCalledWith(
+        'task:end',
+        expect.objectContaining({
+          command: 'samtools view',
+          status: 'failed',
+          error: 'samtools crashed',
+        }),
+      );
+    });
+
+    test('should reject ranged jobs without an index file', async () => {
+      ctx.regions = ['chr1:1-100'];
+      const dict = fileDict();
+      delete dict['sample.bam.bai'];
+      const [bamJob] = createFileJobs('A1', dict, ctx);
+
+      await expect(bamJob.run()).rejects.toThrow('Index file for BAM');
+      expect(rangedDownloadBAM).not.toHaveBeenCalled();
+      expect(ctx.metrics.totalFilesFailed).toBe(1);
+      expect(ctx.metrics.fileResults[0]).toEqual(
+        expect.objectContaining({
+          sourceFile: 'sample.bam',
+          mode: 'ranged',
+          status: 'failed',
+        }),
+      );
+    });
+
+    test('should extract unmapped reads when only --unmapped is set', async () => {
+      ctx.unmapped = true;
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(unmappedDownloadBAM).toHaveBeenCalledWith(
+        expect.any(String),
+        path.join('out', 'sample.unmapped.bam'),
+        path.join('out', 'sample.bam.bai'),
+        mockLogger,
+        ctx.metrics,
+        false,
+        null,
+      );
+    });
+
+    test('should continue with remaining VCF regions and report failures', async () => {
+      ctx.regions = ['chr1:1-100', 'chr2:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = {
+        downloadLink: freshUrl('sample.vcf.gz.tbi'),
+        analysisId: 'A1',
+      };
+      rangedDownloadVCF.mockRejectedValueOnce(new Error('tabix failed'));
+      const vcfJob = createFileJobs('A1', dict, ctx)[1];
+
+      await expect(vcfJob.run()).rejects.toThrow(
+        'Ranged download failed for 1 of 2 regions of sample.vcf.gz: chr1:1-100',
+      );
+      expect(rangedDownloadVCF).toHaveBeenCalledTimes(2);
+      expect(
+        ctx.metrics.fileResults
+          .filter((entry) => entry.mode === 'ranged')
+          .map((entry) => [entry.regions, entry.status]),
+      ).toEqual([
+        [['chr1:1-100'], 'failed'],
+        [['chr2:1-100'], 'downloaded'],
+      ]);
+    });
+
+    test('should subset gVCF files with tabix like VCF files', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      const dict = {
+        'sample.g.vcf.gz': {
+          downloadLink: freshUrl('sample.g.vcf.gz'),
+          analysisId: 'A1',
+        },
+        'sample.g.vcf.gz.tbi': {
+          downloadLink: freshUrl('sample.g.vcf.gz.tbi'),
+          analysisId: 'A1',
+        },
+      };
+
+      const jobs = createFileJobs('A1', dict, ctx);
+      await jobs[0].run();
+
+      expect(jobs.map((job) => job.fileName)).toEqual(['sample.g.vcf.gz']);
+      expect(rangedDownloadVCF).toHaveBeenCalledWith(
+        dict['sample.g.vcf.gz'].downloadLink,
+        'chr1:1-100',
+        path.join('out', 'sample.chr1_1_100.g.vcf.gz'),
+        path.join('out', 'sample.g.vcf.gz.tbi'),
+        mockLogger,
+        ctx.metrics,
+        false,
+      );
+    });
+
+    test('should subset CRAM files with their .crai index and the reference', async () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      ctx.reference = '/ref/GRCh38.fa';
+      const dict = {
+        'sample.cram': {
+          downloadLink: freshUrl('sample.cram'),
+          analysisId: 'A1',
+        },
+        'sample.cram.crai': {
+          downloadLink: freshUrl('sample.cram.crai'),
+          analysisId: 'A1',
+        },
+      };
+      const [cramJob] = createFileJobs('A1', dict, ctx);
+
+      await cramJob.run();
+
+      expect(rangedDownloadBAM).toHaveBeenCalledWith(
+        expect.stringContaining('sample.cram'),
+        '/tmp/regions.bed',
+        path.join('out', 'sample.chr1_1_100.cram'),
+        path.join('out', 'sample.cram.crai'),
+        mockLogger,
+        ctx.metrics,
+        false,
+        false,
+        ['chr1:1-100'],
+        '/ref/GRCh38.fa',
+      );
+    });
+
+    test('should convert full BAM downloads to CRAM', async () => {
+      ctx.convertToCram = true;
+      ctx.reference = '/ref/GRCh38.fa';
+      const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+      await bamJob.run();
+
+      expect(downloadFile).not.toHaveBeenCalled();
+      expect(convertBAMToCRAM).toHaveBeenCalledWith(
+        expect.stringContaining('sample.bam'),
+        path.join('out', 'sample.cram'),
+        '/ref/GRCh38.fa',
+        mockLogger,
+        ctx.metrics,
+        false,
+      );
+      expect(ctx.metrics.fileResults[0]).toEqual(
+        expect.objectContaining({
+          sourceFile: 'sample.bam',
+          outputPath: path.join('out', 'sample.cram'),
+          mode: 'full',
+        }),
+      );
+    });
+
+    test('should write all VCF regions into one file when merging', async () => {
+      ctx.regions = ['chr1:1-100', 'chr2:1-100'];
+      ctx.tempBedPath = '/tmp/regions.bed';
+      ctx.vcfOutput = 'merged';
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = {
+        downloadLink: freshUrl('sample.vcf.gz.tbi'),
+        analysisId: 'A1',
+      };
+      const vcfJob = createFileJobs('A1', dict, ctx)[1];
+
+      await vcfJob.run();
+
+      expect(rangedDownloadVCF).not.toHaveBeenCalled();
+      expect(rangedDownloadVCFRegions).toHaveBeenCalledWith(
+        expect.stringContaining('sample.vcf.gz'),
+        '/tmp/regions.bed',
+        path.join('out', 'sample.multiple-regions.vcf.gz'),
+        path.join('out', 'sample.vcf.gz.tbi'),
+        mockLogger,
+        ctx.metrics,
+        false,
+      );
+      expect(
+        ctx.metrics.fileResults
+          .filter((entry) => entry.mode === 'ranged')
+          .map((entry) => [entry.regions, entry.status]),
+      ).toEqual([[['chr1:1-100', 'chr2:1-100'], 'downloaded']]);
+    });
+
+    test('should sort and merge unsorted regions before merging VCF records', async () => {
+      const testDir = new TestDirectory();
+      const runDir = await testDir.create();
+      ctx.regions = ['chr2:1-100', 'chr1:50-150', 'chr1:1-100'];
+      ctx.tempBedPath = path.join(runDir, 'regions.bed');
+      ctx.vcfOutput = 'merged';
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = {
+        downloadLink: freshUrl('sample.vcf.gz.tbi'),
+        analysisId: 'A1',
+      };
+      const vcfJob = createFileJobs('A1', dict, ctx)[1];
+
+      try {
+        await vcfJob.run();
+
+        const bedPath = rangedDownloadVCFRegions.mock.calls[0][1];
+        expect(fs.readFileSync(bedPath, 'utf8')).toBe(
+          'chr2\t0\t100\nchr1\t0\t150',
+        );
+      } finally {
+        await testDir.cleanup();
+      }
+    });
+
+    describe('contig names', () => {
+      let testDir;
+
+      beforeEach(() => {
+        testDir = new TestDirectory();
+      });
+
+      afterEach(async () => {
+        await testDir.cleanup();
+      });
+
+      test('should rename BAM regions to the contigs of its header', async () => {
+        const dir = await testDir.create(`contigs-${Date.now()}`);
+        ctx.regions = ['1:1-100', 'MT'];
+        ctx.tempBedPath = path.join(dir, 'regions.bed');
+        readRemoteContigs.mockResolvedValueOnce(['chr1', 'chr2', 'chrM']);
+        const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+        await bamJob.run();
+
+        const bedPath = path.join(dir, 'A1-sample.bam.bed');
+        expect(fs.readFileSync(bedPath, 'utf8')).toBe(
+          'chr1\t0\t100\nchrM\t0\t300000000',
+        );
+        expect(rangedDownloadBAM).toHaveBeenCalledWith(
+          expect.stringContaining('sample.bam'),
+          bedPath,
+          path.join('out', 'sample.multiple-regions.bam'),
+          path.join('out', 'sample.bam.bai'),
+          mockLogger,
+          ctx.metrics,
+          false,
+          false,
+          ['chr1:1-100', 'chrM'],
+          null,
+        );
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          'Using the contig names of sample.bam: 1:1-100 -> chr1:1-100, MT -> chrM',
+        );
+      });
+
+      test('should skip VCF regions on contigs the file lacks', async () => {
+        ctx.regions = ['chr1:1-100', 'chrZ:1-100'];
+        ctx.tempBedPath = '/tmp/regions.bed';
+        const dict = fileDict();
+        dict['sample.vcf.gz.tbi'] = {
+          downloadLink: freshUrl('sample.vcf.gz.tbi'),
+          analysisId: 'A1',
+        };
+        readRemoteContigs.mockResolvedValueOnce(['1', '2']);
+        const vcfJob = createFileJobs('A1', dict, ctx)[1];
+
+        await vcfJob.run();
+
+        expect(readRemoteContigs).toHaveBeenCalledWith(
+          expect.stringContaining('sample.vcf.gz'),
+          'vcf',
+          path.join('out', 'sample.vcf.gz.tbi'),
+          mockLogger,
+        );
+        expect(rangedDownloadVCF).toHaveBeenCalledTimes(1);
+        expect(rangedDownloadVCF.mock.calls[0][1]).toBe('1:1-100');
+        expect(rangedDownloadVCF.mock.calls[0][2]).toBe(
+          path.join('out', 'sample.chr1_1_100.vcf.gz'),
+        );
+        expect(mockLogger.warn).toHaveBeenCalledWith(
+          'sample.vcf.gz has no contig chrZ; skipping chrZ:1-100',
+        );
+      });
+
+      test('should fail when no region is on a contig of the file', async () => {
+        ctx.regions = ['chrZ:1-100'];
+        readRemoteContigs.mockResolvedValueOnce(['chr1']);
+        const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+        await expect(bamJob.run()).rejects.toThrow(
+          'None of the regions are on contigs of sample.bam',
+        );
+        expect(rangedDownloadBAM).not.toHaveBeenCalled();
+        expect(ctx.metrics.fileResults.at(-1)).toEqual(
+          expect.objectContaining({
+            sourceFile: 'sample.bam',
+            status: 'failed',
+          }),
+        );
+      });
+
+      test('should use the regions as given when the header cannot be read', async () => {
+        ctx.regions = ['1:1-100'];
+        ctx.tempBedPath = '/tmp/regions.bed';
+        readRemoteContigs.mockRejectedValueOnce(new Error('samtools failed'));
+        const [bamJob] = createFileJobs('A1', fileDict(), ctx);
+
+        await bamJob.run();
+
+        expect(rangedDownloadBAM.mock.calls[0][1]).toBe('/tmp/regions.bed');
+        expect(mockLogger.warn).toHaveBeenCalledWith(
+          'Could not read the contigs of sample.bam, using the regions as given: samtools failed',
+        );
+      });
+    });
+  });
+
+  describe('getValidDownloadUrl', () => {
+    test('should return the existing URL when it is not expiring', async () => {
+      const dict = fileDict();
+
+      const url = await getValidDownloadUrl(
+        dict,
+        'sample.bam',
+        'testenv',
+        'token',
+        {},
+        mockLogger,
+      );
+
+      expect(url).toBe(dict['sample.bam'].downloadLink);
+      expect(refreshDownloadUrls).not.toHaveBeenCalled();
+    });
+
+    test('should refresh expiring URLs', async () => {
+      const dict = {
+        'sample.bam': {
+          downloadLink: 'https://s3.example.com/sample.bam',
+          analysisId: 'A1',
+        },
+      };
+      refreshDownloadUrls.mockResolvedValue({
+        'sample.bam': { downloadLink: 'https://fresh/sample.bam' },
+      });
+
+      const url = await getValidDownloadUrl(
+        dict,
+        'sample.bam',
+        'testenv',
+        'token',
+        {},
+        mockLogger,
+      );
+
+      expect(url).toBe('https://fresh/sample.bam');
+      expect(dict['sample.bam'].downloadLink).toBe('https://fresh/sample.bam');
+    });
+
+    test('should throw when no download link exists', async () => {
+      await expect(
+        getValidDownloadUrl({}, 'missing.bam', 't', 'k', {}, mockLogger),
+      ).rejects.toThrow('No download link found for file: missing.bam');
+    });
+  });
+});
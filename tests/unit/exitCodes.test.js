@@ -0,0 +1,83 @@
+const { EXIT_CODES, getRunExitCode } = require('../../js/exitCodes.cjs');
+
+describe('exitCodes', () => {
+  const createMetrics = (overrides) => ({
+    totalFilesDownloaded: 0,
+    totalFilesSkipped: 0,
+    totalFilesFailed: 0,
+    ...overrides,
+  });
+
+  test('should use distinct codes', () => {
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(
+      Object.keys(EXIT_CODES).length,
+    );
+    expect(EXIT_CODES.SUCCESS).toBe(0);
+  });
+
+  test('should report success when all files were downloaded or present', () => {
+    expect(
+      getRunExitCode(
+        createMetrics({ totalFilesDownloaded: 2, totalFilesSkipped: 1 }),
+      ),
+    ).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('should report a partial failure when some files failed', () => {
+    expect(
+      getRunExitCode(
+        createMetrics({ totalFilesDownloaded: 2, totalFilesFailed: 1 }),
+      ),
+    ).toBe(EXIT_CODES.PARTIAL_FAILURE);
+  });
+
+  test('should report a general error when every file failed', () => {
+    expect(getRunExitCode(createMetrics({ totalFilesFailed: 3 }))).toBe(
+      EXIT_CODES.GENERAL_ERROR,
+    );
+  });
+
+  test('should count rejected jobs as failures', () => {
+    expect(
+      getRunExitCode(createMetrics({ totalFilesDownloaded: 1 }), [
+        { status: 'fulfilled' },
+        { status: 'rejected', error: new Error('Index file missing') },
+      ]),
+    ).toBe(EXIT_CODES.PARTIAL_FAILURE);
+  });
+
+  test('should report nothing found when no file was processed', () => {
+    expect(getRunExitCode(createMetrics())).toBe(EXIT_CODES.NOTHING_FOUND);
+  });
+
+  test('should report a pending restore when only archived files were queued', () => {
+    const metrics = createMetrics({
+      archivedFiles: [
+        { analysisId: '1', fileName: 'a.bam', restorationStatus: 'queued' },
+        { analysisId: '1', fileName: 'b.bam', restorationStatus: 'failed' },
+      ],
+    });
+    expect(getRunExitCode(metrics)).toBe(EXIT_CODES.RESTORE_PENDING);
+  });
+
+  test('should tell archived files apart from an empty selection', () => {
+    const archived = (restorationStatus) =>
+      createMetrics({
+        archivedFiles: [
+          { analysisId: '1', fileName: 'a.bam', restorationStatus },
+        ],
+      });
+    expect(getRunExitCode(archived('failed'))).toBe(EXIT_CODES.GENERAL_ERROR);
+    expect(getRunExitCode(archived('not-requested'))).toBe(EXIT_CODES.SUCCESS);
+  });
+
+  test('should report success when archived files are queued beside downloads', () => {
+    const metrics = createMetrics({
+      totalFilesDownloaded: 1,
+      archivedFiles: [
+        { analysisId: '1', fileName: 'a.bam', restorationStatus: 'queued' },
+      ],
+    });
+    expect(getRunExitCode(metrics)).toBe(EXIT_CODES.SUCCESS);
+  });
+});
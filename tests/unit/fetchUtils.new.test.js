@@ -1,8 +1,13 @@
 const {
+  createMetrics,
+  mergeMetrics,
+  fetchAnalyses,
   fetchAnalysisIds,
+  fetchAnalysisMetadata,
   getDownloadLinks,
   listAvailableFiles,
   generateReport,
+  metrics,
 } = require('../../js/fetchUtils.cjs');
 const {
   createMockLogger,
@@ -141,6 +146,35 @@ describe('fetchUtils (new)', () => {
       );
     });
 
+    test('should select analyses by date range', async () => {
+      fetchWithRetry.mockResolvedValue({
+        json: async () => ({
+          response: [
+            { id: 'AN001', analysisType: 'SNV', runDate: '2025-01-15' },
+            { id: 'AN002', analysisType: 'SNV', runDate: '2025-02-15' },
+            { id: 'AN003', analysisType: 'SNV', runDate: '2025-03-15' },
+          ],
+        }),
+      });
+
+      const ids = await fetchAnalysisIds(
+        mockTarget,
+        mockToken,
+        mockAgent,
+        [],
+        [],
+        [],
+        mockLogger,
+        false,
+        { since: '2025-02-01', until: '2025-03-15' },
+      );
+
+      expect(ids).toEqual(['AN002', 'AN003']);
+      expect(mockLogger.debug).toHaveBeenCalledWith(
+        'Selecting analyses by runDate from 2025-02-01 until 2025-03-15',
+      );
+    });
+
     test('should log info when no analysis IDs found', async () => {
       fetchWithRetry.mockResolvedValue({
         json: async () => ({ response: [] }),
@@ -185,6 +219,136 @@ describe('fetchUtils (new)', () => {
     });
   });
 
+  describe('mergeMetrics', () => {
+    test('should add up counters and concatenate the results of several runs', () => {
+      const first = {
+        ...createMetrics(),
+        startTime: 2000,
+        totalFilesDownloaded: 2,
+        totalBytesDownloaded: 100,
+        fileResults: [{ outputPath: 'a.bam' }],
+      };
+      const second = {
+        ...createMetrics(),
+        startTime: 1000,
+        totalFilesDownloaded: 1,
+        totalFilesFailed: 1,
+        fileResults: [{ outputPath: 'b.bam' }],
+      };
+
+      expect(mergeMetrics([first, second])).toEqual(
+        expect.objectContaining({
+          startTime: 1000,
+          totalFilesDownloaded: 3,
+          totalFilesFailed: 1,
+          totalBytesDownloaded: 100,
+          fileResults: [{ outputPath: 'a.bam' }, { outputPath: 'b.bam' }],
+        }),
+      );
+    });
+  });
+
+  describe('fetchAnalyses', () => {
+    test('should return the matching analyses with their metadata', async () => {
+      const analyses = [
+        { id: 1, personLimsId: 'LIMS001', analysisType: 'SNV', runDate: 'a' },
+        { id: 2, personLimsId: 'LIMS001', analysisType: 'CNV', runDate: 'b' },
+        { id: 3, personLimsId: 'LIMS002', analysisType: 'SNV', runDate: 'c' },
+      ];
+      fetchWithRetry.mockResolvedValue({
+        json: async () => ({ response: analyses }),
+      });
+
+      const result = await fetchAnalyses(
+        mockTarget,
+        mockToken,
+        mockAgent,
+        [],
+        ['LIMS001'],
+        [],
+        mockLogger,
+      );
+
+      expect(result).toEqual([analyses[0]]);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Found 1 analyses after filtering.',
+      );
+    });
+
+    test('should log and rethrow API failures', async () => {
+      const mockError = new Error('API unavailable');
+      fetchWithRetry.mockRejectedValue(mockError);
+
+      await expect(
+        fetchAnalyses(mockTarget, mockToken, mockAgent, [], [], [], mockLogger),
+      ).rejects.toThrow('API unavailable');
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Error fetching analyses:',
+        mockError,
+      );
+    });
+  });
+
+  describe('fetchAnalysisMetadata', () => {
+    test('should return sample metadata of the requested analyses', async () => {
+      fetchWithRetry.mockResolvedValue({
+        json: async () => ({
+          response: [
+            { id: 1, sampleId: 'SAM001', personLimsId: 'LIMS001' },
+            { id: 2, sampleId: 'SAM002', personLimsId: 'LIMS002' },
+          ],
+        }),
+      });
+
+      const metadata = await fetchAnalysisMetadata(
+        ['2'],
+        mockTarget,
+        mockToken,
+        mockAgent,
+        mockLogger,
+      );
+
+      expect(metadata).toEqual({
+        2: { sampleId: 'SAM002', personLimsId: 'LIMS002', analysisType: null },
+      });
+    });
+
+    test('should warn and return an empty lookup when the request fails', async () => {
+      fetchWithRetry.mockRejectedValue(new Error('API unavailable'));
+
+      const metadata = await fetchAnalysisMetadata(
+        ['1'],
+        mockTarget,
+        mockToken,
+        mockAgent,
+        mockLogger,
+      );
+
+      expect(metadata).toEqual({});
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('API unavailable'),
+      );
+    });
+
+    test('should throw when a layout requires the metadata', async () => {
+      fetchWithRetry.mockRejectedValue(new Error('API unavailable'));
+
+      await expect(
+        fetchAnalysisMetadata(
+          ['1'],
+          mockTarget,
+          mockToken,
+          mockAgent,
+          mockLogger,
+          true,
+        ),
+      ).rejects.toThrow('API unavailable');
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('--layout places files by'),
+      );
+    });
+  });
+
   describe('getDownloadLinks', () => {
     const mockFileLinks = {
       response: {
@@ -334,7 +498,10 @@ describe('fetchUtils (new)', () => {
       fetchWithRetry.mockResolvedValue({
         json: async () => archivedMock,
       });
-      triggerRestoreArchivedFile.mockResolvedValue();
+      triggerRestoreArchivedFile.mockResolvedValue({
+        restoreEstimation: '2025-01-16T00:00:00Z',
+      });
+      metrics.archivedFiles = [];
 
       const links = await getDownloadLinks(
         'AN001',
@@ -346,6 +513,15 @@ describe('fetchUtils (new)', () => {
         'force',
       );
 
+      expect(metrics.archivedFiles).toEqual([
+        {
+          analysisId: 'AN001',
+          fileName: 'sample.bam',
+          restorationStatus: 'queued',
+          restoreEstimation: '2025-01-16T00:00:00Z',
+        },
+      ]);
+
       expect(triggerRestoreArchivedFile).toHaveBeenCalledWith(
         'AN001',
         expect.objectContaining({ fileName: 'sample.bam' }),
@@ -500,5 +676,22 @@ describe('fetchUtils (new)', () => {
         `Report written to ${reportPath}`,
       );
     });
+
+    test('should write a JSON report with the effective configuration', () => {
+      const reportPath = 'test-report.txt';
+      generateReport(reportPath, mockLogger, {
+        format: 'json',
+        config: { target: mockTarget },
+      });
+
+      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+      expect(report.configuration).toEqual({ target: mockTarget });
+      expect(report.summary).toEqual(
+        expect.objectContaining({ filesDownloaded: expect.any(Number) }),
+      );
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.stringContaining('Download Summary Report'),
+      );
+    });
   });
 });
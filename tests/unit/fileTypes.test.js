@@ -0,0 +1,101 @@
+const {
+  FILE_TYPES,
+  SUBSET_TOOLS,
+  findFileType,
+  isPrimaryFile,
+  isIndexFile,
+  indexFileName,
+  findArtifacts,
+  fileGroup,
+  compoundExtension,
+} = require('../../js/fileTypes.cjs');
+
+describe('fileTypes', () => {
+  test('should give every format a distinct extension, index and subset tool', () => {
+    const extensions = FILE_TYPES.map((type) => type.extension);
+
+    expect(new Set(extensions).size).toBe(extensions.length);
+    for (const type of FILE_TYPES) {
+      expect(type.indexExtension).toMatch(/^\.\w+$/);
+      expect(type.indexCommand.length).toBeGreaterThan(0);
+      expect(SUBSET_TOOLS).toHaveProperty(type.subsetTool);
+    }
+  });
+
+  describe('findFileType', () => {
+    test('should find formats by extension and ignore indexes', () => {
+      expect(findFileType('sample.bam').name).toBe('BAM');
+      expect(findFileType('sample.cram').name).toBe('CRAM');
+      expect(findFileType('sample.vcf.gz').name).toBe('VCF');
+      expect(findFileType('sample.g.vcf.gz').name).toBe('gVCF');
+      expect(findFileType('sample.bam.bai')).toBeNull();
+      expect(findFileType('report.pdf')).toBeNull();
+    });
+
+    test('should tell primary files from indexes and other files', () => {
+      expect(isPrimaryFile('sample.vcf.gz')).toBe(true);
+      expect(isPrimaryFile('sample.vcf.gz.tbi')).toBe(false);
+      expect(isPrimaryFile('sample.vcf')).toBe(false);
+    });
+  });
+
+  describe('indexFileName', () => {
+    test('should append the index extension of the format', () => {
+      expect(indexFileName('sample.bam')).toBe('sample.bam.bai');
+      expect(indexFileName('sample.cram')).toBe('sample.cram.crai');
+      expect(indexFileName('sample.vcf.gz')).toBe('sample.vcf.gz.tbi');
+      expect(indexFileName('report.pdf')).toBeNull();
+    });
+  });
+
+  describe('findArtifacts', () => {
+    test('should keep files that are neither data files nor their index', () => {
+      expect(
+        findArtifacts([
+          'a.bam',
+          'a.bam.bai',
+          'b.vcf.gz.tbi',
+          'report.pdf',
+          'qc.json',
+        ]),
+      ).toEqual(['b.vcf.gz.tbi', 'report.pdf', 'qc.json']);
+      expect(isIndexFile('b.vcf.gz.tbi')).toBe(true);
+    });
+  });
+
+  describe('fileGroup', () => {
+    test('should group data files, indexes and artifacts', () => {
+      expect(
+        [
+          'a.cram',
+          'a.vcf.gz',
+          'a.bam.bai',
+          'a_report.pdf',
+          'a.cnv.vcf',
+          'a.coverage.bw',
+          'a.qc.json',
+          'a.txt',
+        ].map(fileGroup),
+      ).toEqual([
+        'alignment',
+        'variants',
+        'index',
+        'report',
+        'cnv',
+        'coverage',
+        'qc',
+        'other',
+      ]);
+    });
+  });
+
+  describe('compoundExtension', () => {
+    test('should keep data and index extensions together', () => {
+      expect(compoundExtension('sample.vcf.gz')).toBe('.vcf.gz');
+      expect(compoundExtension('sample.g.vcf.gz')).toBe('.g.vcf.gz');
+      expect(compoundExtension('sample.vcf.gz.tbi')).toBe('.vcf.gz.tbi');
+      expect(compoundExtension('sample.cram.crai')).toBe('.cram.crai');
+      expect(compoundExtension('sample.txt')).toBeNull();
+    });
+  });
+});
@@ -1,17 +1,21 @@
-const { confirmOverwrite, downloadFile } = require('../../js/fileUtils.cjs');
+const {
+  confirmOverwrite,
+  downloadFile,
+  parseContentRangeTotal,
+} = require('../../js/fileUtils.cjs');
 const {
   createMockLogger,
   createMockReadline,
 } = require('../helpers/mockFactories');
 const { TestDirectory } = require('../helpers/testUtils');
+const crypto = require('node:crypto');
+const EventEmitter = require('node:events');
 const fs = require('node:fs');
 const path = require('node:path');
 
 jest.mock('../../js/apiClient.cjs');
-jest.mock('progress');
 
 const { fetchWithRetry } = require('../../js/apiClient.cjs');
-const ProgressBar = require('progress');
 
 describe('fileUtils', () => {
   let mockLogger;
@@ -26,6 +30,17 @@ describe('fileUtils', () => {
     await testDir.cleanup();
   });
 
+  describe('parseContentRangeTotal', () => {
+    test('should return the total size of a Content-Range header', () => {
+      expect(parseContentRangeTotal('bytes 100-999/1000')).toBe(1000);
+    });
+
+    test('should return null for missing or unknown totals', () => {
+      expect(parseContentRangeTotal(null)).toBeNull();
+      expect(parseContentRangeTotal('bytes 0-9/*')).toBeNull();
+    });
+  });
+
   describe('confirmOverwrite', () => {
     test('should return true when user answers y', async () => {
       const mockRl = createMockReadline({
@@ -104,7 +119,6 @@ describe('fileUtils', () => {
     let mockAgent;
     let mockRl;
     let mockMetrics;
-    let mockProgressBar;
 
     beforeEach(() => {
       mockAgent = { name: 'mockAgent' };
@@ -116,13 +130,6 @@ describe('fileUtils', () => {
         downloadSpeeds: [],
       };
 
-      mockProgressBar = {
-        tick: jest.fn(),
-        update: jest.fn(),
-        terminate: jest.fn(),
-      };
-      ProgressBar.mockImplementation(() => mockProgressBar);
-
       jest.clearAllMocks();
     });
 
@@ -185,13 +192,22 @@ describe('fileUtils', () => {
       expect(mockMetrics.totalFilesDownloaded).toBe(1);
     });
 
-    test('should create progress bar with correct options', async () => {
+    test('should emit progress events when an emitter is given', async () => {
       const dir = await testDir.create(`download-progress-${Date.now()}`);
       const outputPath = path.join(dir, 'file.txt');
+      const events = new EventEmitter();
+      const emitted = [];
+      for (const name of [
+        'download:start',
+        'download:progress',
+        'download:end',
+      ]) {
+        events.on(name, (event) => emitted.push([name, event]));
+      }
 
       const mockBody = {
         async *[Symbol.asyncIterator]() {
-          yield Buffer.from('test');
+          yield Buffer.alloc(1024);
         },
       };
 
@@ -210,16 +226,56 @@ describe('fileUtils', () => {
         mockRl,
         mockLogger,
         mockMetrics,
+        { events, analysisId: 'A1' },
       );
 
-      expect(ProgressBar).toHaveBeenCalledWith(
-        '  downloading [:bar] :rate/bps :percent :etas',
-        {
-          complete: '=',
-          incomplete: ' ',
-          width: 20,
+      expect(emitted.map(([name]) => name)).toEqual([
+        'download:start',
+        'download:progress',
+        'download:end',
+      ]);
+      expect(emitted[0][1]).toEqual({
+        analysisId: 'A1',
+        file: 'file.txt',
+        outputPath,
+        bytes: 0,
+        total: 1024,
+      });
+      expect(emitted[1][1]).toEqual(
+        expect.objectContaining({
+          bytes: 1024,
           total: 1024,
-        },
+          rate: expect.any(Number),
+        }),
+      );
+      expect(emitted[2][1]).toEqual(
+        expect.objectContaining({ status: 'downloaded', bytes: 1024 }),
+      );
+    });
+
+    test('should emit a failed end event when all attempts fail', async () => {
+      const dir = await testDir.create(`download-progress-fail-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      const events = new EventEmitter();
+      const onEnd = jest.fn();
+      events.on('download:end', onEnd);
+      fetchWithRetry.mockRejectedValue(new Error('offline'));
+
+      await expect(
+        downloadFile(
+          'https://example.com/file.txt',
+          outputPath,
+          true,
+          mockAgent,
+          mockRl,
+          mockLogger,
+          mockMetrics,
+          { events, maxAttempts: 1 },
+        ),
+      ).rejects.toThrow('offline');
+
+      expect(onEnd).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'failed', error: 'offline' }),
       );
     });
 
@@ -285,6 +341,7 @@ describe('fileUtils', () => {
           mockRl,
           mockLogger,
           mockMetrics,
+          { retryDelay: 0 },
         ),
       ).rejects.toThrow();
 
@@ -293,6 +350,385 @@ describe('fileUtils', () => {
       );
     });
 
+    test('should write to a .part file and rename it when complete', async () => {
+      const dir = await testDir.create(`download-part-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            expect(fs.existsSync(`${outputPath}.part`)).toBe(true);
+            yield Buffer.from('abcd');
+          },
+        },
+        headers: { get: () => '4' },
+      });
+
+      await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('abcd');
+      expect(fs.existsSync(`${outputPath}.part`)).toBe(false);
+    });
+
+    test('should keep partial data when all attempts fail', async () => {
+      const dir = await testDir.create(`download-keep-part-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('ab');
+            throw new Error('Connection reset');
+          },
+        },
+        headers: { get: () => '10' },
+      });
+
+      await expect(
+        downloadFile(
+          'https://example.com/file.txt',
+          outputPath,
+          false,
+          mockAgent,
+          mockRl,
+          mockLogger,
+          mockMetrics,
+          { maxAttempts: 1 },
+        ),
+      ).rejects.toThrow('Connection reset');
+
+      expect(fs.existsSync(outputPath)).toBe(false);
+      expect(fs.readFileSync(`${outputPath}.part`, 'utf8')).toBe('ab');
+    });
+
+    test('should resume an existing partial file with a Range request', async () => {
+      const dir = await testDir.create(`download-resume-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      fs.writeFileSync(`${outputPath}.part`, 'hello ');
+
+      const headers = {
+        'content-range': 'bytes 6-10/11',
+        'content-length': '5',
+      };
+      fetchWithRetry.mockResolvedValue({
+        status: 206,
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('world');
+          },
+        },
+        headers: { get: (name) => headers[name] },
+      });
+
+      await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(fetchWithRetry).toHaveBeenCalledWith(
+        'https://example.com/file.txt',
+        {
+          method: 'GET',
+          dispatcher: mockAgent,
+          headers: { Range: 'bytes=6-' },
+        },
+        3,
+        mockLogger,
+      );
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('hello world');
+      expect(mockMetrics.totalBytesDownloaded).toBe(5);
+    });
+
+    test('should restart from zero when the server ignores the Range header', async () => {
+      const dir = await testDir.create(`download-no-range-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      fs.writeFileSync(`${outputPath}.part`, 'stale');
+
+      fetchWithRetry.mockResolvedValue({
+        status: 200,
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('fresh content');
+          },
+        },
+        headers: { get: () => '13' },
+      });
+
+      await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('fresh content');
+    });
+
+    test('should resume with a refreshed URL after an interruption', async () => {
+      const dir = await testDir.create(`download-refresh-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      const refreshUrl = jest.fn().mockResolvedValue('https://fresh/file.txt');
+
+      fetchWithRetry
+        .mockResolvedValueOnce({
+          body: {
+            async *[Symbol.asyncIterator]() {
+              yield Buffer.from('0123');
+              throw new Error('socket hang up');
+            },
+          },
+          headers: { get: () => '8' },
+        })
+        .mockResolvedValueOnce({
+          status: 206,
+          body: {
+            async *[Symbol.asyncIterator]() {
+              yield Buffer.from('4567');
+            },
+          },
+          headers: {
+            get: (name) => (name === 'content-range' ? 'bytes 4-7/8' : '4'),
+          },
+        });
+
+      await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+        { refreshUrl, retryDelay: 0 },
+      );
+
+      expect(refreshUrl).toHaveBeenCalledTimes(1);
+      expect(fetchWithRetry).toHaveBeenLastCalledWith(
+        'https://fresh/file.txt',
+        expect.objectContaining({ headers: { Range: 'bytes=4-' } }),
+        3,
+        mockLogger,
+      );
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('01234567');
+      expect(mockMetrics.totalBytesDownloaded).toBe(8);
+      expect(mockMetrics.totalFilesDownloaded).toBe(1);
+    });
+
+    test('should skip the request when the partial file already has the expected size', async () => {
+      const dir = await testDir.create(`download-complete-part-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      fs.writeFileSync(`${outputPath}.part`, 'done');
+
+      await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+        { size: 4 },
+      );
+
+      expect(fetchWithRetry).not.toHaveBeenCalled();
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('done');
+    });
+
+    test('should fail an attempt when fewer bytes than the content length arrive', async () => {
+      const dir = await testDir.create(`download-short-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('abc');
+          },
+        },
+        headers: { get: () => '10' },
+      });
+
+      await expect(
+        downloadFile(
+          'https://example.com/file.txt',
+          outputPath,
+          false,
+          mockAgent,
+          mockRl,
+          mockLogger,
+          mockMetrics,
+          { maxAttempts: 1 },
+        ),
+      ).rejects.toThrow('Incomplete download: received 3 of 10 bytes');
+      expect(fs.existsSync(outputPath)).toBe(false);
+    });
+
+    test('should verify the download against a single-part ETag', async () => {
+      const dir = await testDir.create(`download-etag-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      const md5 = crypto.createHash('md5').update('abcd').digest('hex');
+      const headers = { 'content-length': '4', etag: `"${md5}"` };
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('ab');
+            yield Buffer.from('cd');
+          },
+        },
+        headers: { get: (name) => headers[name] },
+      });
+
+      const result = await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          status: 'downloaded',
+          verified: true,
+          checksumSource: 'etag',
+          checksums: { md5 },
+        }),
+      );
+    });
+
+    test('should keep downloads whose ETag is not their MD5', async () => {
+      const dir = await testDir.create(`download-kms-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      const etag = crypto.createHash('md5').update('other').digest('hex');
+      const headers = { 'content-length': '4', etag: `"${etag}"` };
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('abcd');
+          },
+        },
+        headers: { get: (name) => headers[name] },
+      });
+
+      const result = await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+        { maxAttempts: 1 },
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({ status: 'downloaded', verified: false }),
+      );
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe('abcd');
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('is not its MD5'),
+      );
+    });
+
+    test('should hash resumed partial data together with the new bytes', async () => {
+      const dir = await testDir.create(`download-resume-hash-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+      fs.writeFileSync(`${outputPath}.part`, 'hello ');
+      const sha256 = crypto
+        .createHash('sha256')
+        .update('hello world')
+        .digest('hex');
+
+      fetchWithRetry.mockResolvedValue({
+        status: 206,
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('world');
+          },
+        },
+        headers: {
+          get: (name) => (name === 'content-range' ? 'bytes 6-10/11' : null),
+        },
+      });
+
+      const result = await downloadFile(
+        'https://example.com/file.txt',
+        outputPath,
+        false,
+        mockAgent,
+        mockRl,
+        mockLogger,
+        mockMetrics,
+        {
+          checksum: {
+            algorithm: 'sha256',
+            value: sha256,
+            source: 'api:sha256',
+          },
+        },
+      );
+
+      expect(result.verified).toBe(true);
+      expect(result.checksums.sha256).toBe(sha256);
+    });
+
+    test('should discard the data and fail on a checksum mismatch', async () => {
+      const dir = await testDir.create(`download-mismatch-${Date.now()}`);
+      const outputPath = path.join(dir, 'file.txt');
+
+      fetchWithRetry.mockResolvedValue({
+        body: {
+          async *[Symbol.asyncIterator]() {
+            yield Buffer.from('corrupt');
+          },
+        },
+        headers: { get: (name) => (name === 'content-length' ? '7' : null) },
+      });
+
+      await expect(
+        downloadFile(
+          'https://example.com/file.txt',
+          outputPath,
+          false,
+          mockAgent,
+          mockRl,
+          mockLogger,
+          mockMetrics,
+          {
+            maxAttempts: 1,
+            checksum: {
+              algorithm: 'md5',
+              value: '0'.repeat(32),
+              source: 'api:md5',
+            },
+          },
+        ),
+      ).rejects.toThrow(`Checksum mismatch: expected md5 ${'0'.repeat(32)}`);
+
+      expect(fs.existsSync(outputPath)).toBe(false);
+      expect(fs.existsSync(`${outputPath}.part`)).toBe(false);
+      expect(mockMetrics.totalFilesDownloaded).toBe(0);
+    });
+
     test('should log debug message at start of download', async () => {
       const dir = await testDir.create(`download-debug-${Date.now()}`);
       const outputPath = path.join(dir, 'file.txt');
@@ -1,8 +1,13 @@
 const {
   applyFilters,
   parseFilterExpression,
+  parseFilter,
+  compileFilter,
+  compareValues,
   applyFilter,
   deduplicateByLatest,
+  parseDateBound,
+  applyDateRange,
 } = require('../../js/filterUtils');
 
 describe('filterUtils', () => {
@@ -269,6 +274,14 @@ describe('filterUtils', () => {
       expect(filtered).toEqual(analyses);
     });
 
+    test('should evaluate OR inside a single expression', () => {
+      const filtered = applyFilters(analyses, [
+        'analysisType=CNV OR analysisType=SV',
+        'score>=20',
+      ]);
+      expect(filtered.map((a) => a.id)).toEqual([2, 4]);
+    });
+
     test('should handle complex filtering scenarios', () => {
       const filtered = applyFilters(analyses, [
         'score<25',
@@ -320,6 +333,251 @@ describe('filterUtils', () => {
     });
   });
 
+  describe('compareValues', () => {
+    test('should compare numeric strings as numbers', () => {
+      expect(compareValues('100', '95')).toBeGreaterThan(0);
+      expect(compareValues(9, '10')).toBeLessThan(0);
+    });
+
+    test('should compare ISO dates and timestamps as dates', () => {
+      expect(compareValues('2025-01-02', '2025-01-01')).toBeGreaterThan(0);
+      expect(compareValues('2024-12-31T23:00:00', '2025-01-01')).toBeLessThan(
+        0,
+      );
+      expect(compareValues(Date.UTC(2025, 0, 2), '2025-01-01')).toBeGreaterThan(
+        0,
+      );
+    });
+
+    test('should read dates without a time zone like --since', () => {
+      const since = parseDateBound('2025-01-01').getTime();
+
+      expect(compareValues(since, '2025-01-01')).toBe(0);
+      expect(compareValues('2025-01-01T00:00:00', '2025-01-01')).toBe(0);
+    });
+
+    test('should fall back to lexicographic comparison', () => {
+      expect(compareValues('LB25-10', 'LB25-9')).toBeLessThan(0);
+      expect(compareValues('SNV', 'SNV')).toBe(0);
+    });
+  });
+
+  describe('parseFilter', () => {
+    test('should give AND precedence over OR', () => {
+      expect(parseFilter('a=1 OR b=2 AND c=3')).toEqual({
+        type: 'or',
+        operands: [
+          { type: 'term', field: 'a', operator: '=', value: '1' },
+          {
+            type: 'and',
+            operands: [
+              { type: 'term', field: 'b', operator: '=', value: '2' },
+              { type: 'term', field: 'c', operator: '=', value: '3' },
+            ],
+          },
+        ],
+      });
+    });
+
+    test('should parse NOT, parentheses, IN lists and quoted values', () => {
+      expect(
+        parseFilter('not (kit in ("Twist v2", Nimagen) or type != SNV)'),
+      ).toEqual({
+        type: 'not',
+        operand: {
+          type: 'or',
+          operands: [
+            {
+              type: 'term',
+              field: 'kit',
+              operator: 'in',
+              values: ['Twist v2', 'Nimagen'],
+            },
+            { type: 'term', field: 'type', operator: '!=', value: 'SNV' },
+          ],
+        },
+      });
+    });
+
+    test('should parse NOT IN as a negated IN term', () => {
+      expect(parseFilter('type NOT IN (CNV)')).toEqual({
+        type: 'not',
+        operand: {
+          type: 'term',
+          field: 'type',
+          operator: 'in',
+          values: ['CNV'],
+        },
+      });
+    });
+
+    test('should reject incomplete expressions', () => {
+      expect(() => parseFilter('a=1 AND')).toThrow('expected a field name');
+      expect(() => parseFilter('(a=1')).toThrow('expected ")"');
+      expect(() => parseFilter('a in (1,2')).toThrow('after the IN list');
+      expect(() => parseFilter('a=1 b=2')).toThrow('unexpected "b"');
+    });
+  });
+
+  describe('compileFilter', () => {
+    const data = [
+      {
+        id: 1,
+        analysisType: 'SNV',
+        enrichmentKitName: 'TwistExomev2',
+        runDate: '2025-03-01',
+        quality: '100',
+      },
+      {
+        id: 2,
+        analysisType: 'SNV',
+        enrichmentKitName: 'NimagenHEST_hg38_v2',
+        runDate: '2024-12-01',
+        quality: '95',
+      },
+      {
+        id: 3,
+        analysisType: 'SV',
+        enrichmentKitName: 'TwistExomev1',
+        runDate: '2025-02-01',
+        quality: '9',
+      },
+      { id: 4, enrichmentKitName: 'TwistExomev0.2 (size 37484908bp)' },
+    ];
+    const matching = (expression) =>
+      data.filter(compileFilter(expression)).map((analysis) => analysis.id);
+
+    test('should combine kits with OR and a date with AND', () => {
+      expect(
+        matching(
+          '(enrichmentKitName^=TwistExome OR enrichmentKitName^=Nimagen) AND runDate>2025-01-01',
+        ),
+      ).toEqual([1, 3]);
+    });
+
+    test('should compare numeric fields numerically', () => {
+      expect(matching('quality>10')).toEqual([1, 2]);
+      expect(matching('NOT quality<96')).toEqual([1, 4]);
+    });
+
+    test('should compare IDs for equality as exact text', () => {
+      const ids = [
+        { id: 1, personLimsId: '00123' },
+        { id: 2, personLimsId: '123' },
+      ];
+      const matchingIds = (expression) =>
+        ids.filter(compileFilter(expression)).map((analysis) => analysis.id);
+
+      expect(matchingIds('personLimsId=123')).toEqual([2]);
+      expect(matchingIds('personLimsId!=123')).toEqual([1]);
+      expect(matchingIds('personLimsId in (123, 456)')).toEqual([2]);
+      expect(matchingIds('personLimsId>=100')).toEqual([1, 2]);
+    });
+
+    test('should match IN lists and regular expressions', () => {
+      expect(matching('analysisType in (SV, WGS)')).toEqual([3]);
+      expect(matching('enrichmentKitName =~ "^Twist.*v[12]$"')).toEqual([1, 3]);
+    });
+
+    test('should read unquoted values with spaces as a single term', () => {
+      expect(
+        matching('enrichmentKitName=TwistExomev0.2 (size 37484908bp)'),
+      ).toEqual([4]);
+    });
+
+    test('should reject invalid expressions and patterns', () => {
+      expect(() => compileFilter('analysisType=SNV AND')).toThrow(
+        'Invalid filter expression: analysisType=SNV AND (expected a field name at the end)',
+      );
+      expect(() => compileFilter('kit=~"("')).toThrow(
+        'Invalid regular expression',
+      );
+    });
+  });
+
+  describe('parseDateBound', () => {
+    const now = new Date('2025-03-15T12:00:00Z');
+
+    test('should resolve relative bounds against now', () => {
+      expect(parseDateBound('7d', { now }).toISOString()).toBe(
+        '2025-03-08T12:00:00.000Z',
+      );
+      expect(parseDateBound('36h', { now }).toISOString()).toBe(
+        '2025-03-14T00:00:00.000Z',
+      );
+      expect(parseDateBound('2w', { now }).toISOString()).toBe(
+        '2025-03-01T12:00:00.000Z',
+      );
+      expect(parseDateBound('1m', { now }).toISOString()).toBe(
+        '2025-02-15T12:00:00.000Z',
+      );
+    });
+
+    test('should parse ISO dates and date-times', () => {
+      expect(parseDateBound('2025-01-31').getTime()).toBe(
+        new Date(2025, 0, 31).getTime(),
+      );
+      expect(parseDateBound('2025-01-31T10:00:00Z').toISOString()).toBe(
+        '2025-01-31T10:00:00.000Z',
+      );
+    });
+
+    test('should resolve plain dates to the end of the day for upper bounds', () => {
+      expect(parseDateBound('2025-01-31', { end: true }).getTime()).toBe(
+        new Date(2025, 0, 31, 23, 59, 59, 999).getTime(),
+      );
+      expect(
+        parseDateBound('2025-01-31T10:00:00Z', { end: true }).toISOString(),
+      ).toBe('2025-01-31T10:00:00.000Z');
+    });
+
+    test('should reject anything else', () => {
+      expect(() => parseDateBound('last week')).toThrow(
+        'Invalid date: last week',
+      );
+      expect(() => parseDateBound('2025-13-01')).toThrow(
+        'Invalid date: 2025-13-01',
+      );
+      expect(() => parseDateBound('7x')).toThrow('Invalid date: 7x');
+    });
+  });
+
+  describe('applyDateRange', () => {
+    const dated = [
+      { id: 1, runDate: '2025-02-28' },
+      { id: 2, runDate: '2025-03-10T08:30:00' },
+      { id: 3, runDate: new Date(2025, 2, 14).getTime() },
+      { id: 4 },
+      { id: 5, runDate: 'unknown', createdAt: '2025-03-01' },
+    ];
+    const now = new Date(2025, 2, 15, 12);
+
+    test('should keep analyses on or after --since', () => {
+      const result = applyDateRange(dated, { since: '7d', now });
+      expect(result.map((a) => a.id)).toEqual([2, 3]);
+    });
+
+    test('should include the whole --until day', () => {
+      const result = applyDateRange(dated, {
+        since: '2025-02-28',
+        until: '2025-03-10',
+      });
+      expect(result.map((a) => a.id)).toEqual([1, 2]);
+    });
+
+    test('should compare the given field', () => {
+      const result = applyDateRange(dated, {
+        until: '2025-03-01',
+        field: 'createdAt',
+      });
+      expect(result.map((a) => a.id)).toEqual([5]);
+    });
+
+    test('should return all analyses without bounds', () => {
+      expect(applyDateRange(dated, {})).toBe(dated);
+    });
+  });
+
   describe('deduplicateByLatest', () => {
     const mockLogger = {
       info: jest.fn(),
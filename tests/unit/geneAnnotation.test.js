@@ -0,0 +1,136 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { resolveGeneRegions } = require('../../js/geneAnnotation.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+const GTF = [
+  '#!genome-build GRCh38',
+  'chr17\tHAVANA\tgene\t1000\t5000\t.\t-\t.\tgene_id "ENSG01"; gene_name "BRCA1";',
+  'chr17\tHAVANA\ttranscript\t1000\t4000\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST01.5"; gene_name "BRCA1";',
+  'chr17\tHAVANA\texon\t1000\t1100\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST01.5"; gene_name "BRCA1";',
+  'chr17\tHAVANA\texon\t3900\t4000\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST01.5"; gene_name "BRCA1";',
+  'chr17\tHAVANA\ttranscript\t1050\t5000\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST02.1"; gene_name "BRCA1";',
+  'chr17\tHAVANA\texon\t1050\t1150\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST02.1"; gene_name "BRCA1";',
+  'chr17\tHAVANA\texon\t4900\t5000\t.\t-\t.\tgene_id "ENSG01"; transcript_id "ENST02.1"; gene_name "BRCA1";',
+  'chr13\tHAVANA\tgene\t20000\t30000\t.\t+\t.\tgene_id "ENSG02"; gene_name "BRCA2";',
+].join('\n');
+
+const GFF3 = [
+  '##gff-version 3',
+  'chr17\tBestRefSeq\tgene\t1000\t5000\t.\t-\t.\tID=gene-BRCA1;Name=BRCA1',
+  'chr17\tBestRefSeq\tmRNA\t1000\t4000\t.\t-\t.\tID=rna-NM_007294.4;Parent=gene-BRCA1;Name=NM_007294.4',
+  'chr17\tBestRefSeq\texon\t1000\t1100\t.\t-\t.\tID=exon-1;Parent=rna-NM_007294.4',
+  'chr17\tBestRefSeq\texon\t3900\t4000\t.\t-\t.\tID=exon-2;Parent=rna-NM_007294.4',
+].join('\n');
+
+// UCSC refGene with the bin column: 0-based starts, exon lists with trailing commas
+const REFGENE = [
+  '585\tNM_007294\tchr17\t-\t999\t4000\t1099\t3950\t2\t999,3899,\t1100,4000,\t0\tBRCA1\tcmpl\tcmpl\t0,1,',
+  '585\tNM_007300\tchr17\t-\t1049\t5000\t1099\t4950\t2\t1049,4899,\t1150,5000,\t0\tBRCA1\tcmpl\tcmpl\t0,1,',
+].join('\n');
+
+describe('geneAnnotation', () => {
+  let logger;
+  let testDir;
+  let dir;
+
+  beforeEach(async () => {
+    logger = createMockLogger();
+    testDir = new TestDirectory();
+    dir = await testDir.create(`annotation-${Date.now()}`);
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  const writeAnnotation = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(
+      filePath,
+      name.endsWith('.gz') ? zlib.gzipSync(content) : content,
+    );
+    return filePath;
+  };
+
+  describe('resolveGeneRegions', () => {
+    test('should resolve genes case-insensitively to their span in a GTF file', async () => {
+      const gtf = writeAnnotation('genes.gtf', GTF);
+
+      await expect(
+        resolveGeneRegions(gtf, ['brca1', 'BRCA2'], {}, logger),
+      ).resolves.toEqual(['chr17:1000-5000', 'chr13:20000-30000']);
+      expect(logger.info).toHaveBeenCalledWith(
+        `Resolved 2 genes to 2 regions using ${gtf}`,
+      );
+    });
+
+    test('should resolve transcript IDs without their version', async () => {
+      const gtf = writeAnnotation('genes.gtf.gz', GTF);
+
+      await expect(
+        resolveGeneRegions(gtf, ['ENST02'], {}, logger),
+      ).resolves.toEqual(['chr17:1050-5000']);
+    });
+
+    test('should merge the exons of all transcripts', async () => {
+      const gtf = writeAnnotation('genes.gtf', GTF);
+
+      await expect(
+        resolveGeneRegions(gtf, ['BRCA1'], { exonsOnly: true }, logger),
+      ).resolves.toEqual([
+        'chr17:1000-1150',
+        'chr17:3900-4000',
+        'chr17:4900-5000',
+      ]);
+    });
+
+    test('should read GFF3 files with transcripts referring to their gene', async () => {
+      const gff = writeAnnotation('genes.gff3', GFF3);
+
+      await expect(
+        resolveGeneRegions(gff, ['BRCA1'], {}, logger),
+      ).resolves.toEqual(['chr17:1000-5000']);
+      await expect(
+        resolveGeneRegions(gff, ['NM_007294'], { exonsOnly: true }, logger),
+      ).resolves.toEqual(['chr17:1000-1100', 'chr17:3900-4000']);
+    });
+
+    test('should read refGene tables with 0-based starts', async () => {
+      const refGene = writeAnnotation('refGene.txt', REFGENE);
+
+      await expect(
+        resolveGeneRegions(refGene, ['BRCA1'], {}, logger),
+      ).resolves.toEqual(['chr17:1000-5000']);
+      await expect(
+        resolveGeneRegions(
+          refGene,
+          ['NM_007294.4'],
+          { exonsOnly: true },
+          logger,
+        ),
+      ).resolves.toEqual(['chr17:1000-1100', 'chr17:3900-4000']);
+    });
+
+    test('should report genes that are not annotated', async () => {
+      const gtf = writeAnnotation('genes.gtf', GTF);
+
+      await expect(
+        resolveGeneRegions(gtf, ['BRCA1', 'TP53', 'PTEN'], {}, logger),
+      ).rejects.toThrow('genes or transcripts not found: TP53, PTEN');
+      expect(logger.error).toHaveBeenCalledWith(
+        `Error reading annotation file ${gtf}: genes or transcripts not found: TP53, PTEN`,
+      );
+    });
+
+    test('should reject files in other formats', async () => {
+      const bed = writeAnnotation('genes.bed', 'chr1\t100\t200\n');
+
+      await expect(
+        resolveGeneRegions(bed, ['BRCA1'], {}, logger),
+      ).rejects.toThrow('unrecognized annotation format');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { JobQueue } = require('../../js/jobQueue.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+
+/**
+ * Creates a deferred promise whose resolution is controlled by the test.
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('jobQueue', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+  });
+
+  describe('constructor', () => {
+    test('should reject non-positive concurrency', () => {
+      expect(() => new JobQueue(0, mockLogger)).toThrow(TypeError);
+      expect(() => new JobQueue(-2, mockLogger)).toThrow(TypeError);
+    });
+
+    test('should reject non-integer concurrency', () => {
+      expect(() => new JobQueue(1.5, mockLogger)).toThrow(
+        'Concurrency must be a positive integer, got: 1.5',
+      );
+    });
+  });
+
+  describe('onIdle', () => {
+    test('should resolve immediately when no jobs were added', async () => {
+      const queue = new JobQueue(2, mockLogger);
+
+      await expect(queue.onIdle()).resolves.toEqual([]);
+    });
+
+    test('should return results in the order jobs were added', async () => {
+      const queue = new JobQueue(3, mockLogger);
+      const slow = deferred();
+
+      queue.add({ label: 'slow', run: () => slow.promise });
+      queue.add({ label: 'fast', run: async () => 'fast-value' });
+      slow.resolve('slow-value');
+
+      const results = await queue.onIdle();
+
+      expect(results.map((r) => r.job.label)).toEqual(['slow', 'fast']);
+      expect(results.map((r) => r.value)).toEqual(['slow-value', 'fast-value']);
+    });
+  });
+
+  describe('concurrency', () => {
+    test('should never run more jobs than the concurrency limit', async () => {
+      const queue = new JobQueue(2, mockLogger);
+      let running = 0;
+      let maxRunning = 0;
+
+      const makeJob = (label) => ({
+        label,
+        run: async () => {
+          running += 1;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          running -= 1;
+        },
+      });
+
+      for (let i = 0; i < 6; i++) {
+        queue.add(makeJob(`job-${i}`));
+      }
+      await queue.onIdle();
+
+      expect(maxRunning).toBe(2);
+    });
+
+    test('should run jobs one after another with concurrency 1', async () => {
+      const queue = new JobQueue(1, mockLogger);
+      const order = [];
+      const first = deferred();
+
+      queue.add({
+        label: 'first',
+        run: async () => {
+          order.push('first:start');
+          await first.promise;
+          order.push('first:end');
+        },
+      });
+      queue.add({
+        label: 'second',
+        run: async () => {
+          order.push('second:start');
+        },
+      });
+
+      expect(order).toEqual(['first:start']);
+      first.resolve();
+      await queue.onIdle();
+
+      expect(order).toEqual(['first:start', 'first:end', 'second:start']);
+    });
+
+    test('should start jobs added while the queue is running', async () => {
+      const queue = new JobQueue(1, mockLogger);
+      const gate = deferred();
+
+      queue.add({ label: 'a', run: () => gate.promise });
+      const idle = queue.onIdle();
+      queue.add({ label: 'b', run: async () => 'b-value' });
+      gate.resolve('a-value');
+
+      const results = await idle;
+
+      expect(results).toHaveLength(2);
+      expect(results[1].status).toBe('fulfilled');
+      expect(results[1].value).toBe('b-value');
+    });
+  });
+
+  describe('error isolation', () => {
+    test('should record failures without stopping other jobs', async () => {
+      const queue = new JobQueue(2, mockLogger);
+
+      queue.add({
+        label: 'broken',
+        run: async () => {
+          throw new Error('boom');
+        },
+      });
+      queue.add({ label: 'ok', run: async () => 42 });
+
+      const results = await queue.onIdle();
+
+      expect(results[0].status).toBe('rejected');
+      expect(results[0].error.message).toBe('boom');
+      expect(results[1].status).toBe('fulfilled');
+      expect(results[1].value).toBe(42);
+    });
+  });
+});
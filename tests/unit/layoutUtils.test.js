@@ -0,0 +1,147 @@
+const { createMockLogger } = require('../helpers/mockFactories');
+const {
+  validateLayout,
+  layoutNeedsMetadata,
+  layoutFileName,
+} = require('../../js/layoutUtils.cjs');
+
+describe('layoutUtils', () => {
+  const logger = createMockLogger();
+  const analysis = { sampleId: 'S1', personLimsId: 'P-7', analysisType: 'WGS' };
+
+  describe('validateLayout', () => {
+    test('should return the placeholders of valid layouts', () => {
+      expect(validateLayout('{personLimsId}/{analysisId}/{fileName}')).toEqual([
+        'personLimsId',
+        'analysisId',
+        'fileName',
+      ]);
+      expect(validateLayout('{sampleId}_{region}.{ext}')).toEqual([
+        'sampleId',
+        'region',
+        'ext',
+      ]);
+    });
+
+    test('should reject unknown placeholders', () => {
+      expect(() => validateLayout('{patient}/{fileName}')).toThrow(
+        'unknown placeholder {patient} in --layout',
+      );
+    });
+
+    test('should reject paths outside the destination', () => {
+      expect(() => validateLayout('/data/{fileName}')).toThrow(
+        '--layout must stay inside --destination',
+      );
+      expect(() => validateLayout('../{fileName}')).toThrow(
+        '--layout must stay inside --destination',
+      );
+    });
+
+    test('should reject layouts that drop the extension', () => {
+      expect(() => validateLayout('{analysisId}/{sampleId}')).toThrow(
+        '--layout must end with {fileName} or {ext}',
+      );
+    });
+  });
+
+  describe('layoutNeedsMetadata', () => {
+    test('should tell whether sample metadata is used', () => {
+      expect(layoutNeedsMetadata('{sampleId}/{fileName}')).toBe(true);
+      expect(layoutNeedsMetadata('{analysisId}/{fileName}')).toBe(false);
+      expect(layoutNeedsMetadata(null)).toBe(false);
+    });
+  });
+
+  describe('layoutFileName', () => {
+    test('should keep the output name without a layout', () => {
+      expect(
+        layoutFileName(
+          null,
+          { analysisId: 'A1', fileName: 'x.bam', regions: ['chr1:1-100'] },
+          logger,
+        ),
+      ).toBe('x.chr1_1_100.bam');
+    });
+
+    test('should place files in folders of their sample', () => {
+      expect(
+        layoutFileName(
+          '{personLimsId}/{analysisId}/{fileName}',
+          { analysisId: 'A1', analysis, fileName: 'x.bam.bai', regions: [] },
+          logger,
+        ),
+      ).toBe('P-7/A1/x.bam.bai');
+    });
+
+    test('should fill base name, region and compound extension', () => {
+      const file = { analysisId: 'A1', analysis, fileName: 'x.vcf.gz' };
+
+      expect(
+        layoutFileName(
+          '{sampleId}_{region}.{ext}',
+          { ...file, regions: ['chr1:1-100'] },
+          logger,
+        ),
+      ).toBe('S1_chr1_1_100.vcf.gz');
+      expect(
+        layoutFileName(
+          '{analysisType}/{baseName}.{region}.{ext}',
+          { ...file, regions: [] },
+          logger,
+        ),
+      ).toBe('WGS/x.full.vcf.gz');
+    });
+
+    test('should place indexes next to their laid-out data file', () => {
+      const file = { analysisId: 'A1', analysis, regions: [] };
+
+      expect(
+        layoutFileName(
+          '{sampleId}.{ext}',
+          { ...file, fileName: 'x.bam' },
+          logger,
+        ),
+      ).toBe('S1.bam');
+      expect(
+        layoutFileName(
+          '{sampleId}.{ext}',
+          { ...file, fileName: 'x.bam.bai' },
+          logger,
+        ),
+      ).toBe('S1.bam.bai');
+      expect(
+        layoutFileName(
+          '{analysisType}/{baseName}_{region}.{ext}',
+          { ...file, fileName: 'x.vcf.gz.tbi' },
+          logger,
+        ),
+      ).toBe('WGS/x_full.vcf.gz.tbi');
+    });
+
+    test('should make values safe as folder names', () => {
+      expect(
+        layoutFileName(
+          '{sampleId}/{personLimsId}/{fileName}',
+          {
+            analysisId: 'A1',
+            analysis: { sampleId: 'a/b:c', personLimsId: '..' },
+            fileName: 'x.bam',
+            regions: [],
+          },
+          logger,
+        ),
+      ).toBe('a_b_c/_/x.bam');
+    });
+
+    test('should use "unknown" for missing metadata', () => {
+      expect(
+        layoutFileName(
+          '{sampleId}/{fileName}',
+          { analysisId: 'A1', fileName: 'x.bam', regions: [] },
+          logger,
+        ),
+      ).toBe('unknown/x.bam');
+    });
+  });
+});
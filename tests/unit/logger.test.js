@@ -2,6 +2,7 @@ const createLogger = require('../../js/logger.cjs');
 const winston = require('winston');
 const path = require('node:path');
 const fs = require('node:fs/promises');
+const { Writable } = require('node:stream');
 
 describe('logger', () => {
   describe('createLogger', () => {
@@ -94,4 +95,25 @@ describe('logger', () => {
       expect(fileTransports).toHaveLength(0);
     });
   });
+
+  describe('replaceConsoleTransport', () => {
+    test('should write console lines to the given stream', async () => {
+      const logger = createLogger({ loglevel: 'info' });
+      const lines = [];
+      const stream = new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString());
+          callback();
+        },
+      });
+
+      createLogger.replaceConsoleTransport(logger, stream);
+      logger.info('hello');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(logger.transports).toHaveLength(1);
+      expect(logger.transports[0]).toBeInstanceOf(winston.transports.Stream);
+      expect(lines[0]).toMatch(/\[info\]: hello/);
+    });
+  });
 });
@@ -0,0 +1,177 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  MANIFEST_COLUMNS,
+  recordFileResult,
+  getManifestFormat,
+  formatManifestTsv,
+  formatManifestJson,
+  writeManifest,
+} = require('../../js/manifestUtils.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+describe('manifestUtils', () => {
+  let mockLogger;
+  let testDir;
+
+  const startedAt = new Date('2025-01-15T12:00:00Z');
+  const finishedAt = new Date('2025-01-15T12:01:00Z');
+
+  const sampleEntry = (overrides = {}) =>
+    recordFileResult(
+      {},
+      {
+        analysisId: 42,
+        analysis: { sampleId: 'SAM1', personLimsId: 'LIMS1' },
+        sourceFile: 'sample.bam',
+        outputPath: 'out/sample.chr1_1_100.bam',
+        mode: 'ranged',
+        regions: ['chr1:1-100', 'chr2:1-100'],
+        size: 1024,
+        md5: 'a'.repeat(32),
+        verified: false,
+        startedAt,
+        finishedAt,
+        status: 'downloaded',
+        ...overrides,
+      },
+    );
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    testDir = new TestDirectory();
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  describe('recordFileResult', () => {
+    test('should append a normalized entry to metrics.fileResults', () => {
+      const metrics = { fileResults: [] };
+
+      const entry = recordFileResult(metrics, {
+        analysisId: 42,
+        sourceFile: 'sample.bam',
+        outputPath: 'sample.bam',
+        mode: 'full',
+        startedAt,
+        finishedAt,
+        status: 'failed',
+        error: 'network down',
+      });
+
+      expect(metrics.fileResults).toEqual([entry]);
+      expect(metrics.totalFilesFailed).toBe(1);
+      expect(entry).toEqual({
+        analysisId: '42',
+        sampleId: null,
+        personLimsId: null,
+        sourceFile: 'sample.bam',
+        outputPath: 'sample.bam',
+        mode: 'full',
+        regions: [],
+        size: null,
+        md5: null,
+        checksumVerified: false,
+        startedAt: '2025-01-15T12:00:00.000Z',
+        finishedAt: '2025-01-15T12:01:00.000Z',
+        status: 'failed',
+        error: 'network down',
+      });
+    });
+
+    test('should create metrics.fileResults when missing', () => {
+      const metrics = {};
+      recordFileResult(metrics, {
+        analysisId: 1,
+        startedAt,
+        finishedAt,
+        status: 'skipped',
+      });
+      expect(metrics.fileResults).toHaveLength(1);
+    });
+  });
+
+  describe('getManifestFormat', () => {
+    test('should derive the format from the extension', () => {
+      expect(getManifestFormat('run/manifest.json')).toBe('json');
+      expect(getManifestFormat('run/manifest.TSV')).toBe('tsv');
+      expect(getManifestFormat('run/manifest.csv')).toBeNull();
+    });
+  });
+
+  describe('formatManifestTsv', () => {
+    test('should write a header and one line per entry', () => {
+      const lines = formatManifestTsv([sampleEntry()]).split('\n');
+
+      expect(lines[0].split('\t')).toEqual(MANIFEST_COLUMNS);
+      expect(lines[1].split('\t')).toEqual([
+        '42',
+        'SAM1',
+        'LIMS1',
+        'sample.bam',
+        'out/sample.chr1_1_100.bam',
+        'ranged',
+        'chr1:1-100,chr2:1-100',
+        '1024',
+        'a'.repeat(32),
+        'false',
+        '2025-01-15T12:00:00.000Z',
+        '2025-01-15T12:01:00.000Z',
+        'downloaded',
+        '',
+      ]);
+    });
+
+    test('should keep error messages on a single line', () => {
+      const tsv = formatManifestTsv([
+        sampleEntry({ status: 'failed', error: 'line one\n\tline two' }),
+      ]);
+
+      expect(tsv.split('\n')).toHaveLength(3);
+      expect(tsv).toContain('line one line two');
+    });
+  });
+
+  describe('formatManifestJson', () => {
+    test('should include run metadata and the file entries', () => {
+      const document = JSON.parse(
+        formatManifestJson([sampleEntry()], { version: '1.0.0' }),
+      );
+
+      expect(document.version).toBe('1.0.0');
+      expect(document.generatedAt).toEqual(expect.any(String));
+      expect(document.files[0].regions).toEqual(['chr1:1-100', 'chr2:1-100']);
+    });
+  });
+
+  describe('writeManifest', () => {
+    test('should write TSV and JSON manifests by extension', async () => {
+      const dir = await testDir.create(`manifest-${Date.now()}`);
+      const entries = [sampleEntry()];
+
+      writeManifest(path.join(dir, 'run.tsv'), entries, mockLogger);
+      writeManifest(path.join(dir, 'run.json'), entries, mockLogger);
+
+      expect(
+        fs
+          .readFileSync(path.join(dir, 'run.tsv'), 'utf8')
+          .startsWith('analysisId\t'),
+      ).toBe(true);
+      expect(
+        JSON.parse(fs.readFileSync(path.join(dir, 'run.json'), 'utf8')).files,
+      ).toHaveLength(1);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        `Manifest with 1 files written to ${path.join(dir, 'run.tsv')}`,
+      );
+    });
+
+    test('should reject unsupported extensions', () => {
+      expect(() => writeManifest('run.csv', [], mockLogger)).toThrow(
+        'Unsupported manifest format for run.csv',
+      );
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+const {
+  planAnalysis,
+  summarizePlan,
+  formatPlan,
+} = require('../../js/planUtils.cjs');
+
+describe('planUtils', () => {
+  let testDir;
+  let destination;
+  let ctx;
+
+  const fileDict = () => ({
+    'sample.bam': { fileName: 'sample.bam', size: 2048 },
+    'sample.bam.bai': { fileName: 'sample.bam.bai', size: 512 },
+    'sample.vcf.gz': { fileName: 'sample.vcf.gz', size: 1024 },
+  });
+
+  beforeEach(async () => {
+    testDir = new TestDirectory();
+    destination = await testDir.create(`plan-${Date.now()}`);
+    ctx = {
+      destination,
+      overwrite: false,
+      regions: [],
+      unmapped: false,
+      restoreArchived: 'ask',
+      filetypes: ['bam', 'bam.bai', 'vcf.gz'],
+      logger: createMockLogger(),
+    };
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  describe('planAnalysis', () => {
+    test('should plan full downloads with their sizes', () => {
+      const entries = planAnalysis('A1', fileDict(), [], ctx);
+
+      expect(
+        entries.map((entry) => [entry.file, entry.action, entry.bytes]),
+      ).toEqual([
+        ['sample.bam', 'download', 2048],
+        ['sample.bam.bai', 'download', 512],
+        ['sample.vcf.gz', 'download', 1024],
+      ]);
+      expect(entries[0].outputPath).toBe(path.join(destination, 'sample.bam'));
+    });
+
+    test('should plan output paths after the layout', () => {
+      ctx.regions = ['chr1:1-100'];
+      ctx.layout = '{sampleId}/{baseName}_{region}.{ext}';
+      ctx.analysisMetadata = { A1: { sampleId: 'S1' } };
+
+      const entries = planAnalysis('A1', fileDict(), [], ctx);
+
+      expect(entries[0].outputPath).toBe(
+        path.join(destination, 'S1', 'sample_chr1_1_100.bam'),
+      );
+      expect(fs.existsSync(path.join(destination, 'S1'))).toBe(false);
+    });
+
+    test('should plan artifacts as downloads in ranged runs', () => {
+      ctx.regions = ['chr1:1-100'];
+      const dict = {
+        ...fileDict(),
+        'report.pdf': { fileName: 'report.pdf', size: 300 },
+      };
+
+      const entries = planAnalysis('A1', dict, [], ctx);
+
+      expect(entries.at(-1)).toEqual(
+        expect.objectContaining({
+          file: 'report.pdf',
+          outputPath: path.join(destination, 'report.pdf'),
+          action: 'download',
+          bytes: 300,
+        }),
+      );
+    });
+
+    test('should skip outputs that already exist unless overwriting', () => {
+      fs.writeFileSync(path.join(destination, 'sample.bam'), 'data');
+
+      expect(planAnalysis('A1', fileDict(), [], ctx)[0]).toEqual(
+        expect.objectContaining({ action: 'skip', reason: 'output exists' }),
+      );
+      expect(
+        planAnalysis('A1', fileDict(), [], { ...ctx, overwrite: true })[0]
+          .action,
+      ).toBe('download');
+    });
+
+    test('should plan one subset per region for VCF and one for BAM', () => {
+      ctx.regions = ['chr1:1-100', 'chr2:1-100'];
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = { fileName: 'sample.vcf.gz.tbi', size: 64 };
+
+      const entries = planAnalysis('A1', dict, [], ctx);
+
+      expect(
+        entries
+          .filter((entry) => entry.action === 'subset')
+          .map((entry) => [path.basename(entry.outputPath), entry.regions]),
+      ).toEqual([
+        ['sample.multiple-regions.bam', ['chr1:1-100', 'chr2:1-100']],
+        ['sample.chr1_1_100.vcf.gz', ['chr1:1-100']],
+        ['sample.chr2_1_100.vcf.gz', ['chr2:1-100']],
+      ]);
+    });
+
+    test('should plan BAM files converted to CRAM without their index', () => {
+      ctx.convertToCram = true;
+
+      const entries = planAnalysis('A1', fileDict(), [], ctx);
+
+      expect(
+        entries
+          .filter((entry) => entry.file.startsWith('sample.bam'))
+          .map((entry) => [
+            entry.file,
+            path.basename(entry.outputPath),
+            entry.reason,
+          ]),
+      ).toEqual([['sample.bam', 'sample.cram', 'converted to CRAM']]);
+    });
+
+    test('should plan one VCF subset for all regions when merging', () => {
+      ctx.regions = ['chr1:1-100', 'chr2:1-100'];
+      ctx.vcfOutput = 'merged';
+      const dict = fileDict();
+      dict['sample.vcf.gz.tbi'] = { fileName: 'sample.vcf.gz.tbi', size: 64 };
+
+      const vcfEntries = planAnalysis('A1', dict, [], ctx).filter(
+        (entry) => entry.file === 'sample.vcf.gz',
+      );
+
+      expect(
+        vcfEntries.map((entry) => [
+          path.basename(entry.outputPath),
+          entry.regions,
+        ]),
+      ).toEqual([
+        ['sample.multiple-regions.vcf.gz', ['chr1:1-100', 'chr2:1-100']],
+      ]);
+    });
+
+    test('should skip subsets without an index file', () => {
+      ctx.regions = ['chr1:1-100'];
+
+      const vcfEntry = planAnalysis('A1', fileDict(), [], ctx).find(
+        (entry) => entry.file === 'sample.vcf.gz',
+      );
+
+      expect(vcfEntry).toEqual(
+        expect.objectContaining({
+          action: 'skip',
+          reason: 'no .tbi index for a ranged download',
+        }),
+      );
+    });
+
+    test('should plan unmapped extraction for BAM files only', () => {
+      ctx.unmapped = true;
+
+      const entries = planAnalysis('A1', fileDict(), [], ctx);
+
+      expect(entries[0]).toEqual(
+        expect.objectContaining({
+          action: 'subset',
+          regions: ['unmapped'],
+          outputPath: path.join(destination, 'sample.unmapped.bam'),
+        }),
+      );
+      expect(entries.at(-1)).toEqual(
+        expect.objectContaining({ file: 'sample.vcf.gz', action: 'skip' }),
+      );
+    });
+
+    test('should plan archived files according to restoreArchived', () => {
+      const archived = [{ analysisId: 'A1', fileName: 'old.bam' }];
+
+      expect(planAnalysis('A1', {}, archived, ctx)[0]).toEqual(
+        expect.objectContaining({ file: 'old.bam', action: 'restore' }),
+      );
+      expect(
+        planAnalysis('A1', {}, archived, { ...ctx, restoreArchived: 'no' })[0]
+          .action,
+      ).toBe('archived');
+      expect(
+        planAnalysis('A1', {}, archived, { ...ctx, filetypes: ['vcf.gz'] }),
+      ).toEqual([]);
+    });
+  });
+
+  describe('summarizePlan', () => {
+    test('should count actions and sum the known download sizes', () => {
+      const totals = summarizePlan([
+        { action: 'download', bytes: 100 },
+        { action: 'download', bytes: null },
+        { action: 'skip', bytes: null },
+        { action: 'restore', bytes: null },
+      ]);
+
+      expect(totals).toEqual({
+        download: 2,
+        subset: 0,
+        skip: 1,
+        restore: 1,
+        archived: 0,
+        downloadBytes: 100,
+        unknownSizes: 1,
+      });
+    });
+  });
+
+  describe('formatPlan', () => {
+    test('should group entries by analysis and end with the totals', () => {
+      const entries = planAnalysis('A1', fileDict(), [], ctx);
+
+      const text = formatPlan({ entries, totals: summarizePlan(entries) });
+
+      expect(text).toContain('Analysis A1:');
+      expect(text).toContain(
+        `  download sample.bam  2.0 KB  -> ${path.join(destination, 'sample.bam')}`,
+      );
+      expect(text).toContain(
+        'Plan: 3 to download (3.5 KB), 0 to subset by region, 0 skipped, 0 to restore, 0 archived.',
+      );
+      expect(text).toContain(
+        'Dry run: nothing was downloaded, restored or written.',
+      );
+    });
+  });
+});
@@ -0,0 +1,324 @@
+const EventEmitter = require('node:events');
+const { Writable } = require('node:stream');
+const createLogger = require('../../js/logger.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+
+const {
+  PROGRESS_MODES,
+  formatBytes,
+  formatDuration,
+  createTtyRenderer,
+  createLogRenderer,
+  createNdjsonRenderer,
+  createProgressRenderer,
+  attachProgressRenderer,
+  suspendDuringPrompts,
+} = require('../../js/progressRenderers.cjs');
+
+describe('progressRenderers', () => {
+  let mockLogger;
+
+  const event = (overrides = {}) => ({
+    analysisId: 'A1',
+    file: 'sample.bam',
+    outputPath: 'out/sample.bam',
+    bytes: 0,
+    total: 2048,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+  });
+
+  test('should expose the supported modes', () => {
+    expect(PROGRESS_MODES).toEqual(['auto', 'tty', 'log', 'ndjson', 'silent']);
+  });
+
+  describe('formatters', () => {
+    test('should format byte counts', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(1536)).toBe('1.5 KB');
+      expect(formatBytes(5 * 1024 ** 3)).toBe('5.0 GB');
+      expect(formatBytes(null)).toBe('?');
+    });
+
+    test('should format durations', () => {
+      expect(formatDuration(42)).toBe('42s');
+      expect(formatDuration(185)).toBe('3m05s');
+      expect(formatDuration(3720)).toBe('1h02m');
+      expect(formatDuration(null)).toBe('?');
+    });
+  });
+
+  describe('createTtyRenderer', () => {
+    let stream;
+    let renderer;
+
+    const output = () =>
+      stream.write.mock.calls.map((call) => call[0]).join('');
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      stream = { isTTY: true, columns: 200, write: jest.fn() };
+      renderer = createTtyRenderer(stream, { interval: 100 });
+    });
+
+    afterEach(() => {
+      renderer.finish();
+      jest.useRealTimers();
+    });
+
+    test('should show overall progress and a bar per active transfer', () => {
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam', size: 2048 });
+      renderer.queued({ analysisId: 'A1', file: 'other.bam', size: 2048 });
+      renderer.start(event());
+      renderer.progress(event({ bytes: 1024, rate: 512, eta: 2 }));
+      jest.advanceTimersByTime(100);
+
+      expect(output()).toContain(
+        'Overall [=====               ] 0/2 files  1.0 KB of 4.0 KB  512 B/s  ETA 6s',
+      );
+      expect(output()).toContain(
+        '  sample.bam [==========          ] 50%  1.0 KB of 2.0 KB  512 B/s  ETA 2s',
+      );
+    });
+
+    test('should count finished and failed jobs', () => {
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam', size: null });
+      renderer.queued({ analysisId: 'A1', file: 'other.bam', size: null });
+      renderer.finished({
+        analysisId: 'A1',
+        file: 'sample.bam',
+        status: 'rejected',
+      });
+      renderer.finish();
+
+      expect(output()).toContain('1/2 files, 1 failed');
+    });
+
+    test('should draw a fresh dashboard for each run', () => {
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam', size: null });
+      renderer.finished({ analysisId: 'A1', file: 'sample.bam' });
+      renderer.finish();
+      stream.write.mockClear();
+
+      renderer.queued({ analysisId: 'A2', file: 'other.bam', size: null });
+      jest.advanceTimersByTime(100);
+
+      expect(output()).toContain('0/1 files');
+      expect(output().startsWith('Overall')).toBe(true);
+    });
+
+    test('should show a spinner for samtools and tabix steps', () => {
+      renderer.taskStart({
+        id: 1,
+        analysisId: 'A1',
+        command: 'samtools view',
+        outputPath: 'out/sample.chr1_1_100.bam',
+      });
+      jest.advanceTimersByTime(100);
+
+      expect(output()).toContain('  / samtools view sample.chr1_1_100.bam  0s');
+
+      renderer.taskEnd({ id: 1 });
+      stream.write.mockClear();
+      jest.advanceTimersByTime(100);
+
+      expect(output()).not.toContain('samtools view');
+    });
+
+    test('should redraw the dashboard in place', () => {
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam', size: 2048 });
+      renderer.start(event());
+      jest.advanceTimersByTime(200);
+
+      expect(
+        stream.write.mock.calls[1][0].startsWith('\u001B[2A\u001B[0J'),
+      ).toBe(true);
+    });
+
+    test('should print log output above the dashboard', () => {
+      const target = { write: jest.fn() };
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam', size: 2048 });
+      jest.advanceTimersByTime(100);
+
+      renderer.createLogStream(target).write('log line\n');
+
+      expect(target.write).toHaveBeenCalledWith(Buffer.from('log line\n'));
+      const writes = stream.write.mock.calls.map((call) => call[0]);
+      expect(writes.at(-2)).toBe('\u001B[1A\u001B[0J');
+      expect(writes.at(-1)).toMatch(/^Overall/);
+    });
+
+    test('should not overwrite a prompt while it waits for an answer', () => {
+      const question = jest.fn((query, callback) => stream.write(query));
+      const rl = { question };
+      const restore = suspendDuringPrompts(rl, renderer);
+      const onAnswer = jest.fn();
+      renderer.queued({ analysisId: 'A1', file: 'sample.bam' });
+      jest.advanceTimersByTime(100);
+
+      rl.question('Restore all archived files? (y/n): ', onAnswer);
+      const prompted = stream.write.mock.calls.length;
+      renderer.start(event());
+      jest.advanceTimersByTime(500);
+
+      // The dashboard was cleared before the prompt and stays away until the answer
+      expect(stream.write.mock.calls[prompted - 2][0]).toBe('\x1b[1A\x1b[0J');
+      expect(stream.write.mock.calls[prompted - 1][0]).toBe(
+        'Restore all archived files? (y/n): ',
+      );
+      expect(stream.write).toHaveBeenCalledTimes(prompted);
+
+      question.mock.calls[0][1]('y');
+
+      expect(onAnswer).toHaveBeenCalledWith('y');
+      expect(stream.write).toHaveBeenCalledTimes(prompted + 1);
+      expect(stream.write.mock.calls[prompted][0]).toContain('Overall');
+      expect(stream.write.mock.calls[prompted][0]).not.toContain('\x1b[');
+      restore();
+    });
+
+    test('should not draw before the first event', () => {
+      jest.advanceTimersByTime(1000);
+
+      expect(stream.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createLogRenderer', () => {
+    test('should log the start and throttle progress lines', () => {
+      const renderer = createLogRenderer(mockLogger, { interval: 60000 });
+
+      renderer.start(event());
+      renderer.progress(event({ bytes: 1024, rate: 512, eta: 2 }));
+
+      expect(mockLogger.info).toHaveBeenCalledTimes(1);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Downloading sample.bam (2.0 KB)',
+      );
+    });
+
+    test('should log progress with percentage, rate and ETA', () => {
+      const renderer = createLogRenderer(mockLogger, { interval: 0 });
+
+      renderer.start(event());
+      renderer.progress(event({ bytes: 1024, rate: 512, eta: 2 }));
+
+      expect(mockLogger.info).toHaveBeenLastCalledWith(
+        'Downloading sample.bam: 50% 1.0 KB of 2.0 KB at 512 B/s, ETA 2s',
+      );
+    });
+  });
+
+  describe('createNdjsonRenderer', () => {
+    test('should write one JSON object per event', () => {
+      const stream = { write: jest.fn() };
+      const renderer = createNdjsonRenderer(stream);
+
+      renderer.progress(event({ bytes: 1024 }));
+
+      const line = stream.write.mock.calls[0][0];
+      expect(line.endsWith('\n')).toBe(true);
+      expect(JSON.parse(line)).toEqual(
+        expect.objectContaining({
+          type: 'progress',
+          analysisId: 'A1',
+          file: 'sample.bam',
+          bytes: 1024,
+          timestamp: expect.any(String),
+        }),
+      );
+    });
+
+    test('should keep log lines off the event stream', async () => {
+      const collect = (lines) =>
+        new Writable({
+          write(chunk, encoding, callback) {
+            lines.push(...chunk.toString().split('\n').filter(Boolean));
+            callback();
+          },
+        });
+      const stdout = [];
+      const stderr = [];
+      const logger = createLogger({ loglevel: 'info' });
+      const renderer = createNdjsonRenderer(collect(stdout), collect(stderr));
+
+      createLogger.replaceConsoleTransport(logger, renderer.createLogStream());
+      logger.info('Starting download');
+      renderer.start(event());
+      renderer.end(event({ bytes: 2048, status: 'downloaded' }));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(stdout).toHaveLength(2);
+      for (const line of stdout) {
+        expect(() => JSON.parse(line)).not.toThrow();
+      }
+      expect(stderr).toEqual([expect.stringContaining('Starting download')]);
+    });
+
+    test('should write job and task events', () => {
+      const stream = { write: jest.fn() };
+      const renderer = createNdjsonRenderer(stream);
+
+      renderer.taskStart({ id: 1, command: 'tabix' });
+
+      expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(
+        expect.objectContaining({ type: 'taskStart', id: 1, command: 'tabix' }),
+      );
+    });
+  });
+
+  describe('createProgressRenderer', () => {
+    test('should pick log lines for "auto" without a terminal', () => {
+      const renderer = createProgressRenderer('auto', mockLogger, {
+        stream: { isTTY: false },
+      });
+
+      renderer.start(event());
+
+      expect(mockLogger.info).toHaveBeenCalled();
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => createProgressRenderer('fancy', mockLogger)).toThrow(
+        'Unsupported progress mode: fancy',
+      );
+    });
+  });
+
+  describe('attachProgressRenderer', () => {
+    test('should forward events until detached', () => {
+      const emitter = new EventEmitter();
+      const renderer = {
+        start: jest.fn(),
+        progress: jest.fn(),
+        end: jest.fn(),
+      };
+
+      const detach = attachProgressRenderer(emitter, renderer);
+      emitter.emit('download:start', event());
+      emitter.emit('download:progress', event({ bytes: 1 }));
+      detach();
+      emitter.emit('download:end', event());
+
+      expect(renderer.start).toHaveBeenCalledWith(event());
+      expect(renderer.progress).toHaveBeenCalledTimes(1);
+      expect(renderer.end).not.toHaveBeenCalled();
+    });
+
+    test('should only subscribe the handlers a renderer implements', () => {
+      const emitter = new EventEmitter();
+      const renderer = { taskStart: jest.fn(), finish: jest.fn() };
+
+      attachProgressRenderer(emitter, renderer);
+      emitter.emit('task:start', { id: 1 });
+      emitter.emit('done', {});
+
+      expect(emitter.listenerCount('download:start')).toBe(0);
+      expect(renderer.taskStart).toHaveBeenCalledWith({ id: 1 });
+      expect(renderer.finish).toHaveBeenCalled();
+    });
+  });
+});
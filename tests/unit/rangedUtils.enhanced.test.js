@@ -4,6 +4,8 @@ const {
   generateOutputFileName,
   ensureIndexFile,
   rangedDownloadBAM,
+  convertBAMToCRAM,
+  readRemoteContigs,
   indexBAM,
   indexVCF,
 } = require('../../js/rangedUtils.cjs');
@@ -188,6 +190,16 @@ describe('rangedUtils (enhanced)', () => {
       expect(result3).toBe('sample.vcf.gz');
     });
 
+    test('should keep the compound extension of CRAM indexes', () => {
+      expect(
+        generateOutputFileName(
+          'sample.cram.crai',
+          ['chr1:1000-2000'],
+          mockLogger,
+        ),
+      ).toBe('sample.chr1_1000_2000.cram.crai');
+    });
+
     test('should append single region to filename for VCF.gz', () => {
       const result = generateOutputFileName(
         'sample.vcf.gz',
@@ -292,6 +304,7 @@ describe('rangedUtils (enhanced)', () => {
         mockRl,
         mockLogger,
         mockMetrics,
+        {},
       );
       expect(mockLogger.info).toHaveBeenCalledWith(
         'Downloaded index file to /path/to/sample.bam.bai',
@@ -391,6 +404,48 @@ describe('rangedUtils (enhanced)', () => {
       expect(mockMetrics.totalFilesDownloaded).toBe(1);
     });
 
+    test('should write CRAM with the reference for .cram outputs', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const mockProcess = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'close') {
+            setImmediate(() => callback(0));
+          }
+        }),
+      };
+      spawn.mockReturnValue(mockProcess);
+
+      await rangedDownloadBAM(
+        'https://example.com/sample.cram',
+        '/path/to/regions.bed',
+        '/path/to/output.cram',
+        '/path/to/sample.cram.crai',
+        mockLogger,
+        mockMetrics,
+        false,
+        false,
+        [],
+        '/ref/GRCh38.fa',
+      );
+
+      expect(spawn).toHaveBeenCalledWith('samtools', [
+        'view',
+        '-C',
+        '-T',
+        '/ref/GRCh38.fa',
+        '-X',
+        'https://example.com/sample.cram',
+        '/path/to/sample.cram.crai',
+        '-L',
+        '/path/to/regions.bed',
+        '-M',
+        '-o',
+        '/path/to/output.cram',
+      ]);
+    });
+
     test('should handle samtools error and rethrow', async () => {
       fs.existsSync.mockReturnValue(false);
 
@@ -429,6 +484,134 @@ describe('rangedUtils (enhanced)', () => {
     });
   });
 
+  describe('convertBAMToCRAM', () => {
+    test('should stream the remote BAM into a CRAM file', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const mockProcess = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'close') {
+            setImmediate(() => callback(0));
+          }
+        }),
+      };
+      spawn.mockReturnValue(mockProcess);
+
+      await convertBAMToCRAM(
+        'https://example.com/sample.bam',
+        '/path/to/sample.cram',
+        '/ref/GRCh38.fa',
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(spawn).toHaveBeenCalledWith('samtools', [
+        'view',
+        '-C',
+        '-T',
+        '/ref/GRCh38.fa',
+        'https://example.com/sample.bam',
+        '-o',
+        '/path/to/sample.cram',
+      ]);
+      expect(mockMetrics.totalFilesDownloaded).toBe(1);
+    });
+
+    test('should remove the partial CRAM when samtools fails', async () => {
+      fs.existsSync.mockReturnValueOnce(false).mockReturnValue(true);
+      const mockProcess = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'close') {
+            setImmediate(() => callback(1));
+          }
+        }),
+      };
+      spawn.mockReturnValue(mockProcess);
+
+      await expect(
+        convertBAMToCRAM(
+          'https://example.com/sample.bam',
+          '/path/to/sample.cram',
+          '/ref/GRCh38.fa',
+          mockLogger,
+          mockMetrics,
+        ),
+      ).rejects.toThrow('Process samtools exited with code 1');
+      expect(fs.unlinkSync).toHaveBeenCalledWith('/path/to/sample.cram');
+    });
+  });
+
+  describe('readRemoteContigs', () => {
+    const runWithOutput = (output, code = 0) => {
+      const mockProcess = {
+        stdout: { on: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn(),
+      };
+      spawn.mockReturnValue(mockProcess);
+      setImmediate(() => {
+        mockProcess.stdout.on.mock.calls[0][1](Buffer.from(output));
+        mockProcess.on.mock.calls.find((call) => call[0] === 'close')[1](code);
+      });
+    };
+
+    test('should read the @SQ names of a BAM header', async () => {
+      runWithOutput(
+        '@HD\tVN:1.6\n@SQ\tSN:chr1\tLN:248956422\n@SQ\tLN:16569\tSN:chrM\n@PG\tID:bwa\n',
+      );
+
+      await expect(
+        readRemoteContigs(
+          'https://example.com/a.bam',
+          'bam',
+          '/data/a.bam.bai',
+          mockLogger,
+        ),
+      ).resolves.toEqual(['chr1', 'chrM']);
+      expect(spawn).toHaveBeenCalledWith(
+        'samtools',
+        ['view', '-H', 'https://example.com/a.bam'],
+        { cwd: '/data' },
+      );
+    });
+
+    test('should read the ##contig IDs of a VCF header with tabix', async () => {
+      runWithOutput(
+        '##fileformat=VCFv4.2\n##contig=<ID=1,length=248956422>\n##contig=<ID=MT>\n#CHROM\tPOS\n',
+      );
+
+      await expect(
+        readRemoteContigs(
+          'https://example.com/a.vcf.gz',
+          'vcf',
+          '/data/a.vcf.gz.tbi',
+          mockLogger,
+        ),
+      ).resolves.toEqual(['1', 'MT']);
+      expect(spawn).toHaveBeenCalledWith(
+        'tabix',
+        ['-H', 'https://example.com/a.vcf.gz'],
+        { cwd: '/data' },
+      );
+    });
+
+    test('should reject when the tool fails', async () => {
+      runWithOutput('', 1);
+
+      await expect(
+        readRemoteContigs(
+          'https://example.com/a.bam',
+          'bam',
+          '/data/a.bam.bai',
+          mockLogger,
+        ),
+      ).rejects.toThrow('samtools exited with code 1 reading the header');
+    });
+  });
+
   describe('indexBAM', () => {
     beforeEach(() => {
       fs.existsSync.mockReturnValue(false);
@@ -1,5 +1,6 @@
 const { spawn } = require('node:child_process');
 const fs = require('node:fs');
+const path = require('node:path');
 
 // Mock child_process.spawn
 jest.mock('child_process');
@@ -11,7 +12,9 @@ jest.mock('../../js/fileUtils');
 const {
   compareVersions,
   rangedDownloadVCF,
+  rangedDownloadVCFRegions,
   indexVCF,
+  tabixIndexPath,
 } = require('../../js/rangedUtils');
 
 describe('rangedUtils', () => {
@@ -406,6 +409,96 @@ describe('rangedUtils', () => {
     });
   });
 
+  describe('rangedDownloadVCFRegions', () => {
+    const mockPipeline = () => {
+      const filterOutput = { pipe: jest.fn() };
+      const mockTabixProcess = {
+        stdout: { pipe: jest.fn(() => filterOutput) },
+        stderr: { on: jest.fn() },
+        on: jest.fn(),
+      };
+      const mockBgzipProcess = {
+        stdin: {},
+        stdout: { pipe: jest.fn() },
+        stderr: { on: jest.fn() },
+        on: jest.fn((event, callback) => {
+          if (event === 'close') {
+            setTimeout(() => callback(0), 0);
+          }
+        }),
+      };
+      spawn
+        .mockReturnValueOnce(mockTabixProcess)
+        .mockReturnValueOnce(mockBgzipProcess);
+      fs.createWriteStream.mockReturnValue({
+        on: jest.fn((event, callback) => {
+          if (event === 'finish') {
+            setTimeout(() => callback(), 0);
+          }
+        }),
+      });
+      return { mockTabixProcess, mockBgzipProcess, filterOutput };
+    };
+
+    test('should stream all BED regions from tabix into one file', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const { mockBgzipProcess, filterOutput } = mockPipeline();
+      const url = 'https://example.com/test.vcf.gz?sig=1';
+
+      await rangedDownloadVCFRegions(
+        url,
+        '/tmp/run/regions.bed',
+        '/path/to/output.multiple-regions.vcf.gz',
+        '/path/to/test.vcf.gz.tbi',
+        mockLogger,
+        mockMetrics,
+      );
+
+      expect(spawn).toHaveBeenCalledWith(
+        'sh',
+        ['-c', `tabix -h -R "/tmp/run/regions.bed" "${url}"`],
+        { cwd: '/path/to' },
+      );
+      expect(filterOutput.pipe).toHaveBeenCalledWith(mockBgzipProcess.stdin);
+      expect(mockMetrics.totalFilesDownloaded).toBe(1);
+    });
+
+    test('should drop records tabix returns for several regions', async () => {
+      fs.existsSync.mockReturnValue(false);
+      const { mockTabixProcess } = mockPipeline();
+      await rangedDownloadVCFRegions(
+        'https://example.com/test.vcf.gz',
+        '/tmp/run/regions.bed',
+        '/path/to/output.vcf.gz',
+        '/path/to/test.vcf.gz.tbi',
+        mockLogger,
+        mockMetrics,
+      );
+      const filter = mockTabixProcess.stdout.pipe.mock.calls[0][0];
+      const chunks = [];
+      filter.on('data', (chunk) => chunks.push(chunk.toString()));
+
+      filter.write(
+        '##fileformat=VCFv4.2\n#CHROM\tPOS\nchr1\t100\t.\tACGT\tA\n',
+      );
+      filter.write('chr1\t120\t.\tA\tG\nchr1\t100\t.\tACGT\tA\nchr1\t12');
+      filter.end('0\t.\tA\tG\nchr1\t120\t.\tA\tT\nchr2\t5\t.\tC\tT');
+      await new Promise((resolve) => filter.on('end', resolve));
+
+      expect(chunks.join('')).toBe(
+        [
+          '##fileformat=VCFv4.2',
+          '#CHROM\tPOS',
+          'chr1\t100\t.\tACGT\tA',
+          'chr1\t120\t.\tA\tG',
+          'chr1\t120\t.\tA\tT',
+          'chr2\t5\t.\tC\tT',
+          '',
+        ].join('\n'),
+      );
+    });
+  });
+
   describe('indexVCF', () => {
     beforeEach(() => {
       fs.existsSync.mockReturnValue(false); // Index doesn't exist
@@ -487,4 +580,23 @@ describe('rangedUtils', () => {
       );
     });
   });
+
+  describe('tabixIndexPath', () => {
+    test('should use an index saved under its remote name', () => {
+      expect(
+        tabixIndexPath('out/S1/x.vcf.gz.tbi', 'x.vcf.gz.tbi', '/tmp/run'),
+      ).toBe('out/S1/x.vcf.gz.tbi');
+      expect(fs.copyFileSync).not.toHaveBeenCalled();
+    });
+
+    test('should copy a renamed index under its remote name', () => {
+      expect(
+        tabixIndexPath('out/S1_full.vcf.gz.tbi', 'x.vcf.gz.tbi', '/tmp/run'),
+      ).toBe(path.join('/tmp/run', 'x.vcf.gz.tbi'));
+      expect(fs.copyFileSync).toHaveBeenCalledWith(
+        'out/S1_full.vcf.gz.tbi',
+        path.join('/tmp/run', 'x.vcf.gz.tbi'),
+      );
+    });
+  });
 });
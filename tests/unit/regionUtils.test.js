@@ -0,0 +1,189 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  parseRegion,
+  formatRegion,
+  parseBed,
+  readBedFile,
+  mergeIntervals,
+  normalizeRegions,
+  regionsToBed,
+  matchContig,
+  normalizeContigs,
+} = require('../../js/regionUtils.cjs');
+const { TestDirectory } = require('../helpers/testUtils');
+
+describe('regionUtils', () => {
+  describe('parseRegion', () => {
+    test('should parse regions with thousands separators and whole contigs', () => {
+      expect(parseRegion('chr1:1,000-2,000')).toEqual({
+        chrom: 'chr1',
+        start: 1000,
+        end: 2000,
+      });
+      expect(parseRegion(' chrX ')).toEqual({
+        chrom: 'chrX',
+        start: 1,
+        end: null,
+      });
+    });
+
+    test.each([
+      ['chr1:100', 'expected chr:start-end'],
+      ['chr1:abc-200', 'expected chr:start-end'],
+      [':1-2', 'expected chr:start-end'],
+      ['chr1 chr2', 'expected chr:start-end'],
+      ['chr1:0-100', 'positions start at 1'],
+      ['chr1:200-100', 'the end is before the start'],
+    ])('should reject %s', (region, message) => {
+      expect(() => parseRegion(region)).toThrow(message);
+    });
+  });
+
+  describe('formatRegion', () => {
+    test('should format ranges and whole contigs', () => {
+      expect(formatRegion({ chrom: 'chr1', start: 5, end: 10 })).toBe(
+        'chr1:5-10',
+      );
+      expect(formatRegion({ chrom: 'chrM', start: 1, end: null })).toBe('chrM');
+    });
+  });
+
+  describe('parseBed', () => {
+    test('should skip headers and comments, accept spaces and convert 0-based starts', () => {
+      const bed = [
+        'browser position chr1:1-1000',
+        'track name=panel',
+        '# comment',
+        'chr1\t0\t100\tGENE1\t0\t+',
+        'chr2 199 300',
+        '',
+      ].join('\r\n');
+
+      expect(parseBed(bed, 'panel.bed')).toEqual([
+        { chrom: 'chr1', start: 1, end: 100 },
+        { chrom: 'chr2', start: 200, end: 300 },
+      ]);
+    });
+
+    test('should report invalid lines with their number', () => {
+      expect(() =>
+        parseBed('chr1\t0\t100\nchr1\t500\t400', 'panel.bed'),
+      ).toThrow(
+        'Invalid BED line 2 of panel.bed: expected "chrom start end" with start < end, got: chr1\t500\t400',
+      );
+      expect(() => parseBed('chr1:1-100', 'panel.bed')).toThrow(
+        'Invalid BED line 1 of panel.bed',
+      );
+    });
+  });
+
+  describe('readBedFile', () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = new TestDirectory();
+    });
+
+    afterEach(async () => {
+      await testDir.cleanup();
+    });
+
+    test('should read a BED file as region strings', async () => {
+      const dir = await testDir.create(`bed-${Date.now()}`);
+      const bedFile = path.join(dir, 'panel.bed');
+      fs.writeFileSync(bedFile, 'chr17\t43044294\t43125483\tBRCA1\n');
+
+      expect(readBedFile(bedFile)).toEqual(['chr17:43044295-43125483']);
+    });
+  });
+
+  describe('mergeIntervals', () => {
+    test('should sort and merge overlapping and adjacent intervals per contig', () => {
+      expect(
+        mergeIntervals([
+          { chrom: 'chr2', start: 500, end: 600 },
+          { chrom: 'chr1', start: 300, end: 400 },
+          { chrom: 'chr2', start: 100, end: 200 },
+          { chrom: 'chr2', start: 201, end: 250 },
+          { chrom: 'chr2', start: 550, end: 700 },
+        ]),
+      ).toEqual([
+        { chrom: 'chr2', start: 100, end: 250 },
+        { chrom: 'chr2', start: 500, end: 700 },
+        { chrom: 'chr1', start: 300, end: 400 },
+      ]);
+    });
+
+    test('should pad intervals without going below position 1', () => {
+      expect(
+        mergeIntervals(
+          [
+            { chrom: 'chr1', start: 5, end: 10 },
+            { chrom: 'chr1', start: 40, end: 50 },
+          ],
+          15,
+        ),
+      ).toEqual([{ chrom: 'chr1', start: 1, end: 65 }]);
+    });
+
+    test('should let a whole contig absorb the ranges on it', () => {
+      expect(
+        mergeIntervals([
+          { chrom: 'chrM', start: 100, end: 200 },
+          { chrom: 'chrM', start: 1, end: null },
+        ]),
+      ).toEqual([{ chrom: 'chrM', start: 1, end: null }]);
+    });
+  });
+
+  describe('normalizeRegions', () => {
+    test('should validate, pad and merge region strings', () => {
+      expect(
+        normalizeRegions(['chr1:100-200', 'chr1:150-300', 'chrX'], {
+          padding: 10,
+        }),
+      ).toEqual(['chr1:90-310', 'chrX']);
+      expect(() => normalizeRegions(['chr1:5-1'])).toThrow('Invalid region');
+    });
+  });
+
+  describe('regionsToBed', () => {
+    test('should write 0-based BED lines', () => {
+      expect(regionsToBed(['chr1:10-20', 'chrX'])).toBe(
+        'chr1\t9\t20\nchrX\t0\t300000000',
+      );
+    });
+  });
+
+  describe('matchContig', () => {
+    test('should add or remove the chr prefix and match mitochondrial names', () => {
+      expect(matchContig('1', ['chr1', 'chr2'])).toBe('chr1');
+      expect(matchContig('chr1', ['1', '2'])).toBe('1');
+      expect(matchContig('chrM', ['1', 'MT'])).toBe('MT');
+      expect(matchContig('MT', ['chr1', 'chrM'])).toBe('chrM');
+      expect(matchContig('chr3', ['chr1', 'chr2'])).toBeNull();
+    });
+
+    test('should translate between UCSC, Ensembl and RefSeq names', () => {
+      const refseq = ['NC_000001.11', 'NC_000023.11', 'NC_012920.1'];
+      expect(matchContig('chr1', refseq)).toBe('NC_000001.11');
+      expect(matchContig('X', refseq)).toBe('NC_000023.11');
+      expect(matchContig('chrM', refseq)).toBe('NC_012920.1');
+      expect(matchContig('NC_000024.10', ['chrX', 'chrY'])).toBe('chrY');
+      expect(matchContig('chrx', ['X'])).toBe('X');
+      expect(matchContig('GL000192.1', ['chr1'])).toBeNull();
+    });
+  });
+
+  describe('normalizeContigs', () => {
+    test('should rename regions to the header contigs and list unknown ones', () => {
+      expect(
+        normalizeContigs(['1:100-200', 'X', 'chrUn_1:1-5'], ['chr1', 'chrX']),
+      ).toEqual({
+        regions: ['chr1:100-200', 'chrX', null],
+        unknown: ['chrUn_1'],
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const {
+  REPORT_FORMATS,
+  buildReportData,
+  formatTextReport,
+  formatHtmlReport,
+  formatReport,
+} = require('../../js/reportUtils.cjs');
+
+describe('reportUtils', () => {
+  const fileResult = (overrides) => ({
+    analysisId: '1',
+    sampleId: 'SAM1',
+    personLimsId: 'LIMS1',
+    sourceFile: 'a.bam',
+    outputPath: 'out/a.bam',
+    mode: 'full',
+    regions: [],
+    size: 100,
+    md5: null,
+    checksumVerified: false,
+    startedAt: '2025-01-15T12:00:00.000Z',
+    finishedAt: '2025-01-15T12:01:00.000Z',
+    status: 'downloaded',
+    error: null,
+    ...overrides,
+  });
+
+  const createMetrics = () => ({
+    startTime: Date.now(),
+    totalFilesDownloaded: 1,
+    totalFilesSkipped: 1,
+    totalBytesDownloaded: 100,
+    downloadSpeeds: [50, 150],
+    fileResults: [
+      fileResult(),
+      fileResult({
+        sourceFile: 'b.bam',
+        outputPath: 'out/b.bam',
+        status: 'skipped',
+      }),
+      fileResult({
+        analysisId: '2',
+        sampleId: 'SAM2',
+        sourceFile: 'c.bam',
+        outputPath: 'out/c.bam',
+        status: 'failed',
+        error: 'network down',
+      }),
+    ],
+    archivedFiles: [
+      {
+        analysisId: '3',
+        fileName: 'd.bam',
+        restorationStatus: 'queued',
+        restoreEstimation: '2025-01-16T00:00:00Z',
+      },
+      {
+        analysisId: '4',
+        fileName: 'e.bam',
+        restorationStatus: 'not-requested',
+        restoreEstimation: null,
+      },
+    ],
+    skippedFiles: [
+      { analysisId: '1', fileName: 'a.vcf.gz', reason: 'not a BAM file' },
+    ],
+  });
+
+  test('should expose the supported formats', () => {
+    expect(REPORT_FORMATS).toEqual(['text', 'json', 'html']);
+  });
+
+  describe('buildReportData', () => {
+    test('should summarize results per analysis', () => {
+      const data = buildReportData(createMetrics());
+
+      expect(data.summary).toEqual(
+        expect.objectContaining({
+          totalFilesProcessed: 2,
+          filesDownloaded: 1,
+          filesSkipped: 1,
+          filesFailed: 1,
+          averageSpeedBytesPerSecond: 100,
+        }),
+      );
+      expect(data.analyses).toEqual([
+        expect.objectContaining({
+          analysisId: '1',
+          sampleId: 'SAM1',
+          downloaded: 1,
+          skipped: 1,
+          failed: 0,
+          bytes: 100,
+        }),
+        expect.objectContaining({ analysisId: '2', failed: 1 }),
+      ]);
+      expect(data.analyses[0].files).toHaveLength(2);
+    });
+
+    test('should count the files per type', () => {
+      const metrics = createMetrics();
+      metrics.fileResults.push(
+        fileResult({ sourceFile: 'report.pdf', outputPath: 'out/report.pdf' }),
+      );
+
+      const data = buildReportData(metrics);
+
+      expect(data.groups).toEqual([
+        { group: 'alignment', downloaded: 1, skipped: 1, failed: 1 },
+        { group: 'report', downloaded: 1, skipped: 0, failed: 0 },
+      ]);
+      expect(data.analyses[0].files.at(-1).group).toBe('report');
+      expect(formatTextReport(data)).toContain(
+        'Files by Type: alignment 2, report 1',
+      );
+    });
+
+    test('should list failures, skipped files with reasons and archived files', () => {
+      const data = buildReportData(createMetrics());
+
+      expect(data.failures).toEqual([
+        {
+          analysisId: '2',
+          fileName: 'c.bam',
+          outputPath: 'out/c.bam',
+          error: 'network down',
+        },
+      ]);
+      expect(
+        data.skipped.map((entry) => [entry.fileName, entry.reason]),
+      ).toEqual([
+        ['b.bam', 'output already exists (use --overwrite to replace)'],
+        ['a.vcf.gz', 'not a BAM file'],
+        ['e.bam', 'archived; restoration not requested'],
+      ]);
+      expect(data.archived).toEqual([
+        {
+          analysisId: '3',
+          fileName: 'd.bam',
+          restoreEstimation: '2025-01-16T00:00:00Z',
+        },
+      ]);
+    });
+
+    test('should add failed jobs that produced no output file', () => {
+      const data = buildReportData(createMetrics(), {
+        jobResults: [
+          {
+            job: { analysisId: '2', fileName: 'c.bam' },
+            status: 'rejected',
+            error: new Error('network down'),
+          },
+          {
+            job: { analysisId: '5', fileName: 'f.bam' },
+            status: 'rejected',
+            error: new Error('Index file for BAM (f.bam) not found.'),
+          },
+          {
+            job: { analysisId: '1', fileName: 'a.bam' },
+            status: 'fulfilled',
+          },
+        ],
+      });
+
+      expect(data.failures.map((failure) => failure.fileName)).toEqual([
+        'c.bam',
+        'f.bam',
+      ]);
+      expect(data.analyses.find((a) => a.analysisId === '5').failed).toBe(1);
+    });
+
+    test('should include configuration and run metadata', () => {
+      const data = buildReportData(createMetrics(), {
+        config: { target: 'testenv' },
+        meta: { tool: 'varvis-download', version: '1.0.0' },
+      });
+
+      expect(data.configuration).toEqual({ target: 'testenv' });
+      expect(data.tool).toBe('varvis-download');
+      expect(data.version).toBe('1.0.0');
+    });
+  });
+
+  describe('formatters', () => {
+    test('should keep the text summary format', () => {
+      const text = formatTextReport(buildReportData(createMetrics()));
+
+      expect(text).toContain('Download Summary Report:');
+      expect(text).toContain('Files Skipped (already exist): 1');
+      expect(text).toContain('Files Failed: 1');
+      expect(text).toContain('- c.bam (analysis 2): network down');
+      expect(text).toContain('Average Download Speed: 100.00 bytes/sec');
+    });
+
+    test('should escape values in the HTML report', () => {
+      const metrics = createMetrics();
+      metrics.fileResults[2].error = '<script>alert(1)</script>';
+
+      const html = formatHtmlReport(buildReportData(metrics));
+
+      expect(html).toContain('<!DOCTYPE html>');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    test('should format JSON reports', () => {
+      const json = JSON.parse(
+        formatReport(buildReportData(createMetrics()), 'json'),
+      );
+
+      expect(json.failures).toHaveLength(1);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => formatReport({}, 'xml')).toThrow(
+        'Unsupported report format: xml',
+      );
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  parseDelimited,
+  readSampleSheet,
+  readRegionMap,
+} = require('../../js/sampleSheet.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+describe('sampleSheet', () => {
+  let logger;
+  let testDir;
+  let dir;
+
+  beforeEach(async () => {
+    logger = createMockLogger();
+    testDir = new TestDirectory();
+    dir = await testDir.create(`sheet-${Date.now()}`);
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  const writeSheet = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  describe('parseDelimited', () => {
+    test('should handle quoted cells, doubled quotes and CRLF line ends', () => {
+      expect(
+        parseDelimited('a,b\r\n"x,1","say ""hi""\nthere"\r\n', ','),
+      ).toEqual([
+        ['a', 'b'],
+        ['x,1', 'say "hi"\nthere'],
+      ]);
+    });
+
+    test('should keep empty cells', () => {
+      expect(parseDelimited('a\t\tc', '\t')).toEqual([['a', '', 'c']]);
+    });
+  });
+
+  describe('readSampleSheet', () => {
+    test('should read IDs with per-row regions and file types from a TSV file', () => {
+      const filePath = writeSheet(
+        'samples.tsv',
+        [
+          'personLimsId\tname\tregions\tfiletypes',
+          'LIMS-1\tA\tchr1:1-100 chr2\tbam,bam.bai',
+          '# a comment',
+          '',
+          'LIMS-2\tB\t\t',
+        ].join('\n'),
+      );
+
+      expect(readSampleSheet(filePath, {}, logger)).toEqual({
+        column: 'personLimsId',
+        kind: 'limsIds',
+        rows: [
+          {
+            id: 'LIMS-1',
+            regions: ['chr1:1-100', 'chr2'],
+            filetypes: ['bam', 'bam.bai'],
+            line: 2,
+          },
+          { id: 'LIMS-2', regions: [], filetypes: [], line: 5 },
+        ],
+      });
+      expect(logger.info).toHaveBeenCalledWith(
+        `Read 2 IDs from column "personLimsId" of ${filePath} as limsIds`,
+      );
+    });
+
+    test('should detect semicolon-separated spreadsheet exports with a BOM', () => {
+      const filePath = writeSheet(
+        'samples.csv',
+        '﻿SampleID;Comment\r\nS1;"first; urgent"\r\nS2;\r\n',
+      );
+
+      const sheet = readSampleSheet(filePath, {}, logger);
+
+      expect(sheet.kind).toBe('sampleIds');
+      expect(sheet.rows.map((row) => row.id)).toEqual(['S1', 'S2']);
+    });
+
+    test('should use the given column and ID type', () => {
+      const filePath = writeSheet(
+        'samples.csv',
+        'sampleId,Patient\nS1,P-001\nS2,P-002\n',
+      );
+
+      const sheet = readSampleSheet(
+        filePath,
+        { idColumn: 'patient', idType: 'lims' },
+        logger,
+      );
+
+      expect(sheet.column).toBe('Patient');
+      expect(sheet.kind).toBe('limsIds');
+      expect(sheet.rows.map((row) => row.id)).toEqual(['P-001', 'P-002']);
+    });
+
+    test('should explain a column that cannot be used', () => {
+      const filePath = writeSheet('samples.csv', 'Patient,Ward\nP-001,3\n');
+
+      expect(() => readSampleSheet(filePath, {}, logger)).toThrow(
+        'no ID column found; use --id-column (columns: Patient, Ward)',
+      );
+      expect(() =>
+        readSampleSheet(filePath, { idColumn: 'Patient' }, logger),
+      ).toThrow('cannot tell which IDs column "Patient" holds');
+      expect(() =>
+        readSampleSheet(filePath, { idColumn: 'Room' }, logger),
+      ).toThrow('no column "Room"');
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining(`Error reading IDs file ${filePath}:`),
+      );
+    });
+
+    test('should reject Excel workbooks', () => {
+      expect(() => readSampleSheet('samples.xlsx', {}, logger)).toThrow(
+        'export the sheet as CSV or TSV',
+      );
+    });
+  });
+
+  describe('readRegionMap', () => {
+    test('should map IDs to region lists and BED files relative to the map', () => {
+      fs.mkdirSync(path.join(dir, 'panels'));
+      writeSheet(
+        'panels/cardio.bed',
+        '# cardio panel\nchr1\t100\t200\r\nchr2\t300\t400\n',
+      );
+      const filePath = writeSheet(
+        'regions.csv',
+        [
+          'sampleId,bed',
+          'S1,panels/cardio.bed',
+          'S2,chr17:43044295-43125483',
+          'S2,chr13:32315086-32400268',
+        ].join('\n'),
+      );
+
+      const regionMap = readRegionMap(filePath, logger);
+
+      expect(regionMap.kind).toBe('sampleIds');
+      expect(Object.fromEntries(regionMap.regions)).toEqual({
+        S1: ['chr1:101-200', 'chr2:301-400'],
+        S2: ['chr17:43044295-43125483', 'chr13:32315086-32400268'],
+      });
+      expect(logger.info).toHaveBeenCalledWith(
+        `Read regions of 2 IDs from column "sampleId" of ${filePath} as sampleIds`,
+      );
+    });
+
+    test('should sort and merge the regions of an ID across lines', () => {
+      const filePath = writeSheet(
+        'regions.tsv',
+        [
+          'sampleId\tregions',
+          'S1\tchr1:500-900',
+          'S1\tchr1:100-600 chr2:1-50',
+          'S1\tchr1:50-120',
+        ].join('\n'),
+      );
+
+      const regionMap = readRegionMap(filePath, logger);
+
+      expect(regionMap.regions.get('S1')).toEqual(['chr1:50-900', 'chr2:1-50']);
+    });
+
+    test('should require regions for every ID', () => {
+      const withoutColumn = writeSheet('ids.tsv', 'personLimsId\nLIMS-1\n');
+      const withoutRegions = writeSheet(
+        'regions.tsv',
+        'personLimsId\tregions\nLIMS-1\tchr1\nLIMS-2\t\n',
+      );
+
+      expect(() => readRegionMap(withoutColumn, logger)).toThrow(
+        'no "regions" or "bed" column',
+      );
+      expect(() => readRegionMap(withoutRegions, logger)).toThrow(
+        'no regions for LIMS-2 on line 3',
+      );
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining(`Error reading region map ${withoutRegions}:`),
+      );
+    });
+  });
+});
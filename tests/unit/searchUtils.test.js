@@ -0,0 +1,85 @@
+const {
+  DEFAULT_SEARCH_COLUMNS,
+  toSearchRow,
+  formatAnalyses,
+} = require('../../js/searchUtils.cjs');
+
+describe('searchUtils', () => {
+  const analyses = [
+    {
+      id: 101,
+      sampleId: 'S1',
+      personLimsId: 'LIMS-001',
+      analysisType: 'SNV',
+      enrichmentKitName: 'TwistExomev2',
+      runDate: '2024-06-01',
+    },
+    {
+      id: 102,
+      sampleId: 'S2, repeat',
+      personLimsId: 'LIMS-002',
+      analysisType: 'SV',
+      enrichmentKitName: null,
+      runDate: '2024-06-02',
+    },
+  ];
+
+  describe('toSearchRow', () => {
+    test('should pick the columns and fill missing fields with null', () => {
+      expect(toSearchRow(analyses[0], ['id', 'missing'])).toEqual({
+        id: 101,
+        missing: null,
+      });
+    });
+
+    test('should render timestamps of date columns as ISO dates', () => {
+      expect(
+        toSearchRow({ createdAt: Date.UTC(2024, 5, 1) }, ['createdAt']),
+      ).toEqual({ createdAt: '2024-06-01T00:00:00.000Z' });
+    });
+  });
+
+  describe('formatAnalyses', () => {
+    test('should print an aligned table with the default columns', () => {
+      const lines = formatAnalyses(analyses).split('\n');
+
+      expect(lines[0].split(/\s+/)).toEqual(DEFAULT_SEARCH_COLUMNS);
+      expect(lines[1]).toMatch(/^-+ {2}-+/);
+      expect(lines[2]).toMatch(/^101 {2}S1 +LIMS-001/);
+      expect(lines[2].indexOf('LIMS-001')).toBe(lines[3].indexOf('LIMS-002'));
+    });
+
+    test('should quote CSV cells that contain separators', () => {
+      expect(
+        formatAnalyses(analyses, {
+          columns: ['id', 'sampleId'],
+          format: 'csv',
+        }),
+      ).toBe('id,sampleId\n101,S1\n102,"S2, repeat"');
+    });
+
+    test('should print TSV without header', () => {
+      expect(
+        formatAnalyses(analyses, {
+          columns: ['id', 'enrichmentKitName'],
+          format: 'tsv',
+          header: false,
+        }),
+      ).toBe('101\tTwistExomev2\n102\t');
+    });
+
+    test('should print JSON rows with the selected columns', () => {
+      expect(
+        JSON.parse(
+          formatAnalyses(analyses, { columns: ['id'], format: 'json' }),
+        ),
+      ).toEqual([{ id: 101 }, { id: 102 }]);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => formatAnalyses(analyses, { format: 'xml' })).toThrow(
+        'Unsupported search format: xml',
+      );
+    });
+  });
+});
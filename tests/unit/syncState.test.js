@@ -0,0 +1,278 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  createSyncState,
+  readSyncState,
+  writeSyncState,
+  fingerprintAnalysis,
+  fingerprintFile,
+  planSync,
+  selectSyncFiles,
+  recordSyncedAnalysis,
+  formatSyncSummary,
+} = require('../../js/syncState.cjs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+describe('syncState', () => {
+  let logger;
+  let testDir;
+
+  const md5 = '0123456789abcdef0123456789abcdef';
+  const fileDict = {
+    'a.bam': { fileName: 'a.bam', size: 100, md5 },
+    'a.bam.bai': { fileName: 'a.bam.bai', size: 10 },
+    'b.vcf.gz': { fileName: 'b.vcf.gz', size: 50 },
+    'b.vcf.gz.tbi': { fileName: 'b.vcf.gz.tbi', size: 5 },
+  };
+
+  beforeEach(() => {
+    logger = createMockLogger();
+    testDir = new TestDirectory();
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  describe('readSyncState and writeSyncState', () => {
+    test('should start with an empty state when the file is missing', async () => {
+      const dir = await testDir.create(`sync-${Date.now()}`);
+
+      expect(readSyncState(path.join(dir, 'state.json'), logger)).toEqual(
+        createSyncState(),
+      );
+    });
+
+    test('should round-trip the state', async () => {
+      const dir = await testDir.create(`sync-${Date.now()}`);
+      const stateFile = path.join(dir, 'nested', 'state.json');
+      const state = createSyncState();
+      state.lastSync = '2025-01-01T00:00:00.000Z';
+
+      writeSyncState(state, stateFile, logger);
+
+      expect(readSyncState(stateFile, logger)).toEqual(state);
+      expect(fs.existsSync(`${stateFile}.tmp`)).toBe(false);
+    });
+
+    test('should refuse unreadable state files', async () => {
+      const dir = await testDir.create(`sync-${Date.now()}`);
+      const stateFile = path.join(dir, 'state.json');
+      fs.writeFileSync(stateFile, '{"version": 99, "analyses": {}}');
+
+      expect(() => readSyncState(stateFile, logger)).toThrow(
+        'unsupported state version 99',
+      );
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('fingerprints', () => {
+    test('should not depend on the key order of an analysis', () => {
+      expect(fingerprintAnalysis({ id: 1, sampleId: 'S1' })).toBe(
+        fingerprintAnalysis({ sampleId: 'S1', id: 1 }),
+      );
+      expect(fingerprintAnalysis({ id: 1, sampleId: 'S1' })).not.toBe(
+        fingerprintAnalysis({ id: 1, sampleId: 'S2' }),
+      );
+    });
+
+    test('should use the size and API checksum of a file', () => {
+      expect(fingerprintFile(fileDict['a.bam'])).toEqual({
+        size: 100,
+        checksum: `md5:${md5}`,
+      });
+      expect(fingerprintFile(fileDict['b.vcf.gz'])).toEqual({
+        size: 50,
+        checksum: null,
+      });
+    });
+  });
+
+  describe('planSync', () => {
+    test('should sort analyses into new, changed, incomplete and unchanged', () => {
+      const analyses = [
+        { id: 1, sampleId: 'S1' },
+        { id: 2, sampleId: 'S2' },
+        { id: 3, sampleId: 'S3' },
+        { id: 4, sampleId: 'S4' },
+      ];
+      const state = createSyncState();
+      state.analyses['2'] = { fingerprint: 'old', complete: true };
+      state.analyses['3'] = {
+        fingerprint: fingerprintAnalysis(analyses[2]),
+        complete: false,
+      };
+      state.analyses['4'] = {
+        fingerprint: fingerprintAnalysis(analyses[3]),
+        complete: true,
+      };
+
+      const { pending, unchanged } = planSync(state, analyses, ['bam']);
+
+      expect(
+        pending.map(({ analysis, reason }) => [analysis.id, reason]),
+      ).toEqual([
+        [1, 'new'],
+        [2, 'changed'],
+        [3, 'incomplete'],
+      ]);
+      expect(unchanged).toEqual([analyses[3]]);
+    });
+
+    test('should recheck analyses synced with other file types', () => {
+      const analysis = { id: 1, sampleId: 'S1' };
+      const state = createSyncState();
+      state.analyses['1'] = {
+        fingerprint: fingerprintAnalysis(analysis),
+        filetypes: ['bam', 'bam.bai'],
+        complete: true,
+      };
+
+      expect(planSync(state, [analysis], ['bam.bai', 'bam']).unchanged).toEqual(
+        [analysis],
+      );
+      expect(planSync(state, [analysis], ['vcf.gz']).pending).toEqual([
+        { analysis, reason: 'changed' },
+      ]);
+    });
+  });
+
+  describe('selectSyncFiles', () => {
+    test('should select every primary file of a new analysis', () => {
+      expect(selectSyncFiles(undefined, fileDict)).toEqual({
+        newFiles: ['a.bam', 'b.vcf.gz'],
+        changedFiles: [],
+        unchangedFiles: [],
+      });
+    });
+
+    test('should select files whose size, checksum or index changed', () => {
+      const previous = {
+        files: {
+          'a.bam': { size: 100, checksum: `md5:${'f'.repeat(32)}` },
+          'a.bam.bai': { size: 10, checksum: null },
+          'b.vcf.gz': { size: 50, checksum: null },
+          'b.vcf.gz.tbi': { size: 4, checksum: null },
+        },
+      };
+
+      expect(selectSyncFiles(previous, fileDict)).toEqual({
+        newFiles: [],
+        changedFiles: ['a.bam', 'b.vcf.gz'],
+        unchangedFiles: [],
+      });
+    });
+
+    test('should keep files that did not change', () => {
+      const previous = {
+        files: {
+          'a.bam': fingerprintFile(fileDict['a.bam']),
+          'a.bam.bai': fingerprintFile(fileDict['a.bam.bai']),
+        },
+      };
+
+      expect(selectSyncFiles(previous, fileDict)).toEqual({
+        newFiles: ['b.vcf.gz'],
+        changedFiles: [],
+        unchangedFiles: ['a.bam'],
+      });
+    });
+
+    test('should select artifacts and indexes without their data file', () => {
+      const dict = {
+        'report.pdf': { fileName: 'report.pdf', size: 30 },
+        'c.cram.crai': { fileName: 'c.cram.crai', size: 8 },
+      };
+
+      expect(selectSyncFiles(undefined, dict).newFiles).toEqual([
+        'report.pdf',
+        'c.cram.crai',
+      ]);
+    });
+
+    test('should compare CRAM files together with their .crai index', () => {
+      const cramDict = {
+        'c.cram': { fileName: 'c.cram', size: 80 },
+        'c.cram.crai': { fileName: 'c.cram.crai', size: 8 },
+      };
+      const previous = {
+        files: {
+          'c.cram': fingerprintFile(cramDict['c.cram']),
+          'c.cram.crai': { size: 7, checksum: null },
+        },
+      };
+
+      expect(selectSyncFiles(previous, cramDict)).toEqual({
+        newFiles: [],
+        changedFiles: ['c.cram'],
+        unchangedFiles: [],
+      });
+    });
+  });
+
+  describe('recordSyncedAnalysis', () => {
+    test('should record the synced files with their index and local MD5', () => {
+      const state = createSyncState();
+      const analysis = { id: 7, sampleId: 'S7' };
+
+      const entry = recordSyncedAnalysis(state, analysis, fileDict, ['a.bam'], {
+        complete: false,
+        fileResults: [{ sourceFile: 'a.bam', md5 }],
+        filetypes: ['bam.bai', 'bam'],
+        now: new Date('2025-01-01T00:00:00Z'),
+      });
+
+      expect(state.analyses['7']).toBe(entry);
+      expect(entry).toEqual({
+        files: {
+          'a.bam': {
+            size: 100,
+            checksum: `md5:${md5}`,
+            md5,
+            syncedAt: '2025-01-01T00:00:00.000Z',
+          },
+          'a.bam.bai': {
+            size: 10,
+            checksum: null,
+            md5: null,
+            syncedAt: '2025-01-01T00:00:00.000Z',
+          },
+        },
+        sampleId: 'S7',
+        fingerprint: fingerprintAnalysis(analysis),
+        filetypes: ['bam', 'bam.bai'],
+        complete: false,
+        syncedAt: '2025-01-01T00:00:00.000Z',
+      });
+    });
+  });
+
+  describe('formatSyncSummary', () => {
+    test('should list new and changed files and the totals', () => {
+      const text = formatSyncSummary({
+        files: [
+          { analysisId: '1', file: 'a.bam', change: 'new', status: 'synced' },
+          {
+            analysisId: '2',
+            file: 'b.bam',
+            change: 'changed',
+            status: 'failed',
+          },
+        ],
+        analyses: { new: 1, changed: 1, incomplete: 0, unchanged: 5 },
+      });
+
+      expect(text).toBe(
+        [
+          '  new      1  a.bam',
+          '  changed  2  b.bam  (failed)',
+          '',
+          'Sync: 1 new, 1 changed, 0 incomplete and 5 unchanged analyses.',
+          '1 new and 0 changed files synced, 1 failed.',
+        ].join('\n'),
+      );
+    });
+  });
+});
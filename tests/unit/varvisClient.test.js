@@ -0,0 +1,476 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { createMockLogger } = require('../helpers/mockFactories');
+const { TestDirectory } = require('../helpers/testUtils');
+
+jest.mock('../../js/authService.cjs');
+jest.mock('../../js/fetchUtils.cjs', () => ({
+  ...jest.requireActual('../../js/fetchUtils.cjs'),
+  fetchAnalyses: jest.fn(),
+  fetchAnalysisIds: jest.fn(),
+  fetchAnalysisMetadata: jest.fn(),
+  getDownloadLinks: jest.fn(),
+}));
+jest.mock('../../js/rangedUtils.cjs', () => ({
+  ...jest.requireActual('../../js/rangedUtils.cjs'),
+  checkToolAvailability: jest.fn(),
+}));
+jest.mock('../../js/downloadJobs.cjs');
+jest.mock('../../js/archiveUtils.cjs');
+
+const AuthService = require('../../js/authService.cjs');
+const { VarvisClient } = require('../../js/varvisClient.cjs');
+const {
+  fetchAnalyses,
+  fetchAnalysisIds,
+  fetchAnalysisMetadata,
+  getDownloadLinks,
+} = require('../../js/fetchUtils.cjs');
+const { checkToolAvailability } = require('../../js/rangedUtils.cjs');
+const { createFileJobs } = require('../../js/downloadJobs.cjs');
+const { triggerRestoreArchivedFile } = require('../../js/archiveUtils.cjs');
+const {
+  createSyncState,
+  fingerprintAnalysis,
+} = require('../../js/syncState.cjs');
+
+describe('VarvisClient', () => {
+  let mockLogger;
+  let testDir;
+  let client;
+
+  const files = {
+    'sample.bam': { fileName: 'sample.bam', downloadLink: 'https://s3/bam' },
+    'sample.bam.bai': {
+      fileName: 'sample.bam.bai',
+      downloadLink: 'https://s3/bai',
+    },
+  };
+
+  beforeEach(() => {
+    mockLogger = createMockLogger();
+    testDir = new TestDirectory();
+    AuthService.mockImplementation(function () {
+      this.token = '';
+      this.login = jest.fn(async () => {
+        this.token = 'csrf';
+        return { csrfToken: 'csrf' };
+      });
+    });
+    getDownloadLinks.mockResolvedValue(files);
+    client = new VarvisClient({ target: 'testenv', logger: mockLogger });
+  });
+
+  afterEach(async () => {
+    await testDir.cleanup();
+  });
+
+  test('should require a target', () => {
+    expect(() => new VarvisClient({})).toThrow(
+      'VarvisClient requires a target',
+    );
+  });
+
+  test('should reject API calls before login', async () => {
+    await expect(client.searchAnalyses()).rejects.toThrow(
+      'Not logged in. Call login() first.',
+    );
+  });
+
+  test('should log in and emit a login event', async () => {
+    const onLogin = jest.fn();
+    client.on('login', onLogin);
+
+    await client.login('user', 'secret');
+
+    expect(client.authService.login).toHaveBeenCalledWith(
+      { username: 'user', password: 'secret' },
+      'testenv',
+    );
+    expect(client.token).toBe('csrf');
+    expect(onLogin).toHaveBeenCalledWith({
+      username: 'user',
+      target: 'testenv',
+    });
+  });
+
+  describe('after login', () => {
+    beforeEach(async () => {
+      await client.login('user', 'secret');
+    });
+
+    test('should search analyses with the given criteria', async () => {
+      fetchAnalysisIds.mockResolvedValue(['1', '2']);
+
+      const ids = await client.searchAnalyses({
+        sampleIds: ['S1'],
+        latest: true,
+        since: '7d',
+      });
+
+      expect(ids).toEqual(['1', '2']);
+      expect(fetchAnalysisIds).toHaveBeenCalledWith(
+        'testenv',
+        'csrf',
+        client.agent,
+        ['S1'],
+        [],
+        [],
+        mockLogger,
+        true,
+        { since: '7d', until: undefined, field: undefined },
+      );
+    });
+
+    test('should find analyses with their metadata', async () => {
+      const analyses = [{ id: 1, sampleId: 'S1', analysisType: 'SNV' }];
+      fetchAnalyses.mockResolvedValue(analyses);
+
+      await expect(
+        client.findAnalyses({ filters: ['analysisType=SNV'] }),
+      ).resolves.toBe(analyses);
+      expect(fetchAnalyses).toHaveBeenCalledWith(
+        'testenv',
+        'csrf',
+        client.agent,
+        [],
+        [],
+        ['analysisType=SNV'],
+        mockLogger,
+        false,
+        { since: undefined, until: undefined, field: undefined },
+      );
+    });
+
+    test('should list files without restoring archived ones', async () => {
+      const result = await client.listFiles('1');
+
+      expect(result.map((file) => file.fileName)).toEqual([
+        'sample.bam',
+        'sample.bam.bai',
+      ]);
+      expect(getDownloadLinks.mock.calls[0][6]).toBe('no');
+    });
+
+    test('should verify files where the layout placed them', async () => {
+      const destination = await testDir.create(`verify-${Date.now()}`);
+      fs.mkdirSync(`${destination}/S1`);
+      fs.writeFileSync(`${destination}/S1/S1.bam`, 'reads');
+      getDownloadLinks.mockResolvedValueOnce({
+        'sample.bam': {
+          fileName: 'sample.bam',
+          analysisId: '1',
+          md5: crypto.createHash('md5').update('reads').digest('hex'),
+        },
+      });
+      fetchAnalysisMetadata.mockResolvedValue({ 1: { sampleId: 'S1' } });
+
+      const [result] = await client.verify(['1'], {
+        destination,
+        layout: '{sampleId}/{sampleId}.{ext}',
+      });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          filePath: `${destination}/S1/S1.bam`,
+          status: 'ok',
+        }),
+      );
+      expect(fetchAnalysisMetadata).toHaveBeenCalledWith(
+        ['1'],
+        'testenv',
+        'csrf',
+        client.agent,
+        mockLogger,
+        true,
+      );
+    });
+
+    test('should fail downloads whose layout lacks the sample metadata', async () => {
+      const destination = await testDir.create(`layout-${Date.now()}`);
+      fetchAnalysisMetadata.mockRejectedValue(new Error('API unavailable'));
+
+      await expect(
+        client.download(['1'], {
+          destination,
+          layout: '{sampleId}/{fileName}',
+        }),
+      ).rejects.toThrow('API unavailable');
+      expect(createFileJobs).not.toHaveBeenCalled();
+    });
+
+    test('should collect download URLs of all analyses', async () => {
+      const urls = await client.listUrls(['1', '2']);
+
+      expect(urls).toEqual([
+        'https://s3/bam',
+        'https://s3/bai',
+        'https://s3/bam',
+        'https://s3/bai',
+      ]);
+    });
+
+    test('should run download jobs and return per-run metrics', async () => {
+      const destination = await testDir.create(`client-${Date.now()}`);
+      const run = jest.fn(async () => {});
+      createFileJobs.mockImplementation((analysisId, fileDict, ctx) => {
+        ctx.events.emit('file', { analysisId, status: 'downloaded' });
+        return [{ label: `job ${analysisId}`, analysisId, run }];
+      });
+      fetchAnalysisMetadata.mockResolvedValue({ 1: { sampleId: 'S1' } });
+      const onFile = jest.fn();
+      const onDone = jest.fn();
+      client.on('file', onFile);
+      client.on('done', onDone);
+
+      const result = await client.download(['1'], {
+        destination,
+        metadata: true,
+      });
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(result.analysisIds).toEqual(['1']);
+      expect(result.jobResults[0].status).toBe('fulfilled');
+      expect(result.metrics.totalFilesDownloaded).toBe(0);
+      expect(onFile).toHaveBeenCalledWith({
+        analysisId: '1',
+        status: 'downloaded',
+      });
+      expect(onDone).toHaveBeenCalledWith(result);
+      expect(createFileJobs.mock.calls[0][2]).toEqual(
+        expect.objectContaining({
+          destination,
+          regions: [],
+          analysisMetadata: { 1: { sampleId: 'S1' } },
+        }),
+      );
+      expect(checkToolAvailability).not.toHaveBeenCalled();
+    });
+
+    test('should emit job events with the expected size of full downloads', async () => {
+      const destination = await testDir.create(`client-${Date.now()}`);
+      getDownloadLinks.mockResolvedValue({
+        'sample.bam': { ...files['sample.bam'], size: 2048 },
+      });
+      createFileJobs.mockReturnValue([
+        {
+          label: 'sample.bam (analysis 1)',
+          analysisId: '1',
+          fileName: 'sample.bam',
+          run: jest.fn(async () => {
+            throw new Error('network down');
+          }),
+        },
+      ]);
+      const onQueued = jest.fn();
+      const onEnd = jest.fn();
+      client.on('job:queued', onQueued);
+      client.on('job:end', onEnd);
+
+      const result = await client.download(['1'], { destination });
+
+      expect(onQueued).toHaveBeenCalledWith({
+        analysisId: '1',
+        file: 'sample.bam',
+        label: 'sample.bam (analysis 1)',
+        size: 2048,
+      });
+      expect(onEnd).toHaveBeenCalledWith(
+        expect.objectContaining({
+          file: 'sample.bam',
+          status: 'rejected',
+          error: 'network down',
+        }),
+      );
+      expect(result.jobResults[0].status).toBe('rejected');
+    });
+
+    test('should sync only new or changed analyses and replace changed files', async () => {
+      const destination = await testDir.create(`client-${Date.now()}`);
+      const analyses = [
+        { id: 1, sampleId: 'S1' },
+        { id: 2, sampleId: 'S2' },
+      ];
+      const state = createSyncState();
+      state.analyses['1'] = {
+        files: { 'sample.bam': { size: 1, checksum: null } },
+        fingerprint: 'outdated',
+        complete: true,
+      };
+      state.analyses['2'] = {
+        files: {},
+        fingerprint: fingerprintAnalysis(analyses[1]),
+        complete: true,
+      };
+      createFileJobs.mockImplementation((analysisId, fileDict) =>
+        Object.keys(fileDict)
+          .filter((fileName) => fileName.endsWith('.bam'))
+          .map((fileName) => ({
+            label: fileName,
+            analysisId,
+            fileName,
+            run: jest.fn(async () => {}),
+          })),
+      );
+
+      const result = await client.sync(analyses, state, { destination });
+
+      expect(getDownloadLinks).toHaveBeenCalledTimes(1);
+      expect(getDownloadLinks.mock.calls[0][0]).toBe('1');
+      expect(createFileJobs).toHaveBeenCalledWith(
+        '1',
+        files,
+        expect.objectContaining({ overwrite: true }),
+      );
+      expect(result.sync).toEqual({
+        files: [
+          {
+            analysisId: '1',
+            file: 'sample.bam',
+            change: 'changed',
+            status: 'synced',
+          },
+        ],
+        analyses: { new: 0, changed: 1, incomplete: 0, unchanged: 1 },
+      });
+      expect(state.analyses['1']).toEqual(
+        expect.objectContaining({
+          fingerprint: fingerprintAnalysis(analyses[0]),
+          complete: true,
+        }),
+      );
+      expect(Object.keys(state.analyses['1'].files)).toEqual([
+        'sample.bam',
+        'sample.bam.bai',
+      ]);
+      expect(state.lastSuccessfulSync).toBe(state.lastSync);
+    });
+
+    test('should keep analyses with failed files incomplete', async () => {
+      const destination = await testDir.create(`client-${Date.now()}`);
+      const state = createSyncState();
+      createFileJobs.mockImplementation((analysisId) => [
+        {
+          label: 'sample.bam',
+          analysisId,
+          fileName: 'sample.bam',
+          run: jest.fn(async () => {
+            throw new Error('network down');
+          }),
+        },
+      ]);
+
+      const result = await client.sync([{ id: 1 }], state, { destination });
+
+      expect(result.sync.files[0]).toEqual(
+        expect.objectContaining({ change: 'new', status: 'failed' }),
+      );
+      expect(state.analyses['1'].complete).toBe(false);
+      expect(state.analyses['1'].files).toEqual({});
+      expect(state.lastSuccessfulSync).toBeNull();
+    });
+
+    test('should write the regions to a temporary BED file for ranged downloads', async () => {
+      const destination = await testDir.create(`client-${Date.now()}`);
+      checkToolAvailability.mockResolvedValue(true);
+      let bedContent;
+      let bedPath;
+      createFileJobs.mockImplementation((analysisId, fileDict, ctx) => {
+        bedPath = ctx.tempBedPath;
+        bedContent = fs.readFileSync(ctx.tempBedPath, 'utf8');
+        return [];
+      });
+
+      await client.rangedDownload(['1'], ['chr1:1-100', 'chr2'], {
+        destination,
+      });
+
+      expect(checkToolAvailability.mock.calls.map((call) => call[0])).toEqual([
+        'samtools',
+        'tabix',
+        'bgzip',
+      ]);
+      expect(bedContent).toBe('chr1\t0\t100\nchr2\t0\t300000000');
+      expect(fs.existsSync(bedPath)).toBe(false);
+      expect(getDownloadLinks.mock.calls[0][9]).toEqual(
+        expect.objectContaining({ range: 'chr1:1-100 chr2' }),
+      );
+    });
+
+    test('should fail with TOOL_MISSING when samtools is unavailable', async () => {
+      checkToolAvailability.mockResolvedValue(false);
+
+      await expect(
+        client.download(['1'], { unmapped: true }),
+      ).rejects.toMatchObject({ code: 'TOOL_MISSING' });
+      expect(checkToolAvailability).toHaveBeenCalledTimes(1);
+    });
+
+    test('should plan downloads without restoring archived files', async () => {
+      getDownloadLinks.mockImplementation(async (...args) => {
+        args[10].archivedFiles.push({ analysisId: '1', fileName: 'old.bam' });
+        return { 'sample.bam': { ...files['sample.bam'], size: 2048 } };
+      });
+
+      const plan = await client.plan(['1'], [], {
+        destination: 'missing-dir',
+        restoreArchived: 'force',
+      });
+
+      expect(getDownloadLinks.mock.calls[0][6]).toBe('no');
+      expect(triggerRestoreArchivedFile).not.toHaveBeenCalled();
+      expect(plan.entries.map((entry) => [entry.file, entry.action])).toEqual([
+        ['sample.bam', 'download'],
+        ['old.bam', 'restore'],
+      ]);
+      expect(plan.totals.downloadBytes).toBe(2048);
+      expect(fs.existsSync('missing-dir')).toBe(false);
+    });
+
+    test('should list archived files without restoring them', async () => {
+      getDownloadLinks.mockImplementation(async (...args) => {
+        args[10].archivedFiles.push(
+          { analysisId: '1', fileName: 'old.bam' },
+          { analysisId: '1', fileName: 'old.vcf.gz' },
+        );
+        return files;
+      });
+
+      await expect(client.listArchivedFiles('1', ['bam'])).resolves.toEqual([
+        { analysisId: '1', fileName: 'old.bam' },
+      ]);
+      expect(getDownloadLinks.mock.calls[0][6]).toBe('no');
+      expect(triggerRestoreArchivedFile).not.toHaveBeenCalled();
+    });
+
+    test('should store the download options with a restoration', async () => {
+      triggerRestoreArchivedFile.mockResolvedValue(null);
+
+      await expect(
+        client.restore('1', 'old.bam', {
+          restorationFile: 'state.json',
+          destination: 'data',
+          vcfOutput: 'merged',
+        }),
+      ).resolves.toBeNull();
+      expect(triggerRestoreArchivedFile.mock.calls[0][6]).toBe('state.json');
+      expect(triggerRestoreArchivedFile.mock.calls[0][7]).toEqual(
+        expect.objectContaining({
+          destination: 'data',
+          range: null,
+          vcfOutput: 'merged',
+        }),
+      );
+    });
+
+    test('should emit a restore event for queued restorations', async () => {
+      const entry = { analysisId: '1', fileName: 'sample.bam' };
+      triggerRestoreArchivedFile.mockResolvedValue(entry);
+      const onRestore = jest.fn();
+      client.on('restore', onRestore);
+
+      await expect(client.restore('1', 'sample.bam')).resolves.toBe(entry);
+      expect(onRestore).toHaveBeenCalledWith(entry);
+    });
+  });
+});